@@ -8,6 +8,8 @@
  *   node main.js --config ./my.yaml     # 指定配置文件
  *   node main.js -c ./my.yaml           # 简写
  *   node main.js --help                 # 显示帮助
+ *   node main.js backfill --from 2026-10-15T09:00 --to 2026-10-15T18:00   # 回填历史时段
+ *   node main.js encrypt                # 按 encryption 配置加密已有的明文数据
  */
 
 const path = require('path');
@@ -19,10 +21,18 @@ const GeminiClient = require('./src/gemini-client');
 const PromptBuilder = require('./src/prompt-builder');
 const SummaryScheduler = require('./src/summary-scheduler');
 const TokenTracker = require('./src/token-tracker');
+const BudgetManager = require('./src/budget-manager');
 const ActiveWindowCollector = require('./src/active-window-collector');
 const PromptLogger = require('./src/prompt-logger');
 const ScreenshotComparer = require('./src/screenshot-comparer');
 const TodoWriter = require('./src/todo-writer');
+const JobQueue = require('./src/job-queue');
+const PrivacyFilter = require('./src/privacy-filter');
+const OcrEngine = require('./src/ocr-engine');
+const ScreenshotMosaic = require('./src/screenshot-mosaic');
+const FileCipher = require('./src/file-cipher');
+const EncryptionMigrator = require('./src/encryption-migrator');
+const RetentionManager = require('./src/retention-manager');
 
 // 版本号
 const VERSION = '1.0.0';
@@ -38,12 +48,23 @@ function parseArgs(argv) {
         legacy: false,
         help: false,
         version: false,
-        todoDir: ''       // Todo 数据目录（由 Electron 传入）
+        todoDir: '',      // Todo 数据目录（由 Electron 传入）
+        command: 'run',   // run: 常驻服务 / backfill: 回填历史时段后退出 / encrypt: 加密已有数据后退出
+        from: '',
+        to: ''
     };
 
     for (let i = 2; i < argv.length; i++) {
         const arg = argv[i];
-        if (arg === '--help' || arg === '-h') {
+        if (arg === 'backfill') {
+            args.command = 'backfill';
+        } else if (arg === 'encrypt') {
+            args.command = 'encrypt';
+        } else if (arg === '--from') {
+            args.from = argv[++i];
+        } else if (arg === '--to') {
+            args.to = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
             args.help = true;
         } else if (arg === '--version' || arg === '-v') {
             args.version = true;
@@ -69,10 +90,20 @@ AI 总结服务 v${VERSION}
 
 使用方法:
   node main.js [选项]
+  node main.js backfill --from <时间> --to <时间> [选项]
+  node main.js encrypt [选项]
+
+命令:
+  backfill             根据已归档的截图回填历史时段各粒度的总结（summary.granularities），完成后退出
+                       （已有文件的时间槽跳过；时间按本地时区解析，如 2026-10-15T09:00）
+  encrypt              将开启 encryption 之前的截图、总结、prompt 日志、token 统计与 OCR 文字层原地加密，
+                       完成后退出（已加密的文件跳过，可重复执行；请先停止截图与总结服务）
 
 选项:
   -c, --config <path>  指定配置文件路径 (默认: ../config.yaml 统一配置)
   --legacy             使用模块独立配置文件模式（向后兼容）
+  --from <time>        回填起始时间（backfill）
+  --to <time>          回填结束时间（backfill）
   -h, --help           显示帮助信息
   -v, --version        显示版本号
 
@@ -80,11 +111,14 @@ AI 总结服务 v${VERSION}
   node main.js                                # 使用统一配置 ../config.yaml
   node main.js --config /path/to/config.yaml  # 指定统一配置路径
   node main.js --legacy -c ./config.yaml      # 向后兼容：使用模块独立配置
+  node main.js backfill --from 2026-10-15T09:00 --to 2026-10-15T18:00
+  node main.js encrypt                        # 需先开启 encryption.enabled 并配置密钥
 
 配置文件:
   推荐使用 work_monitor/config.yaml 统一配置（同时驱动截图和AI总结）
   也支持 --legacy 模式使用模块独立的 config.yaml
-  注意: 必须配置 gemini.api_key
+  注意: 使用默认 Gemini 提供方时必须配置 gemini.api_key
+        可通过 llm.provider 切换为 openai（兼容接口）或 ollama（本地模型）
 `);
 }
 
@@ -183,6 +217,28 @@ function scheduleStopTimer(config, logger, shutdown) {
     }, delay);
 }
 
+/**
+ * 解析回填时间范围
+ * @param {Object} args - 命令行参数
+ * @returns {{from: Date, to: Date}}
+ * @throws {Error} 缺少参数或时间无效
+ */
+function parseBackfillRange(args) {
+    if (!args.from || !args.to) {
+        throw new Error('backfill 需要同时指定 --from 与 --to');
+    }
+    // 不带时区的 YYYY-MM-DDTHH:mm 按本地时间解析
+    const from = new Date(args.from);
+    const to = new Date(args.to);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        throw new Error(`无效的时间: --from ${args.from} --to ${args.to}`);
+    }
+    if (from >= to) {
+        throw new Error('--from 必须早于 --to');
+    }
+    return { from, to };
+}
+
 /**
  * 主函数
  */
@@ -205,10 +261,14 @@ async function main() {
 
     let logger = null;
     let scheduler = null;
+    let retentionManager = null;
     let stopTimer = null;
     let isStopping = false;
+    const isBackfill = args.command === 'backfill';
 
     try {
+        const backfillRange = isBackfill ? parseBackfillRange(args) : null;
+
         // 1. 加载配置
         console.log(`加载配置文件: ${args.config} (${args.legacy ? '独立模式' : '统一模式'})`);
         const config = args.legacy
@@ -217,24 +277,55 @@ async function main() {
 
         // 2. 初始化日志
         logger = new Logger(config.logging);
-        logger.info('AI 总结服务启动');
+
+        // 2.1 初始化静态加密（未开启时仍用于读取已加密的数据）
+        const cipher = new FileCipher(config.encryption);
+
+        // 2.2 加密迁移模式：加密已有的明文数据后退出
+        if (args.command === 'encrypt') {
+            if (!cipher.enabled) {
+                throw new Error('encrypt 需要先在配置中开启 encryption.enabled 并配置密钥（key_file 或 passphrase_env）');
+            }
+            logger.info('[加密迁移] 开始加密已有数据');
+            const migrator = new EncryptionMigrator(cipher, logger);
+            const stats = migrator.migrate({
+                screenshotDir: new ScreenshotReader(config.screenshot, logger).baseDirectory,
+                summaryDir: new SummaryStore(config.summary, logger).baseDirectory
+            });
+            logger.info(`[加密迁移] 结束: 加密 ${stats.encrypted} 个，重新链接 ${stats.linked} 个，已加密跳过 ${stats.skipped} 个，失败 ${stats.failed} 个`);
+            logger.close();
+            process.exit(stats.failed ? 1 : 0);
+        }
+
+        logger.info(isBackfill ? 'AI 总结回填启动' : 'AI 总结服务启动');
+        if (cipher.enabled) {
+            logger.info('静态加密: 已启用（AES-256-GCM）');
+        }
 
         // 3. 初始化截图读取器
-        const screenshotReader = new ScreenshotReader(config.screenshot, logger);
+        const screenshotReader = new ScreenshotReader(config.screenshot, logger, cipher);
         logger.info(`截图目录: ${config.screenshot.directory}`);
 
         // 4. 初始化总结存储
-        const summaryStore = new SummaryStore(config.summary, logger);
+        const summaryStore = new SummaryStore(config.summary, logger, cipher);
         logger.info(`总结目录: ${config.summary.directory}`);
 
         // 5. 初始化 Gemini 客户端
-        const geminiClient = new GeminiClient(config.gemini, logger);
-        logger.info(`Gemini 模型: ${config.gemini.model}`);
+        const geminiClient = new GeminiClient(config.gemini, logger, config.llm);
+        logger.info(`LLM 提供方: ${geminiClient.providerName}, 模型: ${geminiClient.model}`);
+        for (const granularity of Object.keys(config.llm.profiles || {})) {
+            const profile = geminiClient.getProfile(granularity);
+            if (profile.model !== geminiClient.model || profile.fallbackModel) {
+                logger.info(`[${granularity}] 模型: ${profile.model}${profile.fallbackModel ? `（备用: ${profile.fallbackModel}）` : ''}`);
+            }
+        }
 
         // 6. 初始化提示词构建器（传入 todo 数据目录）
         const promptBuilderOptions = {};
         promptBuilderOptions.summaryDir = config.summary.directory;
+        promptBuilderOptions.baseGranularity = config.summary.granularities[0].name;
         promptBuilderOptions.behaviorRecentDays = 7;
+        promptBuilderOptions.cipher = cipher;
         if (args.todoDir) {
             promptBuilderOptions.todoDataDir = args.todoDir;
             logger.info(`Todo 数据目录: ${args.todoDir}`);
@@ -249,28 +340,65 @@ async function main() {
         }
 
         // 6.5 初始化 Token 用量跟踪器
-        const tokenTracker = new TokenTracker(config.summary, logger);
+        const tokenTracker = new TokenTracker(config.summary, logger, cipher);
 
-        // 6.6 初始化焦点窗口采集器
+        // 6.55 初始化预算管理器（未启用时只统计估算费用）
+        const budgetManager = new BudgetManager(config.llm.budget, tokenTracker, logger, {
+            defaultModel: geminiClient.model
+        });
+        if (budgetManager.enabled) {
+            logger.info(`预算控制已启用，当前等级: ${budgetManager.level}，剩余: ${budgetManager.formatRemaining()}`);
+        }
+
+        // 6.6 初始化焦点窗口采集器（回填历史时段时用不到实时窗口）
         let activeWindowCollector = null;
-        try {
-            activeWindowCollector = new ActiveWindowCollector({
-                interval: 1000,
-                maxHistorySize: 5000
-            }, logger);
-            activeWindowCollector.start();
-            logger.info('焦点窗口采集器已启动');
-        } catch (err) {
-            logger.warn(`焦点窗口采集器初始化失败（不影响主流程）: ${err.message}`);
+        if (!isBackfill) {
+            try {
+                activeWindowCollector = new ActiveWindowCollector({
+                    interval: 1000,
+                    maxHistorySize: 5000
+                }, logger);
+                activeWindowCollector.start();
+                logger.info('焦点窗口采集器已启动');
+            } catch (err) {
+                logger.warn(`焦点窗口采集器初始化失败（不影响主流程）: ${err.message}`);
+            }
         }
 
         // 6.7 初始化 Prompt 日志记录器
-        const promptLogger = new PromptLogger(config.summary, logger);
+        const promptLogger = new PromptLogger(config.summary, logger, cipher);
         logger.info('Prompt 日志记录器已初始化');
 
         // 6.8 初始化截图比对器
-        const screenshotComparer = new ScreenshotComparer(logger);
-        logger.info('截图比对器已初始化');
+        const screenshotComparer = new ScreenshotComparer(config.summary.comparison, logger);
+        logger.info(`截图比对器已初始化: ${screenshotComparer.method}`);
+
+        // 6.9 初始化待补跑任务队列
+        const jobQueue = new JobQueue(config.summary, logger, cipher);
+        logger.info(`待补跑任务队列: ${jobQueue.directory}`);
+
+        // 6.10 初始化隐私过滤器（截图进入 prompt 前按焦点窗口再过滤一次）
+        const privacyFilter = new PrivacyFilter(config.privacy, logger);
+        if (privacyFilter.enabled) {
+            logger.info(`隐私规则: ${privacyFilter.rules.length} 条`);
+        }
+
+        // 6.11 初始化 OCR 文字层（输入方式需要文字或开启 ocr.enabled 时；识别引擎在首次使用时加载）
+        let ocrEngine = null;
+        if (config.ocr.enabled || config.summary.input_mode !== 'images') {
+            ocrEngine = new OcrEngine(config.ocr, logger, {
+                cachePath: path.join(summaryStore.baseDirectory, 'ocr-models'),
+                cipher
+            });
+            logger.info(`输入方式: ${config.summary.input_mode}，OCR 语言: ${config.ocr.languages.join('+')}`);
+        }
+
+        // 6.12 初始化截图拼图（基础粒度把截图拼成 1-2 张网格图发送）
+        let screenshotMosaic = null;
+        if (config.summary.mosaic.mode !== 'off') {
+            screenshotMosaic = new ScreenshotMosaic(config.summary.mosaic, logger);
+            logger.info(`截图拼图: ${screenshotMosaic.mode}，每格宽 ${screenshotMosaic.tileWidth}px`);
+        }
 
         // 7. 初始化总结调度器
         scheduler = new SummaryScheduler({
@@ -284,9 +412,27 @@ async function main() {
             promptLogger,
             screenshotComparer,
             todoWriter,
+            jobQueue,
+            budgetManager,
+            privacyFilter,
+            ocrEngine,
+            screenshotMosaic,
             logger
         });
 
+        // 7.1 回填模式：处理完指定时段后退出
+        if (isBackfill) {
+            const { from, to } = backfillRange;
+            logger.info(`[回填] 时间范围: ${formatDateTime(from)} - ${formatDateTime(to)}`);
+            const result = await scheduler.backfill(from, to);
+            logger.info(`[回填] 结束: 新生成 ${result.generated} 条，已存在跳过 ${result.existing} 条${result.failed ? '，因失败提前停止（可重新执行继续）' : ''}`);
+            if (ocrEngine) {
+                await ocrEngine.close();
+            }
+            logger.close();
+            process.exit(result.failed ? 1 : 0);
+        }
+
         // 8. 注册信号处理（优雅关闭）
         const shutdown = async (signal) => {
             if (isStopping) {
@@ -300,14 +446,20 @@ async function main() {
                 stopTimer = null;
             }
 
-            // 停止焦点窗口采集器
+            // 停止焦点窗口采集器与数据保留任务
             if (activeWindowCollector) {
                 activeWindowCollector.stop();
             }
+            if (retentionManager) {
+                retentionManager.stop();
+            }
 
             if (scheduler) {
                 await scheduler.stop();
             }
+            if (ocrEngine) {
+                await ocrEngine.close();
+            }
 
             logger.info('服务已停止');
             logger.close();
@@ -321,6 +473,10 @@ async function main() {
         // 9. 启动调度器
         scheduler.start();
 
+        // 9.1 启动数据保留任务（启动时清理一次，之后按 summary.retention.interval_hours 定期清理）
+        retentionManager = new RetentionManager(config.summary, logger, cipher);
+        retentionManager.start();
+
         // 显示运行信息
         if (config.schedule.enabled) {
             logger.info(`时间限制: ${config.schedule.start_time} - ${config.schedule.end_time}`);
@@ -64,7 +64,7 @@ class ActiveWindowCollector {
 
     /**
      * 轮询回调：更新当前条目的结束时间
-     * @param {Object} windowInfo - 窗口信息 { app, title, timestamp }
+     * @param {Object} windowInfo - 窗口信息 { app, title, display, timestamp }
      * @private
      */
     _onPoll(windowInfo) {
@@ -75,6 +75,7 @@ class ActiveWindowCollector {
             this._currentEntry = {
                 app: windowInfo.app,
                 title: windowInfo.title,
+                display: windowInfo.display,
                 startTime: windowInfo.timestamp,
                 endTime: windowInfo.timestamp
             };
@@ -93,6 +94,7 @@ class ActiveWindowCollector {
         this._currentEntry = {
             app: data.current.app,
             title: data.current.title,
+            display: data.current.display,
             startTime: data.current.timestamp,
             endTime: data.current.timestamp
         };
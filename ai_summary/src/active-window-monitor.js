@@ -9,6 +9,7 @@ const EventEmitter = require('events');
  * @typedef {Object} WindowInfo
  * @property {string} app - 应用名称
  * @property {string} title - 窗口标题
+ * @property {number|null} display - 窗口所在显示器序号（从 1 开始，无法判断时为 null）
  * @property {number} timestamp - 获取时间戳(ms)
  */
 
@@ -19,7 +20,7 @@ const EventEmitter = require('events');
  * 注意：该实现放在 ai_summary 内，避免打包后跨模块路径依赖失效。
  *
  * 事件:
- * - 'change': 焦点窗口发生变化时触发，参数为 {current: WindowInfo, previous: WindowInfo}
+ * - 'change': 焦点窗口（应用、标题或所在显示器）发生变化时触发，参数为 {current: WindowInfo, previous: WindowInfo}
  * - 'poll': 每次轮询获取窗口信息时触发，参数为 WindowInfo
  * - 'error': 获取窗口信息失败时触发
  * - 'start': 监控启动时触发
@@ -74,6 +75,7 @@ class ActiveWindowMonitor extends EventEmitter {
                     resolve({
                         app: windowInfo.app || '',
                         title: windowInfo.title || '',
+                        display: windowInfo.display > 0 ? windowInfo.display : null,
                         timestamp: Date.now()
                     });
                 } catch (parseError) {
@@ -173,7 +175,8 @@ class ActiveWindowMonitor extends EventEmitter {
             return false;
         }
         return this._lastWindow.app !== current.app ||
-               this._lastWindow.title !== current.title;
+               this._lastWindow.title !== current.title ||
+               this._lastWindow.display !== current.display;
     }
 
     /**
@@ -0,0 +1,305 @@
+/**
+ * 预算管理模块
+ * 按日/按月统计 token 用量与估算费用（按模型价格表），接近或超出预算时逐级降级:
+ *
+ *   normal     正常
+ *   reduced    用量达到 reduce_at：2min 请求按比例减少截图
+ *   text_only  用量达到 text_only_at：2min 只根据焦点窗口时间线生成纯文本总结
+ *   paused     任一预算用尽：暂停所有 API 请求，直到新的一天/月
+ *
+ * 用量来源: 启动与跨日时重新汇总 token-stats/ 下本月的记录，运行中由调度器逐次累加
+ * 状态快照: {summary.directory}/budget-state.json（供 Electron Token 统计页展示）
+ *
+ * 事件:
+ *   'levelChange' (level, info)  降级等级变化时触发，info 含 previous/ratio/status
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class BudgetManager extends EventEmitter {
+    /**
+     * 创建预算管理器
+     * @param {Object} config - llm.budget 配置段
+     * @param {TokenTracker} tokenTracker - Token 跟踪器（读取历史用量文件）
+     * @param {Logger} logger - 日志模块
+     * @param {Object} [options]
+     * @param {string} [options.defaultModel] - 历史记录缺少模型字段时按此模型计价
+     */
+    constructor(config, tokenTracker, logger, options = {}) {
+        super();
+        this.config = config || {};
+        this.enabled = this.config.enabled === true;
+        this.currency = this.config.currency || 'USD';
+        this.prices = this.config.prices || {};
+        this.defaultModel = options.defaultModel || '';
+        this.logger = logger;
+
+        this.tokenTracker = tokenTracker;
+        this.statsDirectory = tokenTracker.statsDirectory;
+        this.stateFile = path.join(path.dirname(this.statsDirectory), 'budget-state.json');
+
+        this.level = 'normal';
+        this._unpricedModels = new Set();
+        this._reload(new Date());
+        this.level = this._computeLevel();
+        this._persist();
+    }
+
+    /**
+     * 格式化日期为 YYYY-MM-DD
+     * @param {Date} date - 日期对象
+     * @returns {string}
+     */
+    _formatDate(date) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+
+    /**
+     * 估算一次调用的费用
+     * 输出价格同时适用于思考 token
+     * @param {string} model - 模型名称
+     * @param {number} inputTokens - 输入 token
+     * @param {number} outputTokens - 输出 + 思考 token
+     * @returns {number} 费用（配置的货币单位）
+     */
+    estimateCost(model, inputTokens, outputTokens) {
+        const price = this.prices[model];
+        if (!price) {
+            if (model && !this._unpricedModels.has(model)) {
+                this._unpricedModels.add(model);
+                this.logger.warn(`[预算] 模型 ${model} 未配置价格，费用按 0 计算（可在 llm.budget.prices 中补充）`);
+            }
+            return 0;
+        }
+        return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1000000;
+    }
+
+    /**
+     * 重新汇总当日与当月用量（启动与跨日时调用）
+     * @param {Date} now - 当前时间
+     */
+    _reload(now) {
+        const today = this._formatDate(now);
+        const month = today.slice(0, 7);
+        this.period = { date: today, month };
+        this.usage = {
+            day: { tokens: 0, cost: 0 },
+            month: { tokens: 0, cost: 0 }
+        };
+
+        if (!fs.existsSync(this.statsDirectory)) {
+            return;
+        }
+
+        const files = fs.readdirSync(this.statsDirectory)
+            .filter(f => f.startsWith(month) && f.endsWith('.json'));
+
+        for (const file of files) {
+            try {
+                const data = this.tokenTracker.readStatsFile(file);
+                const isToday = file === `${today}.json`;
+                for (const session of data.sessions || []) {
+                    for (const r of session.records || []) {
+                        const tokens = r.total_tokens || 0;
+                        const cost = this.estimateCost(
+                            r.model || this.defaultModel,
+                            r.prompt_tokens || 0,
+                            (r.candidates_tokens || 0) + (r.thoughts_tokens || 0)
+                        );
+                        this.usage.month.tokens += tokens;
+                        this.usage.month.cost += cost;
+                        if (isToday) {
+                            this.usage.day.tokens += tokens;
+                            this.usage.day.cost += cost;
+                        }
+                    }
+                }
+            } catch (err) {
+                this.logger.warn(`[预算] 读取用量文件失败: ${file} - ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * 跨日时重新汇总并重新评估等级
+     */
+    _checkRollover() {
+        const now = new Date();
+        if (this._formatDate(now) !== this.period.date) {
+            this._reload(now);
+            this._updateLevel();
+        }
+    }
+
+    /**
+     * 记录一次调用的用量
+     * @param {Object} usageMetadata - Gemini 风格的 usageMetadata
+     * @param {string} [model] - 实际使用的模型
+     */
+    recordUsage(usageMetadata, model) {
+        if (!usageMetadata) {
+            return;
+        }
+        this._checkRollover();
+
+        const inputTokens = usageMetadata.promptTokenCount || 0;
+        const outputTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+        const tokens = usageMetadata.totalTokenCount || inputTokens + outputTokens;
+        const cost = this.estimateCost(model || this.defaultModel, inputTokens, outputTokens);
+
+        this.usage.day.tokens += tokens;
+        this.usage.day.cost += cost;
+        this.usage.month.tokens += tokens;
+        this.usage.month.cost += cost;
+
+        this._updateLevel();
+    }
+
+    /**
+     * 获取当前降级等级
+     * @returns {string} normal/reduced/text_only/paused
+     */
+    getLevel() {
+        this._checkRollover();
+        return this.level;
+    }
+
+    /**
+     * 当前是否允许发起 API 请求
+     * @returns {boolean}
+     */
+    allowsRequest() {
+        return this.getLevel() !== 'paused';
+    }
+
+    /**
+     * 获取已配置的预算限额（0 或未配置视为不限）
+     * @returns {Array<{key: string, used: number, limit: number}>}
+     */
+    _getLimits() {
+        const limits = [
+            { key: 'daily_tokens', used: this.usage.day.tokens, limit: this.config.daily_tokens },
+            { key: 'monthly_tokens', used: this.usage.month.tokens, limit: this.config.monthly_tokens },
+            { key: 'daily_cost', used: this.usage.day.cost, limit: this.config.daily_cost },
+            { key: 'monthly_cost', used: this.usage.month.cost, limit: this.config.monthly_cost }
+        ];
+        return limits.filter(l => typeof l.limit === 'number' && l.limit > 0);
+    }
+
+    /**
+     * 用量占比（各项预算中最高的一项）
+     * @returns {number}
+     */
+    _getRatio() {
+        return this._getLimits().reduce((max, l) => Math.max(max, l.used / l.limit), 0);
+    }
+
+    /**
+     * 按用量占比计算降级等级
+     * @returns {string}
+     */
+    _computeLevel() {
+        if (!this.enabled) {
+            return 'normal';
+        }
+        const ratio = this._getRatio();
+        if (ratio >= 1) {
+            return 'paused';
+        }
+        if (ratio >= (this.config.text_only_at || 1)) {
+            return 'text_only';
+        }
+        if (ratio >= (this.config.reduce_at || 1)) {
+            return 'reduced';
+        }
+        return 'normal';
+    }
+
+    /**
+     * 重新评估等级，变化时触发事件；同时刷新状态快照
+     */
+    _updateLevel() {
+        const previous = this.level;
+        this.level = this._computeLevel();
+        this._persist();
+
+        if (this.level !== previous) {
+            this.emit('levelChange', this.level, {
+                previous,
+                ratio: this._getRatio(),
+                status: this.getStatus()
+            });
+        }
+    }
+
+    /**
+     * 获取预算状态快照
+     * @returns {Object}
+     */
+    getStatus() {
+        const round = value => Math.round(value * 10000) / 10000;
+        const remaining = {};
+        for (const l of this._getLimits()) {
+            remaining[l.key] = l.key.endsWith('_cost')
+                ? round(Math.max(0, l.limit - l.used))
+                : Math.max(0, l.limit - l.used);
+        }
+
+        return {
+            enabled: this.enabled,
+            level: this.level,
+            currency: this.currency,
+            date: this.period.date,
+            month: this.period.month,
+            ratio: round(this._getRatio()),
+            usage: {
+                day: { tokens: this.usage.day.tokens, cost: round(this.usage.day.cost) },
+                month: { tokens: this.usage.month.tokens, cost: round(this.usage.month.cost) }
+            },
+            limits: {
+                daily_tokens: this.config.daily_tokens || 0,
+                monthly_tokens: this.config.monthly_tokens || 0,
+                daily_cost: this.config.daily_cost || 0,
+                monthly_cost: this.config.monthly_cost || 0
+            },
+            remaining,
+            updated_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 格式化剩余预算（用于日志）
+     * @returns {string}
+     */
+    formatRemaining() {
+        const status = this.getStatus();
+        const parts = Object.entries(status.remaining).map(([key, value]) =>
+            key.endsWith('_cost') ? `${key}=${value} ${this.currency}` : `${key}=${value}`
+        );
+        return parts.length > 0 ? parts.join(', ') : '未设置限额';
+    }
+
+    /**
+     * 写入状态快照（先写临时文件再重命名）
+     */
+    _persist() {
+        try {
+            const dir = path.dirname(this.stateFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tmpPath = `${this.stateFile}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.getStatus(), null, 2), 'utf8');
+            fs.renameSync(tmpPath, this.stateFile);
+        } catch (err) {
+            this.logger.error(`[预算] 状态写入失败: ${err.message}`);
+        }
+    }
+}
+
+module.exports = BudgetManager;
@@ -0,0 +1,133 @@
+/**
+ * 熔断器模块
+ * 所有粒度共用同一个熔断器：连续失败达到阈值后熔断，冷却期内直接拒绝请求，
+ * 冷却结束后放行一次探测请求，成功则恢复，失败则重新熔断
+ *
+ * 状态:
+ *   closed     正常
+ *   open       熔断中（降级），拒绝请求
+ *   half_open  冷却结束，允许一次探测请求
+ *
+ * 事件:
+ *   'stateChange' (state, info)  状态切换时触发，info 含 previous/failures/lastError/retryAt
+ */
+
+const EventEmitter = require('events');
+
+class CircuitBreaker extends EventEmitter {
+    /**
+     * 创建熔断器
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold=3] - 连续失败多少次后熔断
+     * @param {number} [options.cooldownMs=120000] - 熔断冷却时间（毫秒）
+     */
+    constructor(options = {}) {
+        super();
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldownMs = options.cooldownMs || 120000;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.lastError = null;
+        this._probing = false;
+    }
+
+    /**
+     * 是否允许发起请求
+     * 冷却期结束后切换为 half_open，并只放行一个探测请求
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this._setState('half_open');
+        }
+
+        if (this.state === 'half_open' && !this._probing) {
+            this._probing = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 是否处于熔断冷却期（不改变状态，不占用探测名额）
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.state === 'open' && this.getRetryInMs() > 0;
+    }
+
+    /**
+     * 记录一次成功调用
+     */
+    recordSuccess() {
+        this.failures = 0;
+        this.lastError = null;
+        this._probing = false;
+        if (this.state !== 'closed') {
+            this._setState('closed');
+        }
+    }
+
+    /**
+     * 记录一次失败调用（重试全部耗尽后）
+     * @param {Error} err - 最后一次错误
+     */
+    recordFailure(err) {
+        this.failures++;
+        this.lastError = err ? err.message : null;
+        this._probing = false;
+
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this._setState('open');
+        }
+    }
+
+    /**
+     * 距离下一次允许探测的剩余毫秒数
+     * @returns {number}
+     */
+    getRetryInMs() {
+        if (this.state !== 'open') {
+            return 0;
+        }
+        return Math.max(0, this.openedAt + this.cooldownMs - Date.now());
+    }
+
+    /**
+     * 获取熔断器状态快照
+     * @returns {{state: string, failures: number, lastError: string|null, retryInMs: number}}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryInMs: this.getRetryInMs()
+        };
+    }
+
+    /**
+     * 切换状态并触发事件（重复熔断同样触发，以便更新 retryAt）
+     * @param {string} state - 新状态
+     */
+    _setState(state) {
+        const previous = this.state;
+        this.state = state;
+        this.emit('stateChange', state, {
+            previous,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs) : null
+        });
+    }
+}
+
+module.exports = CircuitBreaker;
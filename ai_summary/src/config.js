@@ -8,9 +8,90 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const YAML = require('yaml');
+const { BACKEND_PROVIDERS, PROVIDERS } = require('./providers');
+
+// 粒度的提示词模板（决定输入类型、system prompt 与输出 Schema）
+//   screenshot    截图 → 活动记录（只能用于输入为 screenshots 的基础粒度）
+//   timeline      screenshot 粒度 → 活动时间轴
+//   distribution  timeline 粒度 → 时间分布
+//   report        distribution/report 粒度 → 日报/周报式报告
+const PROMPT_TEMPLATES = {
+    screenshot: [],
+    timeline: ['screenshot'],
+    distribution: ['timeline'],
+    report: ['distribution', 'report']
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// 隐私规则命中后的处理方式
+const PRIVACY_ACTIONS = ['skip', 'blur', 'placeholder'];
+
+// 基础粒度的输入方式: 全部截图 / 全部 OCR 文字 / 最后一张截图 + 其余 OCR 文字
+const INPUT_MODES = ['images', 'ocr_text', 'hybrid'];
+
+// 未在 summary.retention.summaries 中写出时，基础粒度总结的默认保留天数
+const DEFAULT_BASE_RETENTION_DAYS = 90;
+
+// 多显示器时发送哪些显示器的截图
+const MONITOR_SELECTIONS = ['all', 'focused'];
+
+// 截图拼图方式
+const MOSAIC_MODES = ['off', 'single', 'split'];
+
+// 旧的 summary.granularity 写法中与新字段名不同的字段
+const LEGACY_GRANULARITY_FIELDS = {
+    recent_10min_count: 'child_count',
+    earlier_10min_count: 'earlier_child_count'
+};
 
 // 默认配置
 const DEFAULT_CONFIG = {
+    llm: {
+        provider: 'gemini',
+        timeout: 120,
+        structured_output: true,
+        max_retry_delay: 60,
+        circuit_breaker: {
+            failure_threshold: 3,
+            cooldown: 120
+        },
+        openai: {
+            base_url: 'https://api.openai.com/v1',
+            api_key: '',
+            model: 'gpt-4o-mini'
+        },
+        ollama: {
+            base_url: 'http://localhost:11434',
+            model: 'qwen2.5vl:7b'
+        },
+        fixtures: {
+            directory: './llm-fixtures',
+            target: 'gemini',
+            match: 'exact'
+        },
+        // 按粒度名称的模型与参数（键为 summary.granularities 中的 name），未配置的粒度使用提供方默认模型与服务端默认参数
+        profiles: {},
+        budget: {
+            enabled: false,
+            currency: 'USD',
+            daily_tokens: 0,
+            monthly_tokens: 0,
+            daily_cost: 0,
+            monthly_cost: 0,
+            reduce_at: 0.8,
+            text_only_at: 0.9,
+            reduced_screenshot_ratio: 0.5,
+            // 每百万 token 价格（input: 输入，output: 输出与思考）
+            prices: {
+                'gemini-3-flash-preview': { input: 0.5, output: 3.0 },
+                'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+                'gemini-2.5-pro': { input: 1.25, output: 10.0 },
+                'gpt-4o-mini': { input: 0.15, output: 0.6 },
+                'gpt-4o': { input: 2.5, output: 10.0 }
+            }
+        }
+    },
     gemini: {
         api_key: '',
         model: 'gemini-3-flash-preview',
@@ -20,27 +101,137 @@ const DEFAULT_CONFIG = {
     screenshot: {
         directory: '../auto_screenshot/screenshots',
         format: 'jpeg',
-        interval: 10
+        interval: 10,
+        // 截图服务是否使用自适应间隔（每个窗口的截图数量不固定）
+        adaptive: false
     },
     summary: {
         directory: './summaries',
-        granularity: {
-            '2min': {
+        // 基础粒度的输入方式（images/ocr_text/hybrid），后两者需要本地 OCR
+        input_mode: 'images',
+        // 多显示器时发送的截图：all 各显示器平均分配名额；focused 只发送截图时刻焦点窗口所在显示器的截图
+        monitor_selection: 'all',
+        // 截图比对（判断屏幕无变化、为截图打变化分数）
+        comparison: {
+            // exact: 逐字节比对；perceptual: 差异哈希 + 变化像素占比
+            method: 'perceptual',
+            // dHash 汉明距离不超过该值视为相似（0-64）
+            hash_distance: 5,
+            // 灰度差超过该值的像素计为变化（0-255），吸收 JPEG 重新编码噪声
+            pixel_threshold: 24,
+            // 变化像素占比不超过该值视为相似，吸收光标闪烁等细微变化
+            change_ratio: 0.001,
+            // 比对前缩放到的宽度（像素）
+            sample_width: 256,
+            // 忽略区域（相对图像宽高的比例 0-1），默认忽略顶部菜单栏（时钟）
+            ignore_regions: [
+                { x: 0, y: 0, width: 1, height: 0.04 }
+            ]
+        },
+        // 截图拼图：基础粒度把窗口内的截图拼成 1 张（single）或前后 2 张（split）带时间标注的网格图，减少图片 token
+        mosaic: {
+            mode: 'off',
+            // 每格宽度（像素），高度按截图宽高比，不放大
+            tile_width: 640,
+            // 每行格数，0 为按截图数量自动
+            columns: 0,
+            // 拼图的 JPEG 质量（1-100）
+            quality: 80
+        },
+        // 粒度列表，按由细到粗排列；第一项以截图为输入，其余各项聚合列表中更早的一项
+        granularities: [
+            {
+                name: '2min',
+                title: '2 分钟',
+                period: 2,
+                source: 'screenshots',
+                prompt: 'screenshot',
                 enabled: true,
                 screenshots_per_minute: 6,
                 history_minutes: 9
             },
-            '10min': {
+            {
+                name: '10min',
+                title: '10 分钟',
+                period: 10,
+                source: '2min',
+                prompt: 'timeline',
                 enabled: true,
                 history_count: 5
             },
-            '1h': {
+            {
+                name: '1h',
+                title: '1 小时',
+                period: 60,
+                source: '10min',
+                prompt: 'distribution',
                 enabled: true,
-                recent_10min_count: 6,
-                earlier_10min_count: 6
+                child_count: 6,
+                earlier_child_count: 6
+            },
+            // 日报：每天 time 时生成，覆盖截至该时刻的 24 小时
+            {
+                name: '1d',
+                title: '日报',
+                period: 24 * 60,
+                time: '22:10',
+                source: '1h',
+                prompt: 'report',
+                enabled: true,
+                history_count: 1
+            },
+            // 周报：每周 day 的 time 时生成，覆盖截至该时刻的 7 天
+            {
+                name: '1w',
+                title: '周报',
+                period: 7 * 24 * 60,
+                day: 'Fri',
+                time: '22:20',
+                source: '1d',
+                prompt: 'report',
+                enabled: true,
+                history_count: 1
+            }
+        ],
+        // 数据保留：服务运行期间每 interval_hours 小时清理一次，结果写入 {directory}/retention-state.json
+        retention: {
+            enabled: true,
+            interval_hours: 24,
+            // 按粒度名称的总结保留天数，未列出或为 0 的粒度永久保留
+            // 基础粒度未列出时在规范化阶段补为 DEFAULT_BASE_RETENTION_DAYS
+            summaries: {},
+            // prompt 日志超过 archive_after_days 天按日压缩为一个归档；归档超过 delete_after_days 天删除（0 永久保留）
+            prompt_logs: {
+                archive_after_days: 7,
+                delete_after_days: 0
+            },
+            // token 统计保留天数（0 永久保留；当月的统计供预算汇总，不会删除）
+            token_stats: {
+                delete_after_days: 0
             }
         }
     },
+    privacy: {
+        enabled: true,
+        blur_sigma: 40,
+        rules: []
+    },
+    // 本地 OCR 文字层（tesseract.js），input_mode 为 ocr_text/hybrid 时总是启用
+    ocr: {
+        // images 模式下也识别并保存文字层（供桌面应用搜索）
+        enabled: false,
+        languages: ['chi_sim', 'eng'],
+        // 语言模型目录或 URL，null 时从 tesseract.js 默认地址下载一次并缓存
+        lang_path: null,
+        // 每张截图写入 prompt 的最大字符数
+        max_chars: 2000
+    },
+    // 静态加密（AES-256-GCM），密钥来自 key_file 或 passphrase_env 指定的环境变量
+    encryption: {
+        enabled: false,
+        key_file: null,
+        passphrase_env: 'WORKWEAVER_PASSPHRASE'
+    },
     schedule: {
         enabled: false,
         start_time: '08:00',
@@ -61,13 +252,19 @@ class Config {
      * 统一配置字段映射:
      *   storage.directory → screenshot.directory（截图读取目录）
      *   screenshot.format/interval → screenshot.format/interval
+     *   screenshot.adaptive.enabled → screenshot.adaptive
+     *   llm.*       → llm.*（直接透传，选择 LLM 提供方）
      *   gemini.*    → gemini.*（直接透传）
      *   summary.*   → summary.*（直接透传）
+     *   privacy.*   → privacy.*（共享，auto_screenshot 写盘前已处理一次）
+     *   ocr.*       → ocr.*（直接透传）
+     *   encryption.* → encryption.*（共享，总结、prompt 日志、token 统计与 OCR 文字层写盘时加密，截图读取时解密）
      *   schedule.*  → schedule.*（共享）
      *   logging.level/console/summary_file → logging.*
      *
      * 自动计算:
-     *   screenshots_per_minute = 60 / screenshot.interval（如果用户未显式指定）
+     *   基础粒度的 screenshots_per_minute = 60 / screenshot.interval（如果用户未显式指定）
+     *   自适应间隔时 interval 为基准间隔，screenshots_per_minute 为发送上限，候选截图按时间均匀抽取
      *
      * @param {string} configPath - 统一配置文件路径
      * @returns {Object} ai_summary 配置对象
@@ -94,13 +291,18 @@ class Config {
 
             // 从统一配置提取 ai_summary 所需字段
             const extracted = {
+                llm: unified.llm || {},
                 gemini: unified.gemini || {},
                 screenshot: {
                     directory: storageDir,
                     format: (unified.screenshot && unified.screenshot.format) || 'jpeg',
-                    interval: interval
+                    interval: interval,
+                    adaptive: !!(unified.screenshot && unified.screenshot.adaptive && unified.screenshot.adaptive.enabled)
                 },
                 summary: unified.summary || {},
+                privacy: unified.privacy || {},
+                ocr: unified.ocr || {},
+                encryption: unified.encryption || {},
                 schedule: unified.schedule || {},
                 logging: {
                     level: (unified.logging && unified.logging.level) || 'info',
@@ -113,17 +315,16 @@ class Config {
             // 合并默认配置
             const mergedConfig = Config.mergeWithDefaults(extracted);
 
-            // 规范化粒度配置（兼容旧的 1min 配置）
+            // 规范化粒度配置（兼容旧的 summary.granularity 写法）
             Config._normalizeGranularity(mergedConfig);
 
-            // 自动计算 screenshots_per_minute（如果用户未显式指定）
-            if (mergedConfig.summary.granularity['2min'] &&
-                !mergedConfig.summary.granularity['2min'].screenshots_per_minute) {
-                mergedConfig.summary.granularity['2min'].screenshots_per_minute =
-                    Math.floor(60 / mergedConfig.screenshot.interval);
+            // 基础粒度自动计算 screenshots_per_minute（如果用户未显式指定）
+            const base = mergedConfig.summary.granularities[0];
+            if (base && base.source === 'screenshots' && !base.screenshots_per_minute) {
+                base.screenshots_per_minute = Math.floor(60 / mergedConfig.screenshot.interval);
             }
 
-            return Config.validate(mergedConfig);
+            return Config.validate(mergedConfig, path.dirname(absolutePath));
         } catch (err) {
             if (err.name === 'YAMLParseError') {
                 throw new Error(`统一配置文件格式错误: ${err.message}`);
@@ -152,7 +353,7 @@ class Config {
             const userConfig = YAML.parse(content) || {};
             const mergedConfig = Config.mergeWithDefaults(userConfig);
             Config._normalizeGranularity(mergedConfig);
-            return Config.validate(mergedConfig);
+            return Config.validate(mergedConfig, path.dirname(absolutePath));
         } catch (err) {
             if (err.name === 'YAMLParseError') {
                 throw new Error(`配置文件格式错误: ${err.message}`);
@@ -197,39 +398,307 @@ class Config {
     }
 
     /**
-     * 规范化粒度配置（兼容旧的 1min 配置）
+     * 规范化粒度配置（兼容旧的 summary.granularity 写法）
+     * 旧写法按粒度名覆盖 summary.granularities 中的同名项:
+     *   1min → 2min，recent_10min_count → child_count，earlier_10min_count → earlier_child_count
      * @param {Object} config - 配置对象
      */
     static _normalizeGranularity(config) {
-        if (!config.summary || !config.summary.granularity) {
+        if (!config.summary) {
             return;
         }
-        const granularity = config.summary.granularity;
-        if (granularity['1min'] && !granularity['2min']) {
-            granularity['2min'] = granularity['1min'];
+        const { granularity: legacy, ...summary } = config.summary;
+        const granularities = Array.isArray(summary.granularities)
+            ? summary.granularities.map(level => (level && typeof level === 'object' ? { ...level } : level))
+            : summary.granularities;
+
+        if (legacy && typeof legacy === 'object' && Array.isArray(granularities)) {
+            const overrides = { ...legacy };
+            if (overrides['1min'] && !overrides['2min']) {
+                overrides['2min'] = overrides['1min'];
+            }
+            delete overrides['1min'];
+
+            for (const [name, fields] of Object.entries(overrides)) {
+                const level = granularities.find(g => g && g.name === name);
+                if (!level || !fields || typeof fields !== 'object') {
+                    continue;
+                }
+                for (const [key, value] of Object.entries(fields)) {
+                    level[LEGACY_GRANULARITY_FIELDS[key] || key] = value;
+                }
+            }
+        }
+
+        // 未写 enabled 的粒度默认启用，未写 title 的以名称作为界面标题
+        for (const level of Array.isArray(granularities) ? granularities : []) {
+            if (level && typeof level === 'object') {
+                if (level.enabled === undefined) {
+                    level.enabled = true;
+                }
+                if (level.title === undefined && typeof level.name === 'string') {
+                    level.title = level.name;
+                }
+            }
         }
-        if (granularity['2min']) {
-            delete granularity['1min'];
+
+        // 基础粒度的总结默认保留 DEFAULT_BASE_RETENTION_DAYS 天，须在粒度解析完成后按实际名称补齐
+        const base = Array.isArray(granularities) ? granularities[0] : null;
+        const retention = summary.retention;
+        const summaries = retention && retention.summaries;
+        if (base && typeof base.name === 'string' && summaries && typeof summaries === 'object' &&
+            !Array.isArray(summaries) && summaries[base.name] === undefined) {
+            summary.retention = {
+                ...retention,
+                summaries: { ...summaries, [base.name]: DEFAULT_BASE_RETENTION_DAYS }
+            };
         }
+
+        config.summary = { ...summary, granularities };
+    }
+
+    /**
+     * 验证粒度列表
+     * @param {Array<Object>} granularities - summary.granularities
+     * @returns {Array<string>} 错误列表
+     */
+    static _validateGranularities(granularities) {
+        if (!Array.isArray(granularities) || granularities.length === 0) {
+            return ['summary.granularities 必须是非空数组'];
+        }
+
+        const errors = [];
+        const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+        const levels = new Map();
+        const base = granularities[0];
+
+        granularities.forEach((level, index) => {
+            if (!level || typeof level !== 'object' || typeof level.name !== 'string' ||
+                !/^[A-Za-z0-9_-]+$/.test(level.name)) {
+                errors.push(`summary.granularities[${index}].name 必须是只含字母、数字、下划线与连字符的字符串`);
+                return;
+            }
+            const prefix = `summary.granularities.${level.name}`;
+            if (levels.has(level.name)) {
+                errors.push(`${prefix} 重复定义`);
+                return;
+            }
+
+            if (!Number.isInteger(level.period) || level.period < 1) {
+                errors.push(`${prefix}.period 必须是正整数（分钟）`);
+                return;
+            }
+            if (!PROMPT_TEMPLATES[level.prompt]) {
+                errors.push(`${prefix}.prompt 必须是 ${Object.keys(PROMPT_TEMPLATES).join(', ')} 之一`);
+                return;
+            }
+
+            // 输入来源：第一项读取截图，其余各项聚合列表中更早的一项
+            if (index === 0) {
+                if (level.source !== 'screenshots' || level.prompt !== 'screenshot') {
+                    errors.push(`${prefix} 是第一项，source 必须是 screenshots，prompt 必须是 screenshot`);
+                }
+                if (24 * 60 % level.period !== 0) {
+                    errors.push(`${prefix}.period 必须能整除 1440（一天的分钟数）`);
+                }
+            } else {
+                const source = levels.get(level.source);
+                if (!source) {
+                    errors.push(`${prefix}.source 必须是列表中排在它之前的粒度名称（只有第一项可以是 screenshots）`);
+                } else {
+                    if (!PROMPT_TEMPLATES[level.prompt].includes(source.prompt)) {
+                        errors.push(`${prefix}.prompt 为 ${level.prompt} 时 source 的 prompt 必须是 ` +
+                            `${PROMPT_TEMPLATES[level.prompt].join(', ')} 之一（当前: ${source.prompt}）`);
+                    }
+                    if (level.period % source.period !== 0) {
+                        errors.push(`${prefix}.period 必须是 ${source.name}.period 的整数倍`);
+                    }
+                }
+                if (24 * 60 % level.period !== 0 && level.period !== 7 * 24 * 60) {
+                    errors.push(`${prefix}.period 必须能整除 1440，或为 10080（一周）`);
+                }
+            }
+
+            if (level.period === 7 * 24 * 60) {
+                if (!DAY_NAMES.includes(level.day)) {
+                    errors.push(`${prefix}.day 必须是 ${DAY_NAMES.join(', ')} 之一`);
+                }
+            } else if (level.day !== undefined) {
+                errors.push(`${prefix}.day 只适用于 period 为 10080（一周）的粒度`);
+            }
+
+            // 生成时间需落在基础粒度边界上才会被触发
+            if (level.time !== undefined) {
+                if (typeof level.time !== 'string' || !timeRegex.test(level.time)) {
+                    errors.push(`${prefix}.time 格式错误，应为 HH:MM`);
+                } else if (Number.isInteger(base.period) && base.period > 0) {
+                    const [hours, minutes] = level.time.split(':').map(Number);
+                    if ((hours * 60 + minutes) % base.period !== 0) {
+                        errors.push(`${prefix}.time 必须对齐基础粒度的 ${base.period} 分钟边界`);
+                    }
+                }
+            }
+
+            for (const key of ['history_count', 'history_minutes', 'earlier_child_count', 'screenshots_per_minute']) {
+                if (level[key] !== undefined && (!Number.isInteger(level[key]) || level[key] < 0)) {
+                    errors.push(`${prefix}.${key} 必须是非负整数`);
+                }
+            }
+            if (level.child_count !== undefined && (!Number.isInteger(level.child_count) || level.child_count < 1)) {
+                errors.push(`${prefix}.child_count 必须是正整数`);
+            }
+            if (level.enabled !== undefined && typeof level.enabled !== 'boolean') {
+                errors.push(`${prefix}.enabled 必须是布尔值`);
+            }
+            if (level.title !== undefined && typeof level.title !== 'string') {
+                errors.push(`${prefix}.title 必须是字符串`);
+            }
+            if (level.prompt_file !== undefined &&
+                (typeof level.prompt_file !== 'string' || !fs.existsSync(Config._expandHome(level.prompt_file)))) {
+                errors.push(`${prefix}.prompt_file 文件不存在: ${level.prompt_file}`);
+            }
+
+            levels.set(level.name, level);
+        });
+
+        return errors;
     }
 
     /**
      * 验证配置
      * @param {Object} config - 配置对象
+     * @param {string} [configDir] - 配置文件所在目录（相对的 encryption.key_file 按此解析，默认当前工作目录）
      * @returns {Object} 验证后的配置
      * @throws {Error} 配置验证失败
      */
-    static validate(config) {
+    static validate(config, configDir = process.cwd()) {
         const errors = [];
 
-        // 验证 Gemini API Key
-        if (!config.gemini.api_key || config.gemini.api_key.trim() === '') {
-            errors.push('gemini.api_key 不能为空');
+        // 验证 LLM 提供方
+        const provider = config.llm.provider;
+        if (!PROVIDERS.includes(provider)) {
+            errors.push(`llm.provider 必须是 ${PROVIDERS.join(', ')} 之一`);
+        }
+
+        if (typeof config.llm.timeout !== 'number' || config.llm.timeout <= 0) {
+            errors.push('llm.timeout 必须是正数（秒）');
+        }
+
+        if (typeof config.llm.structured_output !== 'boolean') {
+            errors.push('llm.structured_output 必须是布尔值');
         }
 
-        // 验证模型名称
-        if (!config.gemini.model || config.gemini.model.trim() === '') {
-            errors.push('gemini.model 不能为空');
+        if (typeof config.llm.max_retry_delay !== 'number' || config.llm.max_retry_delay <= 0) {
+            errors.push('llm.max_retry_delay 必须是正数（秒）');
+        }
+
+        const breaker = config.llm.circuit_breaker || {};
+        if (!Number.isInteger(breaker.failure_threshold) || breaker.failure_threshold < 1) {
+            errors.push('llm.circuit_breaker.failure_threshold 必须是正整数');
+        }
+        if (typeof breaker.cooldown !== 'number' || breaker.cooldown <= 0) {
+            errors.push('llm.circuit_breaker.cooldown 必须是正数（秒）');
+        }
+
+        const granularityNames = Array.isArray(config.summary.granularities)
+            ? config.summary.granularities.filter(g => g && typeof g === 'object').map(g => g.name)
+            : [];
+        for (const [granularity, profile] of Object.entries(config.llm.profiles || {})) {
+            const prefix = `llm.profiles.${granularity}`;
+            if (!granularityNames.includes(granularity)) {
+                errors.push(`${prefix} 不是 summary.granularities 中的粒度（可选: ${granularityNames.join(', ')}）`);
+                continue;
+            }
+            if (!profile || typeof profile !== 'object') {
+                errors.push(`${prefix} 必须是对象`);
+                continue;
+            }
+            for (const key of ['model', 'fallback_model']) {
+                if (profile[key] != null && typeof profile[key] !== 'string') {
+                    errors.push(`${prefix}.${key} 必须是字符串`);
+                }
+            }
+            if (profile.temperature != null &&
+                (typeof profile.temperature !== 'number' || profile.temperature < 0 || profile.temperature > 2)) {
+                errors.push(`${prefix}.temperature 必须是 0-2 之间的数字`);
+            }
+            if (profile.thinking_budget != null &&
+                (!Number.isInteger(profile.thinking_budget) || profile.thinking_budget < -1)) {
+                errors.push(`${prefix}.thinking_budget 必须是 >= -1 的整数（-1 由模型决定，0 关闭思考）`);
+            }
+            if (profile.max_output_tokens != null &&
+                (!Number.isInteger(profile.max_output_tokens) || profile.max_output_tokens < 1)) {
+                errors.push(`${prefix}.max_output_tokens 必须是正整数`);
+            }
+        }
+
+        const budget = config.llm.budget || {};
+        if (typeof budget.enabled !== 'boolean') {
+            errors.push('llm.budget.enabled 必须是布尔值');
+        }
+        for (const key of ['daily_tokens', 'monthly_tokens', 'daily_cost', 'monthly_cost']) {
+            if (typeof budget[key] !== 'number' || budget[key] < 0) {
+                errors.push(`llm.budget.${key} 必须是非负数（0 表示不限）`);
+            }
+        }
+        for (const key of ['reduce_at', 'text_only_at', 'reduced_screenshot_ratio']) {
+            if (typeof budget[key] !== 'number' || budget[key] <= 0 || budget[key] > 1) {
+                errors.push(`llm.budget.${key} 必须是 (0, 1] 之间的数字`);
+            }
+        }
+        if (budget.reduce_at > budget.text_only_at) {
+            errors.push('llm.budget.reduce_at 不能大于 text_only_at');
+        }
+        for (const [model, price] of Object.entries(budget.prices || {})) {
+            if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') {
+                errors.push(`llm.budget.prices.${model} 需要数字类型的 input 与 output`);
+            }
+        }
+
+        // record 模式实际调用 fixtures.target 指定的提供方，按该提供方校验
+        let backend = provider;
+        if (provider === 'record' || provider === 'replay') {
+            const fixtures = config.llm.fixtures || {};
+            if (!fixtures.directory || fixtures.directory.trim() === '') {
+                errors.push('llm.fixtures.directory 不能为空');
+            }
+            if (!['exact', 'loose'].includes(fixtures.match)) {
+                errors.push('llm.fixtures.match 必须是 exact, loose 之一');
+            }
+            if (provider === 'record') {
+                backend = fixtures.target;
+                if (!BACKEND_PROVIDERS.includes(backend)) {
+                    errors.push(`llm.fixtures.target 必须是 ${BACKEND_PROVIDERS.join(', ')} 之一`);
+                }
+            }
+        }
+
+        if (backend === 'gemini') {
+            // 验证 Gemini API Key
+            if (!config.gemini.api_key || config.gemini.api_key.trim() === '') {
+                errors.push('gemini.api_key 不能为空');
+            }
+
+            // 验证模型名称
+            if (!config.gemini.model || config.gemini.model.trim() === '') {
+                errors.push('gemini.model 不能为空');
+            }
+        } else if (backend === 'openai') {
+            const openai = config.llm.openai || {};
+            if (!openai.base_url || openai.base_url.trim() === '') {
+                errors.push('llm.openai.base_url 不能为空');
+            }
+            if (!openai.model || openai.model.trim() === '') {
+                errors.push('llm.openai.model 不能为空');
+            }
+        } else if (backend === 'ollama') {
+            const ollama = config.llm.ollama || {};
+            if (!ollama.base_url || ollama.base_url.trim() === '') {
+                errors.push('llm.ollama.base_url 不能为空');
+            }
+            if (!ollama.model || ollama.model.trim() === '') {
+                errors.push('llm.ollama.model 不能为空');
+            }
         }
 
         // 验证重试次数
@@ -243,6 +712,9 @@ class Config {
             config.screenshot.interval > 60) {
             errors.push('screenshot.interval 必须是 1-60 之间的数字');
         }
+        if (typeof config.screenshot.adaptive !== 'boolean') {
+            errors.push('screenshot.adaptive 必须是 true 或 false');
+        }
 
         // 验证时间格式
         const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
@@ -255,6 +727,9 @@ class Config {
             }
         }
 
+        // 验证粒度列表
+        errors.push(...Config._validateGranularities(config.summary.granularities));
+
         // 验证停止时间列表
         if (config.schedule.stop_times !== undefined) {
             if (!Array.isArray(config.schedule.stop_times)) {
@@ -268,6 +743,24 @@ class Config {
             }
         }
 
+        // 验证截图比对
+        errors.push(...Config._validateComparison(config.summary.comparison || {}));
+        errors.push(...Config._validatePrivacy(config.privacy || {}));
+
+        // 验证输入方式与 OCR
+        if (!INPUT_MODES.includes(config.summary.input_mode)) {
+            errors.push(`summary.input_mode 必须是 ${INPUT_MODES.join(', ')} 之一`);
+        }
+        if (!MONITOR_SELECTIONS.includes(config.summary.monitor_selection)) {
+            errors.push(`summary.monitor_selection 必须是 ${MONITOR_SELECTIONS.join(', ')} 之一`);
+        }
+        errors.push(...Config._validateOcr(config.ocr || {}));
+        errors.push(...Config._validateMosaic(config.summary.mosaic || {}));
+        errors.push(...Config._validateEncryption(config.encryption || {}));
+
+        // 验证数据保留
+        errors.push(...Config._validateRetention(config.summary.retention || {}, config.summary.granularities));
+
         // 验证日志级别
         const validLevels = ['debug', 'info', 'warn', 'error'];
         if (!validLevels.includes(config.logging.level)) {
@@ -279,11 +772,209 @@ class Config {
         }
 
         // 展开所有路径中的 ~（跨平台兼容）
-        Config._expandAllPaths(config);
+        Config._expandAllPaths(config, configDir);
 
         return config;
     }
 
+    /**
+     * 校验截图比对配置
+     * @param {Object} comparison - summary.comparison 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateComparison(comparison) {
+        const errors = [];
+        if (!['exact', 'perceptual'].includes(comparison.method)) {
+            errors.push('summary.comparison.method 必须是 exact, perceptual 之一');
+        }
+        if (!Number.isInteger(comparison.hash_distance) || comparison.hash_distance < 0 || comparison.hash_distance > 64) {
+            errors.push('summary.comparison.hash_distance 必须是 0-64 之间的整数');
+        }
+        if (typeof comparison.pixel_threshold !== 'number' || comparison.pixel_threshold < 0 || comparison.pixel_threshold > 255) {
+            errors.push('summary.comparison.pixel_threshold 必须是 0-255 之间的数字');
+        }
+        if (typeof comparison.change_ratio !== 'number' || comparison.change_ratio < 0 || comparison.change_ratio > 1) {
+            errors.push('summary.comparison.change_ratio 必须是 0-1 之间的数字');
+        }
+        if (!Number.isInteger(comparison.sample_width) || comparison.sample_width < 16) {
+            errors.push('summary.comparison.sample_width 必须是不小于 16 的整数');
+        }
+        if (!Array.isArray(comparison.ignore_regions)) {
+            errors.push('summary.comparison.ignore_regions 必须是数组');
+        } else {
+            comparison.ignore_regions.forEach((region, index) => {
+                const valid = region &&
+                    ['x', 'y', 'width', 'height'].every(key => typeof region[key] === 'number' && region[key] >= 0 && region[key] <= 1) &&
+                    region.x + region.width <= 1 && region.y + region.height <= 1;
+                if (!valid) {
+                    errors.push(`summary.comparison.ignore_regions[${index}] 需要 0-1 之间的 x/y/width/height，且不超出图像范围`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * 校验 OCR 配置
+     * @param {Object} ocr - ocr 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateOcr(ocr) {
+        const errors = [];
+        if (typeof ocr.enabled !== 'boolean') {
+            errors.push('ocr.enabled 必须是 true 或 false');
+        }
+        if (!Array.isArray(ocr.languages) || ocr.languages.length === 0 ||
+            !ocr.languages.every(lang => typeof lang === 'string' && /^[A-Za-z_]+$/.test(lang))) {
+            errors.push('ocr.languages 必须是非空的 tesseract 语言代码数组（如 chi_sim, eng）');
+        }
+        if (ocr.lang_path !== null && ocr.lang_path !== undefined && typeof ocr.lang_path !== 'string') {
+            errors.push('ocr.lang_path 必须是目录路径、URL 或 null');
+        }
+        if (!Number.isInteger(ocr.max_chars) || ocr.max_chars < 100) {
+            errors.push('ocr.max_chars 必须是不小于 100 的整数');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验截图拼图配置
+     * @param {Object} mosaic - summary.mosaic 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateMosaic(mosaic) {
+        const errors = [];
+        if (!MOSAIC_MODES.includes(mosaic.mode)) {
+            errors.push(`summary.mosaic.mode 必须是 ${MOSAIC_MODES.join(', ')} 之一`);
+        }
+        if (!Number.isInteger(mosaic.tile_width) || mosaic.tile_width < 160 || mosaic.tile_width > 1920) {
+            errors.push('summary.mosaic.tile_width 必须是 160-1920 之间的整数');
+        }
+        if (!Number.isInteger(mosaic.columns) || mosaic.columns < 0 || mosaic.columns > 10) {
+            errors.push('summary.mosaic.columns 必须是 0-10 之间的整数（0 为自动）');
+        }
+        if (!Number.isInteger(mosaic.quality) || mosaic.quality < 1 || mosaic.quality > 100) {
+            errors.push('summary.mosaic.quality 必须是 1-100 之间的整数');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验数据保留配置
+     * 总结至少保留 7 天：行为分类统计与上层粒度（如周报读取 7 天日报）会读取最近的总结
+     * @param {Object} retention - summary.retention 配置段
+     * @param {Array<Object>} granularities - summary.granularities
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateRetention(retention, granularities) {
+        const errors = [];
+        const isDays = value => Number.isInteger(value) && value >= 0;
+        if (typeof retention.enabled !== 'boolean') {
+            errors.push('summary.retention.enabled 必须是 true 或 false');
+        }
+        if (typeof retention.interval_hours !== 'number' || retention.interval_hours < 1 || retention.interval_hours > 168) {
+            errors.push('summary.retention.interval_hours 必须是 1-168 之间的数字');
+        }
+
+        const summaries = retention.summaries || {};
+        if (typeof summaries !== 'object' || Array.isArray(summaries)) {
+            errors.push('summary.retention.summaries 必须是 粒度名称: 天数 的映射');
+        } else {
+            const names = new Set((granularities || []).map(level => level.name));
+            for (const [name, days] of Object.entries(summaries)) {
+                if (!names.has(name)) {
+                    errors.push(`summary.retention.summaries.${name} 不是已配置的粒度`);
+                } else if (!isDays(days) || (days > 0 && days < 7)) {
+                    errors.push(`summary.retention.summaries.${name} 必须是 0（永久保留）或不小于 7 的整数`);
+                }
+            }
+        }
+
+        const promptLogs = retention.prompt_logs || {};
+        if (!Number.isInteger(promptLogs.archive_after_days) || promptLogs.archive_after_days < 1) {
+            errors.push('summary.retention.prompt_logs.archive_after_days 必须是正整数');
+        }
+        if (!isDays(promptLogs.delete_after_days)) {
+            errors.push('summary.retention.prompt_logs.delete_after_days 必须是不小于 0 的整数（0 永久保留）');
+        } else if (promptLogs.delete_after_days > 0 && Number.isInteger(promptLogs.archive_after_days) &&
+            promptLogs.delete_after_days < promptLogs.archive_after_days) {
+            errors.push('summary.retention.prompt_logs.delete_after_days 不能小于 archive_after_days');
+        }
+
+        const tokenStats = retention.token_stats || {};
+        if (!isDays(tokenStats.delete_after_days)) {
+            errors.push('summary.retention.token_stats.delete_after_days 必须是不小于 0 的整数（0 永久保留）');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验静态加密配置（密钥是否可用在创建 FileCipher 时检查）
+     * @param {Object} encryption - encryption 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateEncryption(encryption) {
+        const errors = [];
+        if (typeof encryption.enabled !== 'boolean') {
+            errors.push('encryption.enabled 必须是 true 或 false');
+        }
+        if (encryption.key_file !== null && encryption.key_file !== undefined &&
+            (typeof encryption.key_file !== 'string' || !encryption.key_file)) {
+            errors.push('encryption.key_file 必须是密钥文件路径或 null');
+        }
+        if (typeof encryption.passphrase_env !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(encryption.passphrase_env)) {
+            errors.push('encryption.passphrase_env 必须是有效的环境变量名');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验隐私规则配置
+     * @param {Object} privacy - privacy 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validatePrivacy(privacy) {
+        const errors = [];
+        if (typeof privacy.enabled !== 'boolean') {
+            errors.push('privacy.enabled 必须是 true 或 false');
+        }
+        if (typeof privacy.blur_sigma !== 'number' || privacy.blur_sigma < 0.3 || privacy.blur_sigma > 1000) {
+            errors.push('privacy.blur_sigma 必须是 0.3-1000 之间的数字');
+        }
+        if (!Array.isArray(privacy.rules)) {
+            errors.push('privacy.rules 必须是数组');
+            return errors;
+        }
+        privacy.rules.forEach((rule, index) => {
+            const label = `privacy.rules[${index}]`;
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${label} 必须是对象`);
+                return;
+            }
+            if (!PRIVACY_ACTIONS.includes(rule.action)) {
+                errors.push(`${label}.action 必须是 ${PRIVACY_ACTIONS.join(', ')} 之一`);
+            }
+            if (!rule.app && !rule.title) {
+                errors.push(`${label} 至少需要配置 app 或 title`);
+            }
+            for (const key of ['app', 'title']) {
+                if (rule[key] === undefined) {
+                    continue;
+                }
+                if (typeof rule[key] !== 'string') {
+                    errors.push(`${label}.${key} 必须是正则表达式字符串`);
+                    continue;
+                }
+                try {
+                    new RegExp(rule[key], 'i');
+                } catch (err) {
+                    errors.push(`${label}.${key} 不是有效的正则表达式: ${err.message}`);
+                }
+            }
+        });
+        return errors;
+    }
+
     /**
      * 展开路径中的 ~ 为用户主目录（跨平台兼容）
      * Mac: ~ → /Users/username
@@ -307,9 +998,10 @@ class Config {
     /**
      * 展开配置中所有路径字段的 ~
      * @param {Object} config - 配置对象
+     * @param {string} configDir - 配置文件所在目录
      * @returns {Object} 路径已展开的配置对象
      */
-    static _expandAllPaths(config) {
+    static _expandAllPaths(config, configDir) {
         // 截图读取目录
         if (config.screenshot && config.screenshot.directory) {
             config.screenshot.directory = Config._expandHome(config.screenshot.directory);
@@ -318,6 +1010,24 @@ class Config {
         if (config.summary && config.summary.directory) {
             config.summary.directory = Config._expandHome(config.summary.directory);
         }
+        // 粒度的自定义提示词文件
+        for (const level of (config.summary && config.summary.granularities) || []) {
+            if (level.prompt_file) {
+                level.prompt_file = Config._expandHome(level.prompt_file);
+            }
+        }
+        // OCR 语言模型目录（URL 不受影响）
+        if (config.ocr && config.ocr.lang_path) {
+            config.ocr.lang_path = Config._expandHome(config.ocr.lang_path);
+        }
+        // 密钥文件路径：转为按配置文件所在目录解析的绝对路径，两个服务与桌面应用无论工作目录如何都读取同一个文件
+        if (config.encryption && config.encryption.key_file) {
+            config.encryption.key_file = path.resolve(configDir, Config._expandHome(config.encryption.key_file));
+        }
+        // LLM 夹具目录
+        if (config.llm && config.llm.fixtures && config.llm.fixtures.directory) {
+            config.llm.fixtures.directory = Config._expandHome(config.llm.fixtures.directory);
+        }
         // 日志文件路径
         if (config.logging && config.logging.file) {
             config.logging.file = Config._expandHome(config.logging.file);
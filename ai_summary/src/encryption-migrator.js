@@ -0,0 +1,178 @@
+/**
+ * 静态加密迁移模块
+ * 将开启 encryption 之前写入的明文数据原地加密（文件名不变），供 `node main.js encrypt` 使用。
+ *
+ * 处理范围（与各模块加密写入的文件一致）:
+ *   截图目录: 截图文件（.jpeg/.jpg/.png/.webp/.avif）、OCR 文字层 ocr.jsonl（逐行加密）
+ *   总结目录: {YYYY-MM-DD}/{粒度}/*.json、quarantine/、token-stats/、pending-jobs/ 下的 .json，
+ *            prompt-logs/ 下的 .txt 与按日归档的 .gz
+ * 截图清单 manifest.jsonl、budget-state.json、retention-state.json 与 OCR 语言模型不含窗口内容，保持明文。
+ *
+ * 已加密的文件（行）跳过，中断后可重复执行。每个文件先写临时文件再重命名，
+ * 去重产生的硬链接截图只加密一次，其余路径重新链接到加密后的文件。
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 截图扩展名（与 ScreenshotReader 一致）
+const IMAGE_EXTENSIONS = ['.jpeg', '.jpg', '.png', '.webp', '.avif'];
+
+// OCR 文字层文件名（与 OcrEngine 一致）
+const OCR_INDEX_FILE = 'ocr.jsonl';
+
+// 总结目录下需要加密的子目录 → 扩展名（日期目录单独匹配）
+const SUMMARY_SUBDIRS = {
+    'quarantine': ['.json'],
+    'token-stats': ['.json'],
+    'pending-jobs': ['.json'],
+    'prompt-logs': ['.txt', '.gz']
+};
+
+// 迁移临时文件后缀
+const TMP_SUFFIX = '.encrypting';
+
+class EncryptionMigrator {
+    /**
+     * 创建迁移器
+     * @param {FileCipher} cipher - 静态加密器（需要可用的密钥）
+     * @param {Logger} logger - 日志模块
+     */
+    constructor(cipher, logger) {
+        this.cipher = cipher;
+        this.logger = logger;
+
+        // 已加密的硬链接截图: "dev:ino" → 加密后的路径
+        this._linked = new Map();
+    }
+
+    /**
+     * 加密截图目录与总结目录中的明文数据
+     * @param {Object} dirs
+     * @param {string} dirs.screenshotDir - 截图目录
+     * @param {string} dirs.summaryDir - 总结目录
+     * @returns {{encrypted: number, linked: number, skipped: number, failed: number}} 统计
+     */
+    migrate({ screenshotDir, summaryDir }) {
+        const stats = { encrypted: 0, linked: 0, skipped: 0, failed: 0 };
+
+        for (const filePath of this._listFiles(screenshotDir)) {
+            const name = path.basename(filePath);
+            if (name === OCR_INDEX_FILE) {
+                this._migrateLines(filePath, stats);
+            } else if (IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+                this._migrateFile(filePath, stats, true);
+            }
+        }
+        this.logger.info(`[加密迁移] 截图目录处理完成: ${screenshotDir}`);
+
+        if (fs.existsSync(summaryDir)) {
+            for (const entry of fs.readdirSync(summaryDir, { withFileTypes: true })) {
+                if (!entry.isDirectory()) {
+                    continue;
+                }
+                const extensions = /^\d{4}-\d{2}-\d{2}$/.test(entry.name) ? ['.json'] : SUMMARY_SUBDIRS[entry.name];
+                if (!extensions) {
+                    continue;
+                }
+                for (const filePath of this._listFiles(path.join(summaryDir, entry.name))) {
+                    if (extensions.includes(path.extname(filePath))) {
+                        this._migrateFile(filePath, stats, false);
+                    }
+                }
+            }
+        }
+        this.logger.info(`[加密迁移] 总结目录处理完成: ${summaryDir}`);
+
+        return stats;
+    }
+
+    /**
+     * 递归列出目录下的文件（目录不存在时为空）
+     * @param {string} dir
+     * @returns {Array<string>} 按路径排序
+     */
+    _listFiles(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        const files = [];
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this._listFiles(fullPath));
+            } else if (entry.isFile() && !entry.name.endsWith(TMP_SUFFIX)) {
+                files.push(fullPath);
+            }
+        }
+        return files.sort();
+    }
+
+    /**
+     * 原地加密单个文件
+     * @param {string} filePath
+     * @param {Object} stats - 统计（原地累加）
+     * @param {boolean} keepLinks - 是否保持硬链接关系（截图去重）
+     */
+    _migrateFile(filePath, stats, keepLinks) {
+        try {
+            const stat = fs.statSync(filePath);
+            const inode = `${stat.dev}:${stat.ino}`;
+            // 先处理的路径重命名后原文件的链接数会减少，这里只按 inode 查找
+            const linkedTo = keepLinks ? this._linked.get(inode) : null;
+
+            const content = fs.readFileSync(filePath);
+            if (this.cipher.isEncrypted(content)) {
+                stats.skipped++;
+                return;
+            }
+
+            const tmpPath = filePath + TMP_SUFFIX;
+            if (linkedTo) {
+                // 同一帧的另一路径：链接到已加密的文件
+                fs.linkSync(linkedTo, tmpPath);
+                fs.renameSync(tmpPath, filePath);
+                stats.linked++;
+                return;
+            }
+
+            fs.writeFileSync(tmpPath, this.cipher.encrypt(content));
+            fs.renameSync(tmpPath, filePath);
+            if (keepLinks && stat.nlink > 1) {
+                this._linked.set(inode, filePath);
+            }
+            stats.encrypted++;
+        } catch (err) {
+            stats.failed++;
+            this.logger.error(`[加密迁移] 加密失败: ${filePath} - ${err.message}`);
+        }
+    }
+
+    /**
+     * 逐行加密按行追加的文件（已加密的行保持不变）
+     * @param {string} filePath
+     * @param {Object} stats - 统计（原地累加）
+     */
+    _migrateLines(filePath, stats) {
+        try {
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+            if (lines.every(line => this.cipher.isEncryptedLine(line))) {
+                stats.skipped++;
+                return;
+            }
+
+            const sealed = lines.map(line => (this.cipher.isEncryptedLine(line)
+                ? line
+                : this.cipher.encrypt(line).toString('base64')));
+            const tmpPath = filePath + TMP_SUFFIX;
+            fs.writeFileSync(tmpPath, sealed.map(line => line + '\n').join(''));
+            fs.renameSync(tmpPath, filePath);
+            stats.encrypted++;
+        } catch (err) {
+            stats.failed++;
+            this.logger.error(`[加密迁移] 加密失败: ${filePath} - ${err.message}`);
+        }
+    }
+}
+
+module.exports = EncryptionMigrator;
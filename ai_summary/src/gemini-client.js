@@ -1,9 +1,21 @@
 /**
  * Gemini 客户端模块
- * 封装 Google Gemini API 调用，支持多图+文本请求与重试
+ * LLM 调用门面：按 llm.provider 选择适配器（Gemini / OpenAI 兼容 / Ollama），
+ * 对上层统一提供通用图片片段构建与带重试的 generate()
+ *
+ * 重试按错误类型区分（见 retry-policy），所有粒度共用同一个熔断器
+ * 各粒度可通过 llm.profiles 指定模型、生成参数与备用模型
  */
 
-const { GoogleGenAI } = require('@google/genai');
+const path = require('path');
+const sharp = require('sharp');
+const { createProvider } = require('./providers');
+const contentParts = require('./providers/content-parts');
+const { classifyError, computeBackoff } = require('./retry-policy');
+const CircuitBreaker = require('./circuit-breaker');
+
+// 提供方不支持的图片格式转换为 JPEG 时的质量
+const CONVERTED_JPEG_QUALITY = 85;
 
 class GeminiClient {
     /**
@@ -11,79 +23,202 @@ class GeminiClient {
      * @param {Object} config - Gemini 配置
      * @param {string} config.api_key - API Key
      * @param {string} config.model - 模型名称
-     * @param {number} config.max_retries - 最大重试次数
-     * @param {number} config.retry_delay - 重试间隔（秒）
+     * @param {number} config.max_retries - 最大重试次数（对所有提供方生效）
+     * @param {number} config.retry_delay - 重试间隔（秒，对所有提供方生效）
      * @param {Logger} logger - 日志模块
+     * @param {Object} [llmConfig] - llm 配置段（未传入时默认使用 Gemini）
+     * @param {number} [llmConfig.max_retry_delay] - 单次重试最长等待（秒）
+     * @param {Object} [llmConfig.circuit_breaker] - 熔断器配置 { failure_threshold, cooldown(秒) }
+     * @param {Object} [llmConfig.profiles] - 按粒度的模型与参数 { 粒度: { model, fallback_model, temperature, thinking_budget, max_output_tokens } }
      */
-    constructor(config, logger) {
-        this.model = config.model;
+    constructor(config, logger, llmConfig = {}) {
         this.maxRetries = config.max_retries || 3;
         this.retryDelay = (config.retry_delay || 2) * 1000; // 转为毫秒
+        this.maxRetryDelay = (llmConfig.max_retry_delay || 60) * 1000;
         this.logger = logger;
 
-        // 初始化 Google GenAI 客户端
-        this.genai = new GoogleGenAI({ apiKey: config.api_key });
+        // 熔断器（由调度器订阅状态变化）
+        const breakerConfig = llmConfig.circuit_breaker || {};
+        this.circuitBreaker = new CircuitBreaker({
+            failureThreshold: breakerConfig.failure_threshold,
+            cooldownMs: breakerConfig.cooldown ? breakerConfig.cooldown * 1000 : undefined
+        });
+
+        // 初始化提供方适配器
+        this.provider = createProvider(llmConfig, config, logger);
+        this.providerName = this.provider.name;
+        this.model = this.provider.model;
+
+        // 按粒度的模型与参数
+        this.profiles = llmConfig.profiles || {};
     }
 
     /**
-     * 构建图片 Part（inline 方式，不使用 files 系统）
+     * 构建通用图片片段（inline 方式，由适配器转换为各自的线上格式）
      * @param {Buffer} imageBuffer - 图像数据
      * @param {string} mimeType - MIME 类型
-     * @returns {Object} Gemini Part 对象
+     * @returns {Object} 通用图片片段
      */
     buildImagePart(imageBuffer, mimeType = 'image/jpeg') {
-        return {
-            inlineData: {
-                data: imageBuffer.toString('base64'),
-                mimeType
+        return contentParts.buildImagePart(imageBuffer, mimeType);
+    }
+
+    /**
+     * 将当前提供方不支持的图片格式（如 AVIF，Ollama 的 WebP）转换为 JPEG
+     * @param {Array<{buffer: Buffer, format: string, path: string}>} screenshots - 截图
+     * @returns {Promise<Array<Object>>} 截图（转换过的为副本，format 为 jpeg；转换失败的截图被排除）
+     */
+    async toSupportedImages(screenshots) {
+        const supported = this.provider.imageTypes || contentParts.DEFAULT_IMAGE_TYPES;
+        const results = [];
+        for (const shot of screenshots) {
+            if (supported.includes(contentParts.mimeTypeForFormat(shot.format))) {
+                results.push(shot);
+                continue;
+            }
+            try {
+                const buffer = await sharp(shot.buffer).jpeg({ quality: CONVERTED_JPEG_QUALITY }).toBuffer();
+                results.push({ ...shot, buffer, format: 'jpeg' });
+            } catch (err) {
+                this.logger.warn(`截图格式转换失败，已排除该截图: ${path.basename(shot.path)} - ${err.message}`);
             }
+        }
+        return results;
+    }
+
+    /**
+     * 获取粒度对应的模型与参数（llm.profiles.{粒度}，未配置的字段使用默认值）
+     * @param {string} [granularity] - 时间粒度
+     * @returns {{model: string, fallbackModel: string, temperature: number|null, thinkingBudget: number|null, maxOutputTokens: number|null}}
+     */
+    getProfile(granularity) {
+        const profile = (granularity && this.profiles[granularity]) || {};
+        return {
+            model: profile.model || this.model,
+            fallbackModel: profile.fallback_model || '',
+            temperature: typeof profile.temperature === 'number' ? profile.temperature : null,
+            thinkingBudget: typeof profile.thinking_budget === 'number' ? profile.thinking_budget : null,
+            maxOutputTokens: typeof profile.max_output_tokens === 'number' ? profile.max_output_tokens : null
         };
     }
 
     /**
-     * 调用 Gemini API 生成内容（带重试）
-     * @param {Array} contents - 内容数组（文本 + 图片 Part）
-     * @returns {Promise<{text: string, usageMetadata: Object|null}>} AI 响应文本和 token 用量
-     * @throws {Error} 超过最大重试次数后抛出
+     * 调用 LLM 生成内容（带重试、备用模型与熔断）
+     * - 429 优先按服务端提示（Retry-After / RetryInfo）等待，提示超过上限则不再重试
+     * - 5xx、网络错误、空响应按带抖动的指数退避重试
+     * - 认证错误与请求参数错误立即失败
+     * - 主模型重试耗尽后，若配置了 fallback_model 则换用备用模型重新按上述规则调用（认证错误除外）
+     * - 熔断期间直接抛出 code 为 CIRCUIT_OPEN 的错误
+     * @param {Array} contents - 通用内容数组（文本 + 图片片段）
+     * @param {Object} [options]
+     * @param {Object} [options.responseSchema] - 结构化输出 JSON Schema
+     * @param {string} [options.granularity] - 时间粒度（用于选择 llm.profiles 中的模型与参数）
+     * @returns {Promise<{text: string, usageMetadata: Object|null, model: string}>} AI 响应文本、token 用量和实际使用的模型
+     * @throws {Error} 不可重试错误、超过最大重试次数或熔断中
+     */
+    async generate(contents, options = {}) {
+        if (!this.circuitBreaker.canRequest()) {
+            const err = new Error(`LLM 熔断中，约 ${Math.ceil(this.circuitBreaker.getRetryInMs() / 1000)} 秒后重试`);
+            err.code = 'CIRCUIT_OPEN';
+            throw err;
+        }
+
+        const profile = this.getProfile(options.granularity);
+        const models = [profile.model];
+        if (profile.fallbackModel && profile.fallbackModel !== profile.model) {
+            models.push(profile.fallbackModel);
+        }
+
+        let lastError = null;
+        let lastKind = null;
+
+        for (let i = 0; i < models.length; i++) {
+            const requestOptions = {
+                responseSchema: options.responseSchema,
+                model: models[i],
+                temperature: profile.temperature,
+                thinkingBudget: profile.thinkingBudget,
+                maxOutputTokens: profile.maxOutputTokens
+            };
+
+            try {
+                const result = await this._generateWithRetry(contents, requestOptions);
+                this.circuitBreaker.recordSuccess();
+                return { ...result, model: models[i] };
+            } catch (err) {
+                lastError = err;
+                lastKind = classifyError(err).kind;
+            }
+
+            // 认证失败换模型也无济于事
+            if (lastKind === 'auth' || i === models.length - 1) {
+                break;
+            }
+            this.logger.warn(`模型 ${models[i]} 调用失败，改用备用模型 ${models[i + 1]}`);
+        }
+
+        // 请求参数错误说明服务可达，不计入熔断
+        if (lastKind === 'invalid') {
+            this.circuitBreaker.recordSuccess();
+        } else {
+            this.circuitBreaker.recordFailure(lastError);
+        }
+
+        this.logger.error(`LLM 调用失败 [${this.providerName}]: ${lastError.message}`);
+        throw lastError;
+    }
+
+    /**
+     * 使用指定模型调用 LLM（按错误类型重试，不涉及熔断）
+     * @param {Array} contents - 通用内容数组
+     * @param {Object} requestOptions - 传给适配器的选项（含 model 与生成参数）
+     * @returns {Promise<{text: string, usageMetadata: Object|null}>}
+     * @throws {Error} 不可重试错误或超过最大重试次数时抛出最后一次错误
      */
-    async generate(contents) {
+    async _generateWithRetry(contents, requestOptions) {
         let lastError = null;
 
         for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
             try {
-                this.logger.debug(`Gemini API 调用 (尝试 ${attempt}/${this.maxRetries})`);
-
-                const response = await this.genai.models.generateContent({
-                    model: this.model,
-                    contents
-                });
+                this.logger.debug(`LLM 调用 [${this.providerName}/${requestOptions.model}] (尝试 ${attempt}/${this.maxRetries})`);
 
-                const text = response.text;
+                const { text, usageMetadata } = await this.provider.generate(contents, requestOptions);
 
                 if (!text || text.trim() === '') {
-                    throw new Error('Gemini 返回空响应');
+                    const emptyErr = new Error(`${this.providerName} 返回空响应`);
+                    emptyErr.code = 'EMPTY_RESPONSE';
+                    throw emptyErr;
                 }
 
-                this.logger.debug(`Gemini API 响应成功，长度: ${text.length}`);
+                this.logger.debug(`LLM 响应成功，长度: ${text.length}`);
 
                 // 返回文本和 usageMetadata（token 用量）
                 return {
                     text,
-                    usageMetadata: response.usageMetadata || null
+                    usageMetadata: usageMetadata || null
                 };
 
             } catch (err) {
                 lastError = err;
-                this.logger.warn(`Gemini API 调用失败 (尝试 ${attempt}/${this.maxRetries}): ${err.message}`);
+                const { kind, retryable, retryAfterMs } = classifyError(err);
+                this.logger.warn(`LLM 调用失败 [${this.providerName}/${requestOptions.model}] (尝试 ${attempt}/${this.maxRetries}, 类型 ${kind}): ${err.message}`);
+
+                if (!retryable || attempt >= this.maxRetries) {
+                    break;
+                }
 
-                // 最后一次尝试不再等待
-                if (attempt < this.maxRetries) {
-                    await this._sleep(this.retryDelay * attempt); // 递增延迟
+                let delay = computeBackoff(attempt, this.retryDelay, this.maxRetryDelay);
+                if (retryAfterMs !== null) {
+                    if (retryAfterMs > this.maxRetryDelay) {
+                        this.logger.warn(`服务端要求等待 ${Math.ceil(retryAfterMs / 1000)} 秒，超过上限，放弃本次重试`);
+                        break;
+                    }
+                    delay = Math.max(delay, retryAfterMs);
                 }
+                await this._sleep(delay);
             }
         }
 
-        this.logger.error(`Gemini API 调用全部失败: ${lastError.message}`);
         throw lastError;
     }
 
@@ -0,0 +1,228 @@
+/**
+ * 待补跑任务队列模块
+ * 总结失败（网络中断、API 熔断等）时将任务持久化到磁盘，服务恢复或下次启动时按时间顺序补跑，
+ * 结果写回原本的 HH-mm.json 位置
+ *
+ * 存储结构:
+ *   {summary.directory}/pending-jobs/{粒度}_{YYYY-MM-DD}_{HH-mm}.json
+ *
+ * 任务字段:
+ *   id              唯一标识（同一粒度同一时间槽只保留一个任务）
+ *   granularity     时间粒度
+ *   timestamp       总结时间点（ISO，决定写入的 HH-mm.json）
+ *   range           { start, end }（ISO）
+ *   screenshot_paths 截图路径（2min）
+ *   window_timeline 焦点窗口时间线快照
+ *   attempts        补跑失败次数
+ *   last_error      最近一次失败原因
+ */
+
+const fs = require('fs');
+const path = require('path');
+const FileCipher = require('./file-cipher');
+
+class JobQueue {
+    /**
+     * 创建任务队列
+     * @param {Object} config - 总结存储配置
+     * @param {string} config.directory - 总结输出目录
+     * @param {Array<Object>} [config.granularities] - 粒度列表（由细到粗）
+     * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器（任务含焦点窗口标题，开启 encryption 时加密保存）
+     */
+    constructor(config, logger, cipher = null) {
+        this.logger = logger;
+        this.cipher = cipher || new FileCipher();
+
+        // 同一时间点多个粒度时，细粒度先补跑（上层依赖下层结果）
+        this.granularityOrder = (config.granularities || []).map(g => g.name);
+
+        const baseDir = path.isAbsolute(config.directory)
+            ? config.directory
+            : path.resolve(process.cwd(), config.directory);
+        this.directory = path.join(baseDir, 'pending-jobs');
+    }
+
+    /**
+     * 格式化任务 ID 中的日期时间部分
+     * @param {Date} date - 日期对象
+     * @returns {string} YYYY-MM-DD_HH-mm
+     */
+    _formatSlot(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+            `${pad(date.getHours())}-${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * 获取任务文件路径
+     * @param {string} id - 任务 ID
+     * @returns {string}
+     */
+    _getJobPath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * 写入任务文件（先写临时文件再重命名，避免中断时留下半个文件）
+     * @param {Object} job - 任务对象
+     */
+    _write(job) {
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+        const filePath = this._getJobPath(job.id);
+        const tmpPath = `${filePath}.tmp`;
+        this.cipher.writeFile(tmpPath, JSON.stringify(job, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    /**
+     * 加入待补跑任务（同一粒度同一时间槽已存在时覆盖，保留失败次数）
+     * @param {Object} job - 任务数据
+     * @param {string} job.granularity - 时间粒度
+     * @param {Date} job.timestamp - 总结时间点
+     * @param {Date} job.start - 时间范围起点
+     * @param {Date} job.end - 时间范围终点
+     * @param {Array<string>} [job.screenshotPaths] - 截图路径
+     * @param {Array<Object>} [job.windowTimeline] - 焦点窗口时间线快照
+     * @param {string} [job.reason] - 入队原因
+     * @returns {Object} 持久化后的任务对象
+     */
+    enqueue(job) {
+        const id = `${job.granularity}_${this._formatSlot(job.timestamp)}`;
+        const existing = this.get(id);
+
+        const record = {
+            id,
+            granularity: job.granularity,
+            timestamp: job.timestamp.toISOString(),
+            range: {
+                start: job.start.toISOString(),
+                end: job.end.toISOString()
+            },
+            screenshot_paths: job.screenshotPaths || [],
+            window_timeline: job.windowTimeline || [],
+            created_at: existing ? existing.created_at : new Date().toISOString(),
+            attempts: existing ? existing.attempts : 0,
+            last_error: job.reason || (existing ? existing.last_error : null)
+        };
+
+        try {
+            this._write(record);
+            this.logger.info(`[任务队列] 已加入待补跑: ${id}${job.reason ? `（${job.reason}）` : ''}`);
+        } catch (err) {
+            this.logger.error(`[任务队列] 写入失败: ${id} - ${err.message}`);
+        }
+        return record;
+    }
+
+    /**
+     * 读取单个任务
+     * @param {string} id - 任务 ID
+     * @returns {Object|null}
+     */
+    get(id) {
+        const filePath = this._getJobPath(id);
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        try {
+            return JSON.parse(this.cipher.readText(filePath));
+        } catch (err) {
+            this.logger.error(`[任务队列] 读取失败: ${id} - ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 列出所有待补跑任务，按时间点升序、同一时间点按粒度由细到粗
+     * @returns {Array<Object>}
+     */
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+
+        const jobs = [];
+        for (const file of fs.readdirSync(this.directory)) {
+            if (!file.endsWith('.json')) {
+                continue;
+            }
+            const job = this.get(path.basename(file, '.json'));
+            if (job) {
+                jobs.push(job);
+            }
+        }
+
+        return jobs.sort((a, b) => {
+            const diff = new Date(a.timestamp) - new Date(b.timestamp);
+            if (diff !== 0) {
+                return diff;
+            }
+            return this.granularityOrder.indexOf(a.granularity) - this.granularityOrder.indexOf(b.granularity);
+        });
+    }
+
+    /**
+     * 待补跑任务数量
+     * @returns {number}
+     */
+    size() {
+        if (!fs.existsSync(this.directory)) {
+            return 0;
+        }
+        return fs.readdirSync(this.directory).filter(f => f.endsWith('.json')).length;
+    }
+
+    /**
+     * 是否存在指定粒度、时间点落在 (start, end] 内的待补跑任务
+     * @param {Array<string>} granularities - 粒度列表
+     * @param {Date} start - 范围起点（不含）
+     * @param {Date} end - 范围终点（含）
+     * @returns {boolean}
+     */
+    hasPendingInRange(granularities, start, end) {
+        return this.list().some(job => {
+            const ts = new Date(job.timestamp);
+            return granularities.includes(job.granularity) && ts > start && ts <= end;
+        });
+    }
+
+    /**
+     * 记录一次补跑失败
+     * @param {Object} job - 任务对象
+     * @param {Error} err - 失败原因
+     * @returns {Object} 更新后的任务对象
+     */
+    markFailed(job, err) {
+        const updated = {
+            ...job,
+            attempts: (job.attempts || 0) + 1,
+            last_error: err.message
+        };
+        try {
+            this._write(updated);
+        } catch (writeErr) {
+            this.logger.error(`[任务队列] 更新失败: ${job.id} - ${writeErr.message}`);
+        }
+        return updated;
+    }
+
+    /**
+     * 移除任务
+     * @param {string} id - 任务 ID
+     */
+    remove(id) {
+        const filePath = this._getJobPath(id);
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        } catch (err) {
+            this.logger.error(`[任务队列] 删除失败: ${id} - ${err.message}`);
+        }
+    }
+}
+
+module.exports = JobQueue;
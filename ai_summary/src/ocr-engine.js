@@ -0,0 +1,253 @@
+/**
+ * OCR 文字层模块
+ * 使用本地 OCR 引擎（tesseract.js，识别在本机完成，截图不离开本机）识别截图中的文字，
+ * 结果按日期追加到截图目录的 {date}/ocr.jsonl（每行 { file, time, text }，开启 encryption 时逐行加密），
+ * 已识别过的截图直接读取文字层，补跑和重复读取时不再重复识别。
+ * summary.input_mode 为 ocr_text/hybrid 时用文字代替部分截图发送给模型；
+ * 桌面应用按该文件搜索截图中的文字。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const FileCipher = require('./file-cipher');
+
+// 文字层文件名（与截图清单 manifest.jsonl 同目录）
+const INDEX_FILE = 'ocr.jsonl';
+
+// 初始化失败（如语言模型下载失败）后重试的间隔（毫秒）
+const INIT_RETRY_MS = 10 * 60 * 1000;
+
+// 内存中缓存的文字层日期目录数（实时总结只涉及当天与跨午夜的前一天）
+const MAX_CACHED_DIRS = 2;
+
+class OcrEngine {
+    /**
+     * 创建 OCR 引擎
+     * @param {Object} config - ocr 配置段
+     * @param {Array<string>} config.languages - tesseract 语言（如 chi_sim、eng）
+     * @param {string|null} config.lang_path - 语言模型目录或 URL，null 时使用 tesseract.js 默认地址下载（仅下载模型）
+     * @param {Logger} logger - 日志模块
+     * @param {Object} [options]
+     * @param {string} [options.cachePath] - 下载的语言模型缓存目录
+     * @param {FileCipher} [options.cipher] - 静态加密器（文字层逐行加密）
+     */
+    constructor(config, logger, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.cachePath = options.cachePath || null;
+        this.cipher = options.cipher || new FileCipher();
+
+        // 懒加载的 tesseract worker（首次识别时创建）
+        this._workerPromise = null;
+        // 不可用原因（未安装 tesseract.js 时永久不可用，初始化失败时按 INIT_RETRY_MS 重试）
+        this._unavailable = null;
+        this._retryAt = 0;
+
+        // 文字层缓存: 日期目录 → Map(文件名 → 文字)
+        this._indexes = new Map();
+
+        // 识别统计
+        this.stats = { recognized: 0, cached: 0, failed: 0 };
+    }
+
+    /**
+     * 获取截图的文字层：已识别过的从 ocr.jsonl 读取，否则识别并追加写入
+     * 被隐私规则处理过的截图（带 privacy 标记的副本）不识别，ocrText 为 null
+     * @param {Array<{buffer: Buffer, timestamp: Date, path: string}>} screenshots - 截图
+     * @returns {Promise<Array<Object>>} 截图副本，附带 ocrText（识别失败或不可用时为 null）
+     */
+    async recognizeScreenshots(screenshots) {
+        const results = [];
+        for (const shot of screenshots) {
+            results.push({ ...shot, ocrText: shot.privacy ? null : await this._recognizeOne(shot) });
+        }
+        return results;
+    }
+
+    /**
+     * 获取单张截图的文字
+     * @param {{buffer: Buffer, timestamp: Date, path: string, format: string}} shot - 截图
+     * @returns {Promise<string|null>}
+     */
+    async _recognizeOne(shot) {
+        const dir = path.dirname(shot.path);
+        const file = path.basename(shot.path);
+        const index = this._loadIndex(dir);
+        if (index.has(file)) {
+            this.stats.cached++;
+            return index.get(file);
+        }
+
+        const worker = await this._getWorker();
+        if (!worker) {
+            return null;
+        }
+
+        let text;
+        try {
+            // tesseract 无法解码 AVIF，先转为 PNG
+            const image = shot.format === 'avif' ? await sharp(shot.buffer).png().toBuffer() : shot.buffer;
+            const { data } = await worker.recognize(image);
+            text = this._normalize(data.text);
+        } catch (err) {
+            this.stats.failed++;
+            this.logger.warn(`[OCR] 识别失败: ${file} - ${err.message || err}`);
+            return null;
+        }
+
+        this.stats.recognized++;
+        index.set(file, text);
+        this._appendIndex(dir, { file, time: shot.timestamp.toISOString(), text });
+        return text;
+    }
+
+    /**
+     * 规范化识别结果：去掉行尾空白与空行
+     * @param {string} text - 原始文字
+     * @returns {string}
+     */
+    _normalize(text) {
+        return (text || '')
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * 获取（必要时创建）tesseract worker
+     * @returns {Promise<Object|null>} 不可用时返回 null
+     */
+    async _getWorker() {
+        if (this._unavailable && (this._unavailable === 'MODULE_NOT_FOUND' || Date.now() < this._retryAt)) {
+            return null;
+        }
+        if (!this._workerPromise) {
+            this._workerPromise = this._createWorker();
+        }
+        try {
+            const worker = await this._workerPromise;
+            this._unavailable = null;
+            return worker;
+        } catch (err) {
+            this._workerPromise = null;
+            this._unavailable = err.code || 'OCR_INIT_FAILED';
+            this._retryAt = Date.now() + INIT_RETRY_MS;
+            const retry = this._unavailable === 'MODULE_NOT_FOUND' ? '' : `，${INIT_RETRY_MS / 60000} 分钟后重试`;
+            this.logger.error(`[OCR] 引擎不可用${retry}（期间截图按图片发送）: ${err.message || err}`);
+            return null;
+        }
+    }
+
+    /**
+     * 创建 tesseract worker
+     * @returns {Promise<Object>}
+     * @throws {Error} 未安装 tesseract.js（code=MODULE_NOT_FOUND）或语言模型加载失败
+     */
+    async _createWorker() {
+        let createWorker;
+        try {
+            // 延迟加载，未启用 OCR 时无需安装 tesseract.js
+            ({ createWorker } = require('tesseract.js'));
+        } catch (err) {
+            const error = new Error('未安装 tesseract.js，请在 ai_summary 目录执行 npm install');
+            error.code = 'MODULE_NOT_FOUND';
+            throw error;
+        }
+
+        const options = {
+            // worker 内部错误默认会作为未捕获异常抛出并终止进程，这里改为记录，由调用处的 Promise 处理
+            errorHandler: err => this.logger.debug(`[OCR] worker 错误: ${err}`)
+        };
+        if (this.config.lang_path) {
+            options.langPath = this.config.lang_path;
+        }
+        if (this.cachePath) {
+            fs.mkdirSync(this.cachePath, { recursive: true });
+            options.cachePath = this.cachePath;
+        }
+
+        // 先创建不带语言的 worker，再加载语言模型：直接在 createWorker 中加载时，
+        // 模型下载失败不会 reject（只回调 errorHandler），worker 也无法释放
+        const languages = this.config.languages.join('+');
+        const worker = await createWorker([], 1, options);
+        try {
+            await worker.reinitialize(languages);
+        } catch (err) {
+            await worker.terminate();
+            throw new Error(`加载语言模型失败（${languages}）: ${err.message || err}`);
+        }
+        this.logger.info(`[OCR] 引擎已就绪（语言: ${languages}）`);
+        return worker;
+    }
+
+    /**
+     * 读取日期目录的文字层（带缓存）
+     * @param {string} dir - 截图日期目录
+     * @returns {Map<string, string>} 文件名 → 文字
+     */
+    _loadIndex(dir) {
+        if (this._indexes.has(dir)) {
+            return this._indexes.get(dir);
+        }
+
+        const index = new Map();
+        const indexPath = path.join(dir, INDEX_FILE);
+        if (fs.existsSync(indexPath)) {
+            try {
+                for (const line of fs.readFileSync(indexPath, 'utf8').split('\n')) {
+                    if (!line.trim()) {
+                        continue;
+                    }
+                    try {
+                        const entry = JSON.parse(this.cipher.openLine(line));
+                        index.set(entry.file, entry.text);
+                    } catch (err) {
+                        // 写入中断留下的半行或无法解密的行，忽略（该截图会重新识别）
+                    }
+                }
+            } catch (err) {
+                this.logger.warn(`读取 OCR 文字层失败: ${indexPath} - ${err.message}`);
+            }
+        }
+
+        this._indexes.set(dir, index);
+        if (this._indexes.size > MAX_CACHED_DIRS) {
+            this._indexes.delete(this._indexes.keys().next().value);
+        }
+        return index;
+    }
+
+    /**
+     * 追加一条文字层记录
+     * @param {string} dir - 截图日期目录
+     * @param {Object} entry - { file, time, text }
+     */
+    _appendIndex(dir, entry) {
+        try {
+            fs.appendFileSync(path.join(dir, INDEX_FILE), this.cipher.sealLine(JSON.stringify(entry)) + '\n');
+        } catch (err) {
+            this.logger.warn(`写入 OCR 文字层失败: ${dir} - ${err.message}`);
+        }
+    }
+
+    /**
+     * 释放 tesseract worker
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this._workerPromise) {
+            return;
+        }
+        try {
+            const worker = await this._workerPromise;
+            await worker.terminate();
+        } catch (err) {
+            // 创建失败的 worker 无需释放
+        }
+        this._workerPromise = null;
+    }
+}
+
+module.exports = OcrEngine;
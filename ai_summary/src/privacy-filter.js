@@ -0,0 +1,160 @@
+/**
+ * 隐私过滤模块
+ * 按 privacy.rules 匹配截图时刻的焦点窗口（应用名 / 窗口标题正则），命中的截图在进入 prompt 前
+ * 被排除（skip）、整张模糊（blur）或替换为占位图（placeholder）。
+ * auto_screenshot 在写盘前已按同一规则处理过一次，这里按焦点窗口时间线再过滤一次，
+ * 覆盖截图服务未开启规则、规则后来新增等情况。
+ *
+ * 日志只记录规则名、动作与累计次数，不记录窗口标题等内容。
+ */
+
+const sharp = require('sharp');
+
+const ACTION_LABELS = {
+    skip: '排除截图',
+    blur: '模糊处理',
+    placeholder: '替换为占位图'
+};
+
+class PrivacyFilter {
+    /**
+     * 创建隐私过滤器
+     * @param {Object} config - privacy 配置段
+     * @param {boolean} config.enabled - 是否启用
+     * @param {number} config.blur_sigma - 模糊强度（高斯模糊 sigma）
+     * @param {Array<{name: string, app?: string, title?: string, action: string}>} config.rules - 规则列表
+     * @param {Logger} logger - 日志模块
+     */
+    constructor(config, logger) {
+        this.config = config || {};
+        this.logger = logger;
+        this.enabled = this.config.enabled !== false && Array.isArray(this.config.rules) && this.config.rules.length > 0;
+
+        // 正则在构造时编译一次（配置校验已保证可编译），不区分大小写
+        this.rules = (this.config.rules || []).map((rule, index) => ({
+            name: rule.name || `规则${index + 1}`,
+            action: rule.action,
+            app: rule.app ? new RegExp(rule.app, 'i') : null,
+            title: rule.title ? new RegExp(rule.title, 'i') : null
+        }));
+
+        // 按规则累计的命中次数
+        this.counts = {};
+    }
+
+    /**
+     * 查找焦点窗口命中的第一条规则（同一规则同时配置 app 与 title 时需同时匹配）
+     * @param {{app: string, title: string}|null} windowInfo - 焦点窗口
+     * @returns {Object|null} 命中的规则
+     */
+    match(windowInfo) {
+        if (!this.enabled || !windowInfo) {
+            return null;
+        }
+        return this.rules.find(rule =>
+            (!rule.app || rule.app.test(windowInfo.app || '')) &&
+            (!rule.title || rule.title.test(windowInfo.title || ''))
+        ) || null;
+    }
+
+    /**
+     * 按规则处理图像（blur/placeholder），保持原格式与尺寸
+     * @param {Buffer} buffer - 图像数据
+     * @param {Object} rule - 命中的规则
+     * @returns {Promise<Buffer>}
+     */
+    async redact(buffer, rule) {
+        const image = sharp(buffer);
+        const metadata = await image.metadata();
+        const { width, height } = metadata;
+        // AVIF 的元数据格式为 heif，按 heif 输出需要额外参数，直接按 avif 输出
+        const format = metadata.format === 'heif' ? 'avif' : metadata.format;
+
+        if (rule.action === 'blur') {
+            return image.blur(this.config.blur_sigma).toFormat(format).toBuffer();
+        }
+
+        const fontSize = Math.max(16, Math.round(width / 24));
+        const label = Buffer.from(
+            `<svg width="${width}" height="${height}"><text x="50%" y="50%" font-size="${fontSize}" ` +
+            'font-family="sans-serif" fill="#ffffff" text-anchor="middle" dominant-baseline="middle">PRIVACY REDACTED</text></svg>'
+        );
+        return sharp({ create: { width, height, channels: 3, background: { r: 96, g: 96, b: 96 } } })
+            .composite([{ input: label }])
+            .toFormat(format)
+            .toBuffer();
+    }
+
+    /**
+     * 记录一次命中（只记录规则名、动作与累计次数）
+     * @param {Object} rule - 命中的规则
+     */
+    record(rule) {
+        this.counts[rule.name] = (this.counts[rule.name] || 0) + 1;
+        this.logger.info(`[隐私] 规则「${rule.name}」: ${ACTION_LABELS[rule.action]}（累计 ${this.counts[rule.name]} 次）`);
+    }
+
+    /**
+     * 格式化累计命中次数（用于停止时的统计日志）
+     * @returns {string}
+     */
+    formatCounts() {
+        const parts = Object.entries(this.counts).map(([name, count]) => `${name}=${count}`);
+        return parts.length > 0 ? parts.join(', ') : '无';
+    }
+
+    /**
+     * 按截图时刻的焦点窗口过滤截图
+     * @param {Array<{buffer: Buffer, timestamp: Date, path: string}>} screenshots - 截图
+     * @param {Array<{app: string, title: string, startTime: number, endTime: number}>} windowTimeline - 焦点窗口时间线
+     * @returns {Promise<Array<{buffer: Buffer, timestamp: Date, path: string}>>} 过滤后的截图（处理过的为副本，privacy 为命中的动作）
+     */
+    async filterScreenshots(screenshots, windowTimeline) {
+        if (!this.enabled || !windowTimeline || windowTimeline.length === 0) {
+            return screenshots;
+        }
+
+        const results = [];
+        for (const shot of screenshots) {
+            const rule = this.match(this._windowAt(windowTimeline, shot.timestamp.getTime()));
+            if (!rule) {
+                results.push(shot);
+                continue;
+            }
+
+            this.record(rule);
+            if (rule.action === 'skip') {
+                continue;
+            }
+            try {
+                results.push({ ...shot, buffer: await this.redact(shot.buffer, rule), privacy: rule.action });
+            } catch (err) {
+                // 无法处理时宁可不发送
+                this.logger.warn(`[隐私] 规则「${rule.name}」处理截图失败，已排除该截图: ${err.message}`);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * 查找某一时刻的焦点窗口：包含该时刻的条目，否则取该时刻之前最近开始的条目
+     * @param {Array<Object>} windowTimeline - 焦点窗口时间线（按时间排序）
+     * @param {number} timeMs - 时间戳（毫秒）
+     * @returns {Object|null}
+     */
+    _windowAt(windowTimeline, timeMs) {
+        let candidate = null;
+        for (const entry of windowTimeline) {
+            if (entry.startTime > timeMs) {
+                break;
+            }
+            candidate = entry;
+            if (entry.endTime >= timeMs) {
+                break;
+            }
+        }
+        return candidate;
+    }
+}
+
+module.exports = PrivacyFilter;
@@ -1,11 +1,13 @@
 /**
  * 提示词构建器模块
- * 按时间粒度组装 system prompt + 用户输入（图片/历史总结）
+ * 按粒度的提示词模板（screenshot/timeline/distribution/report）组装 system prompt + 用户输入（图片/历史总结）
  * 支持注入 Todo List（任务/行为目录）信息辅助活动归类
  */
 
 const fs = require('fs');
 const path = require('path');
+const { mimeTypeForFormat, isImagePart } = require('./providers/content-parts');
+const FileCipher = require('./file-cipher');
 
 class PromptBuilder {
     /**
@@ -16,12 +18,16 @@ class PromptBuilder {
      * @param {string} [options.todoDataDir] - Todo 数据目录路径（含 todos.json / behaviors.json）
      * @param {string} [options.summaryDir] - 总结目录路径（用于统计行为近7天分类记录）
      * @param {number} [options.behaviorRecentDays] - 行为分类记录回溯天数（默认 7）
+     * @param {string} [options.baseGranularity] - 基础粒度名称（读取其总结统计行为分类记录，默认 2min）
+     * @param {FileCipher} [options.cipher] - 静态加密器（解密加密保存的总结）
      */
     constructor(geminiClient, logger, options = {}) {
         this.geminiClient = geminiClient;
         this.logger = logger;
         this.todoDataDir = options.todoDataDir || null;
         this.summaryDir = options.summaryDir ? this._resolveSummaryDir(options.summaryDir) : null;
+        this.baseGranularity = options.baseGranularity || '2min';
+        this.cipher = options.cipher || new FileCipher();
         this.behaviorRecentDays = Number.isInteger(options.behaviorRecentDays) && options.behaviorRecentDays > 0
             ? options.behaviorRecentDays
             : 7;
@@ -166,7 +172,7 @@ class PromptBuilder {
 
     /**
      * 获取近 N 天有分类记录的行为名称集合
-     * 数据来源：summary 目录下最近 N 天的 2min 总结
+     * 数据来源：summary 目录下最近 N 天的基础粒度总结
      * @returns {Set<string>}
      */
     _getRecentClassifiedBehaviorNames() {
@@ -192,7 +198,7 @@ class PromptBuilder {
                 .sort();
 
             for (const dateDir of dateDirs) {
-                const granularityDir = path.join(this.summaryDir, dateDir, '2min');
+                const granularityDir = path.join(this.summaryDir, dateDir, this.baseGranularity);
                 if (!fs.existsSync(granularityDir)) {
                     continue;
                 }
@@ -205,7 +211,7 @@ class PromptBuilder {
                     const filePath = path.join(granularityDir, file);
                     let summary = null;
                     try {
-                        summary = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+                        summary = JSON.parse(this.cipher.readText(filePath));
                     } catch (_err) {
                         continue;
                     }
@@ -231,8 +237,8 @@ class PromptBuilder {
     }
 
     /**
-     * 从单条 2min 总结提取行为名称
-     * @param {Object} summary - 2min 总结记录
+     * 从单条基础粒度总结提取行为名称
+     * @param {Object} summary - 基础粒度总结记录
      * @param {Set<string>} targetSet - 行为名称集合
      */
     _collectBehaviorNamesFromSummary(summary, targetSet) {
@@ -364,21 +370,27 @@ class PromptBuilder {
     }
 
     /**
-     * 构建 2 分钟级别的请求内容
-     * 输入: 2分钟内截图(Buffer) + 过去若干条2min总结(Object) + 可选断档信息 + 可选焦点窗口信息
-     * @param {Array<{buffer: Buffer, timestamp: Date}>} screenshots - 截图数据
-     * @param {Array<Object>} historySummaries - 历史2min总结
-     * @param {string} format - 图片格式 (jpeg/png)
+     * 构建截图粒度（screenshot 模板）的请求内容
+     * 输入: 窗口内截图(Buffer) + 过去若干条本粒度总结(Object) + 可选断档信息 + 可选焦点窗口信息
+     * @param {Object} level - 粒度配置（summary.granularities 中的一项）
+     * @param {Array<{buffer: Buffer, timestamp: Date, format: string, monitor: number}>} screenshots - 截图数据（为空时构建纯文本请求）；
+     *   开启 summary.mosaic 时为拼图，每张带 tiles（格子序号、时间与显示器）、columns、rows
+     * @param {Array<Object>} historySummaries - 本粒度的历史总结
+     * @param {string} format - 截图未标明格式时使用的图片格式 (jpeg/png/webp/avif)
      * @param {Object|null} gapInfo - 时间断档信息 { gapMinutes, lastSummaryTime }
      * @param {string} [activeWindowText] - 焦点窗口时间线文本（已格式化）
+     * @param {Array<{timestamp: Date, text: string|null, monitor: number}>} [ocrTexts] - 以 OCR 文字代替的截图（summary.input_mode 为 ocr_text/hybrid 时），text 为 null 表示已按隐私规则屏蔽
+     * @param {number} [maxOcrChars] - 每张截图的文字上限（超出部分截断）
      * @returns {Array} Gemini contents 数组
      */
-    build2min(screenshots, historySummaries, format = 'jpeg', gapInfo = null, activeWindowText = '') {
+    buildScreenshot(level, screenshots, historySummaries, format = 'jpeg', gapInfo = null, activeWindowText = '', ocrTexts = [], maxOcrChars = 2000) {
         const contents = [];
-        const mimeType = format === 'png' ? 'image/png' : 'image/jpeg';
+        const period = this._periodLabel(level.period);
+        // 截图来自多个显示器时，每张截图（文字、拼图格子）标注显示器序号
+        const monitorCount = this._countMonitors(screenshots, ocrTexts);
 
         // 1. System Prompt
-        contents.push(this._get2minPrompt());
+        contents.push(this._getSystemPrompt(level));
 
         // 1.5 注入 Todo 任务/行为目录（结构化格式）
         const todoText = this._buildTodoContextText();
@@ -409,7 +421,7 @@ class PromptBuilder {
                 `这意味着监控服务在这段时间内没有运行，中间的用户活动未被记录。\n` +
                 `因此：\n` +
                 `- 下方的历史总结可能不连续，不要假设中间没有活动变化。\n` +
-                `- duration_minutes 应当从本次重新计算为 2，不要累加断档前的时间。\n` +
+                `- duration_minutes 应当从本次重新计算为 ${level.period}，不要累加断档前的时间。\n` +
                 `- task_status 如果与断档前相同，应标注为"继续"而非直接延续上下文。`
             );
         }
@@ -417,7 +429,7 @@ class PromptBuilder {
         // 3. 焦点窗口时间线（如果有）
         if (activeWindowText) {
             contents.push(
-                `\n【焦点窗口时间线（本2分钟内用户切换的应用窗口）】\n` +
+                `\n【焦点窗口时间线（本${period}内用户切换的应用窗口）】\n` +
                 `格式: "完整焦点窗口名(应用名-窗口标题)" 开始时间-结束时间\n` +
                 `${activeWindowText}\n` +
                 `说明: 此信息反映用户实际使用的应用及时长，可辅助判断 context 和 interaction_mode。`
@@ -426,150 +438,209 @@ class PromptBuilder {
 
         // 4. 历史总结文本（如果有）
         if (historySummaries.length > 0) {
-            const historyText = this._formatHistorySummaries(historySummaries, '2min');
-            contents.push(`\n【过去${historySummaries.length}个2分钟的AI总结】\n${historyText}`);
+            const historyText = this._formatHistorySummaries(historySummaries, level);
+            contents.push(`\n【过去${this._describeSummaries(level, historySummaries.length)}】\n${historyText}`);
         }
 
-        // 5. 当前分钟的截图（inline 方式）
-        contents.push(`\n【当前2分钟的${screenshots.length}张截图（按时间顺序）】`);
+        // 5. 以 OCR 文字代替的截图（本地识别，可能有识别错误、缺少版面信息）
+        if (ocrTexts.length > 0) {
+            const blocks = ocrTexts.map(item => {
+                let text = item.text === null ? '（已按隐私规则屏蔽）' : (item.text || '（未识别到文字）');
+                if (text.length > maxOcrChars) {
+                    text = `${text.slice(0, maxOcrChars)}…（已截断）`;
+                }
+                const label = monitorCount > 1
+                    ? `显示器 ${item.monitor} ${this._formatClockTime(item.timestamp)}`
+                    : this._formatClockTime(item.timestamp);
+                return `--- ${label} ---\n${text}`;
+            });
+            contents.push(
+                `\n【当前${period}的${ocrTexts.length}张截图的屏幕文字（本地 OCR 识别，按时间顺序）】\n` +
+                `说明: 文字可能有识别错误且缺少版面信息，请结合焦点窗口时间线判断；只能从画面确认的信息（如光标位置、图表内容）填写"不确定"。\n` +
+                blocks.join('\n')
+            );
+            if (screenshots.length === 0) {
+                return contents;
+            }
+        }
+
+        // 6. 当前窗口的截图（inline 方式）；预算降级为纯文本模式时不附截图
+        if (screenshots.length === 0) {
+            contents.push(
+                `\n【纯文本模式】\n` +
+                `本次没有截图，只能依据上方焦点窗口时间线和历史总结判断当前活动。\n` +
+                `无法从窗口信息确认的字段填写"不确定"，content_change 填"无明确变化"，confidence 填"低"。`
+            );
+            return contents;
+        }
+        if (screenshots[0].tiles) {
+            contents.push(this._describeMosaic(period, screenshots, monitorCount));
+        } else if (monitorCount > 1) {
+            contents.push(
+                `\n【当前${period}的${screenshots.length}张截图（来自 ${monitorCount} 个显示器，按时间顺序）】\n` +
+                `说明: 每张截图前标注其显示器序号与截图时间，同一时刻的截图来自不同显示器；` +
+                `焦点窗口所在的显示器通常是用户正在操作的屏幕，其他显示器多为参考内容。`
+            );
+        } else {
+            contents.push(`\n【当前${period}的${screenshots.length}张截图（按时间顺序）】`);
+        }
         for (const shot of screenshots) {
-            contents.push(this.geminiClient.buildImagePart(shot.buffer, mimeType));
+            if (monitorCount > 1 && !shot.tiles) {
+                contents.push(`[显示器 ${shot.monitor} · ${this._formatClockTime(shot.timestamp)}]`);
+            }
+            contents.push(this.geminiClient.buildImagePart(shot.buffer, mimeTypeForFormat(shot.format || format)));
         }
 
         return contents;
     }
 
     /**
-     * 构建 10 分钟级别的请求内容
-     * 输入: 最近若干条2min总结 + 过去5条10min总结 + 可选焦点窗口信息
-     * @param {Array<Object>} recent2min - 最近若干条2min总结
-     * @param {Array<Object>} history10min - 过去5条10min总结
-     * @param {string} [activeWindowText] - 焦点窗口时间线文本（已格式化）
+     * 按粒度的提示词模板构建聚合粒度（timeline/distribution/report）的请求内容
+     * 各部分按 system prompt → Todo 目录 → 焦点窗口 → 本粒度历史 → 更早的下层总结 → 窗口内的下层总结 排列，
+     * 没有内容的部分省略
+     * @param {Object} level - 粒度配置（summary.granularities 中的一项）
+     * @param {Object} child - 输入来源粒度的配置
+     * @param {Object} inputs
+     * @param {Array<Object>} inputs.children - 窗口内的下层总结
+     * @param {Array<Object>} [inputs.earlier] - 更早的下层总结（earlier_child_count）
+     * @param {Array<Object>} [inputs.history] - 本粒度之前的总结（history_count）
+     * @param {string} [inputs.activeWindowText] - 焦点窗口时间线文本（已格式化，report 模板不使用）
      * @returns {Array} Gemini contents 数组
      */
-    build10min(recent2min, history10min, activeWindowText = '') {
+    buildAggregate(level, child, inputs) {
+        const { children, earlier = [], history = [], activeWindowText = '' } = inputs;
         const contents = [];
 
         // 1. System Prompt
-        contents.push(this._get10minPrompt());
+        contents.push(this._getSystemPrompt(level, child));
 
         // 1.5 注入 Todo 任务/行为目录（结构化格式）
-        const todoText10 = this._buildTodoContextText();
-        if (todoText10) {
-            contents.push(
-                `\n【用户任务与行为目录 — 时间轴归类参考】\n\n` +
-                `${todoText10}\n\n` +
-                `<aggregation_rules>\n` +
-                `  <rule>从2min总结的 category_type/category_name/subtask_name 列表字段聚合。</rule>\n` +
-                `  <rule>activity_timeline 的 label 使用 category_name 中的各元素（即上述目录中 <task> 或 <behavior> 的 name 属性值），category_type 使用对应元素。</rule>\n` +
-                `  <rule>如有子任务（对应 <active_subtasks> 中的 subtask），则在 subtasks 数组中体现。</rule>\n` +
-                `  <rule>旧数据兼容：category_name 为字符串时视为单元素列表；无 category_name 但有 task_label 时，用 task_label[0] 作为 label，category_type 视为"行为"。</rule>\n` +
-                `</aggregation_rules>`
-            );
+        const todoText = this._buildTodoContextText();
+        if (todoText) {
+            contents.push(this._getAggregationRulesText(level, child, todoText));
         }
 
         // 2. 焦点窗口时间线（如果有）
-        if (activeWindowText) {
+        if (activeWindowText && level.prompt !== 'report') {
+            const hint = level.prompt === 'timeline' ? '应用切换和任务边界' : '主要活动和时间分布';
             contents.push(
-                `\n【焦点窗口时间线（本10分钟内用户切换的应用窗口）】\n` +
+                `\n【焦点窗口时间线（本${this._periodLabel(level.period)}内用户切换的应用窗口）】\n` +
                 `格式: "完整焦点窗口名(应用名-窗口标题)" 开始时间-结束时间\n` +
                 `${activeWindowText}\n` +
-                `说明: 此信息反映用户实际使用的应用及时长，可辅助判断应用切换和任务边界。`
+                `说明: 此信息反映用户实际使用的应用及时长，可辅助判断${hint}。`
             );
         }
 
-        // 3. 过去的10min总结（如果有）
-        if (history10min.length > 0) {
-            const historyText = this._formatHistorySummaries(history10min, '10min');
-            contents.push(`\n【过去${history10min.length}个10分钟的AI总结】\n${historyText}`);
+        // 3. 本粒度之前的总结（如果有）
+        if (history.length > 0) {
+            const historyText = this._formatHistorySummaries(history, level);
+            const when = level.prompt === 'report' ? '之前' : '过去';
+            contents.push(`\n【${when}${this._describeSummaries(level, history.length)}】\n${historyText}`);
         }
 
-        // 4. 最近2min总结
-        if (recent2min.length > 0) {
-            const recentText = this._formatHistorySummaries(recent2min, '2min');
-            contents.push(`\n【最近${recent2min.length}个2分钟的AI总结】\n${recentText}`);
+        // 4. 更早的下层总结（如果有）
+        if (earlier.length > 0) {
+            const earlierText = this._formatHistorySummaries(earlier, child);
+            contents.push(`\n【更早${this._describeSummaries(child, earlier.length)}】\n${earlierText}`);
+        }
+
+        // 5. 窗口内的下层总结
+        if (children.length > 0) {
+            const recentText = this._formatHistorySummaries(children, child);
+            const when = level.prompt === 'report' ? `本${this._periodLabel(level.period)}` : '最近';
+            contents.push(`\n【${when}${this._describeSummaries(child, children.length)}】\n${recentText}`);
         }
 
         return contents;
     }
 
     /**
-     * 构建 1 小时级别的请求内容
-     * 输入: 最近6条10min总结 + 更早6条10min总结 + 可选焦点窗口信息
-     * @param {Array<Object>} recent10min - 最近6条10min总结
-     * @param {Array<Object>} earlier10min - 更早6条10min总结
-     * @param {string} [activeWindowText] - 焦点窗口时间线文本（已格式化）
-     * @returns {Array} Gemini contents 数组
+     * 聚合粒度的 Todo 目录与归类规则
+     * @param {Object} level - 粒度配置
+     * @param {Object} child - 输入来源粒度的配置
+     * @param {string} todoText - Todo 目录文本
+     * @returns {string}
      */
-    build1h(recent10min, earlier10min, activeWindowText = '') {
-        const contents = [];
-
-        // 1. System Prompt
-        contents.push(this._get1hPrompt());
-
-        // 1.5 注入 Todo 任务/行为目录（结构化格式）
-        const todoText1h = this._buildTodoContextText();
-        if (todoText1h) {
-            contents.push(
-                `\n【用户任务与行为目录 — 时间分布归类参考】\n\n` +
-                `${todoText1h}\n\n` +
-                `<aggregation_rules>\n` +
-                `  <rule>从10min总结的 activity_timeline 中聚合，time_distribution 的 label 使用上述目录中 <task> 或 <behavior> 的 name 属性值。</rule>\n` +
-                `  <rule>旧数据兼容：无 category_type 字段的活动视为"行为"类型。</rule>\n` +
-                `</aggregation_rules>`
-            );
-        }
-
-        // 2. 焦点窗口时间线（如果有）
-        if (activeWindowText) {
-            contents.push(
-                `\n【焦点窗口时间线（本小时内用户切换的应用窗口）】\n` +
-                `格式: "完整焦点窗口名(应用名-窗口标题)" 开始时间-结束时间\n` +
-                `${activeWindowText}\n` +
-                `说明: 此信息反映用户实际使用的应用及时长，可辅助判断主要活动和时间分布。`
-            );
-        }
-
-        // 3. 更早的10min总结（如果有）
-        if (earlier10min.length > 0) {
-            const earlierText = this._formatHistorySummaries(earlier10min, '10min');
-            contents.push(`\n【更早${earlier10min.length}个10分钟的AI总结】\n${earlierText}`);
+    _getAggregationRulesText(level, child, todoText) {
+        const childRef = this._summaryRef(child);
+        let rules;
+        if (level.prompt === 'timeline') {
+            rules =
+                `  <rule>从${childRef}的 category_type/category_name/subtask_name 列表字段聚合。</rule>\n` +
+                `  <rule>activity_timeline 的 label 使用 category_name 中的各元素（即上述目录中 <task> 或 <behavior> 的 name 属性值），category_type 使用对应元素。</rule>\n` +
+                `  <rule>如有子任务（对应 <active_subtasks> 中的 subtask），则在 subtasks 数组中体现。</rule>\n` +
+                `  <rule>旧数据兼容：category_name 为字符串时视为单元素列表；无 category_name 但有 task_label 时，用 task_label[0] 作为 label，category_type 视为"行为"。</rule>\n`;
+        } else if (level.prompt === 'distribution') {
+            rules =
+                `  <rule>从${childRef}的 activity_timeline 中聚合，time_distribution 的 label 使用上述目录中 <task> 或 <behavior> 的 name 属性值。</rule>\n` +
+                `  <rule>旧数据兼容：无 category_type 字段的活动视为"行为"类型。</rule>\n`;
+        } else {
+            const fields = child.prompt === 'report' ? 'time_distribution' : 'time_distribution/miscellaneous';
+            rules =
+                `  <rule>从${childRef}的 ${fields} 中聚合，time_distribution 的 label 使用上述目录中 <task> 或 <behavior> 的 name 属性值。</rule>\n` +
+                `  <rule>已在目录中标记完成的任务，不要再写入 carry_over。</rule>\n`;
         }
 
-        // 4. 最近的10min总结
-        if (recent10min.length > 0) {
-            const recentText = this._formatHistorySummaries(recent10min, '10min');
-            contents.push(`\n【最近${recent10min.length}个10分钟的AI总结】\n${recentText}`);
-        }
+        const purpose = level.prompt === 'timeline' ? '时间轴' : '时间分布';
+        return `\n【用户任务与行为目录 — ${purpose}归类参考】\n\n` +
+            `${todoText}\n\n` +
+            `<aggregation_rules>\n` +
+            rules +
+            `</aggregation_rules>`;
+    }
 
+    /**
+     * 构建修复请求：原始文本输入 + 上次响应 + 校验错误
+     * 修复只针对输出格式，不再重复发送图片
+     * @param {Array} originalContents - 原始请求内容
+     * @param {string} responseText - 上次的模型响应
+     * @param {Array<string>} errors - 校验错误列表
+     * @returns {Array} contents 数组
+     */
+    buildRepair(originalContents, responseText, errors) {
+        const contents = originalContents.filter(part => !isImagePart(part));
+        contents.push(`【上次输出】\n${responseText}`);
+        contents.push(`【校验错误】\n上次输出不符合要求的 JSON 格式:\n- ${errors.join('\n- ')}\n` +
+            '请保持原有内容判断不变，仅修正上述问题，严格按要求的 JSON 格式重新输出，不要输出任何其他内容。');
         return contents;
     }
 
     /**
      * 格式化历史总结为文本
      * @param {Array<Object>} summaries - 总结数组
-     * @param {string} granularity - 粒度标识
+     * @param {Object} level - 总结所属粒度的配置
      * @returns {string} 格式化的文本
      */
-    _formatHistorySummaries(summaries, granularity) {
+    _formatHistorySummaries(summaries, level) {
         return summaries.map((s, i) => {
-            const timeSpan = this._formatSummaryTimeSpan(s, granularity);
-            // 将总结对象转为可读文本，排除 timestamp 和 granularity 字段
+            const timeSpan = this._formatSummaryTimeSpan(s, level);
+            // 将总结对象转为可读文本，排除时间、粒度及记录用的元数据字段（时间窗口、模型、预算等级、截图变化分数）
             const fields = Object.entries(s)
-                .filter(([key]) => !['timestamp', 'granularity'].includes(key))
+                .filter(([key]) => !['timestamp', 'granularity', 'range', 'model', 'budget_level', 'change_scores', 'packing'].includes(key))
                 .map(([key, value]) => `  ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
                 .join('\n');
-            return `--- [${granularity} #${i + 1}] ${timeSpan} ---\n${fields}`;
+            return `--- [${level.name} #${i + 1}] ${timeSpan} ---\n${fields}`;
         }).join('\n\n');
     }
 
     /**
      * 计算并格式化单条历史总结的时间跨度
      * @param {Object} summary - 单条总结
-     * @param {string} granularity - 粒度标识
+     * @param {Object} level - 总结所属粒度的配置
      * @returns {string} 时间跨度（如 15:29:48-15:31:48）
      */
-    _formatSummaryTimeSpan(summary, granularity) {
+    _formatSummaryTimeSpan(summary, level) {
+        // 对齐调度后总结自带 [start, end) 时间窗口
+        if (summary.range) {
+            const start = new Date(summary.range.start);
+            const end = new Date(summary.range.end);
+            // 跨越多天的粒度（日报/周报等）带上日期
+            if (level.period >= 24 * 60) {
+                return `${this._formatDate(start)} ${this._formatClockTime(start)}-${this._formatDate(end)} ${this._formatClockTime(end)}`;
+            }
+            return `${this._formatClockTime(start)}-${this._formatClockTime(end)}`;
+        }
+
         if (!summary.timestamp) {
             return '未知';
         }
@@ -579,8 +650,7 @@ class PromptBuilder {
             return '未知';
         }
 
-        const minutes = this._getGranularityMinutes(granularity);
-        const startTime = new Date(endTime.getTime() - minutes * 60 * 1000);
+        const startTime = new Date(endTime.getTime() - level.period * 60 * 1000);
 
         const startStr = this._formatClockTime(startTime);
         const endStr = this._formatClockTime(endTime);
@@ -588,17 +658,93 @@ class PromptBuilder {
     }
 
     /**
-     * 根据粒度获取时长分钟数
-     * @param {string} granularity - 粒度
-     * @returns {number} 分钟数
+     * 粒度周期在提示词中的称呼（如 2分钟、小时、4小时、日、周）
+     * @param {number} minutes - 周期分钟数
+     * @returns {string}
      */
-    _getGranularityMinutes(granularity) {
-        const mapping = {
-            '2min': 2,
-            '10min': 10,
-            '1h': 60
-        };
-        return mapping[granularity] || 0;
+    _periodLabel(minutes) {
+        if (minutes === 7 * 24 * 60) {
+            return '周';
+        }
+        if (minutes === 24 * 60) {
+            return '日';
+        }
+        if (minutes === 60) {
+            return '小时';
+        }
+        if (minutes % 60 === 0) {
+            return `${minutes / 60}小时`;
+        }
+        return `${minutes}分钟`;
+    }
+
+    /**
+     * 粒度总结在提示词中的称呼（如 2min总结；报告类粒度使用标题，如 日报）
+     * @param {Object} level - 粒度配置
+     * @returns {string}
+     */
+    _summaryRef(level) {
+        return level.prompt === 'report' ? (level.title || level.name) : `${level.name}总结`;
+    }
+
+    /**
+     * 描述若干条同一粒度的总结（如 5个10分钟的AI总结、1份日报）
+     * @param {Object} level - 粒度配置
+     * @param {number} count - 条数
+     * @returns {string}
+     */
+    _describeSummaries(level, count) {
+        return level.prompt === 'report'
+            ? `${count}份${level.title || level.name}`
+            : `${count}个${this._periodLabel(level.period)}的AI总结`;
+    }
+
+    /**
+     * 统计截图（含 OCR 文字代替的截图与拼图中的格子）来自几个显示器
+     * @param {Array<Object>} screenshots - 截图或拼图
+     * @param {Array<Object>} ocrTexts - 以 OCR 文字代替的截图
+     * @returns {number}
+     */
+    _countMonitors(screenshots, ocrTexts) {
+        const monitors = new Set();
+        for (const shot of screenshots) {
+            for (const item of shot.tiles || [shot]) {
+                if (item.monitor !== undefined) {
+                    monitors.add(item.monitor);
+                }
+            }
+        }
+        for (const item of ocrTexts) {
+            if (item.monitor !== undefined) {
+                monitors.add(item.monitor);
+            }
+        }
+        return monitors.size;
+    }
+
+    /**
+     * 描述拼图的格子顺序（序号在各拼图间连续）
+     * @param {string} period - 粒度时长标签
+     * @param {Array<{tiles: Array<{index: number, timestamp: Date}>, columns: number, rows: number}>} mosaics - 拼图
+     * @param {number} [monitorCount=1] - 截图来自几个显示器（多个时格子标注带显示器序号）
+     * @returns {string}
+     */
+    _describeMosaic(period, mosaics, monitorCount = 1) {
+        const tileCount = mosaics.reduce((sum, mosaic) => sum + mosaic.tiles.length, 0);
+        const lines = mosaics.map((mosaic, i) => {
+            const first = mosaic.tiles[0];
+            const last = mosaic.tiles[mosaic.tiles.length - 1];
+            return `- 第 ${i + 1} 张拼图: 第 ${first.index}-${last.index} 格，` +
+                `${this._formatClockTime(first.timestamp)}-${this._formatClockTime(last.timestamp)}，` +
+                `${mosaic.columns} 列 × ${mosaic.rows} 行`;
+        });
+        return `\n【当前${period}的${tileCount}张截图，拼为${mosaics.length}张网格图（按时间顺序）】\n` +
+            `说明: 每张网格图内的格子按从左到右、从上到下的顺序排列，每格左上角标注序号与截图时间（HH:MM:SS）；` +
+            `请把每一格当作一张独立截图，格子之间的深色间隔不是屏幕内容。\n` +
+            (monitorCount > 1
+                ? `截图来自 ${monitorCount} 个显示器，标注末尾的 M 加数字为显示器序号（如 M2 表示第 2 个显示器），同一时刻的格子来自不同显示器。\n`
+                : '') +
+            lines.join('\n');
     }
 
     /**
@@ -616,12 +762,36 @@ class PromptBuilder {
     }
 
     /**
-     * 获取 2 分钟级别的 system prompt
-     * 来源: task/2.ai总结板块.md 的 Prompt(2分钟) 部分
+     * 获取粒度的 system prompt：配置了 prompt_file 时读取该文件，否则按 prompt 模板生成
+     * @param {Object} level - 粒度配置
+     * @param {Object} [child] - 输入来源粒度的配置（screenshot 模板不需要）
      * @returns {string}
      */
-    _get2minPrompt() {
-        return `你是工作屏幕总结助手。输入包括当前2分钟内的截图(按时间顺序)与过去数个2分钟的AI文字总结。
+    _getSystemPrompt(level, child) {
+        if (level.prompt_file) {
+            return fs.readFileSync(level.prompt_file, 'utf-8').trim();
+        }
+        switch (level.prompt) {
+            case 'screenshot':
+                return this._getScreenshotPrompt(level);
+            case 'timeline':
+                return this._getTimelinePrompt(level, child);
+            case 'distribution':
+                return this._getDistributionPrompt(level, child);
+            default:
+                return this._getReportPrompt(level, child);
+        }
+    }
+
+    /**
+     * 获取截图粒度（screenshot 模板）的 system prompt
+     * 来源: task/2.ai总结板块.md 的 Prompt(2分钟) 部分，时长按粒度周期替换
+     * @param {Object} level - 粒度配置
+     * @returns {string}
+     */
+    _getScreenshotPrompt(level) {
+        const period = this._periodLabel(level.period);
+        return `你是工作屏幕总结助手。输入包括当前${period}内的截图(按时间顺序)与过去数个${period}的AI文字总结。
 请严格基于证据总结,不得猜测或编造;证据不足则写"不确定"。
 输出需简洁、可聚合,突出"动作+对象+变化",并明确区分浏览与操作。
 
@@ -632,18 +802,18 @@ class PromptBuilder {
 
 活动归类规则:
 - 如果提供了【用户任务与行为目录】,必须将活动归类到其中的任务或行为。
-- 一个2分钟时段内可能涉及多个活动,因此 category_type 和 category_name 均为列表,按主次顺序排列（最主要的活动在前）。
+- 一个${period}时段内可能涉及多个活动,因此 category_type 和 category_name 均为列表,按主次顺序排列（最主要的活动在前）。
 - category_type: 每个元素为"任务"/"行为"/"新建任务"/"新建行为"。
 - category_name: 每个元素为对应的主任务名称或行为名称,与 category_type 一一对应。
 - subtask_name: 每个元素为对应的子任务名称或空字符串,与 category_type 一一对应。仅当 category_type 为"任务"且活动明确对应某个子任务时填写,否则为空字符串。
 - 如果没有提供任务/行为目录,这三个字段仍需填写,category_type 填"新建任务"或"新建行为",自行命名。
 - 新建行为的命名需适度具体,如"使用ChatGPT查询技术问题"合适,"浏览网站"太宽泛,"搜索2025年JS框架对比"太具体。
-- 大多数情况下只有1个活动,但如果确实在2分钟内切换了明显不同的活动,可以列出2-3个（不超过3个）。
+- 大多数情况下只有1个活动,但如果确实在${period}内切换了明显不同的活动,可以列出2-3个（不超过3个）。
 
 活动持续时间统计规则:
 - 查看过去AI总结中的 category_name 字段（列表第一个元素即主活动）,找到当前主活动的归类名称。
-- 从最近的历史总结往前回溯,统计该名称在 category_name[0] 中连续出现的2分钟段数,加上当前这2分钟,得到 duration_minutes。
-- 如果没有历史总结,或当前是全新活动,duration_minutes 为 2。
+- 从最近的历史总结往前回溯,统计该名称在 category_name[0] 中连续出现的${period}段数,加上当前这${period},得到 duration_minutes。
+- 如果没有历史总结,或当前是全新活动,duration_minutes 为 ${level.period}。
 - duration_minutes 必须为正整数。
 
 字段说明:
@@ -668,34 +838,38 @@ class PromptBuilder {
   "blockers": "无/具体问题",
   "next_intent": "下一步意图或不确定",
   "confidence": "高/中/低",
-  "duration_minutes": 2
+  "duration_minutes": ${level.period}
 }`;
     }
 
     /**
-     * 获取 10 分钟级别的 system prompt
+     * 获取时间轴粒度（timeline 模板）的 system prompt
+     * @param {Object} level - 粒度配置
+     * @param {Object} child - 输入来源粒度的配置
      * @returns {string}
      */
-    _get10minPrompt() {
-        return `你是工作屏幕总结助手。输入包括最近10分钟内每2分钟的AI文字总结,以及过去数个10分钟级别总结。
+    _getTimelinePrompt(level, child) {
+        const period = this._periodLabel(level.period);
+        const childRef = this._summaryRef(child);
+        return `你是工作屏幕总结助手。输入包括最近${period}内每${this._periodLabel(child.period)}的AI文字总结,以及过去数个${period}级别总结。
 请严格基于输入证据总结,不得猜测或编造;证据不足则写"不确定"。
 输出需去重、聚焦变化与进展,并串联成清晰的任务轨迹。
-请从2min总结中优先提炼实际操作(operate_action/interaction_mode=操作或混合);若字段缺失,从 core_action/content_change 推断。
+请从${childRef}中优先提炼实际操作(operate_action/interaction_mode=操作或混合);若字段缺失,从 core_action/content_change 推断。
 浏览内容仅作为背景,不要被短暂切换、纯浏览或噪声干扰。
 若出现对话框/弹窗/表单的确认/提交/保存/重命名等操作,必须计入关键进展。
 
 活动时间轴构建规则:
-- 从输入的每条2min总结中提取 timestamp（ISO 时间）、category_type（列表）、category_name（列表）、subtask_name（列表）。
-- 每条2min总结的 category_name 是一个列表,可能包含1~3个活动名称,category_type 和 subtask_name 与之一一对应。
+- 从输入的每条${childRef}中提取 timestamp（ISO 时间）、category_type（列表）、category_name（列表）、subtask_name（列表）。
+- 每条${childRef}的 category_name 是一个列表,可能包含1~3个活动名称,category_type 和 subtask_name 与之一一对应。
 - 对列表中的每个活动分别生成时间轴条目: activity_timeline 的 label 使用 category_name 中的元素, category_type 使用对应的 category_type 元素。
 - 如果对应的 subtask_name 非空,将其收集到该 activity_timeline 条目的 subtasks 数组中（去重）。
-- 每条2min总结代表一个2分钟时间段,其结束时间为 timestamp 对应的 HH:MM,起始时间为结束时间减去2分钟。
+- 每条${childRef}代表一个${child.period}分钟时间段,其结束时间为 timestamp 对应的 HH:MM,起始时间为结束时间减去${child.period}分钟。
 - 将相同 category_name 的连续或相邻时间段合并为一条记录,输出 start_time 和 end_time（均为 HH:MM 格式）。
 - 计算每条记录的 minutes = end_time - start_time（分钟数）。
 - 过滤掉累计 < 3 分钟的零散活动,不要输出到 activity_timeline 中。
 - 按 start_time 升序排列。
 - 如果活动中间有间断（超过4分钟无同 category_name 记录）,应拆分为两条独立记录。
-- 兼容旧数据: 如果2min总结中 category_type/category_name 是字符串而非列表,视为单元素列表处理。如果2min总结中没有 category_name 但有 task_label,用 task_label[0] 作为 label,category_type 视为"行为"。
+- 兼容旧数据: 如果${childRef}中 category_type/category_name 是字符串而非列表,视为单元素列表处理。如果${childRef}中没有 category_name 但有 task_label,用 task_label[0] 作为 label,category_type 视为"行为"。
 
 请严格按以下JSON格式输出,不要输出任何其他内容:
 {
@@ -714,22 +888,26 @@ class PromptBuilder {
     }
 
     /**
-     * 获取 1 小时级别的 system prompt
+     * 获取时间分布粒度（distribution 模板）的 system prompt
+     * @param {Object} level - 粒度配置
+     * @param {Object} child - 输入来源粒度的配置
      * @returns {string}
      */
-    _get1hPrompt() {
-        return `你是工作屏幕总结助手。输入包括最近数个10分钟级别总结,以及更早的10分钟级别总结。
+    _getDistributionPrompt(level, child) {
+        const childPeriod = this._periodLabel(child.period);
+        const childRef = this._summaryRef(child);
+        return `你是工作屏幕总结助手。输入包括最近数个${childPeriod}级别总结,以及更早的${childPeriod}级别总结。
 请严格基于输入证据总结,不得猜测或编造;证据不足则写"不确定"。
 输出需突出阶段性成果、关键决策、重要风险,并总结整体走向。
-请以10min总结中的实际操作为主线,过滤纯浏览/短暂切换的噪声;零散浏览可归入 miscellaneous。
-若10min中包含对话框/表单关键操作,应体现在 achievements 或 task_chain 中。
+请以${childRef}中的实际操作为主线,过滤纯浏览/短暂切换的噪声;零散浏览可归入 miscellaneous。
+若${child.name}中包含对话框/表单关键操作,应体现在 achievements 或 task_chain 中。
 
 活动时间分布统计规则:
-- 从输入的各10min总结中提取 activity_timeline 字段（每条含 label、category_type、start_time、end_time、minutes、subtasks）。
+- 从输入的各${childRef}中提取 activity_timeline 字段（每条含 label、category_type、start_time、end_time、minutes、subtasks）。
 - 将相同 label 的 minutes 累加，同时合并 subtasks（去重）。
 - time_distribution: 按累计分钟数降序列出主要活动（累计>=5分钟），保留 category_type 和 subtasks。
 - miscellaneous: 将累计<5分钟的零散活动集中归类列出。
-- 如果输入的10min总结中没有 activity_timeline 字段,则根据 task_main 等文本信息尽力推断。
+- 如果输入的${childRef}中没有 activity_timeline 字段,则根据 task_main 等文本信息尽力推断。
 
 请严格按以下JSON格式输出,不要输出任何其他内容:
 {
@@ -746,6 +924,60 @@ class PromptBuilder {
   "blockers": "无/具体问题",
   "next_direction": "下一阶段方向或不确定",
   "confidence": "高/中/低"
+}`;
+    }
+
+    /**
+     * 获取报告粒度（report 模板，如日报、周报）的 system prompt
+     * 下层为 distribution 粒度时按各时段总结汇总，下层为 report 粒度时合并各份报告
+     * @param {Object} level - 粒度配置
+     * @param {Object} child - 输入来源粒度的配置
+     * @returns {string}
+     */
+    _getReportPrompt(level, child) {
+        const title = level.title || level.name;
+        const period = this._periodLabel(level.period);
+        const childRef = this._summaryRef(child);
+        const fromReports = child.prompt === 'report';
+
+        const sourceRules = fromReports
+            ? `- 从输入的各${childRef}中提取 time_distribution 字段（每条含 label、category_type、minutes、subtasks）。
+- 将相同 label 的 minutes 累加，同时合并 subtasks（去重）。
+- time_distribution: 按累计分钟数降序列出各任务与行为;累计<30分钟的零散活动合并为一条 label 为"零散活动"、category_type 为"行为"的记录。`
+            : `- 从输入的各${childRef}中提取 time_distribution 与 miscellaneous 字段（每条含 label、category_type、minutes、subtasks）。
+- 将相同 label 的 minutes 累加，同时合并 subtasks（去重）。
+- time_distribution: 按累计分钟数降序列出各任务与行为;累计<10分钟的零散活动合并为一条 label 为"零散活动"、category_type 为"行为"的记录。
+- 如果输入的${childRef}中没有 time_distribution 字段,则根据 achievements、task_chain 等文本信息尽力推断。`;
+
+        const carryOverRule = fromReports
+            ? `- achievements: 合并各份${childRef}中相同事项的成果,按重要性排列,不要逐份罗列。
+- carry_over: 以最后一份${childRef}的 carry_over 为基础,去掉本${period}内已完成的事项,补充本${period}开始但未完成的事项。`
+            : `- carry_over: 本${period}开始但未完成、或已明确下一步要做的事项,每条一句话,可参考各${childRef}的 next_direction 与 blockers。`;
+
+        return `你是工作${title}助手。输入包括本${period}各${this._periodLabel(child.period)}的${fromReports ? childRef : 'AI总结'}(${child.name}级别),以及之前的${title}。
+请严格基于输入证据总结,不得猜测或编造;证据不足则写"不确定"。
+${title}需简洁、面向结果:突出本${period}完成的成果与产出、投入时间最多的任务,列出仍未解决的阻塞,以及需要延续到下一份${title}的事项。
+${fromReports ? '' : `请以各${childRef}的 achievements 与 task_chain 为主线,过滤纯浏览/短暂切换的噪声。\n`}
+时间分布统计规则:
+${sourceRules}
+
+阻塞与遗留事项规则:
+- blockers: 只保留到本${period}结束仍未解决的问题,每条一句话;没有则输出空列表。
+${carryOverRule}
+- 之前${title} carry_over 中的事项如果本${period}已完成,写入 achievements;仍未完成且仍有必要的,继续保留在 carry_over 中。
+
+请严格按以下JSON格式输出,不要输出任何其他内容:
+{
+  "overview": "一两句话概括本${period}的工作主线",
+  "achievements": ["成果1", "成果2"],
+  "time_distribution": [
+    {"label": "主任务名或行为名", "category_type": "任务/行为", "minutes": 180, "subtasks": ["子任务1"]},
+    {"label": "行为名", "category_type": "行为", "minutes": 45, "subtasks": []}
+  ],
+  "key_output": "代码/文档/配置/结论",
+  "blockers": ["未解决的问题"],
+  "carry_over": ["延续到下一份${title}的事项"],
+  "confidence": "高/中/低"
 }`;
     }
 }
@@ -13,6 +13,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isImagePart } = require('./providers/content-parts');
+const FileCipher = require('./file-cipher');
 
 class PromptLogger {
     /**
@@ -20,9 +22,11 @@ class PromptLogger {
      * @param {Object} config - 总结配置
      * @param {string} config.directory - 总结输出目录（将在其下创建 prompt-logs 子目录）
      * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器（日志含窗口标题与历史总结，开启 encryption 时加密保存）
      */
-    constructor(config, logger) {
+    constructor(config, logger, cipher = null) {
         this.logger = logger;
+        this.cipher = cipher || new FileCipher();
 
         // 基础目录: {summary.directory}/prompt-logs/
         const baseDir = path.isAbsolute(config.directory)
@@ -33,7 +37,7 @@ class PromptLogger {
 
     /**
      * 记录 prompt 内容
-     * @param {string} granularity - 粒度 ('2min' | '10min' | '1h')
+     * @param {string} granularity - 粒度 ('2min' | '10min' | '1h' | '1d' | '1w')
      * @param {Date} timestamp - 时间戳
      * @param {Array} contents - Gemini contents 数组（包含文本和图片 Part）
      */
@@ -48,7 +52,7 @@ class PromptLogger {
             // 将 contents 数组序列化为可读文本
             const textContent = this._serializeContents(contents, granularity, timestamp);
 
-            fs.writeFileSync(filePath, textContent, 'utf8');
+            this.cipher.writeFile(filePath, textContent);
             this.logger.debug(`[PromptLog] 已记录: ${granularity}/${this._formatDate(timestamp)}/${timeStr}.txt`);
         } catch (err) {
             // prompt 日志记录失败不影响主流程，仅打印警告
@@ -88,10 +92,10 @@ class PromptLogger {
             if (typeof part === 'string') {
                 return part;
             }
-            // 对象类型：可能是图片 Part（inlineData）
-            if (part && part.inlineData) {
-                const mimeType = part.inlineData.mimeType || 'unknown';
-                const dataLen = part.inlineData.data ? part.inlineData.data.length : 0;
+            // 对象类型：通用图片片段（见 providers/content-parts）
+            if (isImagePart(part)) {
+                const mimeType = part.mimeType || 'unknown';
+                const dataLen = part.data ? part.data.length : 0;
                 return `[图片: ${mimeType}, base64长度: ${dataLen}]`;
             }
             // 其他对象类型，JSON 序列化
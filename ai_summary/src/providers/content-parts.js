@@ -0,0 +1,71 @@
+/**
+ * 通用内容片段模块
+ * 定义与具体 LLM 提供方无关的消息格式，由各 provider 适配器自行转换为线上格式。
+ *
+ * contents 数组元素:
+ *   - string: 文本片段
+ *   - { type: 'image', mimeType: string, data: string }: 图片片段（data 为 base64）
+ */
+
+/**
+ * 构建通用图片片段
+ * @param {Buffer} imageBuffer - 图像数据
+ * @param {string} mimeType - MIME 类型
+ * @returns {{type: string, mimeType: string, data: string}} 图片片段
+ */
+function buildImagePart(imageBuffer, mimeType = 'image/jpeg') {
+    return {
+        type: 'image',
+        mimeType,
+        data: imageBuffer.toString('base64')
+    };
+}
+
+/**
+ * 判断片段是否为图片
+ * @param {*} part - 内容片段
+ * @returns {boolean}
+ */
+function isImagePart(part) {
+    return !!part && typeof part === 'object' && part.type === 'image';
+}
+
+// 图片格式名 → MIME 类型
+const MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+// 提供方未声明 imageTypes 时可直接发送的图片类型
+const DEFAULT_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * 将图片格式名转换为 MIME 类型
+ * @param {string} format - 图片格式 (jpeg/png/webp/avif)，未知时按 jpeg
+ * @returns {string} MIME 类型
+ */
+function mimeTypeForFormat(format) {
+    return MIME_TYPES[format] || 'image/jpeg';
+}
+
+/**
+ * 拼接 contents 中的所有文本片段
+ * @param {Array} contents - 通用 contents 数组
+ * @returns {string} 以换行连接的文本
+ */
+function joinTextParts(contents) {
+    return contents
+        .filter(part => typeof part === 'string')
+        .join('\n');
+}
+
+module.exports = {
+    buildImagePart,
+    isImagePart,
+    mimeTypeForFormat,
+    joinTextParts,
+    DEFAULT_IMAGE_TYPES
+};
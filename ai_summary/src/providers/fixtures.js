@@ -0,0 +1,103 @@
+/**
+ * LLM 请求夹具模块
+ * 供录制（record）与回放（replay）提供方共用：计算请求指纹、读写夹具文件
+ *
+ * 夹具文件: {fixtures.directory}/{序号4位}-{指纹前16位}.json
+ *   {
+ *     sequence, fingerprint, schema_key, recorded_at, provider, model,
+ *     request: { text_chars, text_preview, images: [{ mimeType, sha256, bytes }] },
+ *     response: { text, usageMetadata }
+ *   }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isImagePart } = require('./content-parts');
+
+/**
+ * 计算字符串的 sha256
+ * @param {string} value - 输入
+ * @returns {string} 十六进制摘要
+ */
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * 计算请求指纹
+ * 文本按原文参与、图片按内容摘要参与；schema_key 只由结构化输出 Schema 决定，
+ * 用于提示词变化后按粒度顺序回放
+ * @param {Array} contents - 通用 contents 数组
+ * @param {Object} [options] - generate() 的选项
+ * @returns {{fingerprint: string, schemaKey: string, request: Object}}
+ */
+function fingerprintRequest(contents, options = {}) {
+    const normalized = contents.map(part => {
+        if (isImagePart(part)) {
+            return { image: part.mimeType, sha256: sha256(part.data) };
+        }
+        return { text: String(part) };
+    });
+    const schemaKey = sha256(JSON.stringify(options.responseSchema || null)).slice(0, 16);
+    const fingerprint = sha256(JSON.stringify({ parts: normalized, schema: schemaKey }));
+
+    const joined = normalized.filter(p => p.text !== undefined).map(p => p.text).join('\n');
+    const images = [];
+    contents.forEach((part, index) => {
+        if (isImagePart(part)) {
+            images.push({
+                mimeType: part.mimeType,
+                sha256: normalized[index].sha256,
+                bytes: Buffer.from(part.data, 'base64').length
+            });
+        }
+    });
+
+    return {
+        fingerprint,
+        schemaKey,
+        request: {
+            text_chars: joined.length,
+            text_preview: joined.slice(0, 200),
+            images
+        }
+    };
+}
+
+/**
+ * 读取目录中的全部夹具，按录制序号升序
+ * @param {string} directory - 夹具目录
+ * @returns {Array<Object>}
+ */
+function loadFixtures(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .filter(f => f.endsWith('.json'))
+        .map(f => JSON.parse(fs.readFileSync(path.join(directory, f), 'utf8')))
+        .sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * 写入一条夹具
+ * @param {string} directory - 夹具目录
+ * @param {Object} fixture - 夹具内容（需含 sequence 与 fingerprint）
+ * @returns {string} 文件路径
+ */
+function writeFixture(directory, fixture) {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+    const fileName = `${String(fixture.sequence).padStart(4, '0')}-${fixture.fingerprint.slice(0, 16)}.json`;
+    const filePath = path.join(directory, fileName);
+    fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2), 'utf8');
+    return filePath;
+}
+
+module.exports = {
+    fingerprintRequest,
+    loadFixtures,
+    writeFixture
+};
@@ -0,0 +1,97 @@
+/**
+ * Gemini 提供方适配器
+ * 将通用 contents 转换为 @google/genai 的 Part 格式并调用 generateContent
+ */
+
+const { isImagePart } = require('./content-parts');
+
+class GeminiProvider {
+    /**
+     * 创建 Gemini 适配器
+     * @param {Object} config - Gemini 配置
+     * @param {string} config.api_key - API Key
+     * @param {string} config.model - 模型名称
+     * @param {Logger} logger - 日志模块
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - 请求超时（毫秒）
+     */
+    constructor(config, logger, options = {}) {
+        this.name = 'gemini';
+        this.model = config.model;
+        this.logger = logger;
+        // 可直接发送的图片类型（其余格式由 GeminiClient 转换为 JPEG）
+        this.imageTypes = ['image/jpeg', 'image/png', 'image/webp'];
+
+        // 延迟加载 SDK，选择其他提供方时无需安装 @google/genai
+        const { GoogleGenAI } = require('@google/genai');
+        const clientOptions = { apiKey: config.api_key };
+        if (options.timeoutMs) {
+            clientOptions.httpOptions = { timeout: options.timeoutMs };
+        }
+        this.genai = new GoogleGenAI(clientOptions);
+    }
+
+    /**
+     * 将通用 contents 转换为 Gemini Part 数组
+     * @param {Array} contents - 通用 contents 数组
+     * @returns {Array} Gemini contents 数组
+     */
+    _toGeminiContents(contents) {
+        return contents.map(part => {
+            if (isImagePart(part)) {
+                return {
+                    inlineData: {
+                        data: part.data,
+                        mimeType: part.mimeType
+                    }
+                };
+            }
+            return part;
+        });
+    }
+
+    /**
+     * 调用 Gemini 生成内容（单次，不含重试）
+     * @param {Array} contents - 通用 contents 数组
+     * @param {Object} [options]
+     * @param {Object} [options.responseSchema] - 结构化输出 JSON Schema
+     * @param {string} [options.model] - 本次使用的模型（默认为配置的模型）
+     * @param {number} [options.temperature] - 采样温度
+     * @param {number} [options.thinkingBudget] - 思考 token 预算（0 关闭，-1 由模型决定）
+     * @param {number} [options.maxOutputTokens] - 最大输出 token
+     * @returns {Promise<{text: string, usageMetadata: Object|null}>}
+     */
+    async generate(contents, options = {}) {
+        const request = {
+            model: options.model || this.model,
+            contents: this._toGeminiContents(contents)
+        };
+
+        const config = {};
+        if (options.responseSchema) {
+            config.responseMimeType = 'application/json';
+            config.responseJsonSchema = options.responseSchema;
+        }
+        if (typeof options.temperature === 'number') {
+            config.temperature = options.temperature;
+        }
+        if (typeof options.maxOutputTokens === 'number') {
+            config.maxOutputTokens = options.maxOutputTokens;
+        }
+        if (typeof options.thinkingBudget === 'number') {
+            config.thinkingConfig = { thinkingBudget: options.thinkingBudget };
+        }
+        if (Object.keys(config).length > 0) {
+            request.config = config;
+        }
+
+        const response = await this.genai.models.generateContent(request);
+
+        return {
+            text: response.text,
+            usageMetadata: response.usageMetadata || null
+        };
+    }
+}
+
+module.exports = GeminiProvider;
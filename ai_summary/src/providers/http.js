@@ -0,0 +1,58 @@
+/**
+ * HTTP 工具模块
+ * 供基于 REST 的提供方适配器（OpenAI 兼容 / Ollama）发送 JSON 请求
+ */
+
+/**
+ * 发送 JSON POST 请求
+ * 非 2xx 响应抛出带 status 字段的错误，便于上层区分错误类型
+ * @param {string} url - 请求地址
+ * @param {Object} body - 请求体
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - 额外请求头
+ * @param {number} [options.timeoutMs] - 超时时间（毫秒）
+ * @returns {Promise<Object>} 解析后的响应 JSON
+ * @throws {Error} 网络错误、超时或非 2xx 响应
+ */
+async function postJson(url, body, options = {}) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+    };
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: options.timeoutMs ? AbortSignal.timeout(options.timeoutMs) : undefined
+    });
+
+    const text = await response.text();
+
+    if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}: ${text.slice(0, 500)}`);
+        err.status = response.status;
+        err.headers = Object.fromEntries(response.headers.entries());
+        throw err;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (parseErr) {
+        throw new Error(`响应不是合法 JSON: ${parseErr.message}`);
+    }
+}
+
+/**
+ * 去掉 base_url 末尾的斜杠
+ * @param {string} baseUrl - 基础地址
+ * @returns {string}
+ */
+function trimBaseUrl(baseUrl) {
+    return String(baseUrl || '').replace(/\/+$/, '');
+}
+
+module.exports = {
+    postJson,
+    trimBaseUrl
+};
@@ -0,0 +1,75 @@
+/**
+ * LLM 提供方工厂
+ * 根据 llm.provider 配置创建对应的适配器实例
+ *
+ * 适配器统一接口:
+ *   name: string                       提供方标识
+ *   model: string                      模型名称
+ *   generate(contents, options) → Promise<{text, usageMetadata}>  单次调用（不含重试）
+ *     options.responseSchema: 结构化输出 JSON Schema（可选）
+ *     options.model / temperature / thinkingBudget / maxOutputTokens: 按粒度配置的模型与参数（可选，
+ *       未支持的参数由适配器忽略）
+ *
+ * record / replay 用于离线测试：record 包装 llm.fixtures.target 指定的真实提供方并录制夹具，
+ * replay 只读夹具、不访问网络
+ */
+
+const GeminiProvider = require('./gemini-provider');
+const OpenAIProvider = require('./openai-provider');
+const OllamaProvider = require('./ollama-provider');
+const RecordingProvider = require('./recording-provider');
+const ReplayProvider = require('./replay-provider');
+
+// 真实调用模型的提供方
+const BACKEND_PROVIDERS = ['gemini', 'openai', 'ollama'];
+
+// 支持的提供方列表
+const PROVIDERS = [...BACKEND_PROVIDERS, 'record', 'replay'];
+
+/**
+ * 创建 LLM 提供方适配器
+ * @param {Object} llmConfig - llm 配置段
+ * @param {string} llmConfig.provider - 提供方 (gemini/openai/ollama/record/replay)
+ * @param {number} [llmConfig.timeout] - 请求超时（秒）
+ * @param {Object} [llmConfig.openai] - OpenAI 兼容配置
+ * @param {Object} [llmConfig.ollama] - Ollama 配置
+ * @param {Object} [llmConfig.fixtures] - 录制/回放夹具配置（directory/target/match）
+ * @param {Object} geminiConfig - gemini 配置段（provider 为 gemini 时使用）
+ * @param {Logger} logger - 日志模块
+ * @returns {Object} 适配器实例
+ * @throws {Error} 未知的提供方
+ */
+function createProvider(llmConfig, geminiConfig, logger) {
+    const provider = (llmConfig && llmConfig.provider) || 'gemini';
+    const options = {
+        timeoutMs: llmConfig && llmConfig.timeout ? llmConfig.timeout * 1000 : undefined
+    };
+    const fixtures = (llmConfig && llmConfig.fixtures) || {};
+
+    switch (provider) {
+        case 'gemini':
+            return new GeminiProvider(geminiConfig, logger, options);
+        case 'openai':
+            return new OpenAIProvider(llmConfig.openai || {}, logger, options);
+        case 'ollama':
+            return new OllamaProvider(llmConfig.ollama || {}, logger, options);
+        case 'record': {
+            const target = fixtures.target || 'gemini';
+            if (!BACKEND_PROVIDERS.includes(target)) {
+                throw new Error(`llm.fixtures.target 必须是 ${BACKEND_PROVIDERS.join(', ')} 之一`);
+            }
+            const inner = createProvider({ ...llmConfig, provider: target }, geminiConfig, logger);
+            return new RecordingProvider(inner, fixtures, logger);
+        }
+        case 'replay':
+            return new ReplayProvider(fixtures, logger);
+        default:
+            throw new Error(`未知的 LLM 提供方: ${provider}（可选: ${PROVIDERS.join(', ')}）`);
+    }
+}
+
+module.exports = {
+    BACKEND_PROVIDERS,
+    PROVIDERS,
+    createProvider
+};
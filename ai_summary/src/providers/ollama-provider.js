@@ -0,0 +1,87 @@
+/**
+ * Ollama 提供方适配器
+ * 调用本地 Ollama 服务的 /api/chat 接口，截图不离开本机
+ */
+
+const { isImagePart, joinTextParts } = require('./content-parts');
+const { postJson, trimBaseUrl } = require('./http');
+
+class OllamaProvider {
+    /**
+     * 创建 Ollama 适配器
+     * @param {Object} config - Ollama 配置
+     * @param {string} config.base_url - Ollama 服务地址（如 http://localhost:11434）
+     * @param {string} config.model - 模型名称（需支持视觉输入，如 qwen2.5vl）
+     * @param {Logger} logger - 日志模块
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - 请求超时（毫秒）
+     */
+    constructor(config, logger, options = {}) {
+        this.name = 'ollama';
+        this.model = config.model;
+        this.baseUrl = trimBaseUrl(config.base_url);
+        this.timeoutMs = options.timeoutMs;
+        this.logger = logger;
+        // 可直接发送的图片类型（视觉模型的图片解码通常只支持 JPEG/PNG，其余格式由 GeminiClient 转换为 JPEG）
+        this.imageTypes = ['image/jpeg', 'image/png'];
+    }
+
+    /**
+     * 调用 /api/chat 生成内容（单次，不含重试）
+     * Ollama 的消息格式不支持图文交错，文本按顺序拼接，图片统一放入 images 字段
+     * @param {Array} contents - 通用 contents 数组
+     * @param {Object} [options]
+     * @param {Object} [options.responseSchema] - 结构化输出 JSON Schema（通过 format 字段传入）
+     * @param {string} [options.model] - 本次使用的模型（默认为配置的模型）
+     * @param {number} [options.temperature] - 采样温度
+     * @param {number} [options.maxOutputTokens] - 最大输出 token（映射为 num_predict）
+     * @returns {Promise<{text: string, usageMetadata: Object|null}>}
+     */
+    async generate(contents, options = {}) {
+        const images = contents.filter(isImagePart).map(part => part.data);
+        const message = {
+            role: 'user',
+            content: joinTextParts(contents)
+        };
+        if (images.length > 0) {
+            message.images = images;
+        }
+
+        const body = {
+            model: options.model || this.model,
+            messages: [message],
+            stream: false
+        };
+        if (options.responseSchema) {
+            body.format = options.responseSchema;
+        }
+
+        const modelOptions = {};
+        if (typeof options.temperature === 'number') {
+            modelOptions.temperature = options.temperature;
+        }
+        if (typeof options.maxOutputTokens === 'number') {
+            modelOptions.num_predict = options.maxOutputTokens;
+        }
+        if (Object.keys(modelOptions).length > 0) {
+            body.options = modelOptions;
+        }
+
+        const data = await postJson(`${this.baseUrl}/api/chat`, body, { timeoutMs: this.timeoutMs });
+
+        const text = data.message ? data.message.content : '';
+        const promptTokens = data.prompt_eval_count || 0;
+        const outputTokens = data.eval_count || 0;
+
+        return {
+            text: typeof text === 'string' ? text : '',
+            usageMetadata: {
+                promptTokenCount: promptTokens,
+                candidatesTokenCount: outputTokens,
+                totalTokenCount: promptTokens + outputTokens
+            }
+        };
+    }
+}
+
+module.exports = OllamaProvider;
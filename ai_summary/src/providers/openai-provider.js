@@ -0,0 +1,117 @@
+/**
+ * OpenAI 兼容提供方适配器
+ * 适用于任意实现 /chat/completions 接口的服务（OpenAI、Azure 网关、vLLM、LM Studio 等）
+ */
+
+const { isImagePart } = require('./content-parts');
+const { postJson, trimBaseUrl } = require('./http');
+
+class OpenAIProvider {
+    /**
+     * 创建 OpenAI 兼容适配器
+     * @param {Object} config - OpenAI 兼容配置
+     * @param {string} config.base_url - 接口基础地址（如 https://api.openai.com/v1）
+     * @param {string} [config.api_key] - API Key（本地服务可留空）
+     * @param {string} config.model - 模型名称
+     * @param {Logger} logger - 日志模块
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - 请求超时（毫秒）
+     */
+    constructor(config, logger, options = {}) {
+        this.name = 'openai';
+        this.model = config.model;
+        this.baseUrl = trimBaseUrl(config.base_url);
+        this.apiKey = config.api_key || '';
+        this.timeoutMs = options.timeoutMs;
+        this.logger = logger;
+        // 可直接发送的图片类型（其余格式由 GeminiClient 转换为 JPEG）
+        this.imageTypes = ['image/jpeg', 'image/png', 'image/webp'];
+    }
+
+    /**
+     * 将通用 contents 转换为 chat message content 数组
+     * @param {Array} contents - 通用 contents 数组
+     * @returns {Array<Object>} content parts
+     */
+    _toMessageContent(contents) {
+        return contents.map(part => {
+            if (isImagePart(part)) {
+                return {
+                    type: 'image_url',
+                    image_url: { url: `data:${part.mimeType};base64,${part.data}` }
+                };
+            }
+            return { type: 'text', text: String(part) };
+        });
+    }
+
+    /**
+     * 将 OpenAI usage 转换为 TokenTracker 使用的 usageMetadata 格式
+     * @param {Object|undefined} usage - OpenAI usage 对象
+     * @returns {Object|null}
+     */
+    _toUsageMetadata(usage) {
+        if (!usage) {
+            return null;
+        }
+        const details = usage.completion_tokens_details || {};
+        return {
+            promptTokenCount: usage.prompt_tokens || 0,
+            candidatesTokenCount: usage.completion_tokens || 0,
+            thoughtsTokenCount: details.reasoning_tokens || 0,
+            totalTokenCount: usage.total_tokens || 0
+        };
+    }
+
+    /**
+     * 调用 chat/completions 生成内容（单次，不含重试）
+     * @param {Array} contents - 通用 contents 数组
+     * @param {Object} [options]
+     * @param {Object} [options.responseSchema] - 结构化输出 JSON Schema
+     * @param {string} [options.model] - 本次使用的模型（默认为配置的模型）
+     * @param {number} [options.temperature] - 采样温度
+     * @param {number} [options.maxOutputTokens] - 最大输出 token（映射为 max_tokens）
+     * @returns {Promise<{text: string, usageMetadata: Object|null}>}
+     */
+    async generate(contents, options = {}) {
+        const headers = {};
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: options.model || this.model,
+            messages: [
+                { role: 'user', content: this._toMessageContent(contents) }
+            ]
+        };
+        if (typeof options.temperature === 'number') {
+            body.temperature = options.temperature;
+        }
+        if (typeof options.maxOutputTokens === 'number') {
+            body.max_tokens = options.maxOutputTokens;
+        }
+        if (options.responseSchema) {
+            // strict 模式要求所有字段 required 且禁止额外字段，这里只做约束提示，最终以本地校验为准
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'summary', schema: options.responseSchema, strict: false }
+            };
+        }
+
+        const data = await postJson(`${this.baseUrl}/chat/completions`, body, {
+            headers,
+            timeoutMs: this.timeoutMs
+        });
+
+        const choice = Array.isArray(data.choices) ? data.choices[0] : null;
+        const text = choice && choice.message ? choice.message.content : '';
+
+        return {
+            text: typeof text === 'string' ? text : '',
+            usageMetadata: this._toUsageMetadata(data.usage)
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
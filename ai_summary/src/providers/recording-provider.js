@@ -0,0 +1,59 @@
+/**
+ * 录制提供方适配器
+ * 包装真实提供方，每次成功调用后将请求指纹与响应写入夹具文件，供 replay 提供方离线回放
+ */
+
+const { fingerprintRequest, loadFixtures, writeFixture } = require('./fixtures');
+
+class RecordingProvider {
+    /**
+     * 创建录制适配器
+     * @param {Object} inner - 被包装的真实提供方（gemini/openai/ollama）
+     * @param {Object} config - 夹具配置
+     * @param {string} config.directory - 夹具目录
+     * @param {Logger} logger - 日志模块
+     */
+    constructor(inner, config, logger) {
+        this.name = 'record';
+        this.inner = inner;
+        this.model = inner.model;
+        this.imageTypes = inner.imageTypes;
+        this.directory = config.directory;
+        this.logger = logger;
+
+        // 续接目录中已有夹具的序号
+        const existing = loadFixtures(this.directory);
+        this.sequence = existing.length > 0 ? existing[existing.length - 1].sequence : 0;
+    }
+
+    /**
+     * 调用真实提供方并录制结果（失败不录制）
+     * @param {Array} contents - 通用 contents 数组
+     * @param {Object} [options] - 透传给真实提供方
+     * @returns {Promise<{text: string, usageMetadata: Object|null}>}
+     */
+    async generate(contents, options = {}) {
+        const result = await this.inner.generate(contents, options);
+        const { fingerprint, schemaKey, request } = fingerprintRequest(contents, options);
+
+        this.sequence++;
+        const filePath = writeFixture(this.directory, {
+            sequence: this.sequence,
+            fingerprint,
+            schema_key: schemaKey,
+            recorded_at: new Date().toISOString(),
+            provider: this.inner.name,
+            model: options.model || this.inner.model,
+            request,
+            response: {
+                text: result.text,
+                usageMetadata: result.usageMetadata || null
+            }
+        });
+        this.logger.debug(`[录制] 已写入夹具: ${filePath}`);
+
+        return result;
+    }
+}
+
+module.exports = RecordingProvider;
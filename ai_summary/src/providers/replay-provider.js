@@ -0,0 +1,85 @@
+/**
+ * 回放提供方适配器
+ * 从夹具目录读取录制的响应，按请求指纹返回，不访问网络、不需要 API Key
+ *
+ * 匹配方式（fixtures.match）:
+ *   exact  只接受指纹完全一致的夹具，未命中即报错（用于发现提示词漂移）
+ *   loose  先按指纹匹配，未命中时取同一 Schema（即同一粒度）下一条未用过的夹具，
+ *          便于修改提示词或聚合逻辑后继续离线跑通流程
+ */
+
+const { fingerprintRequest, loadFixtures } = require('./fixtures');
+
+class ReplayProvider {
+    /**
+     * 创建回放适配器
+     * @param {Object} config - 夹具配置
+     * @param {string} config.directory - 夹具目录
+     * @param {string} [config.match='exact'] - 匹配方式 (exact/loose)
+     * @param {Logger} logger - 日志模块
+     */
+    constructor(config, logger) {
+        this.name = 'replay';
+        this.directory = config.directory;
+        this.match = config.match || 'exact';
+        this.logger = logger;
+        // 与在线提供方一致，WebP 按原格式参与指纹
+        this.imageTypes = ['image/jpeg', 'image/png', 'image/webp'];
+
+        this.fixtures = loadFixtures(this.directory);
+        this.model = this.fixtures.length > 0 ? this.fixtures[0].model : 'replay';
+        this._used = new Set();
+
+        // 回放统计
+        this.stats = { exact: 0, fallback: 0, missed: 0 };
+    }
+
+    /**
+     * 查找第一条满足条件且未使用过的夹具
+     * @param {Function} predicate - 过滤条件
+     * @returns {Object|undefined}
+     */
+    _take(predicate) {
+        const fixture = this.fixtures.find(f => !this._used.has(f.sequence) && predicate(f));
+        if (fixture) {
+            this._used.add(fixture.sequence);
+        }
+        return fixture;
+    }
+
+    /**
+     * 回放一次调用
+     * @param {Array} contents - 通用 contents 数组
+     * @param {Object} [options] - generate() 选项（参与指纹计算）
+     * @returns {Promise<{text: string, usageMetadata: Object|null}>}
+     * @throws {Error} code 为 FIXTURE_MISSING 的错误（未找到匹配夹具）
+     */
+    async generate(contents, options = {}) {
+        const { fingerprint, schemaKey } = fingerprintRequest(contents, options);
+
+        let fixture = this._take(f => f.fingerprint === fingerprint);
+        if (fixture) {
+            this.stats.exact++;
+        } else if (this.match === 'loose') {
+            fixture = this._take(f => f.schema_key === schemaKey);
+            if (fixture) {
+                this.stats.fallback++;
+                this.logger.warn(`[回放] 指纹未命中，按顺序使用夹具 #${fixture.sequence}（请求内容已与录制时不同）`);
+            }
+        }
+
+        if (!fixture) {
+            this.stats.missed++;
+            const err = new Error(`回放夹具缺失: ${fingerprint.slice(0, 16)}（目录: ${this.directory}）`);
+            err.code = 'FIXTURE_MISSING';
+            throw err;
+        }
+
+        return {
+            text: fixture.response.text,
+            usageMetadata: fixture.response.usageMetadata || null
+        };
+    }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,389 @@
+/**
+ * 数据保留模块
+ * 服务运行期间定期按 summary.retention 清理总结目录下持续增长的数据:
+ *
+ *   总结          {YYYY-MM-DD}/{粒度}/        超过该粒度保留天数的日期删除（未配置的粒度永久保留）
+ *   prompt 日志   prompt-logs/{YYYY-MM-DD}/   超过 archive_after_days 天按日压缩为 prompt-logs/{YYYY-MM-DD}.jsonl.gz，
+ *                                             归档超过 delete_after_days 天删除
+ *   token 统计    token-stats/{YYYY-MM-DD}.json 超过保留天数删除（当月文件供预算汇总，始终保留）
+ *
+ * 归档格式: gzip 压缩的 JSON Lines，每行 { file: '2min/10-02.txt', content }；
+ * 开启 encryption 时整个归档加密保存，压缩前先解密各日志（密文无法压缩）。
+ *
+ * 每次清理的结果写入 {summary.directory}/retention-state.json（明文，不含窗口内容，供 Electron 仪表盘展示）
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const FileCipher = require('./file-cipher');
+
+// 日期目录 / 日期文件名
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// prompt 日志归档后缀
+const ARCHIVE_SUFFIX = '.jsonl.gz';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionManager {
+    /**
+     * 创建数据保留管理器
+     * @param {Object} config - 总结配置
+     * @param {string} config.directory - 总结输出目录
+     * @param {Object} config.retention - 保留策略（summary.retention）
+     * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器（读取加密的 prompt 日志，归档按配置加密）
+     */
+    constructor(config, logger, cipher = null) {
+        this.logger = logger;
+        this.cipher = cipher || new FileCipher();
+        this.retention = config.retention || {};
+
+        this.baseDirectory = path.isAbsolute(config.directory)
+            ? config.directory
+            : path.resolve(process.cwd(), config.directory);
+        this.promptLogDir = path.join(this.baseDirectory, 'prompt-logs');
+        this.tokenStatsDir = path.join(this.baseDirectory, 'token-stats');
+        this.stateFile = path.join(this.baseDirectory, 'retention-state.json');
+
+        this.timer = null;
+    }
+
+    /**
+     * 立即清理一次，之后每 interval_hours 小时清理一次（未启用时不做任何事）
+     */
+    start() {
+        if (!this.retention.enabled) {
+            this.logger.info('[数据保留] 未启用');
+            return;
+        }
+        this.timer = setInterval(() => this._runSafely(), this.retention.interval_hours * 60 * 60 * 1000);
+        this.logger.info(`[数据保留] 已启动，每 ${this.retention.interval_hours} 小时清理一次`);
+        this._runSafely();
+    }
+
+    /**
+     * 停止定期清理
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 执行清理，异常只记录日志（后台任务不影响总结服务）
+     */
+    _runSafely() {
+        try {
+            this.run();
+        } catch (err) {
+            this.logger.error(`[数据保留] 清理失败: ${err.message}`);
+        }
+    }
+
+    /**
+     * 按保留策略清理一次并写入状态快照
+     * @param {Date} [now] - 当前时间
+     * @returns {Object} 清理结果（即 retention-state.json 的内容）
+     */
+    run(now = new Date()) {
+        const startedAt = Date.now();
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        const result = {
+            ran_at: now.toISOString(),
+            // 定期清理运行中时为下次清理时间
+            next_run_at: this.timer
+                ? new Date(now.getTime() + this.retention.interval_hours * 60 * 60 * 1000).toISOString()
+                : null,
+            policy: {
+                summaries: { ...(this.retention.summaries || {}) },
+                prompt_logs: { ...(this.retention.prompt_logs || {}) },
+                token_stats: { ...(this.retention.token_stats || {}) }
+            },
+            summaries: {},
+            prompt_logs: { archived_dates: 0, archived_files: 0, deleted_archives: 0 },
+            token_stats: { deleted_files: 0 },
+            freed_bytes: 0,
+            errors: []
+        };
+
+        this._cleanSummaries(today, result);
+        this._archivePromptLogs(today, result);
+        this._cleanTokenStats(today, result);
+
+        result.duration_ms = Date.now() - startedAt;
+        this._persist(result);
+
+        const deletedSummaries = Object.values(result.summaries).reduce((sum, item) => sum + item.deleted_files, 0);
+        this.logger.info(
+            `[数据保留] 完成: 删除总结 ${deletedSummaries} 个，归档 prompt 日志 ${result.prompt_logs.archived_dates} 天（${result.prompt_logs.archived_files} 个），` +
+            `删除归档 ${result.prompt_logs.deleted_archives} 个，删除 token 统计 ${result.token_stats.deleted_files} 个，` +
+            `释放 ${(result.freed_bytes / 1024 / 1024).toFixed(1)} MB`
+        );
+        return result;
+    }
+
+    /**
+     * 删除超过保留天数的总结（按粒度）
+     * @param {Date} today - 当天 00:00
+     * @param {Object} result - 清理结果（原地累加）
+     */
+    _cleanSummaries(today, result) {
+        const policies = Object.entries(this.retention.summaries || {}).filter(([, days]) => days > 0);
+        if (policies.length === 0) {
+            return;
+        }
+        for (const [granularity] of policies) {
+            result.summaries[granularity] = { deleted_dates: 0, deleted_files: 0 };
+        }
+
+        for (const date of this._listDates(this.baseDirectory)) {
+            const age = this._ageInDays(date, today);
+            const dateDir = path.join(this.baseDirectory, date);
+            for (const [granularity, days] of policies) {
+                const dir = path.join(dateDir, granularity);
+                if (age < days || !fs.existsSync(dir)) {
+                    continue;
+                }
+                try {
+                    const usage = this._measure(dir);
+                    fs.rmSync(dir, { recursive: true, force: true });
+                    result.summaries[granularity].deleted_dates++;
+                    result.summaries[granularity].deleted_files += usage.files;
+                    result.freed_bytes += usage.bytes;
+                    this.logger.debug(`[数据保留] 删除总结: ${date}/${granularity}（${usage.files} 个）`);
+                } catch (err) {
+                    this._recordError(result, `删除总结失败 ${date}/${granularity}: ${err.message}`);
+                }
+            }
+            this._removeIfEmpty(dateDir);
+        }
+    }
+
+    /**
+     * 将超过 archive_after_days 天的 prompt 日志按日压缩归档，删除超过 delete_after_days 天的归档
+     * @param {Date} today - 当天 00:00
+     * @param {Object} result - 清理结果（原地累加）
+     */
+    _archivePromptLogs(today, result) {
+        const { archive_after_days: archiveAfter, delete_after_days: deleteAfter } = this.retention.prompt_logs || {};
+        if (!fs.existsSync(this.promptLogDir)) {
+            return;
+        }
+
+        for (const date of this._listDates(this.promptLogDir)) {
+            if (this._ageInDays(date, today) < archiveAfter) {
+                continue;
+            }
+            try {
+                const archived = this._archiveDay(date);
+                result.prompt_logs.archived_dates++;
+                result.prompt_logs.archived_files += archived.files;
+                result.freed_bytes += archived.freed;
+            } catch (err) {
+                this._recordError(result, `归档 prompt 日志失败 ${date}: ${err.message}`);
+            }
+        }
+
+        if (!deleteAfter) {
+            return;
+        }
+        for (const file of fs.readdirSync(this.promptLogDir)) {
+            const date = file.endsWith(ARCHIVE_SUFFIX) ? file.slice(0, -ARCHIVE_SUFFIX.length) : null;
+            if (!date || !DATE_PATTERN.test(date) || this._ageInDays(date, today) < deleteAfter) {
+                continue;
+            }
+            const filePath = path.join(this.promptLogDir, file);
+            try {
+                const size = fs.statSync(filePath).size;
+                fs.unlinkSync(filePath);
+                result.prompt_logs.deleted_archives++;
+                result.freed_bytes += size;
+            } catch (err) {
+                this._recordError(result, `删除 prompt 日志归档失败 ${file}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * 压缩一天的 prompt 日志（已有归档时合并），成功后删除原日志目录
+     * @param {string} date - 日期 YYYY-MM-DD
+     * @returns {{files: number, freed: number}} 归档的日志数与释放的字节数
+     * @throws {Error} 读取（解密）或写入失败，原日志保持不变
+     */
+    _archiveDay(date) {
+        const dayDir = path.join(this.promptLogDir, date);
+        const archivePath = path.join(this.promptLogDir, `${date}${ARCHIVE_SUFFIX}`);
+
+        const entries = fs.existsSync(archivePath) ? this.readPromptArchive(archivePath) : [];
+        const previousSize = fs.existsSync(archivePath) ? fs.statSync(archivePath).size : 0;
+        const usage = this._measure(dayDir);
+
+        for (const granularity of fs.readdirSync(dayDir, { withFileTypes: true })) {
+            if (!granularity.isDirectory()) continue;
+            const dir = path.join(dayDir, granularity.name);
+            for (const file of fs.readdirSync(dir).sort()) {
+                if (path.extname(file) !== '.txt') continue;
+                entries.push({
+                    file: `${granularity.name}/${file}`,
+                    content: this.cipher.readText(path.join(dir, file))
+                });
+            }
+        }
+
+        const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+        const tmpPath = `${archivePath}.tmp`;
+        this.cipher.writeFile(tmpPath, zlib.gzipSync(lines));
+        fs.renameSync(tmpPath, archivePath);
+        fs.rmSync(dayDir, { recursive: true, force: true });
+
+        const archiveSize = fs.statSync(archivePath).size;
+        this.logger.debug(`[数据保留] 归档 prompt 日志: ${date}（${usage.files} 个，${usage.bytes} → ${archiveSize - previousSize} 字节）`);
+        return { files: usage.files, freed: Math.max(0, usage.bytes - (archiveSize - previousSize)) };
+    }
+
+    /**
+     * 读取 prompt 日志归档
+     * @param {string} archivePath - 归档路径 prompt-logs/{YYYY-MM-DD}.jsonl.gz
+     * @returns {Array<{file: string, content: string}>} 按写入顺序
+     * @throws {Error} 解密或解压失败
+     */
+    readPromptArchive(archivePath) {
+        const text = zlib.gunzipSync(this.cipher.readFile(archivePath)).toString('utf8');
+        return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+
+    /**
+     * 删除超过保留天数的 token 统计（当月文件始终保留）
+     * @param {Date} today - 当天 00:00
+     * @param {Object} result - 清理结果（原地累加）
+     */
+    _cleanTokenStats(today, result) {
+        const days = (this.retention.token_stats || {}).delete_after_days;
+        if (!days || !fs.existsSync(this.tokenStatsDir)) {
+            return;
+        }
+        const month = this._formatDate(today).slice(0, 7);
+
+        for (const file of fs.readdirSync(this.tokenStatsDir)) {
+            const date = path.basename(file, '.json');
+            if (path.extname(file) !== '.json' || !DATE_PATTERN.test(date) ||
+                date.startsWith(month) || this._ageInDays(date, today) < days) {
+                continue;
+            }
+            const filePath = path.join(this.tokenStatsDir, file);
+            try {
+                const size = fs.statSync(filePath).size;
+                fs.unlinkSync(filePath);
+                result.token_stats.deleted_files++;
+                result.freed_bytes += size;
+            } catch (err) {
+                this._recordError(result, `删除 token 统计失败 ${file}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * 写入状态快照
+     * @param {Object} result - 清理结果
+     */
+    _persist(result) {
+        try {
+            fs.mkdirSync(this.baseDirectory, { recursive: true });
+            fs.writeFileSync(this.stateFile, JSON.stringify(result, null, 2));
+        } catch (err) {
+            this.logger.warn(`[数据保留] 写入状态失败: ${err.message}`);
+        }
+    }
+
+    /**
+     * 记录一条错误（写入结果并打印日志）
+     * @param {Object} result - 清理结果
+     * @param {string} message - 错误信息
+     */
+    _recordError(result, message) {
+        result.errors.push(message);
+        this.logger.error(`[数据保留] ${message}`);
+    }
+
+    /**
+     * 列出目录下的日期目录
+     * @param {string} dir - 目录
+     * @returns {Array<string>} 日期 YYYY-MM-DD，升序
+     */
+    _listDates(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && DATE_PATTERN.test(entry.name))
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    /**
+     * 计算日期距今天数
+     * @param {string} date - 日期 YYYY-MM-DD
+     * @param {Date} today - 当天 00:00
+     * @returns {number}
+     */
+    _ageInDays(date, today) {
+        const [year, month, day] = date.split('-').map(Number);
+        return Math.round((today.getTime() - new Date(year, month - 1, day).getTime()) / DAY_MS);
+    }
+
+    /**
+     * 统计目录下的文件数与字节数
+     * @param {string} dir
+     * @returns {{files: number, bytes: number}}
+     */
+    _measure(dir) {
+        let files = 0;
+        let bytes = 0;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                const usage = this._measure(fullPath);
+                files += usage.files;
+                bytes += usage.bytes;
+            } else if (entry.isFile()) {
+                files++;
+                bytes += fs.statSync(fullPath).size;
+            }
+        }
+        return { files, bytes };
+    }
+
+    /**
+     * 目录为空时删除
+     * @param {string} dir
+     */
+    _removeIfEmpty(dir) {
+        try {
+            if (fs.readdirSync(dir).length === 0) {
+                fs.rmdirSync(dir);
+            }
+        } catch {
+            // 目录不存在或非空时忽略
+        }
+    }
+
+    /**
+     * 格式化日期为 YYYY-MM-DD
+     * @param {Date} date
+     * @returns {string}
+     */
+    _formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+}
+
+module.exports = RetentionManager;
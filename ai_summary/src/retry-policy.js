@@ -0,0 +1,121 @@
+/**
+ * 重试策略模块
+ * 对 LLM 调用错误分类，决定是否重试以及等待多久
+ *
+ * 错误类型:
+ *   rate_limit  429 / RESOURCE_EXHAUSTED，可重试，优先采用服务端给出的等待时间
+ *   server      5xx，可重试
+ *   network     连接失败 / 超时，可重试
+ *   empty       返回空响应，可重试
+ *   auth        401 / 403，不重试
+ *   invalid     400 / 404 / 413 / 422 等请求本身的问题、回放夹具缺失，不重试
+ */
+
+// 视为网络层可重试错误的 Node/undici 错误码
+const NETWORK_ERROR_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT',
+    'EPIPE', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT'
+];
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期）
+ * @param {string|undefined} value - 头部取值
+ * @returns {number|null} 等待毫秒数
+ */
+function parseRetryAfterHeader(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+    return null;
+}
+
+/**
+ * 从错误中提取服务端建议的等待时间
+ * 支持 HTTP Retry-After 头，以及 Gemini 错误体中 RetryInfo 的 "retryDelay": "37s"
+ * @param {Error} err - 错误对象
+ * @returns {number|null} 等待毫秒数
+ */
+function getRetryAfterMs(err) {
+    const headers = err.headers || {};
+    const fromHeader = parseRetryAfterHeader(headers['retry-after']);
+    if (fromHeader !== null) {
+        return fromHeader;
+    }
+
+    const match = String(err.message || '').match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/);
+    if (match) {
+        return Math.round(parseFloat(match[1]) * 1000);
+    }
+    return null;
+}
+
+/**
+ * 对 LLM 调用错误分类
+ * @param {Error} err - 错误对象（HTTP 错误带 status 字段）
+ * @returns {{kind: string, retryable: boolean, retryAfterMs: number|null}}
+ */
+function classifyError(err) {
+    const status = typeof err.status === 'number' ? err.status : null;
+    const message = String(err.message || '');
+
+    if (status === 429 || /RESOURCE_EXHAUSTED/.test(message)) {
+        return { kind: 'rate_limit', retryable: true, retryAfterMs: getRetryAfterMs(err) };
+    }
+    if (status === 401 || status === 403 || /API_KEY_INVALID|PERMISSION_DENIED|UNAUTHENTICATED/.test(message)) {
+        return { kind: 'auth', retryable: false, retryAfterMs: null };
+    }
+    if (status !== null && status >= 500) {
+        return { kind: 'server', retryable: true, retryAfterMs: getRetryAfterMs(err) };
+    }
+    if (status !== null && status >= 400) {
+        // 408 请求超时按网络错误处理，其余 4xx 属于请求本身的问题
+        if (status === 408) {
+            return { kind: 'network', retryable: true, retryAfterMs: null };
+        }
+        return { kind: 'invalid', retryable: false, retryAfterMs: null };
+    }
+    if (err.code === 'EMPTY_RESPONSE') {
+        return { kind: 'empty', retryable: true, retryAfterMs: null };
+    }
+    if (err.code === 'FIXTURE_MISSING') {
+        // 回放夹具缺失，重试也不会命中
+        return { kind: 'invalid', retryable: false, retryAfterMs: null };
+    }
+
+    // 无 HTTP 状态码：超时、连接失败等网络层错误
+    const code = err.code || (err.cause && err.cause.code);
+    if (err.name === 'TimeoutError' || err.name === 'AbortError' ||
+        NETWORK_ERROR_CODES.includes(code) || /fetch failed|timed? ?out/i.test(message)) {
+        return { kind: 'network', retryable: true, retryAfterMs: null };
+    }
+
+    // 未知错误保持原有行为：允许重试
+    return { kind: 'unknown', retryable: true, retryAfterMs: null };
+}
+
+/**
+ * 计算带抖动的指数退避等待时间
+ * 第 n 次重试的上限为 baseMs * 2^(n-1)，实际等待在 [上限/2, 上限] 之间随机
+ * @param {number} attempt - 已失败次数（从 1 开始）
+ * @param {number} baseMs - 基础等待毫秒数
+ * @param {number} maxMs - 最大等待毫秒数
+ * @returns {number} 等待毫秒数
+ */
+function computeBackoff(attempt, baseMs, maxMs) {
+    const ceiling = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+module.exports = {
+    classifyError,
+    computeBackoff,
+    getRetryAfterMs
+};
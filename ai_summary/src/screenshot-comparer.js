@@ -1,16 +1,38 @@
 /**
  * 截图比对器模块
- * 比较一组截图是否完全一致，用于检测屏幕无变化。
- * 使用 Buffer.equals() 进行逐字节精确比对。
+ * 比较一组截图是否无明显变化，用于检测屏幕无变化，并为每张截图打变化分数。
+ *
+ * 比对方式（summary.comparison.method）:
+ *   exact       Buffer.equals() 逐字节精确比对
+ *   perceptual  缩放为灰度图后比较差异哈希（dHash）与变化像素占比，
+ *               忽略区域（如菜单栏时钟）不参与比对，光标闪烁与 JPEG 重新编码噪声不算变化
  */
 
+const sharp = require('sharp');
+
+// dHash 采样网格：9x8，每行相邻格比较得到 64 位
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+
 class ScreenshotComparer {
     /**
      * 创建截图比对器
+     * @param {Object} config - summary.comparison 配置段
+     * @param {string} config.method - exact / perceptual
+     * @param {number} config.hash_distance - dHash 汉明距离不超过该值视为相似（0-64）
+     * @param {number} config.pixel_threshold - 灰度差超过该值的像素计为变化（0-255）
+     * @param {number} config.change_ratio - 变化像素占比不超过该值视为相似（0-1）
+     * @param {number} config.sample_width - 比对前缩放到的宽度（像素）
+     * @param {Array<{x: number, y: number, width: number, height: number}>} config.ignore_regions - 忽略区域（相对图像宽高的比例）
      * @param {Logger} logger - 日志模块
      */
-    constructor(logger) {
+    constructor(config, logger) {
+        this.config = config || {};
+        this.method = this.config.method || 'exact';
         this.logger = logger;
+
+        // 忽略区域掩码按缩放后的尺寸缓存
+        this._masks = new Map();
     }
 
     /**
@@ -38,20 +60,269 @@ class ScreenshotComparer {
     }
 
     /**
-     * 生成 2 分钟级别的"无变化"模板记录
+     * 比对一组截图，为每张截图写入 changeScore，并判断屏幕是否无变化
+     * changeScore 为与前一张相比的变化程度（0-1，第一张为 null）：perceptual 模式为变化像素占比，exact 模式相同为 0、不同为 1
+     * 是否无变化以第一张为基准判断，避免逐张的细微变化（如持续输入）累积后被忽略
+     * 截图来自多个显示器（monitor 不同）时各显示器分别比对，全部无变化才判定为无变化
+     * @param {Array<{buffer: Buffer, timestamp: Date, monitor?: number}>} screenshots - 截图数据数组（按时间排序）
+     * @returns {Promise<boolean>} true 表示所有截图与同一显示器的第一张相比均无明显变化
+     */
+    async analyze(screenshots) {
+        if (!screenshots || screenshots.length === 0) {
+            return false;
+        }
+
+        const groups = new Map();
+        for (const shot of screenshots) {
+            const key = shot.monitor === undefined ? 0 : shot.monitor;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(shot);
+        }
+        if (groups.size <= 1) {
+            return this._analyzeGroup(screenshots);
+        }
+
+        // 每个显示器都要打分，不能在第一个有变化的显示器处停止
+        let unchanged = true;
+        for (const group of groups.values()) {
+            if (!(await this._analyzeGroup(group))) {
+                unchanged = false;
+            }
+        }
+        return unchanged;
+    }
+
+    /**
+     * 比对同一显示器的一组截图
+     * @param {Array<{buffer: Buffer, timestamp: Date}>} screenshots - 截图数据数组（按时间排序）
+     * @returns {Promise<boolean>} true 表示无明显变化
+     */
+    async _analyzeGroup(screenshots) {
+        if (this.method === 'perceptual') {
+            try {
+                return await this._analyzePerceptual(screenshots);
+            } catch (err) {
+                this.logger.warn(`[截图比对] 感知比对失败，改用逐字节比对: ${err.message}`);
+            }
+        }
+
+        screenshots.forEach((shot, i) => {
+            shot.changeScore = i === 0 ? null : (shot.buffer.equals(screenshots[i - 1].buffer) ? 0 : 1);
+        });
+        return this.allIdentical(screenshots);
+    }
+
+    /**
+     * 感知比对：逐张计算签名，相邻两张的变化像素占比作为变化分数
+     * @param {Array<{buffer: Buffer, timestamp: Date}>} screenshots - 截图数据数组
+     * @returns {Promise<boolean>} true 表示无明显变化
+     */
+    async _analyzePerceptual(screenshots) {
+        // 逐张处理，避免多张大图同时解码占用内存
+        const signatures = [];
+        for (const shot of screenshots) {
+            signatures.push(await this._signature(shot.buffer));
+        }
+
+        let unchanged = screenshots.length > 1;
+        let maxRatio = 0;
+        let maxDistance = 0;
+        screenshots.forEach((shot, i) => {
+            if (i === 0) {
+                shot.changeScore = null;
+                return;
+            }
+            shot.changeScore = this._round(this._diffRatio(signatures[i - 1], signatures[i]));
+
+            const ratio = this._diffRatio(signatures[0], signatures[i]);
+            const distance = this._hashDistance(signatures[0], signatures[i]);
+            maxRatio = Math.max(maxRatio, ratio);
+            maxDistance = Math.max(maxDistance, distance);
+            if (ratio > this.config.change_ratio || distance > this.config.hash_distance) {
+                unchanged = false;
+            }
+        });
+
+        if (unchanged) {
+            this.logger.info(`[截图比对] ${screenshots.length} 张截图无明显变化` +
+                `（最大变化像素占比 ${this._round(maxRatio)}，最大哈希距离 ${maxDistance}），判定为无变化`);
+        }
+        return unchanged;
+    }
+
+    /**
+     * 计算单张截图的比对签名：缩放后的灰度像素（忽略区域置 0）与 dHash
+     * @param {Buffer} buffer - 图像数据
+     * @returns {Promise<{width: number, height: number, gray: Uint8Array, mask: Uint8Array, hash: Uint8Array}>}
+     */
+    async _signature(buffer) {
+        const { data, info } = await sharp(buffer)
+            .removeAlpha()
+            .grayscale()
+            .resize({ width: this.config.sample_width || 256 })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { width, height, channels } = info;
+        const mask = this._getMask(width, height);
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = mask[i] ? 0 : data[i * channels];
+        }
+
+        return { width, height, gray, mask, hash: this._dHash(gray, width, height) };
+    }
+
+    /**
+     * 获取忽略区域掩码（1 表示忽略）
+     * @param {number} width - 缩放后宽度
+     * @param {number} height - 缩放后高度
+     * @returns {Uint8Array}
+     */
+    _getMask(width, height) {
+        const key = `${width}x${height}`;
+        if (this._masks.has(key)) {
+            return this._masks.get(key);
+        }
+
+        const mask = new Uint8Array(width * height);
+        for (const region of this.config.ignore_regions || []) {
+            const x0 = Math.floor(region.x * width);
+            const y0 = Math.floor(region.y * height);
+            const x1 = Math.min(width, Math.ceil((region.x + region.width) * width));
+            const y1 = Math.min(height, Math.ceil((region.y + region.height) * height));
+            for (let y = y0; y < y1; y++) {
+                mask.fill(1, y * width + x0, y * width + x1);
+            }
+        }
+
+        this._masks.set(key, mask);
+        return mask;
+    }
+
+    /**
+     * 计算差异哈希：按 9x8 网格求平均灰度，每行相邻格左亮于右记为 1
+     * @param {Uint8Array} gray - 灰度像素
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {Uint8Array} 64 位（每个元素 0/1）
+     */
+    _dHash(gray, width, height) {
+        const sums = new Float64Array(HASH_COLUMNS * HASH_ROWS);
+        const counts = new Uint32Array(HASH_COLUMNS * HASH_ROWS);
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * HASH_ROWS / height);
+            for (let x = 0; x < width; x++) {
+                const cell = row * HASH_COLUMNS + Math.floor(x * HASH_COLUMNS / width);
+                sums[cell] += gray[y * width + x];
+                counts[cell]++;
+            }
+        }
+
+        const hash = new Uint8Array((HASH_COLUMNS - 1) * HASH_ROWS);
+        for (let row = 0; row < HASH_ROWS; row++) {
+            for (let col = 0; col < HASH_COLUMNS - 1; col++) {
+                const left = row * HASH_COLUMNS + col;
+                const leftMean = counts[left] ? sums[left] / counts[left] : 0;
+                const rightMean = counts[left + 1] ? sums[left + 1] / counts[left + 1] : 0;
+                hash[row * (HASH_COLUMNS - 1) + col] = leftMean > rightMean ? 1 : 0;
+            }
+        }
+        return hash;
+    }
+
+    /**
+     * 两张截图 dHash 的汉明距离
+     * @param {Object} a - 签名
+     * @param {Object} b - 签名
+     * @returns {number}
+     */
+    _hashDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.hash.length; i++) {
+            if (a.hash[i] !== b.hash[i]) {
+                distance++;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * 两张截图的变化像素占比（忽略区域不计入分母），尺寸不同视为完全变化
+     * @param {Object} a - 签名
+     * @param {Object} b - 签名
+     * @returns {number} 0-1
+     */
+    _diffRatio(a, b) {
+        if (a.width !== b.width || a.height !== b.height) {
+            return 1;
+        }
+
+        const threshold = this.config.pixel_threshold;
+        let changed = 0;
+        let total = 0;
+        for (let i = 0; i < a.gray.length; i++) {
+            if (a.mask[i]) {
+                continue;
+            }
+            total++;
+            if (Math.abs(a.gray[i] - b.gray[i]) > threshold) {
+                changed++;
+            }
+        }
+        return total > 0 ? changed / total : 0;
+    }
+
+    /**
+     * 保留 4 位小数
+     * @param {number} value - 数值
+     * @returns {number}
+     */
+    _round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * 生成每张截图的变化分数记录（写入总结的 change_scores 元数据字段）
+     * @param {Array<{timestamp: Date, changeScore?: number|null, monitor?: number}>} screenshots - 已比对的截图
+     * @param {Array<Object>} [sent] - 实际发送给模型的截图（未传时不标记 sent）
+     * @returns {Array<{time: string, score: number|null, monitor?: number, sent?: boolean}>} 截图来自多个显示器时附带 monitor
+     */
+    buildChangeScores(screenshots, sent) {
+        const multiMonitor = new Set(screenshots.map(shot => shot.monitor)).size > 1;
+        return screenshots.map(shot => {
+            const entry = {
+                time: shot.timestamp.toISOString(),
+                score: shot.changeScore === undefined ? null : shot.changeScore
+            };
+            if (multiMonitor) {
+                entry.monitor = shot.monitor;
+            }
+            if (sent) {
+                entry.sent = sent.includes(shot);
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * 生成截图粒度（screenshot 模板）的"无变化"模板记录
      * 格式与正常 AI 总结的 JSON 字段保持一致，便于上层聚合读取。
      * @param {Array<{buffer: Buffer, timestamp: Date}>} screenshots - 截图数据数组
      * @param {string} [activeWindowText] - 焦点窗口时间线文本
+     * @param {number} [periodMinutes=2] - 粒度周期（分钟），作为 duration_minutes
      * @returns {Object} 无变化模板记录
      */
-    buildNoChange2minRecord(screenshots, activeWindowText = '') {
+    buildNoChangeScreenshotRecord(screenshots, activeWindowText = '', periodMinutes = 2) {
         // 从最后一张截图获取上下文信息
         const lastShot = screenshots[screenshots.length - 1];
         const timeStr = lastShot.timestamp.toLocaleTimeString('zh-CN');
 
         return {
             no_change: true,
-            skip_reason: '截图完全一致，屏幕无变化',
+            skip_reason: this.method === 'perceptual' ? '截图无明显变化，屏幕无变化' : '截图完全一致，屏幕无变化',
             category_type: ['行为'],
             category_name: ['屏幕无变化'],
             subtask_name: [''],
@@ -66,19 +337,20 @@ class ScreenshotComparer {
             blockers: '无',
             next_intent: '不确定',
             confidence: '高',
-            duration_minutes: 2,
+            duration_minutes: periodMinutes,
             screenshots_compared: screenshots.length
         };
     }
 
     /**
-     * 生成 10 分钟级别的"无变化"模板记录
-     * @param {Array<Object>} recent2min - 最近的 2min 总结（全部为 no_change）
+     * 生成时间轴粒度（timeline 模板）的"无变化"模板记录
+     * @param {Array<Object>} children - 窗口内的下层总结（全部为 no_change）
+     * @param {string} childName - 下层粒度名称（如 2min）
      * @returns {Object} 无变化模板记录
      */
-    buildNoChange10minRecord(recent2min) {
-        // 从 2min 记录中提取焦点窗口上下文
-        const contexts = recent2min
+    buildNoChangeTimelineRecord(children, childName) {
+        // 从下层记录中提取焦点窗口上下文
+        const contexts = children
             .map(s => s.context)
             .filter(c => c && c !== '不确定');
         const contextStr = contexts.length > 0
@@ -87,7 +359,7 @@ class ScreenshotComparer {
 
         return {
             no_change: true,
-            skip_reason: '所有2min子级均为无变化，跳过API请求',
+            skip_reason: `所有${childName}子级均为无变化，跳过API请求`,
             task_main: '无活动 — 屏幕持续无变化',
             activity_timeline: [],
             key_progress: '无明显进展',
@@ -96,19 +368,20 @@ class ScreenshotComparer {
             blockers: '无',
             next_step: '不确定',
             confidence: '高',
-            no_change_2min_count: recent2min.length
+            [`no_change_${childName}_count`]: children.length
         };
     }
 
     /**
-     * 生成 1 小时级别的"无变化"模板记录
-     * @param {Array<Object>} recent10min - 最近的 10min 总结（全部为 no_change）
+     * 生成时间分布粒度（distribution 模板）的"无变化"模板记录
+     * @param {Array<Object>} children - 窗口内的下层总结（全部为 no_change）
+     * @param {string} childName - 下层粒度名称（如 10min）
      * @returns {Object} 无变化模板记录
      */
-    buildNoChange1hRecord(recent10min) {
+    buildNoChangeDistributionRecord(children, childName) {
         return {
             no_change: true,
-            skip_reason: '所有10min子级均为无变化，跳过API请求',
+            skip_reason: `所有${childName}子级均为无变化，跳过API请求`,
             achievements: [],
             task_chain: '无活动 — 屏幕持续无变化',
             time_distribution: [],
@@ -117,7 +390,7 @@ class ScreenshotComparer {
             blockers: '无',
             next_direction: '不确定',
             confidence: '高',
-            no_change_10min_count: recent10min.length
+            [`no_change_${childName}_count`]: children.length
         };
     }
 
@@ -0,0 +1,173 @@
+/**
+ * 截图拼图模块
+ * 把基础粒度窗口内的多张截图按时间顺序拼成 1 张（single）或前后 2 张（split）网格图，
+ * 每格左上角标注序号与截图时间（多显示器时另标显示器序号），减少单独发送每张截图的图片 token（summary.mosaic）。
+ *
+ * 格子按从左到右、从上到下排列；宽高比与第一张截图不同的截图缩放后留边。
+ * 无法解码的截图不进入拼图；全部无法解码或拼接失败时返回 null，由调用方按原截图发送。
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+
+// 拼图背景色（格间距与留边）
+const BACKGROUND = { r: 24, g: 24, b: 27 };
+
+// 格间距（像素）
+const TILE_GAP = 4;
+
+// split 模式至少需要的截图数（更少时拼成 1 张）
+const SPLIT_MIN_SCREENSHOTS = 4;
+
+class ScreenshotMosaic {
+    /**
+     * 创建截图拼图器
+     * @param {Object} config - summary.mosaic 配置段
+     * @param {string} config.mode - off / single / split
+     * @param {number} config.tile_width - 每格宽度（像素），高度按第一张截图的宽高比
+     * @param {number} config.columns - 每行格数，0 为按截图数量自动（接近正方形）
+     * @param {number} config.quality - 拼图的 JPEG 质量
+     * @param {Logger} logger - 日志模块
+     */
+    constructor(config, logger) {
+        this.mode = config.mode || 'off';
+        this.tileWidth = config.tile_width || 640;
+        this.columns = config.columns || 0;
+        this.quality = config.quality || 80;
+        this.logger = logger;
+    }
+
+    /**
+     * 是否启用拼图
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * 把截图拼成 1-2 张带时间标注的网格图
+     * @param {Array<{buffer: Buffer, timestamp: Date, format: string, path: string}>} screenshots - 按时间升序的截图
+     * @returns {Promise<{packing: string, images: Array<{buffer: Buffer, format: string, timestamp: Date,
+     *   tiles: Array<{index: number, timestamp: Date, monitor: number}>, columns: number, rows: number}>}|null>}
+     *   packing 为实际使用的方式（single/split）；少于 2 张、全部无法解码或拼接失败时返回 null
+     */
+    async pack(screenshots) {
+        if (!this.enabled || screenshots.length < 2) {
+            return null;
+        }
+
+        try {
+            const tiles = await this._renderTiles(screenshots);
+            if (tiles.length < 2) {
+                return null;
+            }
+
+            const groups = this.mode === 'split' && tiles.length >= SPLIT_MIN_SCREENSHOTS
+                ? [tiles.slice(0, Math.ceil(tiles.length / 2)), tiles.slice(Math.ceil(tiles.length / 2))]
+                : [tiles];
+            const images = [];
+            for (const group of groups) {
+                images.push(await this._compose(group));
+            }
+            return { packing: groups.length === 2 ? 'split' : 'single', images };
+        } catch (err) {
+            this.logger.warn(`截图拼图失败，按单张截图发送: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 将截图缩放为格子并标注序号与时间（序号按可解码的截图连续编号）；截图来自多个显示器时标注末尾加显示器序号（如 M2）
+     * @param {Array<Object>} screenshots
+     * @returns {Promise<Array<{index: number, timestamp: Date, monitor: number, buffer: Buffer, channels: number, size: Object}>>} buffer 为 raw 像素
+     */
+    async _renderTiles(screenshots) {
+        const multiMonitor = new Set(screenshots.map(shot => shot.monitor)).size > 1;
+        let size = null;
+        const tiles = [];
+        for (const shot of screenshots) {
+            try {
+                if (!size) {
+                    const meta = await sharp(shot.buffer).metadata();
+                    const width = Math.min(this.tileWidth, meta.width);
+                    size = { width, height: Math.max(1, Math.round(meta.height * width / meta.width)) };
+                }
+                const index = tiles.length + 1;
+                const label = `${index}. ${this._formatClockTime(shot.timestamp)}${multiMonitor ? ` M${shot.monitor}` : ''}`;
+                const { data, info } = await sharp(shot.buffer)
+                    .resize(size.width, size.height, { fit: 'contain', background: BACKGROUND })
+                    .flatten({ background: BACKGROUND })
+                    .composite([{ input: this._labelSvg(label, size.width), left: 0, top: 0 }])
+                    .raw()
+                    .toBuffer({ resolveWithObject: true });
+                tiles.push({ index, timestamp: shot.timestamp, monitor: shot.monitor, buffer: data, channels: info.channels, size });
+            } catch (err) {
+                this.logger.warn(`截图无法解码，不加入拼图: ${path.basename(shot.path || '')} - ${err.message}`);
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * 按网格拼接一组格子为 JPEG
+     * @param {Array<{index: number, timestamp: Date, monitor: number, buffer: Buffer, channels: number, size: Object}>} tiles
+     * @returns {Promise<Object>} 拼图（format 为 jpeg，timestamp 为最后一格的时间）
+     */
+    async _compose(tiles) {
+        const { width: tileWidth, height: tileHeight } = tiles[0].size;
+        const columns = Math.min(this.columns || Math.ceil(Math.sqrt(tiles.length)), tiles.length);
+        const rows = Math.ceil(tiles.length / columns);
+        const width = columns * tileWidth + (columns - 1) * TILE_GAP;
+        const height = rows * tileHeight + (rows - 1) * TILE_GAP;
+
+        const buffer = await sharp({ create: { width, height, channels: 3, background: BACKGROUND } })
+            .composite(tiles.map((tile, i) => ({
+                input: tile.buffer,
+                raw: { width: tileWidth, height: tileHeight, channels: tile.channels },
+                left: (i % columns) * (tileWidth + TILE_GAP),
+                top: Math.floor(i / columns) * (tileHeight + TILE_GAP)
+            })))
+            .jpeg({ quality: this.quality })
+            .toBuffer();
+
+        return {
+            buffer,
+            format: 'jpeg',
+            timestamp: tiles[tiles.length - 1].timestamp,
+            tiles: tiles.map(tile => ({ index: tile.index, timestamp: tile.timestamp, monitor: tile.monitor })),
+            columns,
+            rows
+        };
+    }
+
+    /**
+     * 生成格子左上角的标注（深色底 + 白字）
+     * @param {string} text - 序号与时间，如 "3. 10:02:15"
+     * @param {number} maxWidth - 格子宽度（标注不能超出格子）
+     * @returns {Buffer} SVG
+     */
+    _labelSvg(text, maxWidth) {
+        const width = Math.min(12 + text.length * 10, maxWidth);
+        return Buffer.from(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="26">` +
+            `<rect width="${width}" height="26" fill="#000" fill-opacity="0.75"/>` +
+            `<text x="6" y="19" fill="#fff" font-family="Menlo, Consolas, monospace" font-size="16">${text}</text>` +
+            '</svg>'
+        );
+    }
+
+    /**
+     * 格式化截图时间为 HH:MM:SS
+     * @param {Date} date
+     * @returns {string}
+     */
+    _formatClockTime(date) {
+        const h = String(date.getHours()).padStart(2, '0');
+        const m = String(date.getMinutes()).padStart(2, '0');
+        const s = String(date.getSeconds()).padStart(2, '0');
+        return `${h}:${m}:${s}`;
+    }
+}
+
+module.exports = ScreenshotMosaic;
@@ -1,24 +1,37 @@
 /**
  * 截图读取器模块
- * 按时间范围检索截图文件并读取为 Buffer
+ * 按时间范围检索截图文件并读取为 Buffer（加密的截图透明解密）
+ *
+ * 截图服务为每个显示器分别保存截图（文件名末尾的序号，从 1 开始），
+ * 读取时按显示器分组，超出数量上限时各显示器平均分配名额，避免某个显示器的截图被整体挤掉。
  */
 
 const fs = require('fs');
 const path = require('path');
+const FileCipher = require('./file-cipher');
+
+// 截图扩展名 → 图片格式（按文件识别，修改 screenshot.format 后之前的截图仍可读取）
+const IMAGE_EXTENSIONS = {
+    '.jpeg': 'jpeg',
+    '.jpg': 'jpeg',
+    '.png': 'png',
+    '.webp': 'webp',
+    '.avif': 'avif'
+};
 
 class ScreenshotReader {
     /**
      * 创建截图读取器实例
      * @param {Object} config - 截图数据源配置
      * @param {string} config.directory - 截图目录路径
-     * @param {string} config.format - 截图格式 (jpeg/png)
      * @param {number} config.interval - 截图间隔（秒）
      * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器（解密加密保存的截图）
      */
-    constructor(config, logger) {
-        this.format = config.format || 'jpeg';
+    constructor(config, logger, cipher = null) {
         this.interval = config.interval || 5;
         this.logger = logger;
+        this.cipher = cipher || new FileCipher();
 
         // 解析目录为绝对路径
         this.baseDirectory = path.isAbsolute(config.directory)
@@ -39,70 +52,159 @@ class ScreenshotReader {
     }
 
     /**
-     * 从文件名解析时间戳
+     * 从文件名解析截图时间与显示器序号
      * 文件名格式: YYYY-MM-DD_HH-mm-ss_monitor.jpeg
      * @param {string} fileName - 文件名
-     * @returns {Date|null} 解析后的时间，失败返回 null
+     * @returns {{timestamp: Date, monitor: number}|null} 解析结果，失败返回 null
      */
-    _parseTimestamp(fileName) {
+    _parseFileName(fileName) {
         // 匹配格式: 2026-02-05_14-30-05_1.jpeg
-        const match = fileName.match(/^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})_\d+\.\w+$/);
+        const match = fileName.match(/^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})_(\d+)\.\w+$/);
         if (!match) {
             return null;
         }
 
-        const [, dateStr, hours, minutes, seconds] = match;
+        const [, dateStr, hours, minutes, seconds, monitor] = match;
         const [year, month, day] = dateStr.split('-').map(Number);
-        return new Date(year, month - 1, day, Number(hours), Number(minutes), Number(seconds));
+        return {
+            timestamp: new Date(year, month - 1, day, Number(hours), Number(minutes), Number(seconds)),
+            monitor: Number(monitor)
+        };
+    }
+
+    /**
+     * 从文件名解析时间戳
+     * @param {string} fileName - 文件名
+     * @returns {Date|null} 解析后的时间，失败返回 null
+     */
+    _parseTimestamp(fileName) {
+        const parsed = this._parseFileName(fileName);
+        return parsed ? parsed.timestamp : null;
     }
 
     /**
-     * 获取指定时间范围内的截图文件路径列表
+     * 列出时间范围覆盖的所有日期（本地时间，含首尾两天）
      * @param {Date} startTime - 开始时间
      * @param {Date} endTime - 结束时间
-     * @returns {Array<{path: string, timestamp: Date}>} 按时间排序的截图文件列表
+     * @returns {Array<string>} YYYY-MM-DD 列表
+     */
+    _listDates(startTime, endTime) {
+        const dates = [];
+        const day = new Date(startTime);
+        day.setHours(0, 0, 0, 0);
+        while (day <= endTime) {
+            dates.push(this._formatDate(day));
+            day.setDate(day.getDate() + 1);
+        }
+        return dates;
+    }
+
+    /**
+     * 获取 [startTime, endTime) 范围内的截图文件路径列表
+     * 跨越午夜时依次读取涉及的每个日期目录；图片格式按扩展名逐个识别
+     * @param {Date} startTime - 开始时间（含）
+     * @param {Date} endTime - 结束时间（不含）
+     * @returns {Array<{path: string, timestamp: Date, format: string, monitor: number}>} 按时间排序的截图文件列表（同一时刻按显示器序号）
      */
     getScreenshotsInRange(startTime, endTime) {
-        const dateStr = this._formatDate(endTime);
-        const dateDir = path.join(this.baseDirectory, dateStr);
+        const screenshots = [];
+        let foundDir = false;
 
-        if (!fs.existsSync(dateDir)) {
-            this.logger.warn(`截图目录不存在: ${dateDir}`);
-            return [];
+        for (const dateStr of this._listDates(startTime, endTime)) {
+            const dateDir = path.join(this.baseDirectory, dateStr);
+            if (!fs.existsSync(dateDir)) {
+                continue;
+            }
+            foundDir = true;
+
+            for (const file of fs.readdirSync(dateDir)) {
+                const format = IMAGE_EXTENSIONS[path.extname(file).toLowerCase()];
+                if (!format) {
+                    continue;
+                }
+
+                const parsed = this._parseFileName(file);
+                if (!parsed) {
+                    continue;
+                }
+
+                // 检查是否在时间范围内
+                const { timestamp, monitor } = parsed;
+                if (timestamp >= startTime && timestamp < endTime) {
+                    screenshots.push({
+                        path: path.join(dateDir, file),
+                        timestamp,
+                        format,
+                        monitor
+                    });
+                }
+            }
         }
 
-        const files = fs.readdirSync(dateDir);
-        const ext = this.format === 'png' ? '.png' : '.jpeg';
+        if (!foundDir) {
+            this.logger.warn(`截图目录不存在: ${path.join(this.baseDirectory, this._formatDate(startTime))}`);
+        }
 
-        const screenshots = [];
-        for (const file of files) {
-            if (!file.endsWith(ext)) {
+        // 按时间排序
+        screenshots.sort((a, b) => a.timestamp - b.timestamp || a.monitor - b.monitor);
+        return screenshots;
+    }
+
+    /**
+     * 读取 [startTime, endTime) 范围内的截图清单记录（auto_screenshot 写入的 {date}/manifest.jsonl）
+     * 清单每行一条: { time, monitor, file, hash, score, action: saved/linked/skipped, ref }
+     * @param {Date} startTime - 开始时间（含）
+     * @param {Date} endTime - 结束时间（不含）
+     * @returns {Array<Object>|null} 按时间排序的记录；涉及的日期都没有清单文件时返回 null（旧版截图服务或清单未开启）
+     */
+    getManifestEntries(startTime, endTime) {
+        const entries = [];
+        let foundManifest = false;
+
+        for (const dateStr of this._listDates(startTime, endTime)) {
+            const manifestPath = path.join(this.baseDirectory, dateStr, 'manifest.jsonl');
+            if (!fs.existsSync(manifestPath)) {
                 continue;
             }
+            foundManifest = true;
 
-            const timestamp = this._parseTimestamp(file);
-            if (!timestamp) {
+            let content;
+            try {
+                content = fs.readFileSync(manifestPath, 'utf8');
+            } catch (err) {
+                this.logger.warn(`读取截图清单失败: ${manifestPath} - ${err.message}`);
                 continue;
             }
 
-            // 检查是否在时间范围内
-            if (timestamp >= startTime && timestamp <= endTime) {
-                screenshots.push({
-                    path: path.join(dateDir, file),
-                    timestamp
-                });
+            for (const line of content.split('\n')) {
+                if (!line.trim()) {
+                    continue;
+                }
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (err) {
+                    // 写入中断留下的半行，忽略
+                    continue;
+                }
+                const time = new Date(entry.time);
+                if (time >= startTime && time < endTime) {
+                    entries.push({ ...entry, timestamp: time });
+                }
             }
         }
 
-        // 按时间排序
-        screenshots.sort((a, b) => a.timestamp - b.timestamp);
-        return screenshots;
+        if (!foundManifest) {
+            return null;
+        }
+        entries.sort((a, b) => a.timestamp - b.timestamp);
+        return entries;
     }
 
     /**
      * 获取最近 N 分钟的截图
      * @param {number} minutes - 分钟数（默认1）
-     * @returns {Array<{path: string, timestamp: Date}>} 截图文件列表
+     * @returns {Array<{path: string, timestamp: Date, format: string}>} 截图文件列表
      */
     getRecentScreenshots(minutes = 1) {
         const now = new Date();
@@ -111,13 +213,13 @@ class ScreenshotReader {
     }
 
     /**
-     * 读取截图文件为 Buffer
+     * 读取截图文件为 Buffer（加密的截图解密后返回）
      * @param {string} filePath - 文件路径
-     * @returns {Buffer|null} 图像数据，读取失败返回 null
+     * @returns {Buffer|null} 图像数据，读取或解密失败返回 null
      */
     readAsBuffer(filePath) {
         try {
-            return fs.readFileSync(filePath);
+            return this.cipher.readFile(filePath);
         } catch (err) {
             this.logger.error(`读取截图文件失败: ${filePath} - ${err.message}`);
             return null;
@@ -128,13 +230,30 @@ class ScreenshotReader {
      * 获取最近截图并读取为 Buffer 数组
      * @param {number} minutes - 分钟数
      * @param {number} maxCount - 最大数量
-     * @returns {Array<{buffer: Buffer, timestamp: Date}>} 图像数据数组
+     * @returns {Array<{buffer: Buffer, timestamp: Date, path: string, format: string, monitor: number}>} 图像数据数组
      */
     getRecentScreenshotBuffers(minutes = 1, maxCount = 12) {
-        const screenshots = this.getRecentScreenshots(minutes);
+        const now = new Date();
+        return this.getScreenshotBuffersInRange(new Date(now.getTime() - minutes * 60 * 1000), now, maxCount);
+    }
 
-        // 取最近的 maxCount 张
-        const selected = screenshots.slice(-maxCount);
+    /**
+     * 读取 [startTime, endTime) 范围内的截图为 Buffer 数组
+     * 多个显示器时 maxCount 在各显示器之间平均分配，每个显示器各自取最近的或均匀抽取
+     * @param {Date} startTime - 开始时间（含）
+     * @param {Date} endTime - 结束时间（不含）
+     * @param {number} maxCount - 最大数量（超出时取最近的）
+     * @param {number} [expectedCount] - 期望数量，少于该值时记录警告（默认同 maxCount）
+     * @param {boolean} [spread=false] - 超出时按时间均匀抽取（含首尾）而不是取最近的，用于截图间隔不固定时
+     * @returns {Array<{buffer: Buffer, timestamp: Date, path: string, format: string, monitor: number}>} 图像数据数组
+     */
+    getScreenshotBuffersInRange(startTime, endTime, maxCount = 12, expectedCount = maxCount, spread = false) {
+        const screenshots = this.getScreenshotsInRange(startTime, endTime);
+
+        // 每个显示器取最近的若干张，或在整个范围内均匀抽取
+        const selected = ScreenshotReader.balanceByMonitor(screenshots, maxCount, (group, count) =>
+            (spread ? this._spread(group, count) : group.slice(-count))
+        );
         const results = [];
 
         for (const shot of selected) {
@@ -142,15 +261,99 @@ class ScreenshotReader {
             if (buffer) {
                 results.push({
                     buffer,
-                    timestamp: shot.timestamp
+                    timestamp: shot.timestamp,
+                    path: shot.path,
+                    format: shot.format,
+                    monitor: shot.monitor
                 });
             }
         }
 
-        if (results.length < maxCount) {
-            this.logger.warn(`截图数量不足: 期望 ${maxCount} 张，实际 ${results.length} 张`);
+        // 完全没有截图时由调用方决定如何记录
+        if (results.length > 0 && results.length < expectedCount) {
+            this.logger.warn(`截图数量不足: 期望 ${expectedCount} 张，实际 ${results.length} 张`);
+        }
+
+        return results;
+    }
+
+    /**
+     * 按显示器分组挑选截图：count 在各显示器之间平均分配（截图不足的显示器的余量分给其他显示器，
+     * 除不尽时截图较少、序号较小的显示器多分一张），再按时间合并
+     * 没有 monitor 字段的截图（如旧版文件名）视为同一个显示器
+     * @param {Array<Object>} screenshots - 按时间排序的截图
+     * @param {number} count - 总数量
+     * @param {function(Array<Object>, number): Array<Object>} pick - 从一个显示器的截图中挑选指定数量
+     * @returns {Array<Object>} 按时间排序（同一时刻按显示器序号）
+     */
+    static balanceByMonitor(screenshots, count, pick) {
+        const groups = new Map();
+        for (const shot of screenshots) {
+            const key = shot.monitor === undefined ? 0 : shot.monitor;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(shot);
+        }
+        if (groups.size <= 1) {
+            return screenshots.length > 0 ? pick(screenshots, count) : [];
         }
 
+        // 从截图最少的显示器开始分配，用不完的名额留给后面的显示器
+        const ordered = [...groups.entries()].sort((a, b) => a[1].length - b[1].length || a[0] - b[0]);
+        const quotas = new Map();
+        let remaining = count;
+        ordered.forEach(([key, group], i) => {
+            const quota = Math.min(group.length, Math.ceil(remaining / (ordered.length - i)));
+            quotas.set(key, quota);
+            remaining -= quota;
+        });
+
+        const selected = [];
+        for (const [key, group] of groups) {
+            if (quotas.get(key) > 0) {
+                selected.push(...pick(group, quotas.get(key)));
+            }
+        }
+        return selected.sort((a, b) => a.timestamp - b.timestamp || (a.monitor || 0) - (b.monitor || 0));
+    }
+
+    /**
+     * 按时间顺序均匀抽取截图（保留首尾）
+     * @param {Array<Object>} screenshots - 按时间排序的截图
+     * @param {number} count - 抽取数量
+     * @returns {Array<Object>}
+     */
+    _spread(screenshots, count) {
+        if (screenshots.length <= count) {
+            return screenshots;
+        }
+        if (count <= 1) {
+            return screenshots.slice(-1);
+        }
+        const step = (screenshots.length - 1) / (count - 1);
+        return Array.from({ length: count }, (_, i) => screenshots[Math.round(i * step)]);
+    }
+
+    /**
+     * 按路径列表读取截图（用于补跑已持久化的任务）
+     * 已被清理或无法解析时间的文件会被跳过
+     * @param {Array<string>} filePaths - 截图路径
+     * @returns {Array<{buffer: Buffer, timestamp: Date, path: string, format: string, monitor: number}>} 图像数据数组
+     */
+    readBuffersFromPaths(filePaths) {
+        const results = [];
+        for (const filePath of filePaths) {
+            const parsed = this._parseFileName(path.basename(filePath));
+            const format = IMAGE_EXTENSIONS[path.extname(filePath).toLowerCase()];
+            if (!parsed || !format || !fs.existsSync(filePath)) {
+                continue;
+            }
+            const buffer = this.readAsBuffer(filePath);
+            if (buffer) {
+                results.push({ buffer, timestamp: parsed.timestamp, path: filePath, format, monitor: parsed.monitor });
+            }
+        }
         return results;
     }
 }
@@ -1,8 +1,34 @@
 /**
  * 总结调度器模块
  * 定时触发各粒度总结任务，编排完整流程
+ *
+ * 粒度由 summary.granularities 列表声明（由细到粗）：第一项为基础粒度，读取截图；
+ * 其余各项聚合列表中更早的一项（source），按 prompt 模板构建请求。
+ * 调度器只在基础粒度的边界上触发（默认 2min: :00/:02/…），每个粒度在自身周期的边界
+ * （叠加 time 偏移，周期为一周的粒度另需匹配 day）处理一个 [start, end) 时间窗口，总结文件以窗口终点命名。
+ * 同一边界上的任务按列表顺序依次执行，上层总是在其最后一个子窗口完成后才开始。
+ * 默认配置即 2min → 10min → 1h → 日报（1d，每天 22:10）→ 周报（1w，每周五 22:20）
  */
 
+const { getSummarySchema, validateSummary } = require('./summary-schema');
+const ScreenshotReader = require('./screenshot-reader');
+
+// 响应未通过 Schema 校验时的修复重试次数
+const REPAIR_ATTEMPTS = 1;
+
+// 单个待补跑任务的最大失败次数，超过后转入隔离目录
+const MAX_REPLAY_ATTEMPTS = 5;
+
+// 边界到达后延迟执行的时间（毫秒），等待窗口末尾的截图写入磁盘
+const TICK_SETTLE_MS = 5000;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// 窗口内截图多于发送上限时（如多显示器）最多读取上限的几倍作为候选，再按变化分数挑选
+const CANDIDATE_FACTOR = 4;
+
 class SummaryScheduler {
     /**
      * 创建总结调度器
@@ -17,6 +43,11 @@ class SummaryScheduler {
      * @param {PromptLogger} [options.promptLogger] - Prompt 日志记录器（可选）
      * @param {ScreenshotComparer} [options.screenshotComparer] - 截图比对器（可选）
      * @param {TodoWriter} [options.todoWriter] - Todo 回写器（可选）
+     * @param {JobQueue} [options.jobQueue] - 待补跑任务队列（可选）
+     * @param {BudgetManager} [options.budgetManager] - 预算管理器（可选）
+     * @param {PrivacyFilter} [options.privacyFilter] - 隐私过滤器（可选）
+     * @param {OcrEngine} [options.ocrEngine] - OCR 文字层（可选，input_mode 为 ocr_text/hybrid 或开启 ocr.enabled 时注入）
+     * @param {ScreenshotMosaic} [options.screenshotMosaic] - 截图拼图器（可选，summary.mosaic.mode 不为 off 时注入）
      * @param {Logger} options.logger - 日志模块
      */
     constructor(options) {
@@ -30,31 +61,211 @@ class SummaryScheduler {
         this.promptLogger = options.promptLogger || null;
         this.screenshotComparer = options.screenshotComparer || null;
         this.todoWriter = options.todoWriter || null;
+        this.jobQueue = options.jobQueue || null;
+        this.budgetManager = options.budgetManager || null;
+        this.privacyFilter = options.privacyFilter || null;
+        this.ocrEngine = options.ocrEngine || null;
+        this.screenshotMosaic = options.screenshotMosaic || null;
         this.logger = options.logger;
 
-        // 定时器 ID
-        this._timer2min = null;
-        this._timer10min = null;
-        this._timer1h = null;
+        // 边界定时器与串行执行链（同一边界的各粒度依次执行，相邻边界不重叠）
+        this._tickTimer = null;
+        this._tickChain = Promise.resolve();
+
+        // 粒度列表（由细到粗，上层依赖下层结果），第一项为读取截图的基础粒度
+        this.levels = this.config.summary.granularities;
+        this.baseGranularity = this.levels[0].name;
+        this.baseMinutes = this.levels[0].period;
 
-        // 运行状态
+        // 运行状态与执行统计（含跳过、隔离、入队补跑次数）
         this.isRunning = false;
-        this._executing = {
-            '2min': false,
-            '10min': false,
-            '1h': false
-        };
+        this._executing = {};
+        this.stats = {};
+        for (const level of this.levels) {
+            this._executing[level.name] = false;
+            this.stats[level.name] = { count: 0, errors: 0, skipped: 0, quarantined: 0, queued: 0 };
+        }
+        // 补跑已排入执行链但尚未开始时为 true，避免重复排队
+        this._replayQueued = false;
+        this._replaying = false;
+
+        // 订阅共享熔断器，降级/恢复各只记录一次
+        this.degraded = false;
+        if (this.geminiClient && this.geminiClient.circuitBreaker) {
+            this.geminiClient.circuitBreaker.on('stateChange', (state, info) => this._onBreakerStateChange(state, info));
+        }
+        if (this.budgetManager) {
+            this.budgetManager.on('levelChange', (level, info) => this._onBudgetLevelChange(level, info));
+        }
+    }
 
-        // 执行统计（含跳过次数）
-        this.stats = {
-            '2min': { count: 0, errors: 0, skipped: 0 },
-            '10min': { count: 0, errors: 0, skipped: 0 },
-            '1h': { count: 0, errors: 0, skipped: 0 }
-        };
+    /**
+     * 熔断器状态变化处理
+     * @param {string} state - 新状态 (closed/open/half_open)
+     * @param {Object} info - 状态信息 { previous, failures, lastError, retryAt }
+     */
+    _onBreakerStateChange(state, info) {
+        if (state === 'open' && !this.degraded) {
+            this.degraded = true;
+            this.logger.error(`[降级] LLM 服务不可用（连续失败 ${info.failures} 次: ${info.lastError}），` +
+                `暂停各粒度的 API 请求，${info.retryAt.toLocaleTimeString('zh-CN')} 后探测恢复`);
+        } else if (state === 'open') {
+            this.logger.debug(`[降级] 探测失败，下次探测: ${info.retryAt.toLocaleTimeString('zh-CN')}`);
+        } else if (state === 'closed' && this.degraded) {
+            this.degraded = false;
+            this.logger.info('[恢复] LLM 服务已恢复，各粒度总结恢复正常');
+            this._triggerReplay();
+        }
+    }
 
-        // 基础粒度配置
-        this.baseGranularity = '2min';
-        this.baseMinutes = 2;
+    /**
+     * 预算降级等级变化处理
+     * @param {string} level - 新等级 (normal/reduced/text_only/paused)
+     * @param {Object} info - { previous, ratio, status }
+     */
+    _onBudgetLevelChange(level, info) {
+        const used = `已用 ${Math.round(info.ratio * 100)}%，剩余: ${this.budgetManager.formatRemaining()}`;
+        switch (level) {
+            case 'reduced':
+                this.logger.warn(`[预算] 接近预算上限，${this.baseGranularity} 总结减少截图数量（${used}）`);
+                break;
+            case 'text_only':
+                this.logger.warn(`[预算] 接近预算上限，${this.baseGranularity} 总结改为仅基于焦点窗口时间线的纯文本模式（${used}）`);
+                break;
+            case 'paused':
+                this.logger.error(`[预算] 预算已用尽，暂停所有 API 请求（${used}）`);
+                break;
+            default:
+                this.logger.info(`[预算] 预算恢复，各粒度总结恢复正常（${used}）`);
+                if (info.previous === 'paused') {
+                    this._triggerReplay();
+                }
+        }
+    }
+
+    /**
+     * 熔断或预算用尽期间在构建请求前直接失败，避免无谓的 prompt 构建与日志
+     * @throws {Error} code 为 CIRCUIT_OPEN 或 BUDGET_PAUSED 的错误
+     */
+    _assertAvailable() {
+        const breaker = this.geminiClient.circuitBreaker;
+        if (breaker && breaker.isOpen()) {
+            const err = new Error(`LLM 熔断中，约 ${Math.ceil(breaker.getRetryInMs() / 1000)} 秒后重试`);
+            err.code = 'CIRCUIT_OPEN';
+            throw err;
+        }
+        if (this.budgetManager && !this.budgetManager.allowsRequest()) {
+            const err = new Error('预算已用尽，API 请求已暂停');
+            err.code = 'BUDGET_PAUSED';
+            throw err;
+        }
+    }
+
+    /**
+     * 从截图中挑选指定数量（保持时间顺序）；多个显示器时名额在各显示器之间平均分配
+     * @param {Array<Object>} screenshots - 按时间排序的截图
+     * @param {number} count - 目标数量
+     * @returns {Array<Object>}
+     */
+    _selectScreenshots(screenshots, count) {
+        if (count >= screenshots.length) {
+            return screenshots;
+        }
+        return ScreenshotReader.balanceByMonitor(screenshots, count, (group, quota) => this._pickScreenshots(group, quota));
+    }
+
+    /**
+     * 从同一显示器的截图中挑选指定数量（保留首尾，保持时间顺序）
+     * 已由比对器打过变化分数时，其余名额给变化最大的截图（分数相同取较晚的），否则均匀抽取
+     * @param {Array<Object>} screenshots - 按时间排序的截图
+     * @param {number} count - 目标数量
+     * @returns {Array<Object>}
+     */
+    _pickScreenshots(screenshots, count) {
+        if (count >= screenshots.length) {
+            return screenshots;
+        }
+        if (count <= 1) {
+            return [screenshots[screenshots.length - 1]];
+        }
+
+        if (!screenshots.some(s => typeof s.changeScore === 'number')) {
+            const step = (screenshots.length - 1) / (count - 1);
+            return Array.from({ length: count }, (_, i) => screenshots[Math.round(i * step)]);
+        }
+
+        const lastIndex = screenshots.length - 1;
+        const picked = new Set([0, lastIndex]);
+        screenshots
+            .map((shot, index) => ({ score: shot.changeScore || 0, index }))
+            .filter(item => item.index !== 0 && item.index !== lastIndex)
+            .sort((a, b) => b.score - a.score || b.index - a.index)
+            .slice(0, count - 2)
+            .forEach(item => picked.add(item.index));
+        return screenshots.filter((_, index) => picked.has(index));
+    }
+
+    /**
+     * 按输入模式把截图分为发送图片与发送 OCR 文字两组
+     * ocr_text: 全部发送文字；hybrid: 最后一张发送图片，其余发送文字。
+     * 识别失败的截图仍发送图片；被隐私规则处理过的截图只发送屏蔽说明（text 为 null）
+     * @param {string} inputMode - ocr_text/hybrid
+     * @param {Array<Object>} screenshots - 附带 ocrText 的截图（按时间排序）
+     * @returns {{imageScreenshots: Array<Object>, ocrTexts: Array<{timestamp: Date, text: string|null, monitor: number}>}}
+     */
+    _splitByInputMode(inputMode, screenshots) {
+        const imageScreenshots = [];
+        const ocrTexts = [];
+        screenshots.forEach((shot, index) => {
+            const keepImage = inputMode === 'hybrid' && index === screenshots.length - 1;
+            if (!keepImage && shot.privacy) {
+                ocrTexts.push({ timestamp: shot.timestamp, text: null, monitor: shot.monitor });
+            } else if (!keepImage && shot.ocrText !== null) {
+                ocrTexts.push({ timestamp: shot.timestamp, text: shot.ocrText, monitor: shot.monitor });
+            } else {
+                imageScreenshots.push(shot);
+            }
+        });
+        return { imageScreenshots, ocrTexts };
+    }
+
+    /**
+     * 只保留截图时刻焦点窗口所在显示器的截图（summary.monitor_selection 为 focused 时）
+     * 焦点窗口未记录显示器，或该显示器没有截图（如未截取该显示器）时保留该时刻的全部截图
+     * @param {Array<Object>} screenshots - 按时间排序的截图
+     * @param {Array<Object>} windowTimeline - 焦点窗口时间线（条目的 display 为所在显示器）
+     * @returns {Array<Object>}
+     */
+    _filterFocusedMonitor(screenshots, windowTimeline) {
+        const monitors = new Set(screenshots.map(shot => shot.monitor));
+        if (monitors.size <= 1 || !windowTimeline || windowTimeline.length === 0) {
+            return screenshots;
+        }
+        return screenshots.filter(shot => {
+            const entry = this._windowAt(windowTimeline, shot.timestamp.getTime());
+            const display = entry ? entry.display : null;
+            return !display || !monitors.has(display) || shot.monitor === display;
+        });
+    }
+
+    /**
+     * 查找某一时刻的焦点窗口：包含该时刻的条目，否则取该时刻之前最近开始的条目
+     * @param {Array<Object>} windowTimeline - 焦点窗口时间线（按时间排序）
+     * @param {number} timeMs - 时间戳（毫秒）
+     * @returns {Object|null}
+     */
+    _windowAt(windowTimeline, timeMs) {
+        let candidate = null;
+        for (const entry of windowTimeline) {
+            if (entry.startTime > timeMs) {
+                break;
+            }
+            candidate = entry;
+            if (entry.endTime >= timeMs) {
+                break;
+            }
+        }
+        return candidate;
     }
 
     /**
@@ -69,27 +280,34 @@ class SummaryScheduler {
         this.isRunning = true;
         this.logger.info('总结调度器启动');
 
-        const granularity = this.config.summary.granularity;
-
-        // 2分钟级别
-        const baseConfig = granularity[this.baseGranularity];
-        if (baseConfig && baseConfig.enabled) {
-            const intervalMs = this.baseMinutes * 60 * 1000;
-            this.logger.info(`启用 ${this.baseGranularity} 级别总结，间隔: ${this.baseMinutes * 60}秒`);
-            this._timer2min = setInterval(() => this._run2min(), intervalMs);
+        for (const level of this.levels) {
+            if (level.enabled) {
+                this.logger.info(`启用 ${level.name} 级别总结，${this._describeSchedule(level)}`);
+            }
         }
+        this._scheduleTick();
 
-        // 10分钟级别
-        if (granularity['10min'].enabled) {
-            this.logger.info('启用 10min 级别总结，间隔: 600秒');
-            this._timer10min = setInterval(() => this._run10min(), 10 * 60 * 1000);
+        // 补跑上次运行遗留的任务
+        if (this.jobQueue && this.jobQueue.size() > 0) {
+            this.logger.info(`发现 ${this.jobQueue.size()} 个待补跑任务`);
+            this._triggerReplay();
         }
+    }
 
-        // 1小时级别
-        if (granularity['1h'].enabled) {
-            this.logger.info('启用 1h 级别总结，间隔: 3600秒');
-            this._timer1h = setInterval(() => this._run1h(), 60 * 60 * 1000);
+    /**
+     * 描述粒度的触发时间（用于启动日志）
+     * @param {Object} level - 粒度配置
+     * @returns {string}
+     */
+    _describeSchedule(level) {
+        if (level.period >= 7 * MINUTES_PER_DAY) {
+            return `每周 ${level.day} ${level.time || '00:00'} 生成`;
         }
+        if (level.period === MINUTES_PER_DAY) {
+            return `每天 ${level.time || '00:00'} 生成`;
+        }
+        const offset = this._timeOffset(level) % level.period;
+        return `对齐每 ${level.period} 分钟边界${offset > 0 ? `（偏移 ${offset} 分钟）` : ''}`;
     }
 
     /**
@@ -104,18 +322,116 @@ class SummaryScheduler {
         this.logger.info('正在停止总结调度器...');
 
         // 清除定时器
-        if (this._timer2min) { clearInterval(this._timer2min); this._timer2min = null; }
-        if (this._timer10min) { clearInterval(this._timer10min); this._timer10min = null; }
-        if (this._timer1h) { clearInterval(this._timer1h); this._timer1h = null; }
+        if (this._tickTimer) {
+            clearTimeout(this._tickTimer);
+            this._tickTimer = null;
+        }
 
         // 等待所有执行中的任务完成
-        while (this._executing['2min'] || this._executing['10min'] || this._executing['1h']) {
+        await this._tickChain;
+        while (Object.values(this._executing).some(Boolean) || this._replayQueued || this._replaying) {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
 
         this.isRunning = false;
         const s = this.stats;
-        this.logger.info(`总结调度器已停止。统计: 2min=${s['2min'].count}次(${s['2min'].errors}错误,${s['2min'].skipped}跳过), 10min=${s['10min'].count}次(${s['10min'].errors}错误,${s['10min'].skipped}跳过), 1h=${s['1h'].count}次(${s['1h'].errors}错误,${s['1h'].skipped}跳过)`);
+        const fmt = g => `${s[g].count}次(${s[g].errors}错误,${s[g].skipped}跳过,${s[g].quarantined}隔离,${s[g].queued}入队)`;
+        this.logger.info(`总结调度器已停止。统计: ${this.levels.map(l => `${l.name}=${fmt(l.name)}`).join(', ')}`);
+        if (this.budgetManager) {
+            const b = this.budgetManager.getStatus();
+            this.logger.info(`[预算] 等级: ${b.level}，今日 ${b.usage.day.tokens} tokens / ${b.usage.day.cost} ${b.currency}，` +
+                `本月 ${b.usage.month.tokens} tokens / ${b.usage.month.cost} ${b.currency}，剩余: ${this.budgetManager.formatRemaining()}`);
+        }
+        if (this.privacyFilter && this.privacyFilter.enabled) {
+            this.logger.info(`[隐私] 规则累计命中: ${this.privacyFilter.formatCounts()}`);
+        }
+        if (this.ocrEngine) {
+            const o = this.ocrEngine.stats;
+            this.logger.info(`[OCR] 识别 ${o.recognized} 张，复用文字层 ${o.cached} 张，失败 ${o.failed} 张`);
+        }
+    }
+
+    /**
+     * 计算下一个基础粒度边界（本地时间，按当天的分钟数对齐，秒与毫秒为 0）
+     * @param {Date} now - 当前时间
+     * @returns {Date}
+     */
+    _nextBoundary(now) {
+        const minutesOfDay = now.getHours() * 60 + now.getMinutes();
+        const next = new Date(now);
+        next.setHours(0, Math.floor(minutesOfDay / this.baseMinutes) * this.baseMinutes + this.baseMinutes, 0, 0);
+        return next;
+    }
+
+    /**
+     * 构建以 end 为终点、长度为 minutes 的时间窗口 [start, end)
+     * @param {Date} end - 窗口终点
+     * @param {number} minutes - 窗口长度（分钟）
+     * @returns {{start: Date, end: Date}}
+     */
+    _windowEndingAt(end, minutes) {
+        return { start: new Date(end.getTime() - minutes * 60 * 1000), end };
+    }
+
+    /**
+     * 安排下一次边界执行（每次按当前时间重新计算，不会累积漂移）
+     */
+    _scheduleTick() {
+        const boundary = this._nextBoundary(new Date());
+        const delay = Math.max(0, boundary.getTime() - Date.now()) + TICK_SETTLE_MS;
+
+        this._tickTimer = setTimeout(() => {
+            this._scheduleTick();
+            this._tickChain = this._tickChain
+                .then(() => this._onTick(boundary))
+                .catch(err => this.logger.error(`[调度] 边界 ${boundary.toLocaleTimeString('zh-CN')} 执行异常: ${err.message}`));
+        }, delay);
+    }
+
+    /**
+     * 处理一个边界：按列表顺序执行在该边界结束的各粒度窗口
+     * @param {Date} boundary - 边界时间
+     * @returns {Promise<void>}
+     */
+    async _onTick(boundary) {
+        for (const level of this.levels) {
+            if (this._isDue(level, boundary)) {
+                await this._run(level, this._windowEndingAt(boundary, level.period));
+            }
+        }
+    }
+
+    /**
+     * 粒度 time 字段对应的当天分钟数（未配置为 0）
+     * @param {Object} level - 粒度配置
+     * @returns {number}
+     */
+    _timeOffset(level) {
+        if (!level.time) {
+            return 0;
+        }
+        const [hours, minutes] = level.time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * 判断边界是否为该粒度的窗口终点
+     * 周期不超过一天的粒度按当天分钟数对齐（叠加 time 偏移），周期为一周的粒度每天 time 时检查 day
+     * @param {Object} level - 粒度配置
+     * @param {Date} boundary - 边界时间
+     * @returns {boolean}
+     */
+    _isDue(level, boundary) {
+        if (!level.enabled) {
+            return false;
+        }
+        const cycle = Math.min(level.period, MINUTES_PER_DAY);
+        const minutesOfDay = boundary.getHours() * 60 + boundary.getMinutes();
+        const offset = ((minutesOfDay - this._timeOffset(level)) % cycle + cycle) % cycle;
+        if (offset !== 0) {
+            return false;
+        }
+        return !level.day || DAY_NAMES[boundary.getDay()] === level.day;
     }
 
     /**
@@ -128,8 +444,7 @@ class SummaryScheduler {
         }
 
         const now = new Date();
-        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-        const currentDay = dayNames[now.getDay()];
+        const currentDay = DAY_NAMES[now.getDay()];
 
         if (!this.config.schedule.days.includes(currentDay)) {
             return false;
@@ -147,9 +462,10 @@ class SummaryScheduler {
      * 如果最后一条总结距今超过2分钟，说明服务中间有中断
      * @param {Array<Object>} historySummaries - 历史总结数组（按时间升序）
      * @param {number} intervalMinutes - 期望间隔分钟数
+     * @param {Date} [now] - 参照时间（补跑时为任务时间点）
      * @returns {Object|null} 断档信息 { gapMinutes, lastSummaryTime } 或 null
      */
-    _detectTimeGap(historySummaries, intervalMinutes = 1) {
+    _detectTimeGap(historySummaries, intervalMinutes = 1, now = new Date()) {
         if (!historySummaries || historySummaries.length === 0) {
             return null;
         }
@@ -161,7 +477,6 @@ class SummaryScheduler {
         }
 
         const lastTime = new Date(lastSummary.timestamp);
-        const now = new Date();
         const diffMs = now.getTime() - lastTime.getTime();
         const diffMinutes = Math.round(diffMs / 60000);
 
@@ -177,322 +492,780 @@ class SummaryScheduler {
     }
 
     /**
-     * 执行 2 分钟级别总结
+     * 按 source 查找粒度的输入来源
+     * @param {Object} level - 粒度配置
+     * @returns {Object} 下层粒度配置
      */
-    async _run2min() {
-        if (this._executing['2min'] || !this._isAllowed()) {
-            return;
+    _getChild(level) {
+        return this.levels.find(l => l.name === level.source);
+    }
+
+    /**
+     * 读取基础粒度窗口内的候选截图（最多发送上限的 CANDIDATE_FACTOR 倍，取最近的）
+     * 有截图清单时，期望数量按清单中实际落盘的截图计，重复帧未保存不算数量不足
+     * 截图服务使用自适应间隔时截图数量不固定：超出时在整个窗口内均匀抽取，没有清单时不检查数量
+     * @param {Object} level - 基础粒度配置
+     * @param {{start: Date, end: Date}} window - 时间窗口 [start, end)
+     * @param {Array<Object>|null} [manifest] - 窗口内的截图清单记录
+     * @returns {Array<{buffer: Buffer, timestamp: Date, path: string}>}
+     */
+    _readScreenshots(level, window, manifest = null) {
+        const maxScreenshots = this._maxScreenshots(level);
+        const adaptive = this.config.screenshot.adaptive === true;
+        let expectedCount = adaptive ? 0 : maxScreenshots;
+        if (manifest) {
+            expectedCount = Math.min(maxScreenshots, manifest.filter(e => e.action !== 'skipped').length);
         }
-        this._executing['2min'] = true;
+        return this.screenshotReader.getScreenshotBuffersInRange(
+            window.start, window.end, maxScreenshots * CANDIDATE_FACTOR, expectedCount, adaptive
+        );
+    }
 
-        try {
-            this.logger.info('[2min] 开始总结...');
+    /**
+     * 按截图清单说明窗口内为何没有截图（用于日志）
+     * @param {Array<Object>|null} manifest - 窗口内的截图清单记录
+     * @returns {string}
+     */
+    _describeMissingScreenshots(manifest) {
+        if (!manifest) {
+            return '';
+        }
+        if (manifest.length === 0) {
+            return '（截图清单无记录，截图服务未运行）';
+        }
+        if (manifest.some(e => e.action === 'private')) {
+            return '（截图被隐私规则跳过）';
+        }
+        return '';
+    }
 
-            const baseConfig = this.config.summary.granularity[this.baseGranularity];
-            if (!baseConfig || !baseConfig.enabled) {
-                this.logger.warn('[2min] 未启用基础粒度，总结跳过');
-                return;
-            }
+    /**
+     * 窗口内没有截图文件时按截图清单判断屏幕是否无变化
+     * 清单里有记录且全部为跳过的重复帧，说明截图服务在运行但屏幕无变化，保存无变化模板记录；
+     * 清单无记录则说明截图服务未运行（或已暂停），由调用方跳过
+     * @param {Object} level - 基础粒度配置
+     * @param {{start: Date, end: Date}} window - 时间窗口 [start, end)
+     * @param {Array<Object>|null} manifest - 窗口内的截图清单记录
+     * @param {Array<Object>} windowTimeline - 焦点窗口时间线
+     * @returns {boolean} 是否已保存无变化记录
+     */
+    _saveSkippedFramesRecord(level, window, manifest, windowTimeline) {
+        if (!this.screenshotComparer || !manifest || manifest.length === 0 ||
+            manifest.some(e => e.action !== 'skipped')) {
+            return false;
+        }
 
-            // 1. 读取最近2分钟的截图
-            const screenshotsPerMinute = baseConfig.screenshots_per_minute ||
-                Math.floor(60 / this.config.screenshot.interval);
-            const maxScreenshots = Math.max(1, screenshotsPerMinute * this.baseMinutes);
-            const screenshots = this.screenshotReader.getRecentScreenshotBuffers(this.baseMinutes, maxScreenshots);
+        const granularity = level.name;
+        const activeWindowText = this.activeWindowCollector
+            ? this.activeWindowCollector.formatForPrompt(windowTimeline)
+            : '';
+        const noChangeRecord = this.screenshotComparer.buildNoChangeScreenshotRecord(
+            manifest, activeWindowText, level.period
+        );
+        noChangeRecord.skip_reason = '截图服务判定屏幕无变化，未保存重复帧';
+        noChangeRecord.change_scores = manifest.map(e => ({ time: e.time, score: e.score, sent: false }));
+
+        if (this.promptLogger) {
+            this.promptLogger.log(granularity, window.end, [
+                `[截图服务跳过重复帧 - 跳过API请求]\n清单记录: ${manifest.length}\n焦点窗口: ${activeWindowText || '无'}`
+            ]);
+        }
 
-            if (screenshots.length === 0) {
-                this.logger.warn('[2min] 没有可用的截图，跳过');
-                return;
-            }
+        this.summaryStore.save(granularity, window.end, noChangeRecord, window);
+        this.stats[granularity].skipped++;
+        this.logger.info(`[${granularity}] 截图服务未保存重复帧，屏幕无变化，已使用模板记录（跳过API）`);
+        return true;
+    }
 
-            // 2. 截图一致性比对（如果比对器可用）
-            // 所有截图完全一致则判定为屏幕无变化，跳过 API 请求
-            if (this.screenshotComparer && this.screenshotComparer.allIdentical(screenshots)) {
-                // 获取焦点窗口信息用于模板记录
-                let activeWindowTextForSkip = '';
-                if (this.activeWindowCollector) {
-                    const endMs = Date.now();
-                    const startMs = endMs - this.baseMinutes * 60 * 1000;
-                    const timeline = this.activeWindowCollector.getTimelineInRange(startMs, endMs);
-                    activeWindowTextForSkip = this.activeWindowCollector.formatForPrompt(timeline);
-                }
+    /**
+     * 基础粒度每个窗口发送给模型的截图上限（period * screenshots_per_minute）
+     * @param {Object} level - 基础粒度配置
+     * @returns {number}
+     */
+    _maxScreenshots(level) {
+        const screenshotsPerMinute = level.screenshots_per_minute ||
+            Math.floor(60 / this.config.screenshot.interval);
+        return Math.max(1, screenshotsPerMinute * level.period);
+    }
 
-                const noChangeRecord = this.screenshotComparer.buildNoChange2minRecord(
-                    screenshots, activeWindowTextForSkip
-                );
-                const nowSkip = new Date();
+    /**
+     * 执行一个粒度窗口的总结
+     * 周期不短于一天的粒度（日报/周报等）在配置的时间点生成，不受 schedule 时段限制（通常设在 end_time 之后）
+     * @param {Object} level - 粒度配置
+     * @param {{start: Date, end: Date}} window - 时间窗口 [start, end)
+     */
+    async _run(level, window) {
+        const granularity = level.name;
+        if (this._executing[granularity] || (level.period < MINUTES_PER_DAY && !this._isAllowed())) {
+            return;
+        }
+        this._executing[granularity] = true;
 
-                // 记录 prompt 日志（标记为跳过）
-                if (this.promptLogger) {
-                    this.promptLogger.log('2min', nowSkip, [
-                        `[截图无变化 - 跳过API请求]\n截图数量: ${screenshots.length}\n焦点窗口: ${activeWindowTextForSkip || '无'}`
-                    ]);
+        let job = null;
+        try {
+            this.logger.info(`[${granularity}] 开始总结...`);
+
+            if (level.source === 'screenshots') {
+                // 1. 读取窗口内的截图（截图清单用于区分“屏幕无变化”与“截图服务未运行”）
+                const manifest = this.screenshotReader.getManifestEntries(window.start, window.end);
+                const screenshots = this._readScreenshots(level, window, manifest);
+                if (screenshots.length === 0) {
+                    const timeline = this._snapshotWindowTimeline(window.start, window.end);
+                    if (!this._saveSkippedFramesRecord(level, window, manifest, timeline)) {
+                        this.logger.warn(`[${granularity}] 没有可用的截图${this._describeMissingScreenshots(manifest)}，跳过`);
+                    }
+                    return;
                 }
 
-                this.summaryStore.save(this.baseGranularity, nowSkip, noChangeRecord);
-                this.stats['2min'].skipped++;
-                this.logger.info(`[2min] 截图无变化，已使用模板记录（跳过API）`);
-                return;
-            }
-
-            // 3. 读取历史2min总结
-            const historyMinutes = baseConfig.history_minutes || 0;
-            const historyCount = Math.max(0, Math.ceil(historyMinutes / this.baseMinutes));
-            const historySummaries = historyCount > 0
-                ? this.summaryStore.getRecentSummaries(this.baseGranularity, historyCount)
-                : [];
-
-            // 4. 检测时间断档
-            // 如果最近一条历史总结的时间戳距离现在超过 2 倍粒度间隔，说明服务中间有空档
-            const gapInfo = this._detectTimeGap(historySummaries, this.baseMinutes);
-            if (gapInfo) {
-                this.logger.info(`[2min] 检测到时间断档: 上次总结在 ${gapInfo.lastSummaryTime}，中断了约 ${gapInfo.gapMinutes} 分钟`);
-            }
+                // 2. 快照焦点窗口时间线（失败入队时一并持久化）
+                const windowTimeline = this._snapshotWindowTimeline(window.start, window.end);
+                job = {
+                    granularity,
+                    timestamp: window.end,
+                    start: window.start,
+                    end: window.end,
+                    screenshotPaths: screenshots.map(s => s.path),
+                    windowTimeline
+                };
+
+                await this._summarizeScreenshots(level, window, screenshots, windowTimeline);
+            } else {
+                job = {
+                    granularity,
+                    timestamp: window.end,
+                    start: window.start,
+                    end: window.end
+                };
+                // 报告类粒度不使用焦点窗口，避免在任务中持久化整天的时间线
+                if (level.prompt !== 'report') {
+                    job.windowTimeline = this._snapshotWindowTimeline(window.start, window.end);
+                }
 
-            // 5. 获取焦点窗口信息（如果采集器可用）
-            let activeWindowText = '';
-            if (this.activeWindowCollector) {
-                const endMs = Date.now();
-                const startMs = endMs - this.baseMinutes * 60 * 1000;
-                const timeline = this.activeWindowCollector.getTimelineInRange(startMs, endMs);
-                activeWindowText = this.activeWindowCollector.formatForPrompt(timeline);
-                if (activeWindowText) {
-                    this.logger.debug(`[2min] 焦点窗口信息: ${timeline.length} 条记录`);
+                // 窗口内还有待补跑的下层任务时整体入队，避免聚合出空洞
+                const lower = this.levels.slice(0, this.levels.indexOf(level)).map(l => l.name);
+                if (this.jobQueue && this.jobQueue.hasPendingInRange(lower, window.start, window.end)) {
+                    this._enqueueJob(job, '等待下层补跑完成');
+                    return;
                 }
+
+                await this._summarizeAggregate(level, window, job.windowTimeline || []);
             }
+            this._triggerReplay();
 
-            // 6. 构建请求
-            const contents = this.promptBuilder.build2min(
-                screenshots,
-                historySummaries,
-                this.config.screenshot.format,
-                gapInfo,
-                activeWindowText
+        } catch (err) {
+            this._handleRunError(granularity, err, job);
+        } finally {
+            this._executing[granularity] = false;
+        }
+    }
+
+    /**
+     * 生成并保存一条基础粒度总结（实时执行、补跑与回填共用）
+     * @param {Object} level - 基础粒度配置
+     * @param {{start: Date, end: Date}} window - 时间窗口 [start, end)，终点决定写入的 HH-mm.json
+     * @param {Array<{buffer: Buffer, timestamp: Date}>} screenshots - 截图
+     * @param {Array<Object>} windowTimeline - 焦点窗口时间线
+     * @returns {Promise<void>}
+     * @throws {Error} LLM 调用失败
+     */
+    async _summarizeScreenshots(level, window, screenshots, windowTimeline) {
+        const granularity = level.name;
+        const timestamp = window.end;
+        const activeWindowText = this.activeWindowCollector
+            ? this.activeWindowCollector.formatForPrompt(windowTimeline)
+            : '';
+
+        // 1. 截图比对（如果比对器可用）：为每张截图打变化分数
+        // 所有截图与第一张相比均无明显变化则判定为屏幕无变化，跳过 API 请求
+        if (this.screenshotComparer && await this.screenshotComparer.analyze(screenshots)) {
+            const noChangeRecord = this.screenshotComparer.buildNoChangeScreenshotRecord(
+                screenshots, activeWindowText, level.period
             );
+            noChangeRecord.change_scores = this.screenshotComparer.buildChangeScores(screenshots);
 
-            // 6.1 记录 prompt 日志
-            const now2min = new Date();
+            // 记录 prompt 日志（标记为跳过）
             if (this.promptLogger) {
-                this.promptLogger.log('2min', now2min, contents);
+                this.promptLogger.log(granularity, timestamp, [
+                    `[截图无变化 - 跳过API请求]\n截图数量: ${screenshots.length}\n焦点窗口: ${activeWindowText || '无'}`
+                ]);
             }
 
-            // 7. 调用 Gemini
-            const { text: responseText, usageMetadata } = await this.geminiClient.generate(contents);
+            this.summaryStore.save(granularity, timestamp, noChangeRecord, window);
+            this.stats[granularity].skipped++;
+            this.logger.info(`[${granularity}] 截图无变化，已使用模板记录（跳过API）`);
+            return;
+        }
 
-            // 7.1 记录 token 用量
-            if (this.tokenTracker && usageMetadata) {
-                this.tokenTracker.record('2min', usageMetadata);
+        // 2. 读取窗口开始前 history_minutes 分钟（未配置时为 history_count 个周期）内的历史总结（按实际时间，可跨越午夜）
+        const historyMinutes = level.history_minutes !== undefined
+            ? level.history_minutes
+            : (level.history_count || 0) * level.period;
+        const historySummaries = historyMinutes > 0
+            ? this.summaryStore.getSummariesInRange(
+                granularity, this._minutesBefore(window.start, historyMinutes), window.start
+            )
+            : [];
+
+        // 3. 检测时间断档
+        // 如果最近一条历史总结的时间戳距离该时间点超过 2 倍粒度间隔，说明服务中间有空档
+        const gapInfo = this._detectTimeGap(historySummaries, level.period, timestamp);
+        if (gapInfo) {
+            this.logger.info(`[${granularity}] 检测到时间断档: 上次总结在 ${gapInfo.lastSummaryTime}，中断了约 ${gapInfo.gapMinutes} 分钟`);
+        }
+
+        if (activeWindowText) {
+            this.logger.debug(`[${granularity}] 焦点窗口信息: ${windowTimeline.length} 条记录`);
+        }
+
+        // 4. 构建请求（熔断或预算用尽期间直接失败，由调用方处理）
+        this._assertAvailable();
+
+        // 4.1 多显示器时按配置只保留焦点窗口所在显示器的截图；候选截图多于上限时按变化分数挑选（各显示器平均分配）
+        let candidates = screenshots;
+        if (this.config.summary.monitor_selection === 'focused') {
+            candidates = this._filterFocusedMonitor(screenshots, windowTimeline);
+            if (candidates.length < screenshots.length) {
+                this.logger.debug(`[${granularity}] 只保留焦点窗口所在显示器的截图: ${screenshots.length} → ${candidates.length} 张`);
             }
+        }
+        let requestScreenshots = this._selectScreenshots(candidates, this._maxScreenshots(level));
+        if (requestScreenshots.length < candidates.length) {
+            this.logger.debug(`[${granularity}] 按变化分数挑选截图: ${candidates.length} → ${requestScreenshots.length} 张`);
+        }
 
-            // 8. 解析响应
-            const parsed = this._parseResponse(responseText);
+        // 4.2 预算降级：进一步减少截图，或仅用焦点窗口时间线生成纯文本总结
+        const budgetLevel = this.budgetManager ? this.budgetManager.getLevel() : 'normal';
+        if (budgetLevel === 'reduced') {
+            const ratio = this.config.llm.budget.reduced_screenshot_ratio;
+            const selected = requestScreenshots;
+            requestScreenshots = this._selectScreenshots(selected, Math.max(1, Math.round(selected.length * ratio)));
+            this.logger.debug(`[${granularity}] 预算降级: 截图 ${selected.length} → ${requestScreenshots.length} 张`);
+        } else if (budgetLevel === 'text_only') {
+            if (!activeWindowText) {
+                this.stats[granularity].skipped++;
+                this.logger.warn(`[${granularity}] 预算降级为纯文本模式，但没有焦点窗口记录，跳过`);
+                return;
+            }
+            requestScreenshots = [];
+        }
 
-            // 9. 保存
-            this.summaryStore.save(this.baseGranularity, now2min, parsed);
-            this.stats['2min'].count++;
+        // 4.3 隐私规则：按截图时刻的焦点窗口再次过滤（排除、模糊或替换为占位图）
+        let promptScreenshots = requestScreenshots;
+        if (this.privacyFilter && requestScreenshots.length > 0) {
+            promptScreenshots = await this.privacyFilter.filterScreenshots(requestScreenshots, windowTimeline);
+            if (promptScreenshots.length === 0) {
+                this.stats[granularity].skipped++;
+                this.logger.info(`[${granularity}] 截图均被隐私规则排除，跳过`);
+                return;
+            }
+        }
 
-            // 10. Todo 回写（将 AI 新建的任务/子任务/行为写入 JSON）
-            if (this.todoWriter) {
-                try {
-                    this.todoWriter.processResponse(parsed);
-                } catch (writeErr) {
-                    this.logger.warn(`[2min] Todo 回写失败: ${writeErr.message}`);
-                }
+        // 4.4 OCR 文字层：ocr_text/hybrid 模式以文字代替部分截图（images 模式只保存文字层供搜索）
+        let imageScreenshots = promptScreenshots;
+        let ocrTexts = [];
+        if (this.ocrEngine && promptScreenshots.length > 0) {
+            const recognized = await this.ocrEngine.recognizeScreenshots(promptScreenshots);
+            const inputMode = this.config.summary.input_mode;
+            if (inputMode !== 'images') {
+                ({ imageScreenshots, ocrTexts } = this._splitByInputMode(inputMode, recognized));
+                this.logger.debug(`[${granularity}] 输入模式 ${inputMode}: 图片 ${imageScreenshots.length} 张，OCR 文字 ${ocrTexts.length} 张`);
             }
+        }
 
-            this.logger.info('[2min] 总结完成');
+        // 4.5 截图拼图：把要发送的截图拼成 1-2 张带时间标注的网格图（拼图失败时按单张发送）
+        const screenshotCount = imageScreenshots.length;
+        let packing = 'off';
+        if (this.screenshotMosaic && imageScreenshots.length > 1) {
+            const packed = await this.screenshotMosaic.pack(imageScreenshots);
+            if (packed) {
+                imageScreenshots = packed.images;
+                packing = packed.packing;
+                this.logger.debug(`[${granularity}] 截图拼图 ${packing}: ${screenshotCount} 张截图拼为 ${imageScreenshots.length} 张`);
+            }
+        }
 
-        } catch (err) {
-            this.stats['2min'].errors++;
-            this.logger.error(`[2min] 总结失败: ${err.message}`);
-        } finally {
-            this._executing['2min'] = false;
+        // 4.6 图片格式：当前提供方不支持的格式（如 AVIF）转换为 JPEG
+        if (imageScreenshots.length > 0) {
+            imageScreenshots = await this.geminiClient.toSupportedImages(imageScreenshots);
+        }
+
+        const contents = this.promptBuilder.buildScreenshot(
+            level,
+            imageScreenshots,
+            historySummaries,
+            this.config.screenshot.format,
+            gapInfo,
+            activeWindowText,
+            ocrTexts,
+            this.config.ocr.max_chars
+        );
+
+        // 4.7 记录 prompt 日志
+        if (this.promptLogger) {
+            this.promptLogger.log(granularity, timestamp, contents);
+        }
+
+        // 5. 调用 LLM 并按 Schema 校验（失败时修复重试，仍失败则隔离）
+        const imageDetails = screenshotCount > 0
+            ? { packing, image_count: imageScreenshots.length, screenshot_count: screenshotCount }
+            : null;
+        const parsed = await this._generateSummary(level, contents, timestamp, imageDetails);
+        if (!parsed) {
+            return;
+        }
+
+        // 6. 保存（预算降级时标记降级等级，以 OCR 文字代替截图时标记输入模式，拼图发送时标记打包方式；比对器可用时记录每张截图的变化分数及是否发送）
+        if (budgetLevel !== 'normal') {
+            parsed.budget_level = budgetLevel;
+        }
+        if (ocrTexts.length > 0) {
+            parsed.input_mode = this.config.summary.input_mode;
+        }
+        if (packing !== 'off') {
+            parsed.packing = packing;
+        }
+        if (this.screenshotComparer) {
+            const sentPaths = new Set(promptScreenshots.map(shot => shot.path));
+            parsed.change_scores = this.screenshotComparer.buildChangeScores(
+                screenshots, requestScreenshots.filter(shot => sentPaths.has(shot.path))
+            );
+        }
+        this.summaryStore.save(granularity, timestamp, parsed, window);
+        this.stats[granularity].count++;
+
+        // 7. Todo 回写（将 AI 新建的任务/子任务/行为写入 JSON）
+        if (this.todoWriter) {
+            try {
+                this.todoWriter.processResponse(parsed);
+            } catch (writeErr) {
+                this.logger.warn(`[${granularity}] Todo 回写失败: ${writeErr.message}`);
+            }
         }
+
+        this.logger.info(`[${granularity}] 总结完成`);
     }
 
     /**
-     * 执行 10 分钟级别总结
+     * 生成并保存一条聚合粒度总结（实时执行、补跑与回填共用）
+     * 输入为截至窗口终点最近 child_count 个下层周期的下层总结（默认覆盖整个窗口），
+     * 可选再往前 earlier_child_count 个下层周期的下层总结，以及本粒度之前 history_count 个周期的总结
+     * @param {Object} level - 粒度配置
+     * @param {{start: Date, end: Date}} window - 时间窗口 [start, end)
+     * @param {Array<Object>} windowTimeline - 焦点窗口时间线
+     * @returns {Promise<void>}
+     * @throws {Error} LLM 调用失败
      */
-    async _run10min() {
-        if (this._executing['10min'] || !this._isAllowed()) {
+    async _summarizeAggregate(level, window, windowTimeline) {
+        const granularity = level.name;
+        const child = this._getChild(level);
+        const timestamp = window.end;
+
+        // 1. 读取截至该时间点最近 child_count 个下层周期内的下层总结
+        const childCount = level.child_count || Math.round(level.period / child.period);
+        const recentStart = this._minutesBefore(timestamp, childCount * child.period);
+        const children = this.summaryStore.getSummariesInRange(child.name, recentStart, timestamp);
+
+        if (children.length === 0) {
+            this.logger.warn(`[${granularity}] 没有可用的${child.name}总结，跳过`);
             return;
         }
-        this._executing['10min'] = true;
-
-        try {
-            this.logger.info('[10min] 开始总结...');
 
-            // 1. 读取最近10分钟的2min总结
-            const recentCount = Math.max(1, Math.ceil(10 / this.baseMinutes));
-            const recent2min = this.summaryStore.getRecentSummaries(this.baseGranularity, recentCount);
-
-            if (recent2min.length === 0) {
-                this.logger.warn('[10min] 没有可用的2min总结，跳过');
+        // 2. 检查下层是否全部为"无变化"（报告类粒度直接不生成）
+        if (this.screenshotComparer && this.screenshotComparer.allNoChange(children)) {
+            if (level.prompt === 'report') {
+                this.stats[granularity].skipped++;
+                this.logger.info(`[${granularity}] 所有${child.name}子级均无变化（${children.length}条），跳过生成`);
                 return;
             }
 
-            // 2. 检查所有2min子级是否全部为"无变化"
-            if (this.screenshotComparer && this.screenshotComparer.allNoChange(recent2min)) {
-                const noChangeRecord = this.screenshotComparer.buildNoChange10minRecord(recent2min);
-                const nowSkip10 = new Date();
+            const noChangeRecord = level.prompt === 'timeline'
+                ? this.screenshotComparer.buildNoChangeTimelineRecord(children, child.name)
+                : this.screenshotComparer.buildNoChangeDistributionRecord(children, child.name);
 
-                // 记录 prompt 日志（标记为跳过）
-                if (this.promptLogger) {
-                    this.promptLogger.log('10min', nowSkip10, [
-                        `[全部2min子级无变化 - 跳过API请求]\n无变化2min记录数: ${recent2min.length}`
-                    ]);
-                }
-
-                this.summaryStore.save('10min', nowSkip10, noChangeRecord);
-                this.stats['10min'].skipped++;
-                this.logger.info(`[10min] 所有2min子级均无变化（${recent2min.length}条），已使用模板记录（跳过API）`);
-                return;
+            // 记录 prompt 日志（标记为跳过）
+            if (this.promptLogger) {
+                this.promptLogger.log(granularity, timestamp, [
+                    `[全部${child.name}子级无变化 - 跳过API请求]\n无变化${child.name}记录数: ${children.length}`
+                ]);
             }
 
-            // 3. 读取历史10min总结
-            const historyCount = this.config.summary.granularity['10min'].history_count;
-            const history10min = this.summaryStore.getRecentSummaries('10min', historyCount);
-
-            // 4. 获取焦点窗口信息（如果采集器可用）
-            let activeWindowText10 = '';
-            if (this.activeWindowCollector) {
-                const endMs = Date.now();
-                const startMs = endMs - 10 * 60 * 1000;
-                const timeline = this.activeWindowCollector.getTimelineInRange(startMs, endMs);
-                activeWindowText10 = this.activeWindowCollector.formatForPrompt(timeline);
-                if (activeWindowText10) {
-                    this.logger.debug(`[10min] 焦点窗口信息: ${timeline.length} 条记录`);
-                }
-            }
+            this.summaryStore.save(granularity, timestamp, noChangeRecord, window);
+            this.stats[granularity].skipped++;
+            this.logger.info(`[${granularity}] 所有${child.name}子级均无变化（${children.length}条），已使用模板记录（跳过API）`);
+            return;
+        }
 
-            // 5. 构建请求
-            const contents = this.promptBuilder.build10min(recent2min, history10min, activeWindowText10);
+        // 3. 读取再往前 earlier_child_count 个下层周期内的下层总结
+        const earlierCount = level.earlier_child_count || 0;
+        const earlier = earlierCount > 0
+            ? this.summaryStore.getSummariesInRange(
+                child.name, this._minutesBefore(recentStart, earlierCount * child.period), recentStart
+            )
+            : [];
+
+        // 4. 读取窗口开始前 history_count 个周期内的本粒度总结
+        const historyCount = level.history_count || 0;
+        const history = historyCount > 0
+            ? this.summaryStore.getSummariesInRange(
+                granularity, this._minutesBefore(window.start, historyCount * level.period), window.start
+            )
+            : [];
+
+        // 5. 焦点窗口信息
+        const activeWindowText = this.activeWindowCollector
+            ? this.activeWindowCollector.formatForPrompt(windowTimeline)
+            : '';
+        if (activeWindowText) {
+            this.logger.debug(`[${granularity}] 焦点窗口信息: ${windowTimeline.length} 条记录`);
+        }
 
-            // 5.1 记录 prompt 日志
-            const now10min = new Date();
-            if (this.promptLogger) {
-                this.promptLogger.log('10min', now10min, contents);
-            }
+        // 6. 构建请求（熔断或预算用尽期间直接失败，由调用方处理）
+        this._assertAvailable();
+        const contents = this.promptBuilder.buildAggregate(level, child, {
+            children,
+            earlier,
+            history,
+            activeWindowText
+        });
+
+        // 6.1 记录 prompt 日志
+        if (this.promptLogger) {
+            this.promptLogger.log(granularity, timestamp, contents);
+        }
+
+        // 7. 调用 LLM 并按 Schema 校验（失败时修复重试，仍失败则隔离）
+        const parsed = await this._generateSummary(level, contents, timestamp);
+        if (!parsed) {
+            return;
+        }
 
-            // 6. 调用 Gemini
-            const { text: responseText, usageMetadata } = await this.geminiClient.generate(contents);
+        // 8. 保存
+        this.summaryStore.save(granularity, timestamp, parsed, window);
+        this.stats[granularity].count++;
 
-            // 6.1 记录 token 用量
-            if (this.tokenTracker && usageMetadata) {
-                this.tokenTracker.record('10min', usageMetadata);
-            }
+        this.logger.info(`[${granularity}] 总结完成`);
+    }
 
-            // 7. 解析响应
-            const parsed = this._parseResponse(responseText);
+    /**
+     * 计算某一时刻之前若干分钟的时间点
+     * @param {Date} date - 参照时间
+     * @param {number} minutes - 分钟数
+     * @returns {Date}
+     */
+    _minutesBefore(date, minutes) {
+        return new Date(date.getTime() - minutes * 60 * 1000);
+    }
 
-            // 8. 保存
-            this.summaryStore.save('10min', now10min, parsed);
-            this.stats['10min'].count++;
+    /**
+     * 快照指定时间范围的焦点窗口时间线
+     * @param {Date} start - 开始时间
+     * @param {Date} end - 结束时间
+     * @returns {Array<Object>} 时间线条目（采集器不可用时为空数组）
+     */
+    _snapshotWindowTimeline(start, end) {
+        if (!this.activeWindowCollector) {
+            return [];
+        }
+        return this.activeWindowCollector.getTimelineInRange(start.getTime(), end.getTime());
+    }
 
-            this.logger.info('[10min] 总结完成');
+    /**
+     * 统一处理各粒度执行失败：LLM 不可用或调用失败的任务入队等待补跑
+     * @param {string} granularity - 时间粒度
+     * @param {Error} err - 错误
+     * @param {Object|null} job - 本次任务（尚未构建时为 null）
+     */
+    _handleRunError(granularity, err, job) {
+        if (err.code === 'BUDGET_PAUSED') {
+            // 预算暂停期间不入队，避免预算恢复后集中补跑消耗新周期的预算
+            this.stats[granularity].skipped++;
+            this.logger.debug(`[${granularity}] ${err.message}`);
+            return;
+        }
 
-        } catch (err) {
-            this.stats['10min'].errors++;
-            this.logger.error(`[10min] 总结失败: ${err.message}`);
-        } finally {
-            this._executing['10min'] = false;
+        if (err.code === 'CIRCUIT_OPEN') {
+            // 熔断已由 _onBreakerStateChange 统一记录，这里不再逐次报错
+            this.stats[granularity].skipped++;
+            this.logger.debug(`[${granularity}] ${err.message}`);
+        } else {
+            this.stats[granularity].errors++;
+            this.logger.error(`[${granularity}] 总结失败: ${err.message}`);
+        }
+
+        if (job) {
+            this._enqueueJob(job, err.message);
         }
     }
 
     /**
-     * 执行 1 小时级别总结
+     * 将任务加入待补跑队列
+     * @param {Object} job - 任务数据（见 JobQueue.enqueue）
+     * @param {string} reason - 入队原因
      */
-    async _run1h() {
-        if (this._executing['1h'] || !this._isAllowed()) {
+    _enqueueJob(job, reason) {
+        if (!this.jobQueue) {
             return;
         }
-        this._executing['1h'] = true;
+        this.jobQueue.enqueue({ ...job, reason });
+        this.stats[job.granularity].queued++;
+    }
 
-        try {
-            this.logger.info('[1h] 开始总结...');
+    /**
+     * 异步触发补跑（队列为空、已排队或已在补跑时忽略）
+     * 补跑排入边界执行链，与实时总结串行执行，熔断恢复或预算解除后不会以双倍速率请求 LLM
+     */
+    _triggerReplay() {
+        if (!this.jobQueue || this._replayQueued || this._replaying || this.jobQueue.size() === 0) {
+            return;
+        }
+        this._replayQueued = true;
+        this._tickChain = this._tickChain
+            .then(() => {
+                this._replayQueued = false;
+                return this.replayPendingJobs();
+            })
+            .catch(err => this.logger.error(`[补跑] 异常: ${err.message}`));
+    }
 
-            // 1. 读取最近6条10min总结
-            const recentCount = this.config.summary.granularity['1h'].recent_10min_count;
-            const recent10min = this.summaryStore.getRecentSummaries('10min', recentCount);
+    /**
+     * 按时间顺序补跑待处理任务
+     * 遇到失败即停止（保持时间顺序，避免服务未恢复时反复请求）；
+     * 多次失败的任务转入隔离目录，截图已被清理的基础粒度任务直接丢弃
+     * @returns {Promise<{replayed: number, remaining: number}>}
+     */
+    async replayPendingJobs() {
+        if (!this.jobQueue || this._replaying) {
+            return { replayed: 0, remaining: this.jobQueue ? this.jobQueue.size() : 0 };
+        }
+        this._replaying = true;
 
-            if (recent10min.length === 0) {
-                this.logger.warn('[1h] 没有可用的10min总结，跳过');
-                return;
+        let replayed = 0;
+        try {
+            const jobs = this.jobQueue.list();
+            if (jobs.length > 0) {
+                this.logger.info(`[补跑] 开始处理 ${jobs.length} 个待补跑任务`);
             }
 
-            // 2. 检查所有10min子级是否全部为"无变化"
-            if (this.screenshotComparer && this.screenshotComparer.allNoChange(recent10min)) {
-                const noChangeRecord = this.screenshotComparer.buildNoChange1hRecord(recent10min);
-                const nowSkip1h = new Date();
+            for (const job of jobs) {
+                if (this.geminiClient.circuitBreaker && this.geminiClient.circuitBreaker.isOpen()) {
+                    break;
+                }
+                if (this.budgetManager && !this.budgetManager.allowsRequest()) {
+                    break;
+                }
 
-                // 记录 prompt 日志（标记为跳过）
-                if (this.promptLogger) {
-                    this.promptLogger.log('1h', nowSkip1h, [
-                        `[全部10min子级无变化 - 跳过API请求]\n无变化10min记录数: ${recent10min.length}`
-                    ]);
+                // 槽位已有结果（例如重复入队）则直接移除
+                const timestamp = new Date(job.timestamp);
+                if (this.summaryStore.exists(job.granularity, timestamp)) {
+                    this.jobQueue.remove(job.id);
+                    continue;
                 }
 
-                this.summaryStore.save('1h', nowSkip1h, noChangeRecord);
-                this.stats['1h'].skipped++;
-                this.logger.info(`[1h] 所有10min子级均无变化（${recent10min.length}条），已使用模板记录（跳过API）`);
-                return;
+                try {
+                    await this._replayJob(job, timestamp);
+                    this.jobQueue.remove(job.id);
+                    replayed++;
+                } catch (err) {
+                    if (err.code === 'BUDGET_PAUSED') {
+                        break;
+                    }
+                    const updated = this.jobQueue.markFailed(job, err);
+                    if (updated.attempts >= MAX_REPLAY_ATTEMPTS) {
+                        this.summaryStore.quarantine(job.granularity, timestamp, {
+                            reason: `补跑失败 ${updated.attempts} 次`,
+                            errors: [err.message],
+                            job: updated
+                        });
+                        this.jobQueue.remove(job.id);
+                        continue;
+                    }
+                    if (err.code !== 'CIRCUIT_OPEN') {
+                        this.logger.warn(`[补跑] ${job.id} 失败，暂停补跑: ${err.message}`);
+                    }
+                    break;
+                }
             }
+        } finally {
+            this._replaying = false;
+        }
 
-            // 3. 读取更早6条10min总结
-            const earlierCount = this.config.summary.granularity['1h'].earlier_10min_count;
-            const earlier10min = this.summaryStore.getEarlierSummaries('10min', earlierCount, recentCount);
-
-            // 4. 获取焦点窗口信息（如果采集器可用）
-            let activeWindowText1h = '';
-            if (this.activeWindowCollector) {
-                const endMs = Date.now();
-                const startMs = endMs - 60 * 60 * 1000;
-                const timeline = this.activeWindowCollector.getTimelineInRange(startMs, endMs);
-                activeWindowText1h = this.activeWindowCollector.formatForPrompt(timeline);
-                if (activeWindowText1h) {
-                    this.logger.debug(`[1h] 焦点窗口信息: ${timeline.length} 条记录`);
-                }
+        const remaining = this.jobQueue.size();
+        if (replayed > 0) {
+            this.logger.info(`[补跑] 完成 ${replayed} 个任务，剩余 ${remaining} 个`);
+        }
+        return { replayed, remaining };
+    }
+
+    /**
+     * 列出窗口终点落在 (from, to] 内的该粒度窗口
+     * 按基础粒度边界逐个检查，与实时调度的触发条件一致
+     * @param {Object} level - 粒度配置
+     * @param {Date} from - 范围起点
+     * @param {Date} to - 范围终点
+     * @returns {Array<{start: Date, end: Date}>}
+     */
+    _dueWindows(level, from, to) {
+        const step = this.baseMinutes * 60 * 1000;
+        const windows = [];
+        for (let end = this._nextBoundary(from); end <= to; end = new Date(end.getTime() + step)) {
+            if (this._isDue(level, end)) {
+                windows.push(this._windowEndingAt(end, level.period));
             }
+        }
+        return windows;
+    }
 
-            // 5. 构建请求
-            const contents = this.promptBuilder.build1h(recent10min, earlier10min, activeWindowText1h);
+    /**
+     * 回填历史时间段的总结（用于截图服务单独运行过的时段）
+     * 按粒度列表顺序逐级生成（先基础粒度，再依次生成各聚合粒度）；已有文件的槽位跳过，
+     * 每个槽位以自身时间点为锚读取历史上下文。遇到 LLM 失败即停止，重新执行会从未完成的槽位继续
+     * @param {Date} from - 开始时间（只处理在此之后结束的窗口）
+     * @param {Date} to - 结束时间（只处理在此之前结束、且已经结束的窗口）
+     * @returns {Promise<{generated: number, existing: number, failed: boolean}>}
+     */
+    async backfill(from, to) {
+        const now = new Date();
+        const result = { generated: 0, existing: 0, failed: false };
 
-            // 5.1 记录 prompt 日志
-            const now1h = new Date();
-            if (this.promptLogger) {
-                this.promptLogger.log('1h', now1h, contents);
+        for (const level of this.levels.filter(l => l.enabled)) {
+            const g = level.name;
+            const windows = this._dueWindows(level, from, to).filter(w => w.end <= now);
+            this.logger.info(`[回填] ${g}: ${windows.length} 个时间窗口`);
+
+            for (const window of windows) {
+                if (this.summaryStore.exists(g, window.end)) {
+                    result.existing++;
+                    continue;
+                }
+
+                try {
+                    await this._backfillWindow(level, window);
+                } catch (err) {
+                    this.stats[g].errors++;
+                    this.logger.error(`[回填] ${g} ${window.end.toLocaleString('zh-CN')} 失败，停止回填: ${err.message}`);
+                    result.failed = true;
+                    return result;
+                }
+                if (this.summaryStore.exists(g, window.end)) {
+                    result.generated++;
+                }
             }
+        }
 
-            // 6. 调用 Gemini
-            const { text: responseText, usageMetadata } = await this.geminiClient.generate(contents);
+        return result;
+    }
 
-            // 6.1 记录 token 用量
-            if (this.tokenTracker && usageMetadata) {
-                this.tokenTracker.record('1h', usageMetadata);
+    /**
+     * 回填单个窗口（没有焦点窗口历史，按空时间线处理）
+     * @param {Object} level - 粒度配置
+     * @param {{start: Date, end: Date}} window - 时间窗口 [start, end)
+     * @returns {Promise<void>}
+     */
+    async _backfillWindow(level, window) {
+        if (level.source !== 'screenshots') {
+            await this._summarizeAggregate(level, window, []);
+            return;
+        }
+        const manifest = this.screenshotReader.getManifestEntries(window.start, window.end);
+        const screenshots = this._readScreenshots(level, window, manifest);
+        if (screenshots.length === 0) {
+            if (!this._saveSkippedFramesRecord(level, window, manifest, [])) {
+                this.logger.debug(`[回填] ${window.end.toLocaleString('zh-CN')} 没有截图，跳过`);
             }
+            return;
+        }
+        await this._summarizeScreenshots(level, window, screenshots, []);
+    }
+
+    /**
+     * 补跑单个任务，结果写入任务原本的时间槽
+     * @param {Object} job - 持久化的任务
+     * @param {Date} timestamp - 任务时间点
+     * @returns {Promise<void>}
+     */
+    async _replayJob(job, timestamp) {
+        this.logger.info(`[补跑] ${job.granularity} ${job.timestamp}`);
+        const level = this.levels.find(l => l.name === job.granularity);
+        if (!level) {
+            this.logger.warn(`[补跑] 未知粒度 ${job.granularity}，丢弃任务`);
+            return;
+        }
+
+        const windowTimeline = job.window_timeline || [];
+        const window = {
+            start: job.range ? new Date(job.range.start) : timestamp,
+            end: timestamp
+        };
 
-            // 7. 解析响应
-            const parsed = this._parseResponse(responseText);
+        if (level.source !== 'screenshots') {
+            await this._summarizeAggregate(level, window, windowTimeline);
+            return;
+        }
+        const screenshots = this.screenshotReader.readBuffersFromPaths(job.screenshot_paths || []);
+        if (screenshots.length === 0) {
+            this.logger.warn(`[补跑] ${job.id} 的截图已不存在，丢弃任务`);
+            return;
+        }
+        await this._summarizeScreenshots(level, window, screenshots, windowTimeline);
+    }
+
+    /**
+     * 调用 LLM 生成总结并按粒度提示词模板的 Schema 校验
+     * 校验失败时携带错误信息重新请求一次，仍失败则写入隔离目录，不进入总结目录树
+     * @param {Object} level - 粒度配置
+     * @param {Array} contents - 已构建的请求内容
+     * @param {Date} timestamp - 本次总结时间戳
+     * @param {Object} [imageDetails] - 截图发送方式（packing/image_count/screenshot_count），随 token 用量记录
+     * @returns {Promise<Object|null>} 通过校验的总结数据（附带实际使用的模型 model），已隔离时返回 null
+     */
+    async _generateSummary(level, contents, timestamp, imageDetails = null) {
+        const granularity = level.name;
+        const responseSchema = this.config.llm.structured_output ? getSummarySchema(level.prompt) : null;
+        const responses = [];
+        let requestContents = contents;
+        let errors = [];
+
+        for (let attempt = 0; attempt <= REPAIR_ATTEMPTS; attempt++) {
+            const { text: responseText, usageMetadata, model } = await this.geminiClient.generate(
+                requestContents, { responseSchema, granularity }
+            );
 
-            // 8. 保存
-            this.summaryStore.save('1h', now1h, parsed);
-            this.stats['1h'].count++;
+            // 记录 token 用量（修复请求同样计入预算）
+            if (this.tokenTracker && usageMetadata) {
+                this.tokenTracker.record(granularity, usageMetadata, model, imageDetails);
+            }
+            if (this.budgetManager) {
+                this.budgetManager.recordUsage(usageMetadata, model);
+            }
 
-            this.logger.info('[1h] 总结完成');
+            responses.push(responseText);
+            const { data, error } = this._parseResponse(responseText);
+            errors = error ? [error] : validateSummary(level.prompt, data);
+            if (errors.length === 0) {
+                if (attempt > 0) {
+                    this.logger.info(`[${granularity}] 修复重试后响应通过校验`);
+                }
+                data.model = model;
+                return data;
+            }
 
-        } catch (err) {
-            this.stats['1h'].errors++;
-            this.logger.error(`[1h] 总结失败: ${err.message}`);
-        } finally {
-            this._executing['1h'] = false;
+            this.logger.warn(`[${granularity}] 响应未通过校验 (尝试 ${attempt + 1}/${REPAIR_ATTEMPTS + 1}): ${errors.join('; ')}`);
+            requestContents = this.promptBuilder.buildRepair(contents, responseText, errors);
         }
+
+        this.summaryStore.quarantine(granularity, timestamp, {
+            reason: '响应未通过 Schema 校验',
+            errors,
+            responses
+        });
+        this.stats[granularity].quarantined++;
+        return null;
     }
 
     /**
-     * 解析 AI 响应文本为结构化对象
-     * 尝试 JSON 解析，失败则保存原始文本
+     * 解析 AI 响应文本为 JSON
      * @param {string} responseText - AI 响应文本
-     * @returns {Object} 解析后的对象
+     * @returns {{data: *, error: string|null}} 解析结果，失败时 error 为原因
      */
     _parseResponse(responseText) {
         try {
@@ -505,10 +1278,9 @@ class SummaryScheduler {
                 jsonStr = jsonMatch[1].trim();
             }
 
-            return JSON.parse(jsonStr);
+            return { data: JSON.parse(jsonStr), error: null };
         } catch (err) {
-            this.logger.warn(`响应解析为JSON失败，保存原始文本: ${err.message}`);
-            return { raw_response: responseText };
+            return { data: null, error: `响应不是合法 JSON: ${err.message}` };
         }
     }
 
@@ -519,6 +1291,9 @@ class SummaryScheduler {
     getStatus() {
         return {
             isRunning: this.isRunning,
+            degraded: this.degraded,
+            budget: this.budgetManager ? this.budgetManager.getStatus() : null,
+            pendingJobs: this.jobQueue ? this.jobQueue.size() : 0,
             executing: { ...this._executing },
             stats: { ...this.stats }
         };
@@ -0,0 +1,260 @@
+/**
+ * 总结输出 Schema 模块
+ * 按提示词模板（screenshot/timeline/distribution/report，见 summary.granularities[].prompt）定义输出 JSON Schema
+ * （与 PromptBuilder 中的输出格式描述保持一致），既作为提供方的结构化输出约束，也用于本地校验模型响应
+ *
+ * 本地校验只实现本文件用到的 JSON Schema 子集（也是各提供方结构化输出都支持的关键字）:
+ *   type / properties / required / enum / items / minimum / minItems / maxItems
+ * Schema 难以表达的约束（列表一一对应、HH:MM 时间格式）在 validateSummary() 中额外检查
+ */
+
+const CONFIDENCE = ['高', '中', '低'];
+const CONTENT_CHANGE = ['新增', '修改', '删除', '无明确变化'];
+const CATEGORY_TYPE_SCREENSHOT = ['任务', '行为', '新建任务', '新建行为'];
+const CATEGORY_TYPE_AGGREGATED = ['任务', '行为'];
+
+// 时间轴条目中的 HH:MM 时间
+const CLOCK_TIME_REGEX = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+const SCHEMA_SCREENSHOT = {
+    type: 'object',
+    properties: {
+        category_type: {
+            type: 'array',
+            items: { type: 'string', enum: CATEGORY_TYPE_SCREENSHOT },
+            minItems: 1,
+            maxItems: 3
+        },
+        category_name: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 },
+        subtask_name: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 3 },
+        task_status: { type: 'string', enum: ['开始', '继续', '切换', '结束', '不确定'] },
+        interaction_mode: { type: 'string', enum: ['浏览', '操作', '混合', '不确定'] },
+        browse_content: { type: 'string' },
+        operate_action: { type: 'string' },
+        core_action: { type: 'string' },
+        context: { type: 'string' },
+        content_change: { type: 'string', enum: CONTENT_CHANGE },
+        progress: { type: 'string', enum: ['完成', '推进', '无明显进展'] },
+        blockers: { type: 'string' },
+        next_intent: { type: 'string' },
+        confidence: { type: 'string', enum: CONFIDENCE },
+        duration_minutes: { type: 'integer', minimum: 1 }
+    },
+    required: [
+        'category_type', 'category_name', 'subtask_name', 'task_status',
+        'interaction_mode', 'browse_content', 'operate_action', 'core_action',
+        'context', 'content_change', 'progress', 'blockers', 'next_intent',
+        'confidence', 'duration_minutes'
+    ]
+};
+
+const SCHEMA_TIMELINE = {
+    type: 'object',
+    properties: {
+        task_main: { type: 'string' },
+        activity_timeline: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    label: { type: 'string' },
+                    category_type: { type: 'string', enum: CATEGORY_TYPE_AGGREGATED },
+                    start_time: { type: 'string' },
+                    end_time: { type: 'string' },
+                    minutes: { type: 'integer', minimum: 0 },
+                    subtasks: { type: 'array', items: { type: 'string' } }
+                },
+                required: ['label', 'category_type', 'start_time', 'end_time', 'minutes', 'subtasks']
+            }
+        },
+        key_progress: { type: 'string' },
+        key_objects: { type: 'string' },
+        content_change: { type: 'string', enum: CONTENT_CHANGE },
+        blockers: { type: 'string' },
+        next_step: { type: 'string' },
+        confidence: { type: 'string', enum: CONFIDENCE }
+    },
+    required: [
+        'task_main', 'activity_timeline', 'key_progress', 'key_objects',
+        'content_change', 'blockers', 'next_step', 'confidence'
+    ]
+};
+
+// 时间分布条目（time_distribution 与 miscellaneous 共用）
+const DISTRIBUTION_ITEM = {
+    type: 'object',
+    properties: {
+        label: { type: 'string' },
+        category_type: { type: 'string', enum: CATEGORY_TYPE_AGGREGATED },
+        minutes: { type: 'integer', minimum: 0 },
+        subtasks: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['label', 'category_type', 'minutes', 'subtasks']
+};
+
+const SCHEMA_DISTRIBUTION = {
+    type: 'object',
+    properties: {
+        achievements: { type: 'array', items: { type: 'string' } },
+        task_chain: { type: 'string' },
+        time_distribution: { type: 'array', items: DISTRIBUTION_ITEM },
+        miscellaneous: { type: 'array', items: DISTRIBUTION_ITEM },
+        key_output: { type: 'string' },
+        blockers: { type: 'string' },
+        next_direction: { type: 'string' },
+        confidence: { type: 'string', enum: CONFIDENCE }
+    },
+    required: [
+        'achievements', 'task_chain', 'time_distribution', 'miscellaneous',
+        'key_output', 'blockers', 'next_direction', 'confidence'
+    ]
+};
+
+// 报告模板（日报、周报等），聚合 distribution 或更细的 report 粒度
+const SCHEMA_REPORT = {
+    type: 'object',
+    properties: {
+        overview: { type: 'string' },
+        achievements: { type: 'array', items: { type: 'string' } },
+        time_distribution: { type: 'array', items: DISTRIBUTION_ITEM },
+        key_output: { type: 'string' },
+        blockers: { type: 'array', items: { type: 'string' } },
+        carry_over: { type: 'array', items: { type: 'string' } },
+        confidence: { type: 'string', enum: CONFIDENCE }
+    },
+    required: [
+        'overview', 'achievements', 'time_distribution', 'key_output',
+        'blockers', 'carry_over', 'confidence'
+    ]
+};
+
+const SUMMARY_SCHEMAS = {
+    screenshot: SCHEMA_SCREENSHOT,
+    timeline: SCHEMA_TIMELINE,
+    distribution: SCHEMA_DISTRIBUTION,
+    report: SCHEMA_REPORT
+};
+
+/**
+ * 获取指定提示词模板的输出 Schema
+ * @param {string} template - 提示词模板 ('screenshot' | 'timeline' | 'distribution' | 'report')
+ * @returns {Object|null} JSON Schema，未定义时返回 null
+ */
+function getSummarySchema(template) {
+    return SUMMARY_SCHEMAS[template] || null;
+}
+
+/**
+ * 判断值是否符合 Schema 声明的基础类型
+ * @param {*} value - 待检查的值
+ * @param {string} type - Schema 类型
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'string':
+            return typeof value === 'string';
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        default:
+            return true;
+    }
+}
+
+/**
+ * 按 Schema 递归校验，错误追加到 errors
+ * @param {*} value - 待校验的值
+ * @param {Object} schema - JSON Schema（子集）
+ * @param {string} pointer - 当前字段路径（用于错误信息）
+ * @param {Array<string>} errors - 错误列表
+ */
+function validateNode(value, schema, pointer, errors) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${pointer} 应为 ${schema.type}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${pointer} 取值 "${value}" 不在可选值内: ${schema.enum.join('/')}`);
+    }
+
+    if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+        errors.push(`${pointer} 不能小于 ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            errors.push(`${pointer} 至少需要 ${schema.minItems} 个元素`);
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            errors.push(`${pointer} 最多 ${schema.maxItems} 个元素`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, `${pointer}[${index}]`, errors));
+        }
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${pointer}.${key} 缺失`);
+            }
+        }
+        for (const [key, childSchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                validateNode(value[key], childSchema, `${pointer}.${key}`, errors);
+            }
+        }
+    }
+}
+
+/**
+ * 校验总结数据是否符合对应提示词模板的 Schema
+ * screenshot 额外要求 category_type/category_name/subtask_name 三个列表一一对应，
+ * timeline 额外要求时间轴的 start_time/end_time 为 HH:MM
+ * @param {string} template - 提示词模板
+ * @param {*} data - 解析后的模型输出
+ * @returns {Array<string>} 错误列表，为空表示通过
+ */
+function validateSummary(template, data) {
+    const schema = getSummarySchema(template);
+    if (!schema) {
+        return [];
+    }
+
+    const errors = [];
+    validateNode(data, schema, '$', errors);
+
+    if (template === 'screenshot' && errors.length === 0) {
+        const lengths = ['category_type', 'category_name', 'subtask_name'].map(key => data[key].length);
+        if (new Set(lengths).size > 1) {
+            errors.push(`$.category_type/category_name/subtask_name 长度必须一致（当前: ${lengths.join('/')}）`);
+        }
+    }
+
+    if (template === 'timeline' && errors.length === 0) {
+        data.activity_timeline.forEach((entry, index) => {
+            for (const key of ['start_time', 'end_time']) {
+                if (!CLOCK_TIME_REGEX.test(entry[key])) {
+                    errors.push(`$.activity_timeline[${index}].${key} 应为 HH:MM 格式: "${entry[key]}"`);
+                }
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    SUMMARY_SCHEMAS,
+    getSummarySchema,
+    validateSummary
+};
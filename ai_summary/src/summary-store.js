@@ -1,10 +1,11 @@
 /**
  * 总结存储模块
- * 管理 AI 总结结果的持久化读写
+ * 管理 AI 总结结果的持久化读写（开启 encryption 时加密写入，读取时透明解密）
  */
 
 const fs = require('fs');
 const path = require('path');
+const FileCipher = require('./file-cipher');
 
 class SummaryStore {
     /**
@@ -12,9 +13,11 @@ class SummaryStore {
      * @param {Object} config - 总结存储配置
      * @param {string} config.directory - 总结输出目录
      * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器
      */
-    constructor(config, logger) {
+    constructor(config, logger, cipher = null) {
         this.logger = logger;
+        this.cipher = cipher || new FileCipher();
 
         // 解析目录为绝对路径
         this.baseDirectory = path.isAbsolute(config.directory)
@@ -57,7 +60,7 @@ class SummaryStore {
 
     /**
      * 获取指定粒度的存储目录
-     * @param {string} granularity - 时间粒度 ('2min' | '10min' | '1h')
+     * @param {string} granularity - 时间粒度（summary.granularities 中的名称，如 2min）
      * @param {Date} date - 日期对象
      * @returns {string} 目录路径
      */
@@ -68,11 +71,12 @@ class SummaryStore {
 
     /**
      * 保存总结结果
-     * @param {string} granularity - 时间粒度 ('2min' | '10min' | '1h')
-     * @param {Date} timestamp - 时间戳
+     * @param {string} granularity - 时间粒度（summary.granularities 中的名称，如 2min）
+     * @param {Date} timestamp - 时间戳（时间窗口终点）
      * @param {Object} data - 总结数据
+     * @param {{start: Date, end: Date}} [range] - 总结覆盖的时间窗口 [start, end)
      */
-    save(granularity, timestamp, data) {
+    save(granularity, timestamp, data, range = null) {
         const dir = this._getGranularityDir(granularity, timestamp);
         this._ensureDir(dir);
 
@@ -81,12 +85,18 @@ class SummaryStore {
 
         const record = {
             timestamp: timestamp.toISOString(),
-            granularity,
-            ...data
+            granularity
         };
+        if (range) {
+            record.range = {
+                start: range.start.toISOString(),
+                end: range.end.toISOString()
+            };
+        }
+        Object.assign(record, data);
 
         try {
-            fs.writeFileSync(filePath, JSON.stringify(record, null, 2), 'utf8');
+            this.cipher.writeFile(filePath, JSON.stringify(record, null, 2));
             this.logger.info(`总结保存: ${granularity}/${this._formatDate(timestamp)}/${timeStr}.json`);
         } catch (err) {
             this.logger.error(`总结保存失败: ${err.message}`);
@@ -95,77 +105,103 @@ class SummaryStore {
     }
 
     /**
-     * 获取最近 N 条指定粒度的总结
-     * @param {string} granularity - 时间粒度 ('2min' | '10min' | '1h')
-     * @param {number} count - 需要的数量
-     * @returns {Array<Object>} 总结数组，按时间升序排列
+     * 隔离未通过校验的模型响应
+     * 写入 {baseDir}/quarantine/{YYYY-MM-DD}/{granularity}/HH-mm.json，不进入总结目录树
+     * @param {string} granularity - 时间粒度
+     * @param {Date} timestamp - 时间戳（与正常总结文件名一致）
+     * @param {Object} detail - 隔离详情
+     * @param {string} detail.reason - 隔离原因
+     * @param {Array<string>} [detail.errors] - 校验错误
+     * @param {Array<string>} [detail.responses] - 各次尝试的原始响应
+     * @returns {string} 隔离文件路径
      */
-    getRecentSummaries(granularity, count) {
-        const now = new Date();
-        const dateStr = this._formatDate(now);
-        const dir = this._getGranularityDir(granularity, now);
-
-        if (!fs.existsSync(dir)) {
-            this.logger.debug(`总结目录不存在: ${dir}`);
-            return [];
-        }
-
-        // 读取所有 JSON 文件并按文件名排序
-        const files = fs.readdirSync(dir)
-            .filter(f => f.endsWith('.json'))
-            .sort();
+    quarantine(granularity, timestamp, detail) {
+        const dir = path.join(this.baseDirectory, 'quarantine', this._formatDate(timestamp), granularity);
+        this._ensureDir(dir);
 
-        // 取最近的 count 条
-        const selected = files.slice(-count);
-        const summaries = [];
+        const timeStr = this._formatTime(timestamp);
+        const filePath = path.join(dir, `${timeStr}.json`);
 
-        for (const file of selected) {
-            try {
-                const content = fs.readFileSync(path.join(dir, file), 'utf8');
-                summaries.push(JSON.parse(content));
-            } catch (err) {
-                this.logger.error(`读取总结文件失败: ${file} - ${err.message}`);
-            }
-        }
+        const record = {
+            timestamp: timestamp.toISOString(),
+            granularity,
+            quarantined_at: new Date().toISOString(),
+            ...detail
+        };
 
-        return summaries;
+        this.cipher.writeFile(filePath, JSON.stringify(record, null, 2));
+        this.logger.warn(`响应已隔离: quarantine/${this._formatDate(timestamp)}/${granularity}/${timeStr}.json`);
+        return filePath;
     }
 
     /**
-     * 获取更早的 N 条总结（跳过最近的 skip 条）
+     * 指定时间槽的总结是否已存在
      * @param {string} granularity - 时间粒度
-     * @param {number} count - 需要的数量
-     * @param {number} skip - 跳过最近的条数
-     * @returns {Array<Object>} 总结数组，按时间升序排列
+     * @param {Date} timestamp - 时间戳
+     * @returns {boolean}
      */
-    getEarlierSummaries(granularity, count, skip) {
-        const now = new Date();
-        const dir = this._getGranularityDir(granularity, now);
+    exists(granularity, timestamp) {
+        const dir = this._getGranularityDir(granularity, timestamp);
+        return fs.existsSync(path.join(dir, `${this._formatTime(timestamp)}.json`));
+    }
 
-        if (!fs.existsSync(dir)) {
-            return [];
+    /**
+     * 列出时间范围覆盖的所有日期（本地时间，含首尾两天）
+     * @param {Date} start - 开始时间
+     * @param {Date} end - 结束时间
+     * @returns {Array<Date>} 各日期当天 00:00
+     */
+    _listDates(start, end) {
+        const dates = [];
+        const day = new Date(start);
+        day.setHours(0, 0, 0, 0);
+        while (day <= end) {
+            dates.push(new Date(day));
+            day.setDate(day.getDate() + 1);
         }
+        return dates;
+    }
 
-        const files = fs.readdirSync(dir)
-            .filter(f => f.endsWith('.json'))
-            .sort();
+    /**
+     * 获取时间点（即时间窗口终点 timestamp）落在 (start, end] 内的总结
+     * 按实际时间筛选而非按条数，跨越午夜时依次读取涉及的每个日期目录；
+     * 中间有断档时只返回实际存在的记录
+     * @param {string} granularity - 时间粒度（summary.granularities 中的名称，如 2min）
+     * @param {Date} start - 范围起点（不含）
+     * @param {Date} end - 范围终点（含）
+     * @returns {Array<Object>} 总结数组，按时间升序排列
+     */
+    getSummariesInRange(granularity, start, end) {
+        const summaries = [];
 
-        // 跳过最近 skip 条，取之前的 count 条
-        const endIndex = Math.max(0, files.length - skip);
-        const startIndex = Math.max(0, endIndex - count);
-        const selected = files.slice(startIndex, endIndex);
+        for (const day of this._listDates(start, end)) {
+            const dir = this._getGranularityDir(granularity, day);
+            if (!fs.existsSync(dir)) {
+                continue;
+            }
 
-        const summaries = [];
-        for (const file of selected) {
-            try {
-                const content = fs.readFileSync(path.join(dir, file), 'utf8');
-                summaries.push(JSON.parse(content));
-            } catch (err) {
-                this.logger.error(`读取总结文件失败: ${file} - ${err.message}`);
+            for (const file of fs.readdirSync(dir)) {
+                // 文件名 HH-mm.json 即该日期下的时间点
+                const match = file.match(/^(\d{2})-(\d{2})\.json$/);
+                if (!match) {
+                    continue;
+                }
+                const slot = new Date(day);
+                slot.setHours(Number(match[1]), Number(match[2]), 0, 0);
+                if (slot <= start || slot > end) {
+                    continue;
+                }
+
+                try {
+                    const content = this.cipher.readText(path.join(dir, file));
+                    summaries.push(JSON.parse(content));
+                } catch (err) {
+                    this.logger.error(`读取总结文件失败: ${file} - ${err.message}`);
+                }
             }
         }
 
-        return summaries;
+        return summaries.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     }
 }
 
@@ -9,12 +9,16 @@
  *     {
  *       "time": "2026-02-09T10:02:00.000Z",     // 精确到分钟
  *       "granularity": "2min",                   // 功能粒度
+ *       "model": "gemini-3-flash-preview",       // 实际使用的模型
  *       "prompt_tokens": 13223,                  // 输入 token
  *       "candidates_tokens": 40,                 // 输出 token
  *       "thoughts_tokens": 555,                  // 思考 token
  *       "total_tokens": 13818,                   // 总 token
  *       "prompt_text_tokens": 23,                // 文本输入 token
- *       "prompt_image_tokens": 13200             // 图片输入 token
+ *       "prompt_image_tokens": 13200,            // 图片输入 token
+ *       "packing": "single",                     // 截图打包方式 off/single/split（仅附带截图的调用）
+ *       "image_count": 1,                        // 实际发送的图片数
+ *       "screenshot_count": 12                   // 图片中包含的截图数
  *     }
  *   ]
  * }
@@ -22,16 +26,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const FileCipher = require('./file-cipher');
 
 class TokenTracker {
     /**
      * 创建 Token 跟踪器实例
      * @param {Object} config - 配置
      * @param {string} config.directory - 总结存储根目录（token 统计文件存放于其下 token-stats/ 子目录）
+     * @param {Array<Object>} [config.granularities] - 粒度列表（预先建立各粒度的汇总桶）
      * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器（开启 encryption 时统计文件加密保存）
      */
-    constructor(config, logger) {
+    constructor(config, logger, cipher = null) {
         this.logger = logger;
+        this.cipher = cipher || new FileCipher();
 
         // 解析目录为绝对路径
         const baseDir = config.directory.replace(/^~/, require('os').homedir());
@@ -46,11 +54,13 @@ class TokenTracker {
         this.records = [];
 
         // 按粒度汇总
-        this.summaryByGranularity = {
-            '2min': this._emptyBucket(),
-            '10min': this._emptyBucket(),
-            '1h': this._emptyBucket()
-        };
+        this.summaryByGranularity = {};
+        for (const level of config.granularities || []) {
+            this.summaryByGranularity[level.name] = this._emptyBucket();
+        }
+
+        // 按模型汇总
+        this.summaryByModel = {};
 
         this.logger.info(`TokenTracker 初始化，会话: ${this.sessionId}`);
     }
@@ -71,6 +81,21 @@ class TokenTracker {
         };
     }
 
+    /**
+     * 将单条记录累加到统计桶
+     * @param {Object} bucket - 统计桶
+     * @param {Object} record - 记录对象
+     */
+    _addToBucket(bucket, record) {
+        bucket.count++;
+        bucket.prompt_tokens += record.prompt_tokens;
+        bucket.candidates_tokens += record.candidates_tokens;
+        bucket.thoughts_tokens += record.thoughts_tokens;
+        bucket.total_tokens += record.total_tokens;
+        bucket.prompt_text_tokens += record.prompt_text_tokens;
+        bucket.prompt_image_tokens += record.prompt_image_tokens;
+    }
+
     /**
      * 确保目录存在
      * @param {string} dirPath - 目录路径
@@ -106,10 +131,15 @@ class TokenTracker {
 
     /**
      * 记录一次 API 调用的 token 用量
-     * @param {string} granularity - 功能粒度 ('2min' | '10min' | '1h')
+     * @param {string} granularity - 功能粒度（summary.granularities 中的名称）
      * @param {Object} usageMetadata - Gemini API 返回的 usageMetadata 对象
+     * @param {string} [model] - 实际使用的模型
+     * @param {Object} [details] - 附带截图时的发送方式
+     * @param {string} details.packing - 截图打包方式（off 为逐张发送，single/split 为拼图）
+     * @param {number} details.image_count - 实际发送的图片数
+     * @param {number} details.screenshot_count - 图片中包含的截图数
      */
-    record(granularity, usageMetadata) {
+    record(granularity, usageMetadata, model, details = null) {
         if (!usageMetadata) {
             this.logger.warn('TokenTracker: usageMetadata 为空，跳过记录');
             return;
@@ -134,6 +164,7 @@ class TokenTracker {
             time: now.toISOString(),
             minute: this._formatMinute(now),
             granularity,
+            model: model || '',
             prompt_tokens: usageMetadata.promptTokenCount || 0,
             candidates_tokens: usageMetadata.candidatesTokenCount || 0,
             thoughts_tokens: usageMetadata.thoughtsTokenCount || 0,
@@ -141,30 +172,36 @@ class TokenTracker {
             prompt_text_tokens: promptTextTokens,
             prompt_image_tokens: promptImageTokens
         };
+        if (details) {
+            record.packing = details.packing;
+            record.image_count = details.image_count;
+            record.screenshot_count = details.screenshot_count;
+        }
 
         // 写入内存缓存
         this.records.push(record);
 
-        // 更新按粒度汇总
-        const bucket = this.summaryByGranularity[granularity];
-        if (bucket) {
-            bucket.count++;
-            bucket.prompt_tokens += record.prompt_tokens;
-            bucket.candidates_tokens += record.candidates_tokens;
-            bucket.thoughts_tokens += record.thoughts_tokens;
-            bucket.total_tokens += record.total_tokens;
-            bucket.prompt_text_tokens += record.prompt_text_tokens;
-            bucket.prompt_image_tokens += record.prompt_image_tokens;
+        // 更新按粒度、按模型汇总
+        if (!this.summaryByGranularity[granularity]) {
+            this.summaryByGranularity[granularity] = this._emptyBucket();
+        }
+        this._addToBucket(this.summaryByGranularity[granularity], record);
+        if (record.model) {
+            if (!this.summaryByModel[record.model]) {
+                this.summaryByModel[record.model] = this._emptyBucket();
+            }
+            this._addToBucket(this.summaryByModel[record.model], record);
         }
 
         // 持久化到文件
         this._persistRecord(now, record);
 
         this.logger.debug(
-            `TokenTracker: [${granularity}] ` +
+            `TokenTracker: [${granularity}${record.model ? `/${record.model}` : ''}] ` +
             `prompt=${record.prompt_tokens} (text=${promptTextTokens}, image=${promptImageTokens}), ` +
             `output=${record.candidates_tokens}, thoughts=${record.thoughts_tokens}, ` +
-            `total=${record.total_tokens}`
+            `total=${record.total_tokens}` +
+            (details ? `, packing=${details.packing} (${details.screenshot_count}→${details.image_count})` : '')
         );
     }
 
@@ -181,8 +218,7 @@ class TokenTracker {
 
             let data;
             if (fs.existsSync(filePath)) {
-                const content = fs.readFileSync(filePath, 'utf8');
-                data = JSON.parse(content);
+                data = this.readStatsFile(`${dateStr}.json`);
             } else {
                 data = {
                     date: dateStr,
@@ -202,12 +238,22 @@ class TokenTracker {
 
             session.records.push(record);
 
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+            this.cipher.writeFile(filePath, JSON.stringify(data, null, 2));
         } catch (err) {
             this.logger.error(`TokenTracker 持久化失败: ${err.message}`);
         }
     }
 
+    /**
+     * 读取统计目录下的日期文件（加密的文件透明解密）
+     * @param {string} fileName - 文件名 YYYY-MM-DD.json
+     * @returns {Object} 文件内容
+     * @throws {Error} 读取、解密或解析失败
+     */
+    readStatsFile(fileName) {
+        return JSON.parse(this.cipher.readText(path.join(this.statsDirectory, fileName)));
+    }
+
     /**
      * 获取本次会话的统计概览
      * @returns {Object} 包含按粒度和总计的统计信息
@@ -227,6 +273,7 @@ class TokenTracker {
         return {
             session_id: this.sessionId,
             by_granularity: { ...this.summaryByGranularity },
+            by_model: { ...this.summaryByModel },
             total,
             record_count: this.records.length
         };
@@ -247,8 +294,7 @@ class TokenTracker {
         }
 
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const data = JSON.parse(content);
+            const data = this.readStatsFile(`${date}.json`);
 
             // 收集所有 session 的记录
             let allRecords = [];
@@ -308,6 +354,42 @@ class TokenTracker {
                 bucket.prompt_image_tokens += r.prompt_image_tokens || 0;
             }
 
+            // 按模型分类汇总（早期记录没有 model 字段，归入 unknown）
+            const byModel = {};
+            for (const r of allRecords) {
+                const model = r.model || 'unknown';
+                if (!byModel[model]) {
+                    byModel[model] = this._emptyBucket();
+                }
+                const bucket = byModel[model];
+                bucket.count++;
+                bucket.prompt_tokens += r.prompt_tokens || 0;
+                bucket.candidates_tokens += r.candidates_tokens || 0;
+                bucket.thoughts_tokens += r.thoughts_tokens || 0;
+                bucket.total_tokens += r.total_tokens || 0;
+                bucket.prompt_text_tokens += r.prompt_text_tokens || 0;
+                bucket.prompt_image_tokens += r.prompt_image_tokens || 0;
+            }
+
+            // 按截图打包方式汇总（只统计附带截图的调用，早期记录没有 packing 字段，不计入）
+            const byPacking = {};
+            for (const r of allRecords) {
+                if (!r.packing) continue;
+                if (!byPacking[r.packing]) {
+                    byPacking[r.packing] = { ...this._emptyBucket(), image_count: 0, screenshot_count: 0 };
+                }
+                const bucket = byPacking[r.packing];
+                bucket.count++;
+                bucket.prompt_tokens += r.prompt_tokens || 0;
+                bucket.candidates_tokens += r.candidates_tokens || 0;
+                bucket.thoughts_tokens += r.thoughts_tokens || 0;
+                bucket.total_tokens += r.total_tokens || 0;
+                bucket.prompt_text_tokens += r.prompt_text_tokens || 0;
+                bucket.prompt_image_tokens += r.prompt_image_tokens || 0;
+                bucket.image_count += r.image_count || 0;
+                bucket.screenshot_count += r.screenshot_count || 0;
+            }
+
             // 按分钟聚合
             const byMinute = {};
             for (const r of allRecords) {
@@ -334,6 +416,8 @@ class TokenTracker {
                 records: allRecords,
                 summary,
                 by_granularity: byGranularity,
+                by_model: byModel,
+                by_packing: byPacking,
                 by_minute: minuteList,
                 sessions: sessionInfos
             };
@@ -357,8 +441,7 @@ class TokenTracker {
         }
 
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const data = JSON.parse(content);
+            const data = this.readStatsFile(`${date}.json`);
 
             const session = (data.sessions || []).find(s => s.session_id === sessionId);
             if (!session) {
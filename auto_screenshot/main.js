@@ -8,6 +8,8 @@
  *   node main.js --config ./my.yaml     # 指定配置文件
  *   node main.js -c ./my.yaml           # 简写
  *   node main.js --help                 # 显示帮助
+ *   node main.js export --type timelapse --date 2026-10-15 --from 09:00 --to 12:00
+ *                                       # 导出延时动画 / 缩略图总览后退出
  */
 
 const path = require('path');
@@ -16,7 +18,12 @@ const Logger = require('./src/logger');
 const Storage = require('./src/storage');
 const Screenshot = require('./src/screenshot');
 const Scheduler = require('./src/scheduler');
+const FrameComparer = require('./src/frame-comparer');
+const PrivacyFilter = require('./src/privacy-filter');
+const ActiveWindowMonitor = require('./src/active-window-monitor');
 const ScreenshotCleaner = require('./src/cleaner');
+const FileCipher = require('./src/file-cipher');
+const ScreenshotExporter = require('./src/exporter');
 
 // 版本号
 const VERSION = '1.0.0';
@@ -31,13 +38,19 @@ function parseArgs(argv) {
         config: '../config.yaml',
         legacy: false,
         help: false,
-        version: false
+        version: false,
+        command: 'run',   // run: 常驻服务 / export: 导出延时动画或缩略图总览后退出
+        exportOptions: {}
     };
     
     for (let i = 2; i < argv.length; i++) {
         const arg = argv[i];
         
-        if (arg === '--help' || arg === '-h') {
+        if (arg === 'export') {
+            args.command = 'export';
+        } else if (['--type', '--date', '--from', '--to', '--monitor', '--output', '--fps', '--width', '--columns'].includes(arg)) {
+            args.exportOptions[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
             args.help = true;
         } else if (arg === '--version' || arg === '-v') {
             args.version = true;
@@ -61,6 +74,11 @@ function showHelp() {
 
 使用方法:
   node main.js [选项]
+  node main.js export --date <日期> [导出选项] [选项]
+
+命令:
+  export               从已保存的截图导出延时动画（动画 WebP）或缩略图总览（带时间标注的网格图），完成后退出
+                       （截图超过上限时按时间均匀抽取；加密的截图自动解密，导出文件为明文）
 
 选项:
   -c, --config <path>  指定配置文件路径 (默认: ../config.yaml 统一配置)
@@ -68,10 +86,24 @@ function showHelp() {
   -h, --help           显示帮助信息
   -v, --version        显示版本号
 
+导出选项:
+  --type <type>        timelapse（默认，延时动画）或 contact-sheet（缩略图总览）
+  --date <date>        截图日期，如 2026-10-15（必填）
+  --from <HH:MM>       起始时间（默认 00:00）
+  --to <HH:MM>         结束时间（不含，默认 24:00）
+  --monitor <n>        显示器编号（默认 1）
+  --output <path>      导出文件路径（默认当前目录下按日期、时间范围与显示器命名，
+                       缩略图总览按扩展名输出 .jpg/.png/.webp）
+  --fps <n>            延时动画每秒帧数（默认 10）
+  --width <px>         延时动画宽度（默认 1280）
+  --columns <n>        缩略图总览每行格数（默认 6）
+
 示例:
   node main.js                                # 使用统一配置 ../config.yaml
   node main.js --config /path/to/config.yaml  # 指定统一配置路径
   node main.js --legacy -c ./config.yaml      # 向后兼容：使用模块独立配置
+  node main.js export --date 2026-10-15 --from 09:00 --to 12:00 --monitor 2
+  node main.js export --type contact-sheet --date 2026-10-15 --output ~/Desktop/recap.jpg
 
 配置文件:
   推荐使用 work_monitor/config.yaml 统一配置（同时驱动截图和AI总结）
@@ -174,6 +206,43 @@ function scheduleStopTimer(config, logger, shutdown) {
     }, delay);
 }
 
+/**
+ * 导出延时动画或缩略图总览
+ * @param {Object} config - 配置对象
+ * @param {Object} options - 命令行导出选项
+ * @param {string} invokeDir - 执行命令时的目录（解析相对的导出路径）
+ * @param {Logger} logger - 日志模块
+ * @param {FileCipher} cipher - 静态加密器
+ * @returns {Promise<Object>} 导出结果
+ */
+async function runExport(config, options, invokeDir, logger, cipher) {
+    const type = options.type || 'timelapse';
+    if (!['timelapse', 'contact-sheet'].includes(type)) {
+        throw new Error(`--type 只能是 timelapse 或 contact-sheet，当前为 ${type}`);
+    }
+    if (!options.date) {
+        throw new Error('export 需要指定 --date（如 2026-10-15）');
+    }
+
+    if (config.storage.organize_by_date === false) {
+        throw new Error('export 只支持按日期分目录保存的截图（storage.organize_by_date: true）');
+    }
+
+    const isTimelapse = type === 'timelapse';
+    const range = `${(options.from || '00:00').replace(':', '')}-${(options.to || '24:00').replace(':', '')}`;
+    const defaultName = `${isTimelapse ? 'timelapse' : 'contact-sheet'}_${options.date}_${range}_${options.monitor || 1}.${isTimelapse ? 'webp' : 'jpg'}`;
+    let output = options.output || defaultName;
+    if (output.startsWith('~')) {
+        output = path.join(require('os').homedir(), output.slice(1));
+    }
+
+    const exporter = new ScreenshotExporter(path.resolve(config.storage.directory), logger, cipher);
+    const params = { ...options, output: path.resolve(invokeDir, output) };
+    return isTimelapse
+        ? exporter.exportTimelapse(params)
+        : exporter.exportContactSheet(params);
+}
+
 /**
  * 主函数
  */
@@ -193,7 +262,8 @@ async function main() {
         process.exit(0);
     }
     
-    // 切换工作目录到脚本所在目录
+    // 切换工作目录到脚本所在目录（导出路径按执行命令时的目录解析）
+    const invokeDir = process.cwd();
     const scriptDir = path.dirname(require.main.filename);
     process.chdir(scriptDir);
     
@@ -211,21 +281,49 @@ async function main() {
         
         // 2. 初始化日志模块
         logger = new Logger(config.logging);
+
+        // 2.1 导出模式：生成延时动画或缩略图总览后退出
+        if (args.command === 'export') {
+            const result = await runExport(config, args.exportOptions, invokeDir, logger, new FileCipher(config.encryption));
+            logger.info(`[导出] 完成: ${result.frames} 张截图（范围内共 ${result.total_frames} 张），${result.bytes >= 1024 * 1024 ? `${(result.bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(result.bytes / 1024)} KB`}`);
+            logger.close();
+            process.exit(0);
+        }
+
         logger.info('自动截图服务启动');
-        logger.info(`配置: 间隔=${config.screenshot.interval}秒, 目录=${config.storage.directory}`);
+        logger.info(`配置: 间隔=${config.screenshot.interval}秒${config.screenshot.adaptive.enabled ? '（自适应）' : ''}, 目录=${config.storage.directory}`);
         
-        // 3. 初始化存储模块
-        const storage = new Storage(config.storage, config.screenshot.format);
+        // 3. 初始化存储模块（开启静态加密时截图加密后写盘）
+        const cipher = new FileCipher(config.encryption);
+        if (cipher.enabled) {
+            logger.info('静态加密: 已启用（AES-256-GCM）');
+        }
+        const storage = new Storage(config.storage, config.screenshot.format, cipher);
         
         // 4. 初始化截图引擎
         const screenshot = new Screenshot(config.screenshot);
         
-        // 5. 初始化调度器
+        // 5. 初始化调度器（去重、截图清单或自适应间隔开启时注入帧比对器，隐私规则或焦点切换截图启用时注入焦点窗口监控器）
+        const { dedup, manifest } = config.storage;
+        const { adaptive } = config.screenshot;
+        const frameComparer = dedup.enabled || manifest || adaptive.enabled ? new FrameComparer(dedup) : null;
+        if (dedup.enabled) {
+            logger.info(`重复帧去重: ${dedup.mode === 'link' ? '硬链接到上一帧' : '跳过保存'}`);
+        }
+        const privacyFilter = new PrivacyFilter(config.privacy, logger);
+        if (privacyFilter.enabled) {
+            logger.info(`隐私规则: ${privacyFilter.rules.length} 条`);
+        }
         scheduler = new Scheduler({
             config,
             screenshot,
             storage,
-            logger
+            logger,
+            frameComparer,
+            privacyFilter,
+            windowMonitor: privacyFilter.enabled || (adaptive.enabled && adaptive.on_window_change)
+                ? new ActiveWindowMonitor()
+                : null
         });
         
         // 6. 注册信号处理（优雅关闭）
@@ -258,7 +356,7 @@ async function main() {
         scheduler.start();
 
         // 7.5 启动时异步执行截图清理（不阻塞主流程）
-        const cleaner = new ScreenshotCleaner(storage.baseDirectory, logger, config.storage.cleanup || {});
+        const cleaner = new ScreenshotCleaner(storage.baseDirectory, logger, config.storage.cleanup || {}, cipher);
         cleaner.clean().catch(err => {
             logger.error(`截图清理失败: ${err.message}`);
         });
@@ -0,0 +1,96 @@
+/**
+ * 自适应截图间隔模块
+ * 按每次截图的变化情况计算下一次截图的间隔：
+ * - 任一显示器变化像素占比达到 active_ratio 时缩短到 min_interval；
+ * - 所有显示器都与上一帧相似时按 backoff 倍增，最长 max_interval；
+ * - 其余情况恢复为 screenshot.interval。
+ * 同时按滑动的 60 秒窗口限制每分钟截图次数（含焦点窗口切换触发的截图）。
+ */
+
+// 每分钟上限的统计窗口（毫秒）
+const RATE_WINDOW_MS = 60 * 1000;
+
+class AdaptiveInterval {
+    /**
+     * 创建自适应间隔计算器
+     * @param {Object} config - screenshot.adaptive 配置段
+     * @param {number} config.min_interval - 最短间隔（秒）
+     * @param {number} config.max_interval - 最长间隔（秒）
+     * @param {number} config.max_per_minute - 每分钟最多截图次数
+     * @param {number} config.active_ratio - 视为剧烈变化的变化像素占比
+     * @param {number} config.backoff - 屏幕静止时间隔的倍增系数
+     * @param {number} baseInterval - 基准间隔（screenshot.interval，秒）
+     */
+    constructor(config, baseInterval) {
+        this.config = config;
+        this.baseInterval = baseInterval;
+
+        // 当前间隔（秒）
+        this.current = baseInterval;
+
+        // 最近 60 秒内的截图时间（毫秒）
+        this._captureTimes = [];
+    }
+
+    /**
+     * 按本次截图的变化情况计算下一次截图的间隔
+     * @param {Array<{score: number|null, similar: boolean}>} results - 各显示器的比对结果
+     * @returns {number} 下一次截图的间隔（秒）
+     */
+    next(results) {
+        const { min_interval, max_interval, active_ratio, backoff } = this.config;
+
+        if (results.some(r => typeof r.score === 'number' && r.score >= active_ratio)) {
+            this.current = min_interval;
+        } else if (results.length > 0 && results.every(r => r.similar)) {
+            this.current = Math.min(max_interval, Math.max(this.current, this.baseInterval) * backoff);
+        } else {
+            this.current = this.baseInterval;
+        }
+        return this.current;
+    }
+
+    /**
+     * 记录一次截图
+     * @param {number} [now] - 截图时间（毫秒）
+     */
+    record(now = Date.now()) {
+        this._prune(now);
+        this._captureTimes.push(now);
+    }
+
+    /**
+     * 距离允许下一次截图还需等待的时间（达到每分钟上限时）
+     * @param {number} [now] - 当前时间（毫秒）
+     * @returns {number} 等待毫秒数，0 表示可以立即截图
+     */
+    waitTime(now = Date.now()) {
+        this._prune(now);
+        if (this._captureTimes.length < this.config.max_per_minute) {
+            return 0;
+        }
+        return this._captureTimes[0] + RATE_WINDOW_MS - now;
+    }
+
+    /**
+     * 距离上一次截图的时间
+     * @param {number} [now] - 当前时间（毫秒）
+     * @returns {number} 毫秒数，尚未截图时为 Infinity
+     */
+    sinceLast(now = Date.now()) {
+        const last = this._captureTimes[this._captureTimes.length - 1];
+        return last === undefined ? Infinity : now - last;
+    }
+
+    /**
+     * 移除统计窗口之外的截图时间
+     * @param {number} now - 当前时间（毫秒）
+     */
+    _prune(now) {
+        while (this._captureTimes.length > 0 && this._captureTimes[0] <= now - RATE_WINDOW_MS) {
+            this._captureTimes.shift();
+        }
+    }
+}
+
+module.exports = AdaptiveInterval;
@@ -2,12 +2,31 @@
  * 截图清理模块
  * 根据文件夹日期执行分级清理策略：
  * - >30 天的文件夹：直接删除
- * - 7~30 天的文件夹：每分钟仅保留 1 张截图
+ * - 7~30 天的文件夹：每分钟仅保留 1 张截图（该分钟有关键帧时改为保留关键帧）
  * - <7 天的文件夹：不处理
+ *
+ * 配置了磁盘预算（max_size_gb）时，按日期分级清理后仍超出预算，则从最早的文件夹开始依次：
+ *   1. 稀疏处理（同上）
+ *   2. 只保留关键帧
+ *   3. 删除整个文件夹
+ * 每删除一个文件就重新比较一次，回到预算内即停止；当天的文件夹不参与预算清理。
+ *
+ * 关键帧：截图清单（manifest.jsonl）中变化分数不低于 keyframe_score 的帧，
+ * 以及已保存的总结 change_scores 中发送给模型的帧（按文件名中的时间匹配）。
+ * 硬链接（去重 link 模式）按 inode 计算占用，删除其中一个路径不释放空间。
  */
 
 const fs = require('fs');
 const path = require('path');
+const FileCipher = require('./file-cipher');
+
+// 截图文件扩展名（改过 screenshot.format 时同一文件夹可能有多种格式）
+const IMAGE_EXTENSIONS = ['.jpeg', '.jpg', '.png', '.webp', '.avif'];
+
+// 截图清单文件名（按日期分目录时，见 Storage.getManifestPath）
+const MANIFEST_FILE = 'manifest.jsonl';
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
 
 class ScreenshotCleaner {
     /**
@@ -17,20 +36,50 @@ class ScreenshotCleaner {
      * @param {Object} options - 清理配置
      * @param {number} options.delete_after_days - 直接删除的天数阈值（默认 30）
      * @param {number} options.thin_after_days - 开始稀疏保留的天数阈值（默认 7）
+     * @param {number} [options.max_size_gb] - 截图目录磁盘预算（GB，默认 0 不限制）
+     * @param {number} [options.keyframe_score] - 关键帧的最低变化分数（默认 0.1）
+     * @param {string|null} [options.summary_directory] - 总结目录（读取总结引用的截图，未配置时不读取）
+     * @param {FileCipher} [cipher] - 静态加密器（读取加密的总结）
      */
-    constructor(baseDirectory, logger, options = {}) {
+    constructor(baseDirectory, logger, options = {}, cipher = null) {
         this.baseDirectory = baseDirectory;
         this.logger = logger;
         this.deleteAfterDays = options.delete_after_days || 30;
         this.thinAfterDays = options.thin_after_days || 7;
+        this.maxBytes = (options.max_size_gb || 0) * BYTES_PER_GB;
+        this.keyframeScore = options.keyframe_score === undefined ? 0.1 : options.keyframe_score;
+        this.summaryDirectory = options.summary_directory || null;
+        this.cipher = cipher || new FileCipher();
+
+        // 总结引用的截图时间: YYYY-MM-DD → Set<HH-mm-ss>（每次清理重新读取）
+        this._references = new Map();
+        this._loadedSummaryDates = new Set();
     }
 
     /**
      * 执行清理任务
-     * @returns {Promise<{deleted_folders: number, thinned_folders: number, removed_files: number}>}
+     * passes 逐条记录每次删除：reason 为 expired（过期删除）/ thin（稀疏处理）/
+     * quota_thin、quota_keyframes、quota_delete（超出磁盘预算时的三个阶段）
+     * @returns {Promise<{deleted_folders: number, thinned_folders: number, removed_files: number,
+     *   quota_deleted_folders: number, quota_removed_files: number, freed_bytes: number,
+     *   total_bytes: number|null, max_bytes: number, over_quota: boolean,
+     *   passes: Array<{reason: string, folder: string, removed_files: number, freed_bytes: number}>}>}
      */
     async clean() {
-        const stats = { deleted_folders: 0, thinned_folders: 0, removed_files: 0 };
+        const stats = {
+            deleted_folders: 0,
+            thinned_folders: 0,
+            removed_files: 0,
+            quota_deleted_folders: 0,
+            quota_removed_files: 0,
+            freed_bytes: 0,
+            total_bytes: null,
+            max_bytes: this.maxBytes,
+            over_quota: false,
+            passes: []
+        };
+        this._references.clear();
+        this._loadedSummaryDates.clear();
 
         if (!fs.existsSync(this.baseDirectory)) {
             this.logger.info('[清理] 截图目录不存在，跳过清理');
@@ -48,6 +97,8 @@ class ScreenshotCleaner {
             return stats;
         }
 
+        // 日期文件夹，按日期升序（最早的在前）
+        const folders = [];
         for (const entry of entries) {
             if (!entry.isDirectory()) continue;
 
@@ -55,57 +106,130 @@ class ScreenshotCleaner {
             const folderDate = this._parseDateFolder(entry.name);
             if (!folderDate) continue;
 
-            const daysDiff = Math.floor((today.getTime() - folderDate.getTime()) / (1000 * 60 * 60 * 24));
-            const folderPath = path.join(this.baseDirectory, entry.name);
+            folders.push({
+                name: entry.name,
+                path: path.join(this.baseDirectory, entry.name),
+                daysDiff: Math.floor((today.getTime() - folderDate.getTime()) / (1000 * 60 * 60 * 24))
+            });
+        }
+        folders.sort((a, b) => a.name.localeCompare(b.name));
 
-            if (daysDiff >= this.deleteAfterDays) {
+        const remaining = [];
+        for (const folder of folders) {
+            if (folder.daysDiff >= this.deleteAfterDays) {
                 // >30 天：直接删除整个文件夹
-                try {
-                    fs.rmSync(folderPath, { recursive: true, force: true });
+                const freed = this._deleteFolder(folder);
+                if (freed !== null) {
                     stats.deleted_folders++;
-                    this.logger.info(`[清理] 删除过期文件夹: ${entry.name} (${daysDiff} 天前)`);
-                } catch (err) {
-                    this.logger.error(`[清理] 删除文件夹失败 ${entry.name}: ${err.message}`);
+                    stats.freed_bytes += freed;
+                    stats.passes.push({ reason: 'expired', folder: folder.name, removed_files: 0, freed_bytes: freed });
+                    this.logger.info(`[清理] 删除过期文件夹: ${folder.name} (${folder.daysDiff} 天前)`);
                 }
-            } else if (daysDiff >= this.thinAfterDays) {
-                // 7~30 天：每分钟仅保留 1 张截图
-                const removed = this._thinFolder(folderPath, entry.name);
-                if (removed > 0) {
+                continue;
+            }
+
+            if (folder.daysDiff >= this.thinAfterDays) {
+                // 7~30 天：每分钟仅保留 1 张截图（或该分钟的关键帧）
+                const result = this._thinFolder(folder.path, folder.name);
+                if (result.removed > 0) {
                     stats.thinned_folders++;
-                    stats.removed_files += removed;
-                    this.logger.info(`[清理] 稀疏处理: ${entry.name} (${daysDiff} 天前)，删除 ${removed} 张多余截图`);
+                    stats.removed_files += result.removed;
+                    stats.freed_bytes += result.freed;
+                    stats.passes.push({ reason: 'thin', folder: folder.name, removed_files: result.removed, freed_bytes: result.freed });
+                    this.logger.info(`[清理] 稀疏处理: ${folder.name} (${folder.daysDiff} 天前)，删除 ${result.removed} 张多余截图`);
                 }
             }
             // <7 天：不处理
+            remaining.push(folder);
         }
 
         this.logger.info(`[清理] 完成: 删除 ${stats.deleted_folders} 个过期文件夹, 稀疏处理 ${stats.thinned_folders} 个文件夹, 删除 ${stats.removed_files} 张多余截图`);
+
+        if (this.maxBytes > 0) {
+            this._enforceQuota(remaining.filter(folder => folder.daysDiff >= 1), stats);
+        }
         return stats;
     }
 
     /**
-     * 对单个文件夹执行稀疏处理：每分钟仅保留 1 张截图
+     * 超出磁盘预算时从最早的文件夹开始依次稀疏、只保留关键帧、整个删除，直到回到预算内
+     * @param {Array<{name: string, path: string}>} folders - 参与预算清理的文件夹（按日期升序，不含当天）
+     * @param {Object} stats - 统计（原地累加）
+     */
+    _enforceQuota(folders, stats) {
+        let used = this._measure(this.baseDirectory).bytes;
+        const budget = this._formatSize(this.maxBytes);
+        if (used <= this.maxBytes) {
+            stats.total_bytes = used;
+            this.logger.info(`[清理] 截图占用 ${this._formatSize(used)}，未超出预算 ${budget}`);
+            return;
+        }
+        this.logger.info(`[清理] 截图占用 ${this._formatSize(used)}，超出预算 ${budget}，从最早的截图开始清理`);
+
+        const fits = () => used <= this.maxBytes;
+        const phases = [
+            { reason: 'quota_thin', plan: (files, keyframes) => this._planThin(files, keyframes) },
+            { reason: 'quota_keyframes', plan: (files, keyframes) => files.filter(file => !keyframes.has(file)) }
+        ];
+
+        for (const phase of phases) {
+            for (const folder of folders) {
+                if (fits()) break;
+                const files = this._listImages(folder.path, folder.name);
+                const toRemove = phase.plan(files, this._loadKeyframes(folder.name, folder.path));
+                const result = this._removeFiles(folder.path, toRemove, fits, freed => { used -= freed; });
+                if (result.removed > 0) {
+                    stats.quota_removed_files += result.removed;
+                    stats.freed_bytes += result.freed;
+                    stats.passes.push({ reason: phase.reason, folder: folder.name, removed_files: result.removed, freed_bytes: result.freed });
+                    this.logger.info(`[清理] 预算清理 (${phase.reason}): ${folder.name}，删除 ${result.removed} 张截图，释放 ${this._formatSize(result.freed)}`);
+                }
+            }
+        }
+
+        for (const folder of folders) {
+            if (fits()) break;
+            const freed = this._deleteFolder(folder);
+            if (freed !== null) {
+                used -= freed;
+                stats.quota_deleted_folders++;
+                stats.freed_bytes += freed;
+                stats.passes.push({ reason: 'quota_delete', folder: folder.name, removed_files: 0, freed_bytes: freed });
+                this.logger.info(`[清理] 预算清理 (quota_delete): 删除文件夹 ${folder.name}，释放 ${this._formatSize(freed)}`);
+            }
+        }
+
+        stats.total_bytes = used;
+        stats.over_quota = !fits();
+        if (stats.over_quota) {
+            this.logger.warn(`[清理] 清理后截图仍占用 ${this._formatSize(used)}，超出预算 ${budget}（当天截图不参与预算清理）`);
+        } else {
+            this.logger.info(`[清理] 预算清理完成: 截图占用 ${this._formatSize(used)}`);
+        }
+    }
+
+    /**
+     * 对单个文件夹执行稀疏处理：每分钟仅保留 1 张截图（或该分钟的关键帧）
      * @param {string} folderPath - 文件夹路径
      * @param {string} folderName - 文件夹名称（用于日志）
-     * @returns {number} 删除的文件数
+     * @returns {{removed: number, freed: number}} 删除的文件数与释放的字节数
      */
     _thinFolder(folderPath, folderName) {
-        let files;
-        try {
-            files = fs.readdirSync(folderPath).filter(f => {
-                const ext = path.extname(f).toLowerCase();
-                return ext === '.jpeg' || ext === '.jpg' || ext === '.png';
-            });
-        } catch (err) {
-            this.logger.error(`[清理] 读取文件夹失败 ${folderName}: ${err.message}`);
-            return 0;
-        }
+        const files = this._listImages(folderPath, folderName);
+        if (files.length === 0) return { removed: 0, freed: 0 };
 
-        if (files.length === 0) return 0;
-
-        // 按文件名排序（文件名包含时间 HH-mm-ss，天然有序）
-        files.sort();
+        const toRemove = this._planThin(files, this._loadKeyframes(folderName, folderPath));
+        return this._removeFiles(folderPath, toRemove);
+    }
 
+    /**
+     * 计算稀疏处理要删除的文件
+     * 按分钟分组，有关键帧的分钟保留全部关键帧，否则保留第一张（文件名排序最前）
+     * @param {Array<string>} files - 截图文件名（已排序）
+     * @param {Set<string>} keyframes - 关键帧文件名
+     * @returns {Array<string>} 要删除的文件名（按时间升序）
+     */
+    _planThin(files, keyframes) {
         // 按分钟分组：提取 HH-mm 部分
         const minuteGroups = new Map();
         for (const file of files) {
@@ -120,23 +244,219 @@ class ScreenshotCleaner {
             minuteGroups.get(minuteKey).push(file);
         }
 
-        // 每分钟仅保留第一张（文件名排序最前），删除其余
-        let removedCount = 0;
+        const toRemove = [];
         for (const [, group] of minuteGroups) {
-            if (group.length <= 1) continue;
-            // 保留第一张，删除剩余
-            for (let i = 1; i < group.length; i++) {
-                const filePath = path.join(folderPath, group[i]);
+            const kept = group.filter(file => keyframes.has(file));
+            if (kept.length === 0) {
+                kept.push(group[0]);
+            }
+            toRemove.push(...group.filter(file => !kept.includes(file)));
+        }
+        return toRemove.sort();
+    }
+
+    /**
+     * 按顺序删除文件
+     * @param {string} folderPath - 文件夹路径
+     * @param {Array<string>} files - 要删除的文件名
+     * @param {Function} [shouldStop] - 每次删除前调用，返回 true 时停止
+     * @param {Function} [onFreed] - 每次删除后以释放的字节数调用
+     * @returns {{removed: number, freed: number}}
+     */
+    _removeFiles(folderPath, files, shouldStop = () => false, onFreed = () => {}) {
+        let removed = 0;
+        let freed = 0;
+        for (const file of files) {
+            if (shouldStop()) break;
+            const filePath = path.join(folderPath, file);
+            try {
+                const stat = fs.statSync(filePath);
+                fs.unlinkSync(filePath);
+                // 仍有其他硬链接时不释放空间
+                const bytes = stat.nlink <= 1 ? stat.size : 0;
+                removed++;
+                freed += bytes;
+                onFreed(bytes);
+            } catch (err) {
+                this.logger.error(`[清理] 删除文件失败 ${file}: ${err.message}`);
+            }
+        }
+        return { removed, freed };
+    }
+
+    /**
+     * 删除整个文件夹
+     * @param {{name: string, path: string}} folder
+     * @returns {number|null} 释放的字节数，删除失败时为 null
+     */
+    _deleteFolder(folder) {
+        const freed = this._measure(folder.path).exclusive;
+        try {
+            fs.rmSync(folder.path, { recursive: true, force: true });
+            return freed;
+        } catch (err) {
+            this.logger.error(`[清理] 删除文件夹失败 ${folder.name}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 统计目录占用（同一 inode 的硬链接只计一次）
+     * @param {string} dir - 目录路径
+     * @returns {{bytes: number, exclusive: number}} 总占用，及所有链接都在该目录内（删除目录即可释放）的占用
+     */
+    _measure(dir) {
+        const inodes = new Map();
+        const walk = (current) => {
+            let entries;
+            try {
+                entries = fs.readdirSync(current, { withFileTypes: true });
+            } catch (err) {
+                this.logger.warn(`[清理] 读取目录失败 ${current}: ${err.message}`);
+                return;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    walk(fullPath);
+                    continue;
+                }
+                if (!entry.isFile()) continue;
                 try {
-                    fs.unlinkSync(filePath);
-                    removedCount++;
-                } catch (err) {
-                    this.logger.error(`[清理] 删除文件失败 ${group[i]}: ${err.message}`);
+                    const stat = fs.statSync(fullPath);
+                    const key = `${stat.dev}:${stat.ino}`;
+                    const inode = inodes.get(key) || { size: stat.size, nlink: stat.nlink, seen: 0 };
+                    inode.seen++;
+                    inodes.set(key, inode);
+                } catch {
+                    // 统计期间被删除的文件忽略
                 }
             }
+        };
+        walk(dir);
+
+        let bytes = 0;
+        let exclusive = 0;
+        for (const inode of inodes.values()) {
+            bytes += inode.size;
+            if (inode.seen >= inode.nlink) {
+                exclusive += inode.size;
+            }
+        }
+        return { bytes, exclusive };
+    }
+
+    /**
+     * 列出文件夹中的截图文件
+     * @param {string} folderPath - 文件夹路径
+     * @param {string} folderName - 文件夹名称（用于日志）
+     * @returns {Array<string>} 文件名，按名称排序（文件名包含时间 HH-mm-ss，天然有序）
+     */
+    _listImages(folderPath, folderName) {
+        try {
+            return fs.readdirSync(folderPath)
+                .filter(f => IMAGE_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+                .sort();
+        } catch (err) {
+            this.logger.error(`[清理] 读取文件夹失败 ${folderName}: ${err.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 读取文件夹的关键帧：清单中变化分数不低于 keyframe_score 的帧，以及总结引用的帧
+     * @param {string} folderName - 日期文件夹名（YYYY-MM-DD）
+     * @param {string} folderPath - 文件夹路径
+     * @returns {Set<string>} 关键帧文件名
+     */
+    _loadKeyframes(folderName, folderPath) {
+        const keyframes = new Set();
+
+        const manifestPath = path.join(folderPath, MANIFEST_FILE);
+        if (fs.existsSync(manifestPath)) {
+            try {
+                for (const line of fs.readFileSync(manifestPath, 'utf8').split('\n')) {
+                    if (!line.trim()) continue;
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch {
+                        continue;
+                    }
+                    if (entry.file && typeof entry.score === 'number' && entry.score >= this.keyframeScore) {
+                        keyframes.add(entry.file);
+                    }
+                }
+            } catch (err) {
+                this.logger.warn(`[清理] 读取截图清单失败 ${folderName}: ${err.message}`);
+            }
+        }
+
+        const referenced = this._getReferencedTimes(folderName);
+        if (referenced.size > 0) {
+            for (const file of this._listImages(folderPath, folderName)) {
+                const time = this._extractTimeKey(file);
+                if (time && referenced.has(time)) {
+                    keyframes.add(file);
+                }
+            }
+        }
+        return keyframes;
+    }
+
+    /**
+     * 获取指定日期被总结引用（发送给模型）的截图时间
+     * 总结按时间窗口终点存放，跨午夜的窗口落在次日目录，因此同时读取当天与次日的总结
+     * @param {string} dateStr - 日期 YYYY-MM-DD
+     * @returns {Set<string>} HH-mm-ss 集合
+     */
+    _getReferencedTimes(dateStr) {
+        if (!this.summaryDirectory) {
+            return new Set();
+        }
+        const next = this._parseDateFolder(dateStr);
+        next.setDate(next.getDate() + 1);
+        for (const day of [dateStr, this._formatDate(next)]) {
+            if (!this._loadedSummaryDates.has(day)) {
+                this._loadedSummaryDates.add(day);
+                this._loadSummaryReferences(path.join(this.summaryDirectory, day));
+            }
         }
+        return this._references.get(dateStr) || new Set();
+    }
 
-        return removedCount;
+    /**
+     * 读取一个日期目录下所有总结的 change_scores，记录发送给模型的截图时间
+     * @param {string} dateDir - 总结日期目录 {summary_directory}/{YYYY-MM-DD}
+     */
+    _loadSummaryReferences(dateDir) {
+        if (!fs.existsSync(dateDir)) {
+            return;
+        }
+        for (const granularity of fs.readdirSync(dateDir, { withFileTypes: true })) {
+            if (!granularity.isDirectory()) continue;
+            const dir = path.join(dateDir, granularity.name);
+            for (const file of fs.readdirSync(dir)) {
+                if (path.extname(file) !== '.json') continue;
+                let summary;
+                try {
+                    summary = JSON.parse(this.cipher.readText(path.join(dir, file)));
+                } catch (err) {
+                    this.logger.warn(`[清理] 读取总结失败 ${granularity.name}/${file}: ${err.message}`);
+                    continue;
+                }
+                for (const entry of summary.change_scores || []) {
+                    if (entry.sent === false || !entry.time) continue;
+                    const time = new Date(entry.time);
+                    if (Number.isNaN(time.getTime())) continue;
+                    const date = this._formatDate(time);
+                    if (!this._references.has(date)) {
+                        this._references.set(date, new Set());
+                    }
+                    this._references.get(date).add(this._formatTime(time));
+                }
+            }
+        }
     }
 
     /**
@@ -146,12 +466,59 @@ class ScreenshotCleaner {
      * @returns {string|null} 分钟 key，如 "14-30"
      */
     _extractMinuteKey(fileName) {
-        // 匹配 _HH-mm-ss_ 或 _HH-mm-ss. 部分
-        const match = fileName.match(/(\d{2}-\d{2})-\d{2}/);
+        // 匹配 _HH-mm-ss_ 或 _HH-mm-ss. 部分（前面的下划线避免匹配到日期中的 YY-MM-DD）
+        const match = fileName.match(/_(\d{2}-\d{2})-\d{2}/);
         if (!match) return null;
         return match[1];
     }
 
+    /**
+     * 从文件名中提取秒级别的时间（HH-mm-ss）
+     * @param {string} fileName - 文件名
+     * @returns {string|null} 时间，如 "14-30-05"
+     */
+    _extractTimeKey(fileName) {
+        const match = fileName.match(/_(\d{2}-\d{2}-\d{2})/);
+        if (!match) return null;
+        return match[1];
+    }
+
+    /**
+     * 格式化日期为 YYYY-MM-DD（本地时间）
+     * @param {Date} date
+     * @returns {string}
+     */
+    _formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * 格式化时间为 HH-mm-ss（本地时间，与截图文件名一致）
+     * @param {Date} date
+     * @returns {string}
+     */
+    _formatTime(date) {
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        const seconds = String(date.getSeconds()).padStart(2, '0');
+        return `${hours}-${minutes}-${seconds}`;
+    }
+
+    /**
+     * 格式化字节数（用于日志）
+     * @param {number} bytes
+     * @returns {string}
+     */
+    _formatSize(bytes) {
+        if (bytes >= BYTES_PER_GB) {
+            return `${(bytes / BYTES_PER_GB).toFixed(2)} GB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
     /**
      * 解析日期文件夹名称
      * @param {string} name - 文件夹名称（应为 YYYY-MM-DD 格式）
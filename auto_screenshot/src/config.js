@@ -9,6 +9,15 @@ const path = require('path');
 const os = require('os');
 const YAML = require('yaml');
 
+// 截图保存格式（jpg 视为 jpeg）
+const IMAGE_FORMATS = ['jpeg', 'jpg', 'png', 'webp', 'avif'];
+
+// 隐私规则命中后的处理方式
+const PRIVACY_ACTIONS = ['skip', 'blur', 'placeholder'];
+
+// 固定遮挡区域的处理方式
+const MASK_MODES = ['black', 'blur'];
+
 // 默认配置
 const DEFAULT_CONFIG = {
     screenshot: {
@@ -16,7 +25,18 @@ const DEFAULT_CONFIG = {
         format: 'jpeg',
         quality: 80,
         dimension: 100,
-        monitors: 'all'
+        monitors: 'all',
+        masks: [],
+        // 自适应间隔（启用后 interval 作为基准间隔）
+        adaptive: {
+            enabled: false,
+            min_interval: 3,
+            max_interval: 60,
+            max_per_minute: 12,
+            active_ratio: 0.02,
+            backoff: 2,
+            on_window_change: true
+        }
     },
     storage: {
         directory: './screenshots',
@@ -25,7 +45,39 @@ const DEFAULT_CONFIG = {
             date_format: 'YYYY-MM-DD',
             time_format: 'HH-mm-ss'
         },
-        organize_by_date: true
+        organize_by_date: true,
+        dedup: {
+            enabled: true,
+            mode: 'skip',
+            hash_distance: 5,
+            pixel_threshold: 24,
+            change_ratio: 0.001,
+            sample_width: 256,
+            ignore_regions: [
+                // 顶部菜单栏（时钟每分钟跳动）
+                { x: 0, y: 0, width: 1, height: 0.04 }
+            ]
+        },
+        manifest: true,
+        // 截图清理（启动时执行，Electron 可手动触发）
+        cleanup: {
+            delete_after_days: 30,
+            thin_after_days: 7,
+            max_size_gb: 0,
+            keyframe_score: 0.1,
+            summary_directory: null
+        }
+    },
+    privacy: {
+        enabled: true,
+        blur_sigma: 40,
+        rules: []
+    },
+    // 静态加密（AES-256-GCM），密钥来自 key_file 或 passphrase_env 指定的环境变量
+    encryption: {
+        enabled: false,
+        key_file: null,
+        passphrase_env: 'WORKWEAVER_PASSPHRASE'
     },
     schedule: {
         enabled: false,
@@ -47,6 +99,9 @@ class Config {
      * 统一配置字段映射:
      *   screenshot.* → screenshot.*（直接透传）
      *   storage.*    → storage.*（直接透传）
+     *   summary.directory → storage.cleanup.summary_directory（清理时保留总结引用的截图，相对路径按 ai_summary 目录解析）
+     *   privacy.*    → privacy.*（共享，ai_summary 构建 prompt 前再过滤一次）
+     *   encryption.* → encryption.*（共享，截图写盘时加密）
      *   schedule.*   → schedule.*（共享）
      *   logging.level/console/screenshot_file → logging.*
      * @param {string} configPath - 统一配置文件路径
@@ -70,6 +125,8 @@ class Config {
             const extracted = {
                 screenshot: unified.screenshot || {},
                 storage: unified.storage || {},
+                privacy: unified.privacy || {},
+                encryption: unified.encryption || {},
                 schedule: unified.schedule || {},
                 logging: {
                     level: (unified.logging && unified.logging.level) || 'info',
@@ -79,9 +136,22 @@ class Config {
                 }
             };
 
+            const cleanup = extracted.storage.cleanup || {};
+            if (unified.summary && unified.summary.directory && cleanup.summary_directory === undefined) {
+                extracted.storage = {
+                    ...extracted.storage,
+                    cleanup: {
+                        ...cleanup,
+                        summary_directory: path.resolve(
+                            __dirname, '..', '..', 'ai_summary', Config._expandHome(unified.summary.directory)
+                        )
+                    }
+                };
+            }
+
             // 合并默认配置并验证
             const mergedConfig = Config.mergeWithDefaults(extracted);
-            return Config.validate(mergedConfig);
+            return Config.validate(mergedConfig, path.dirname(absolutePath));
         } catch (err) {
             if (err.name === 'YAMLParseError') {
                 throw new Error(`统一配置文件格式错误: ${err.message}`);
@@ -116,7 +186,7 @@ class Config {
             const mergedConfig = Config.mergeWithDefaults(userConfig);
             
             // 验证配置
-            return Config.validate(mergedConfig);
+            return Config.validate(mergedConfig, path.dirname(absolutePath));
         } catch (err) {
             if (err.name === 'YAMLParseError') {
                 throw new Error(`配置文件格式错误: ${err.message}`);
@@ -165,10 +235,11 @@ class Config {
     /**
      * 验证配置
      * @param {Object} config - 配置对象
+     * @param {string} [configDir] - 配置文件所在目录（相对的 encryption.key_file 按此解析，默认当前工作目录）
      * @returns {Object} 验证后的配置
      * @throws {Error} 配置验证失败
      */
-    static validate(config) {
+    static validate(config, configDir = process.cwd()) {
         const errors = [];
 
         // 验证截图间隔
@@ -179,8 +250,8 @@ class Config {
         }
 
         // 验证图片格式
-        if (!['jpeg', 'png', 'jpg'].includes(config.screenshot.format)) {
-            errors.push('screenshot.format 必须是 jpeg 或 png');
+        if (!IMAGE_FORMATS.includes(config.screenshot.format)) {
+            errors.push('screenshot.format 必须是 jpeg, png, webp 或 avif');
         }
 
         // 验证质量
@@ -195,6 +266,23 @@ class Config {
             errors.push('screenshot.dimension 必须是 25, 50, 75 或 100');
         }
 
+        // 验证固定遮挡区域
+        errors.push(...Config._validateMasks(config.screenshot.masks));
+
+        // 验证自适应间隔
+        errors.push(...Config._validateAdaptive(config.screenshot.adaptive || {}, config.screenshot.interval));
+
+        // 验证重复帧去重
+        errors.push(...Config._validateDedup(config.storage.dedup || {}));
+        if (typeof config.storage.manifest !== 'boolean') {
+            errors.push('storage.manifest 必须是 true 或 false');
+        }
+        errors.push(...Config._validateCleanup(config.storage.cleanup || {}));
+
+        // 验证隐私规则与静态加密
+        errors.push(...Config._validatePrivacy(config.privacy || {}));
+        errors.push(...Config._validateEncryption(config.encryption || {}));
+
         // 验证时间格式
         const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
         if (config.schedule.enabled) {
@@ -241,11 +329,219 @@ class Config {
         }
 
         // 展开所有路径中的 ~（跨平台兼容）
-        Config._expandAllPaths(config);
+        Config._expandAllPaths(config, configDir);
 
         return config;
     }
 
+    /**
+     * 校验固定遮挡区域配置
+     * 坐标为数字时表示原始截图的像素，为 "12.5%" 形式的字符串时表示相对图像宽高的百分比
+     * @param {Array<Object>} masks - screenshot.masks 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateMasks(masks) {
+        if (!Array.isArray(masks)) {
+            return ['screenshot.masks 必须是数组'];
+        }
+
+        const errors = [];
+        const isCoordinate = value => (typeof value === 'number' && value >= 0) ||
+            (typeof value === 'string' && /^\d+(\.\d+)?%$/.test(value) && parseFloat(value) <= 100);
+
+        masks.forEach((mask, index) => {
+            const label = `screenshot.masks[${index}]`;
+            if (!mask || typeof mask !== 'object') {
+                errors.push(`${label} 必须是对象`);
+                return;
+            }
+            for (const key of ['x', 'y', 'width', 'height']) {
+                if (!isCoordinate(mask[key])) {
+                    errors.push(`${label}.${key} 必须是非负像素值或 0%-100% 的百分比字符串`);
+                }
+            }
+            if (mask.mode !== undefined && !MASK_MODES.includes(mask.mode)) {
+                errors.push(`${label}.mode 必须是 ${MASK_MODES.join(', ')} 之一`);
+            }
+            if (mask.monitor !== undefined && mask.monitor !== 'all' &&
+                !(Number.isInteger(mask.monitor) && mask.monitor >= 1)) {
+                errors.push(`${label}.monitor 必须是 "all" 或从 1 开始的显示器编号`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * 校验截图清理配置
+     * @param {Object} cleanup - storage.cleanup 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateCleanup(cleanup) {
+        const errors = [];
+        if (!Number.isInteger(cleanup.delete_after_days) || cleanup.delete_after_days < 1) {
+            errors.push('storage.cleanup.delete_after_days 必须是正整数');
+        }
+        if (!Number.isInteger(cleanup.thin_after_days) || cleanup.thin_after_days < 1) {
+            errors.push('storage.cleanup.thin_after_days 必须是正整数');
+        } else if (Number.isInteger(cleanup.delete_after_days) && cleanup.thin_after_days > cleanup.delete_after_days) {
+            errors.push('storage.cleanup.thin_after_days 不能大于 delete_after_days');
+        }
+        if (typeof cleanup.max_size_gb !== 'number' || cleanup.max_size_gb < 0) {
+            errors.push('storage.cleanup.max_size_gb 必须是不小于 0 的数字（0 表示不限制）');
+        }
+        if (typeof cleanup.keyframe_score !== 'number' || cleanup.keyframe_score < 0 || cleanup.keyframe_score > 1) {
+            errors.push('storage.cleanup.keyframe_score 必须是 0-1 之间的数字');
+        }
+        if (cleanup.summary_directory !== null && typeof cleanup.summary_directory !== 'string') {
+            errors.push('storage.cleanup.summary_directory 必须是字符串或 null');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验自适应间隔配置
+     * @param {Object} adaptive - screenshot.adaptive 配置段
+     * @param {number} interval - 基准间隔 screenshot.interval（秒）
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateAdaptive(adaptive, interval) {
+        const errors = [];
+        if (typeof adaptive.enabled !== 'boolean') {
+            errors.push('screenshot.adaptive.enabled 必须是 true 或 false');
+        }
+        const { min_interval: min, max_interval: max } = adaptive;
+        if (typeof min !== 'number' || min < 1) {
+            errors.push('screenshot.adaptive.min_interval 必须是不小于 1 的数字');
+        }
+        if (typeof max !== 'number' || max > 3600) {
+            errors.push('screenshot.adaptive.max_interval 必须是不大于 3600 的数字');
+        }
+        if (adaptive.enabled && typeof min === 'number' && typeof max === 'number' &&
+            !(min <= interval && interval <= max)) {
+            errors.push(`screenshot.adaptive 需满足 min_interval <= screenshot.interval <= max_interval（当前 ${min} / ${interval} / ${max}）`);
+        }
+        if (!Number.isInteger(adaptive.max_per_minute) || adaptive.max_per_minute < 1 || adaptive.max_per_minute > 60) {
+            errors.push('screenshot.adaptive.max_per_minute 必须是 1-60 之间的整数');
+        }
+        if (typeof adaptive.active_ratio !== 'number' || adaptive.active_ratio <= 0 || adaptive.active_ratio > 1) {
+            errors.push('screenshot.adaptive.active_ratio 必须是 0-1 之间的数字（不含 0）');
+        }
+        if (typeof adaptive.backoff !== 'number' || adaptive.backoff < 1) {
+            errors.push('screenshot.adaptive.backoff 必须是不小于 1 的数字');
+        }
+        if (typeof adaptive.on_window_change !== 'boolean') {
+            errors.push('screenshot.adaptive.on_window_change 必须是 true 或 false');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验重复帧去重配置
+     * @param {Object} dedup - storage.dedup 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateDedup(dedup) {
+        const errors = [];
+        if (typeof dedup.enabled !== 'boolean') {
+            errors.push('storage.dedup.enabled 必须是 true 或 false');
+        }
+        if (!['skip', 'link'].includes(dedup.mode)) {
+            errors.push('storage.dedup.mode 必须是 skip 或 link');
+        }
+        if (!Number.isInteger(dedup.hash_distance) || dedup.hash_distance < 0 || dedup.hash_distance > 64) {
+            errors.push('storage.dedup.hash_distance 必须是 0-64 之间的整数');
+        }
+        if (typeof dedup.pixel_threshold !== 'number' || dedup.pixel_threshold < 0 || dedup.pixel_threshold > 255) {
+            errors.push('storage.dedup.pixel_threshold 必须是 0-255 之间的数字');
+        }
+        if (typeof dedup.change_ratio !== 'number' || dedup.change_ratio < 0 || dedup.change_ratio > 1) {
+            errors.push('storage.dedup.change_ratio 必须是 0-1 之间的数字');
+        }
+        if (!Number.isInteger(dedup.sample_width) || dedup.sample_width < 16) {
+            errors.push('storage.dedup.sample_width 必须是不小于 16 的整数');
+        }
+        if (!Array.isArray(dedup.ignore_regions)) {
+            errors.push('storage.dedup.ignore_regions 必须是数组');
+        } else {
+            dedup.ignore_regions.forEach((region, index) => {
+                const valid = region &&
+                    ['x', 'y', 'width', 'height'].every(key => typeof region[key] === 'number' && region[key] >= 0 && region[key] <= 1) &&
+                    region.x + region.width <= 1 && region.y + region.height <= 1;
+                if (!valid) {
+                    errors.push(`storage.dedup.ignore_regions[${index}] 需要 0-1 之间的 x/y/width/height，且不超出图像范围`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * 校验静态加密配置（密钥是否可用在创建 FileCipher 时检查）
+     * @param {Object} encryption - encryption 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validateEncryption(encryption) {
+        const errors = [];
+        if (typeof encryption.enabled !== 'boolean') {
+            errors.push('encryption.enabled 必须是 true 或 false');
+        }
+        if (encryption.key_file !== null && encryption.key_file !== undefined &&
+            (typeof encryption.key_file !== 'string' || !encryption.key_file)) {
+            errors.push('encryption.key_file 必须是密钥文件路径或 null');
+        }
+        if (typeof encryption.passphrase_env !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(encryption.passphrase_env)) {
+            errors.push('encryption.passphrase_env 必须是有效的环境变量名');
+        }
+        return errors;
+    }
+
+    /**
+     * 校验隐私规则配置
+     * @param {Object} privacy - privacy 配置段
+     * @returns {Array<string>} 错误信息
+     */
+    static _validatePrivacy(privacy) {
+        const errors = [];
+        if (typeof privacy.enabled !== 'boolean') {
+            errors.push('privacy.enabled 必须是 true 或 false');
+        }
+        if (typeof privacy.blur_sigma !== 'number' || privacy.blur_sigma < 0.3 || privacy.blur_sigma > 1000) {
+            errors.push('privacy.blur_sigma 必须是 0.3-1000 之间的数字');
+        }
+        if (!Array.isArray(privacy.rules)) {
+            errors.push('privacy.rules 必须是数组');
+            return errors;
+        }
+        privacy.rules.forEach((rule, index) => {
+            const label = `privacy.rules[${index}]`;
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${label} 必须是对象`);
+                return;
+            }
+            if (!PRIVACY_ACTIONS.includes(rule.action)) {
+                errors.push(`${label}.action 必须是 ${PRIVACY_ACTIONS.join(', ')} 之一`);
+            }
+            if (!rule.app && !rule.title) {
+                errors.push(`${label} 至少需要配置 app 或 title`);
+            }
+            for (const key of ['app', 'title']) {
+                if (rule[key] === undefined) {
+                    continue;
+                }
+                if (typeof rule[key] !== 'string') {
+                    errors.push(`${label}.${key} 必须是正则表达式字符串`);
+                    continue;
+                }
+                try {
+                    new RegExp(rule[key], 'i');
+                } catch (err) {
+                    errors.push(`${label}.${key} 不是有效的正则表达式: ${err.message}`);
+                }
+            }
+        });
+        return errors;
+    }
+
     /**
      * 展开路径中的 ~ 为用户主目录（跨平台兼容）
      * Mac: ~ → /Users/username
@@ -269,13 +565,22 @@ class Config {
     /**
      * 展开配置中所有路径字段的 ~
      * @param {Object} config - 配置对象
+     * @param {string} configDir - 配置文件所在目录
      * @returns {Object} 路径已展开的配置对象
      */
-    static _expandAllPaths(config) {
+    static _expandAllPaths(config, configDir) {
         // 截图存储目录
         if (config.storage && config.storage.directory) {
             config.storage.directory = Config._expandHome(config.storage.directory);
         }
+        // 清理时读取的总结目录
+        if (config.storage && config.storage.cleanup && config.storage.cleanup.summary_directory) {
+            config.storage.cleanup.summary_directory = Config._expandHome(config.storage.cleanup.summary_directory);
+        }
+        // 密钥文件路径：转为按配置文件所在目录解析的绝对路径，两个服务与桌面应用无论工作目录如何都读取同一个文件
+        if (config.encryption && config.encryption.key_file) {
+            config.encryption.key_file = path.resolve(configDir, Config._expandHome(config.encryption.key_file));
+        }
         // 日志文件路径
         if (config.logging && config.logging.file) {
             config.logging.file = Config._expandHome(config.logging.file);
@@ -0,0 +1,426 @@
+/**
+ * 截图导出模块
+ * 从按日期分目录保存的截图（{directory}/YYYY-MM-DD/，见 Storage）生成两种回顾文件：
+ * - 延时动画：指定日期、时间范围与显示器的截图按时间顺序拼成动画 WebP
+ * - 缩略图总览（contact sheet）：截图缩略图按网格排列，每格下方标注截图时间
+ *
+ * 截图数量超过上限时按时间均匀抽取（保留首尾）；加密保存的截图先解密再处理，
+ * 导出文件供用户查看，按明文写入。无法解码的截图跳过。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const FileCipher = require('./file-cipher');
+
+// 截图文件名：YYYY-MM-DD_HH-mm-ss_monitor.ext（见 Storage.generateFileName 的默认命名）
+const FRAME_PATTERN = /^(\d{4}-\d{2}-\d{2})_(\d{2})-(\d{2})-(\d{2})_(\d+)\.(jpeg|jpg|png|webp|avif)$/i;
+
+// 背景色（缩放留边与总览底色）
+const BACKGROUND = { r: 24, g: 24, b: 27 };
+
+// 总览中每格下方时间标注的高度与格间距（像素）
+const CAPTION_HEIGHT = 24;
+const TILE_GAP = 8;
+
+// WebP 画布尺寸上限（像素）
+const WEBP_MAX_DIMENSION = 16383;
+
+class ScreenshotExporter {
+    /**
+     * 创建截图导出器
+     * @param {string} baseDirectory - 截图存储根目录
+     * @param {Logger} logger - 日志模块
+     * @param {FileCipher} [cipher] - 静态加密器（读取加密的截图）
+     */
+    constructor(baseDirectory, logger, cipher = null) {
+        this.baseDirectory = baseDirectory;
+        this.logger = logger;
+        this.cipher = cipher || new FileCipher();
+    }
+
+    /**
+     * 列出指定日期、时间范围与显示器的截图
+     * @param {Object} params
+     * @param {string} params.date - 日期（YYYY-MM-DD）
+     * @param {string} [params.from] - 起始时间（HH:MM，含，默认 00:00）
+     * @param {string} [params.to] - 结束时间（HH:MM，不含，默认 24:00）
+     * @param {number} [params.monitor] - 显示器编号（从 1 开始，默认 1）
+     * @returns {Array<{file: string, path: string, time: string}>} 按时间升序，time 为 HH:mm:ss
+     */
+    listFrames(params) {
+        const { date, fromSeconds, toSeconds, monitor } = this._parseParams(params);
+        return this._listDateFiles(date)
+            .map(file => ({ file, match: file.match(FRAME_PATTERN) }))
+            .filter(({ match }) => match && match[1] === date && Number(match[5]) === monitor)
+            .map(({ file, match }) => ({
+                file,
+                path: path.join(this.baseDirectory, date, file),
+                time: `${match[2]}:${match[3]}:${match[4]}`,
+                seconds: Number(match[2]) * 3600 + Number(match[3]) * 60 + Number(match[4])
+            }))
+            .filter(frame => frame.seconds >= fromSeconds && frame.seconds < toSeconds)
+            .sort((a, b) => a.seconds - b.seconds || a.file.localeCompare(b.file))
+            .map(({ file, path: framePath, time }) => ({ file, path: framePath, time }));
+    }
+
+    /**
+     * 列出指定日期有截图的显示器编号
+     * @param {string} date - 日期（YYYY-MM-DD）
+     * @returns {Array<number>} 升序
+     */
+    listMonitors(date) {
+        const monitors = new Set();
+        for (const file of this._listDateFiles(date)) {
+            const match = file.match(FRAME_PATTERN);
+            if (match && match[1] === date) {
+                monitors.add(Number(match[5]));
+            }
+        }
+        return Array.from(monitors).sort((a, b) => a - b);
+    }
+
+    /**
+     * 导出延时动画（动画 WebP）
+     * @param {Object} params - 见 listFrames，另含：
+     * @param {string} params.output - 输出文件路径
+     * @param {number} [params.fps] - 每秒帧数（默认 10）
+     * @param {number} [params.width] - 动画宽度（像素，默认 1280，不超过截图原宽）
+     * @param {number} [params.max_frames] - 最多帧数（默认 600）
+     * @param {number} [params.quality] - WebP 质量 1-100（默认 70）
+     * @returns {Promise<{output: string, frames: number, total_frames: number, width: number, height: number,
+     *   duration_seconds: number, bytes: number}>}
+     */
+    async exportTimelapse(params) {
+        const fps = this._positiveInteger(params.fps, 10, 'fps', 60);
+        const maxFrames = this._positiveInteger(params.max_frames, 600, 'max_frames');
+        const quality = this._positiveInteger(params.quality, 70, 'quality', 100);
+        const all = this.listFrames(params);
+        const output = this._resolveOutput(params.output);
+
+        const frames = this._sample(all, maxFrames);
+        const size = await this._frameSize(frames, this._positiveInteger(params.width, 1280, 'width', WEBP_MAX_DIMENSION));
+
+        const delay = Math.round(1000 / fps);
+        const encoded = [];
+        for (const frame of frames) {
+            const image = await this._render(frame, size);
+            if (!image) continue;
+            const webp = await image.webp({ quality }).toBuffer();
+            encoded.push(this._extractFrameChunks(webp));
+        }
+        if (encoded.length === 0) {
+            throw new Error('所选范围内的截图都无法读取');
+        }
+
+        const buffer = this._buildAnimatedWebp(encoded, size.width, size.height, delay);
+        this._writeOutput(output, buffer);
+        this.logger.info(`[导出] 延时动画: ${output}（${encoded.length}/${all.length} 帧，${size.width}x${size.height}，${fps} fps）`);
+
+        return {
+            output,
+            frames: encoded.length,
+            total_frames: all.length,
+            width: size.width,
+            height: size.height,
+            duration_seconds: Math.round(encoded.length * delay / 100) / 10,
+            bytes: buffer.length
+        };
+    }
+
+    /**
+     * 导出缩略图总览：按网格排列缩略图，每格下方标注截图时间
+     * 输出格式按扩展名决定（.png / .webp，其余为 JPEG）
+     * @param {Object} params - 见 listFrames，另含：
+     * @param {string} params.output - 输出文件路径
+     * @param {number} [params.columns] - 每行格数（默认 6）
+     * @param {number} [params.tile_width] - 每格宽度（像素，默认 320）
+     * @param {number} [params.max_tiles] - 最多格数（默认 60）
+     * @returns {Promise<{output: string, frames: number, total_frames: number, columns: number, rows: number,
+     *   width: number, height: number, bytes: number}>}
+     */
+    async exportContactSheet(params) {
+        const maxTiles = this._positiveInteger(params.max_tiles, 60, 'max_tiles');
+        const all = this.listFrames(params);
+        const output = this._resolveOutput(params.output);
+
+        const frames = this._sample(all, maxTiles);
+        const tile = await this._frameSize(frames, this._positiveInteger(params.tile_width, 320, 'tile_width', 1920));
+
+        const tiles = [];
+        for (const frame of frames) {
+            const image = await this._render(frame, tile);
+            if (!image) continue;
+            tiles.push({ time: frame.time, input: await image.png().toBuffer() });
+        }
+        if (tiles.length === 0) {
+            throw new Error('所选范围内的截图都无法读取');
+        }
+
+        const columns = Math.min(this._positiveInteger(params.columns, 6, 'columns', 20), tiles.length);
+        const rows = Math.ceil(tiles.length / columns);
+        const cellHeight = tile.height + CAPTION_HEIGHT;
+        const width = columns * tile.width + (columns + 1) * TILE_GAP;
+        const height = rows * cellHeight + (rows + 1) * TILE_GAP;
+
+        const layers = [];
+        const captions = [];
+        tiles.forEach((item, index) => {
+            const left = TILE_GAP + (index % columns) * (tile.width + TILE_GAP);
+            const top = TILE_GAP + Math.floor(index / columns) * (cellHeight + TILE_GAP);
+            layers.push({ input: item.input, left, top });
+            captions.push({ text: item.time, x: left + tile.width / 2, y: top + tile.height + CAPTION_HEIGHT - 7 });
+        });
+        layers.push({ input: this._captionSvg(captions, width, height), left: 0, top: 0 });
+
+        const sheet = sharp({ create: { width, height, channels: 3, background: BACKGROUND } }).composite(layers);
+        const ext = path.extname(output).toLowerCase();
+        const buffer = ext === '.png'
+            ? await sheet.png().toBuffer()
+            : ext === '.webp'
+                ? await sheet.webp({ quality: 85 }).toBuffer()
+                : await sheet.jpeg({ quality: 85 }).toBuffer();
+        this._writeOutput(output, buffer);
+        this.logger.info(`[导出] 缩略图总览: ${output}（${tiles.length}/${all.length} 张，${columns}x${rows}）`);
+
+        return {
+            output,
+            frames: tiles.length,
+            total_frames: all.length,
+            columns,
+            rows,
+            width,
+            height,
+            bytes: buffer.length
+        };
+    }
+
+    /**
+     * 校验并解析导出参数
+     * @param {Object} params
+     * @returns {{date: string, fromSeconds: number, toSeconds: number, monitor: number}}
+     */
+    _parseParams(params = {}) {
+        const { date } = params;
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            throw new Error(`日期格式不正确: ${date}，应为 YYYY-MM-DD`);
+        }
+        const fromSeconds = this._parseClock(params.from || '00:00', 'from');
+        const toSeconds = this._parseClock(params.to || '24:00', 'to');
+        if (fromSeconds >= toSeconds) {
+            throw new Error(`时间范围不正确: ${params.from || '00:00'} - ${params.to || '24:00'}，结束时间需晚于起始时间`);
+        }
+        const monitor = this._positiveInteger(params.monitor, 1, 'monitor');
+        return { date, fromSeconds, toSeconds, monitor };
+    }
+
+    /**
+     * 解析 HH:MM（允许 24:00）为当天的秒数
+     * @param {string} value
+     * @param {string} name - 参数名（用于错误信息）
+     * @returns {number}
+     */
+    _parseClock(value, name) {
+        const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+        const seconds = match ? Number(match[1]) * 3600 + Number(match[2]) * 60 : NaN;
+        if (!match || Number(match[2]) > 59 || seconds > 24 * 3600) {
+            throw new Error(`${name} 格式不正确: ${value}，应为 HH:MM`);
+        }
+        return seconds;
+    }
+
+    /**
+     * 解析正整数参数，未提供时使用默认值
+     * @param {*} value
+     * @param {number} fallback - 默认值
+     * @param {string} name - 参数名（用于错误信息）
+     * @param {number} [max] - 上限
+     * @returns {number}
+     */
+    _positiveInteger(value, fallback, name, max = Infinity) {
+        if (value === undefined || value === null || value === '') {
+            return fallback;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1 || number > max) {
+            throw new Error(`${name} 必须是 1${max === Infinity ? ' 以上' : `-${max} 之间`}的整数，当前为 ${value}`);
+        }
+        return number;
+    }
+
+    /**
+     * 校验输出路径并转为绝对路径
+     * @param {string} output
+     * @returns {string}
+     */
+    _resolveOutput(output) {
+        if (typeof output !== 'string' || output.trim() === '') {
+            throw new Error('未指定导出文件路径');
+        }
+        return path.resolve(output);
+    }
+
+    /**
+     * 列出日期文件夹中的文件
+     * @param {string} date - 日期（YYYY-MM-DD）
+     * @returns {Array<string>}
+     */
+    _listDateFiles(date) {
+        const folder = path.join(this.baseDirectory, date);
+        if (!fs.existsSync(folder)) {
+            return [];
+        }
+        return fs.readdirSync(folder);
+    }
+
+    /**
+     * 按时间均匀抽取，保留首尾
+     * @param {Array} frames - 按时间升序的截图
+     * @param {number} max - 最多数量
+     * @returns {Array}
+     */
+    _sample(frames, max) {
+        if (frames.length === 0) {
+            throw new Error('所选日期、时间范围与显示器没有截图');
+        }
+        if (frames.length <= max) {
+            return frames;
+        }
+        if (max === 1) {
+            return [frames[0]];
+        }
+        const step = (frames.length - 1) / (max - 1);
+        return Array.from({ length: max }, (_, i) => frames[Math.round(i * step)]);
+    }
+
+    /**
+     * 按第一张可读取的截图计算输出尺寸（保持宽高比，不放大）
+     * @param {Array<{path: string}>} frames
+     * @param {number} maxWidth - 最大宽度
+     * @returns {Promise<{width: number, height: number}>}
+     */
+    async _frameSize(frames, maxWidth) {
+        for (const frame of frames) {
+            try {
+                const meta = await sharp(this.cipher.readFile(frame.path)).metadata();
+                const width = Math.min(maxWidth, meta.width);
+                const height = Math.min(WEBP_MAX_DIMENSION, Math.max(1, Math.round(meta.height * width / meta.width)));
+                return { width, height };
+            } catch (err) {
+                continue;
+            }
+        }
+        throw new Error('所选范围内的截图都无法读取');
+    }
+
+    /**
+     * 读取截图并缩放到指定尺寸（宽高比不同时留边），失败时返回 null
+     * @param {{file: string, path: string}} frame
+     * @param {{width: number, height: number}} size
+     * @returns {Promise<sharp.Sharp|null>}
+     */
+    async _render(frame, size) {
+        try {
+            // 先解码为 raw，解码失败在此处抛出而不是延迟到编码输出时
+            const { data, info } = await sharp(this.cipher.readFile(frame.path))
+                .resize(size.width, size.height, { fit: 'contain', background: BACKGROUND })
+                .flatten({ background: BACKGROUND })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+            return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+        } catch (err) {
+            this.logger.warn(`[导出] 跳过无法读取的截图 ${frame.file}: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 从单帧 WebP 中取出图像数据块（ALPH / VP8 / VP8L），用于组装动画帧
+     * @param {Buffer} webp
+     * @returns {Buffer}
+     */
+    _extractFrameChunks(webp) {
+        const chunks = [];
+        let offset = 12; // RIFF 头: 'RIFF' + 长度 + 'WEBP'
+        while (offset + 8 <= webp.length) {
+            const type = webp.toString('ascii', offset, offset + 4);
+            const size = webp.readUInt32LE(offset + 4);
+            const end = offset + 8 + size + (size % 2);
+            if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+                chunks.push(webp.subarray(offset, end));
+            }
+            offset = end;
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * 组装动画 WebP（VP8X + ANIM + 每帧一个 ANMF，帧不混合、无限循环）
+     * @param {Array<Buffer>} frames - 各帧的图像数据块
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @param {number} delay - 每帧时长（毫秒）
+     * @returns {Buffer}
+     */
+    _buildAnimatedWebp(frames, width, height, delay) {
+        const uint24 = (value) => {
+            const buffer = Buffer.alloc(3);
+            buffer.writeUIntLE(value, 0, 3);
+            return buffer;
+        };
+        const chunk = (type, payload) => {
+            const header = Buffer.alloc(8);
+            header.write(type, 0, 'ascii');
+            header.writeUInt32LE(payload.length, 4);
+            return Buffer.concat([header, payload, Buffer.alloc(payload.length % 2)]);
+        };
+
+        // VP8X: 动画标志 + 画布尺寸
+        const vp8x = chunk('VP8X', Buffer.concat([Buffer.from([0x02, 0, 0, 0]), uint24(width - 1), uint24(height - 1)]));
+        // ANIM: 背景色（BGRA）+ 循环次数（0 为无限）
+        const anim = chunk('ANIM', Buffer.from([BACKGROUND.b, BACKGROUND.g, BACKGROUND.r, 0xff, 0, 0]));
+        const anmf = frames.map(data => chunk('ANMF', Buffer.concat([
+            uint24(0), uint24(0), uint24(width - 1), uint24(height - 1), uint24(delay),
+            Buffer.from([0x02]), // 不与上一帧混合，不处置
+            data
+        ])));
+
+        const body = Buffer.concat([Buffer.from('WEBP', 'ascii'), vp8x, anim, ...anmf]);
+        const header = Buffer.alloc(8);
+        header.write('RIFF', 0, 'ascii');
+        header.writeUInt32LE(body.length, 4);
+        return Buffer.concat([header, body]);
+    }
+
+    /**
+     * 生成时间标注图层（SVG）
+     * @param {Array<{text: string, x: number, y: number}>} captions
+     * @param {number} width - 画布宽度
+     * @param {number} height - 画布高度
+     * @returns {Buffer}
+     */
+    _captionSvg(captions, width, height) {
+        const texts = captions
+            .map(c => `<text x="${c.x}" y="${c.y}">${c.text}</text>`)
+            .join('');
+        return Buffer.from(
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            '<style>text { fill: #e4e4e7; font: 14px Menlo, Consolas, monospace; text-anchor: middle; }</style>' +
+            `${texts}</svg>`
+        );
+    }
+
+    /**
+     * 写入导出文件（目录不存在时创建，先写临时文件再重命名）
+     * @param {string} output
+     * @param {Buffer} buffer
+     */
+    _writeOutput(output, buffer) {
+        fs.mkdirSync(path.dirname(output), { recursive: true });
+        const tmpPath = `${output}.tmp`;
+        fs.writeFileSync(tmpPath, buffer);
+        fs.renameSync(tmpPath, output);
+    }
+}
+
+module.exports = ScreenshotExporter;
@@ -0,0 +1,256 @@
+/**
+ * 静态加密模块
+ * 按 encryption 配置用 AES-256-GCM 加密写盘的截图、总结、prompt 日志与 token 统计，读取时透明解密。
+ *
+ * 文件格式（原文件名与扩展名不变）:
+ *   WWENC1 (6 字节) | salt (16) | iv (12) | auth tag (16) | 密文
+ * 密钥由 salt 与密钥材料派生：密钥文件用 HKDF-SHA256，口令（环境变量）用 scrypt。
+ * 写入时整个进程共用一个随机 salt，派生结果按 salt 缓存，避免每个文件都重新计算 scrypt。
+ * 不以 WWENC1 开头的文件按明文读取，开启加密前的数据与迁移过程中的数据都可直接读取。
+ *
+ * 按行追加的文件（ocr.jsonl）逐行加密：每行为上述格式的 base64，以 V1dFTkMx（WWENC1 的 base64）开头。
+ *
+ * 注意: ai_summary/src/file-cipher.js 与本文件相同（桌面应用也使用该文件），修改格式时需同步。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 文件头
+const MAGIC = Buffer.from('WWENC1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH;
+
+// AES-256 密钥长度
+const KEY_LENGTH = 32;
+
+// 口令派生参数（约 32MB 内存）
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// HKDF 的上下文信息
+const HKDF_INFO = 'workweaver-file-cipher';
+
+// 加密行的前缀（MAGIC 恰为 6 字节，base64 编码后前缀固定）
+const LINE_PREFIX = MAGIC.toString('base64');
+
+class FileCipher {
+    /**
+     * 创建加密器
+     * 未开启加密时仍会加载可用的密钥，用于读取关闭加密前写入的加密文件
+     * @param {Object} [config] - encryption 配置段
+     * @param {boolean} [config.enabled] - 写入时是否加密
+     * @param {string|null} [config.key_file] - 密钥文件路径（优先）
+     * @param {string} [config.passphrase_env] - 保存口令的环境变量名
+     * @throws {Error} 开启加密但没有可用的密钥（code=ENCRYPTION_KEY_MISSING）或密钥文件无法读取
+     */
+    constructor(config = {}) {
+        this.enabled = config.enabled === true;
+
+        // 密钥材料: { type: 'key_file' | 'passphrase', secret: Buffer }
+        this._material = FileCipher._loadMaterial(config);
+        if (this.enabled && !this._material) {
+            const error = new Error(
+                `已开启 encryption.enabled，但未找到密钥: 请配置 encryption.key_file 或设置环境变量 ${config.passphrase_env || '(未配置 passphrase_env)'}`
+            );
+            error.code = 'ENCRYPTION_KEY_MISSING';
+            throw error;
+        }
+
+        // 写入用的 salt（首次加密时生成）与按 salt 缓存的派生密钥
+        this._salt = null;
+        this._keys = new Map();
+    }
+
+    /**
+     * 读取密钥材料
+     * 相对的 key_file 按当前工作目录解析（Config 加载时已按配置文件所在目录转为绝对路径）
+     * @param {Object} config - encryption 配置段
+     * @returns {{type: string, secret: Buffer}|null}
+     * @throws {Error} 配置了密钥文件但无法读取或为空
+     */
+    static _loadMaterial(config) {
+        if (config.key_file) {
+            let keyPath = config.key_file;
+            if (keyPath === '~' || keyPath.startsWith('~/') || keyPath.startsWith('~\\')) {
+                keyPath = path.join(os.homedir(), keyPath.slice(2));
+            }
+            keyPath = path.resolve(keyPath);
+
+            let secret;
+            try {
+                secret = fs.readFileSync(keyPath);
+            } catch (err) {
+                throw new Error(`读取密钥文件失败: ${keyPath} - ${err.message}`);
+            }
+            // 文本密钥文件末尾的换行不参与派生
+            let end = secret.length;
+            while (end > 0 && (secret[end - 1] === 0x0a || secret[end - 1] === 0x0d)) {
+                end--;
+            }
+            if (end === 0) {
+                throw new Error(`密钥文件为空: ${keyPath}`);
+            }
+            return { type: 'key_file', secret: secret.subarray(0, end) };
+        }
+
+        const passphrase = config.passphrase_env ? process.env[config.passphrase_env] : '';
+        if (passphrase) {
+            return { type: 'passphrase', secret: Buffer.from(passphrase, 'utf8') };
+        }
+        return null;
+    }
+
+    /**
+     * 按 salt 派生（并缓存）密钥
+     * @param {Buffer} salt
+     * @returns {Buffer}
+     */
+    _deriveKey(salt) {
+        const cacheKey = salt.toString('hex');
+        let key = this._keys.get(cacheKey);
+        if (!key) {
+            const { type, secret } = this._material;
+            key = type === 'key_file'
+                ? Buffer.from(crypto.hkdfSync('sha256', secret, salt, HKDF_INFO, KEY_LENGTH))
+                : crypto.scryptSync(secret, salt, KEY_LENGTH, SCRYPT_OPTIONS);
+            this._keys.set(cacheKey, key);
+        }
+        return key;
+    }
+
+    /**
+     * 数据是否为加密格式
+     * @param {Buffer} buffer
+     * @returns {boolean}
+     */
+    isEncrypted(buffer) {
+        return Buffer.isBuffer(buffer) &&
+            buffer.length >= HEADER_LENGTH &&
+            buffer.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+
+    /**
+     * 加密数据（不论是否开启 enabled，用于迁移）
+     * @param {Buffer|string} data - 明文
+     * @returns {Buffer} 加密后的数据
+     * @throws {Error} 没有可用的密钥（code=ENCRYPTION_KEY_MISSING）
+     */
+    encrypt(data) {
+        if (!this._material) {
+            const error = new Error('未配置加密密钥（encryption.key_file 或 encryption.passphrase_env）');
+            error.code = 'ENCRYPTION_KEY_MISSING';
+            throw error;
+        }
+        if (!this._salt) {
+            this._salt = crypto.randomBytes(SALT_LENGTH);
+        }
+
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this._deriveKey(this._salt), iv);
+        const ciphertext = Buffer.concat([cipher.update(Buffer.from(data)), cipher.final()]);
+        return Buffer.concat([MAGIC, this._salt, iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    /**
+     * 解密数据；明文数据原样返回
+     * @param {Buffer} buffer - 文件内容
+     * @returns {Buffer} 明文
+     * @throws {Error} 缺少密钥（code=ENCRYPTION_KEY_MISSING）或密钥不匹配、数据损坏（code=DECRYPT_FAILED）
+     */
+    decrypt(buffer) {
+        if (!this.isEncrypted(buffer)) {
+            return buffer;
+        }
+        if (!this._material) {
+            const error = new Error('数据已加密，但未配置解密密钥（encryption.key_file 或 encryption.passphrase_env）');
+            error.code = 'ENCRYPTION_KEY_MISSING';
+            throw error;
+        }
+
+        let offset = MAGIC.length;
+        const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+        const iv = buffer.subarray(offset, offset += IV_LENGTH);
+        const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this._deriveKey(salt), iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+        } catch (err) {
+            const error = new Error('解密失败（密钥不匹配或文件已损坏）');
+            error.code = 'DECRYPT_FAILED';
+            throw error;
+        }
+    }
+
+    /**
+     * 按配置准备写盘的数据：开启加密时加密，否则原样返回
+     * @param {Buffer|string} data
+     * @returns {Buffer|string}
+     */
+    seal(data) {
+        return this.enabled ? this.encrypt(data) : data;
+    }
+
+    /**
+     * 读取文件并解密
+     * @param {string} filePath
+     * @returns {Buffer}
+     */
+    readFile(filePath) {
+        return this.decrypt(fs.readFileSync(filePath));
+    }
+
+    /**
+     * 读取文本文件并解密
+     * @param {string} filePath
+     * @returns {string}
+     */
+    readText(filePath) {
+        return this.readFile(filePath).toString('utf8');
+    }
+
+    /**
+     * 按配置加密后写入文件
+     * @param {string} filePath
+     * @param {Buffer|string} data
+     */
+    writeFile(filePath, data) {
+        fs.writeFileSync(filePath, this.seal(data));
+    }
+
+    /**
+     * 按配置准备追加写入的一行（不含换行）
+     * @param {string} line - 明文行
+     * @returns {string}
+     */
+    sealLine(line) {
+        return this.enabled ? this.encrypt(line).toString('base64') : line;
+    }
+
+    /**
+     * 行是否为加密格式
+     * @param {string} line
+     * @returns {boolean}
+     */
+    isEncryptedLine(line) {
+        return line.startsWith(LINE_PREFIX);
+    }
+
+    /**
+     * 解密一行；明文行原样返回
+     * @param {string} line
+     * @returns {string}
+     */
+    openLine(line) {
+        if (!this.isEncryptedLine(line)) {
+            return line;
+        }
+        return this.decrypt(Buffer.from(line, 'base64')).toString('utf8');
+    }
+}
+
+module.exports = FileCipher;
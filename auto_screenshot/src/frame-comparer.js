@@ -0,0 +1,186 @@
+/**
+ * 帧比对模块
+ * 计算截图的比对签名（缩放后的灰度像素 + 差异哈希 dHash），与同一显示器上一张保存的帧比较，
+ * 判断是否为重复帧。比对规则与 ai_summary 的感知比对一致：
+ * 变化像素占比与 dHash 汉明距离都不超过阈值才视为重复，忽略区域（如菜单栏时钟）不参与比对
+ */
+
+const sharp = require('sharp');
+
+// dHash 采样网格：9x8，每行相邻格比较得到 64 位
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+
+class FrameComparer {
+    /**
+     * 创建帧比对器
+     * @param {Object} config - storage.dedup 配置段
+     * @param {number} config.hash_distance - dHash 汉明距离不超过该值视为相似（0-64）
+     * @param {number} config.pixel_threshold - 灰度差超过该值的像素计为变化（0-255）
+     * @param {number} config.change_ratio - 变化像素占比不超过该值视为相似（0-1）
+     * @param {number} config.sample_width - 比对前缩放到的宽度（像素）
+     * @param {Array<{x: number, y: number, width: number, height: number}>} config.ignore_regions - 忽略区域（相对图像宽高的比例）
+     */
+    constructor(config) {
+        this.config = config || {};
+
+        // 忽略区域掩码按缩放后的尺寸缓存
+        this._masks = new Map();
+    }
+
+    /**
+     * 计算截图的比对签名
+     * @param {Buffer} buffer - 图像数据
+     * @returns {Promise<{width: number, height: number, gray: Uint8Array, mask: Uint8Array, hash: Uint8Array}>}
+     */
+    async signature(buffer) {
+        const { data, info } = await sharp(buffer)
+            .removeAlpha()
+            .grayscale()
+            .resize({ width: this.config.sample_width || 256 })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { width, height, channels } = info;
+        const mask = this._getMask(width, height);
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = mask[i] ? 0 : data[i * channels];
+        }
+
+        return { width, height, gray, mask, hash: this._dHash(gray, width, height) };
+    }
+
+    /**
+     * 比较两张截图的签名
+     * @param {Object} previous - 上一张保存的帧的签名
+     * @param {Object} current - 当前帧的签名
+     * @returns {{score: number, distance: number, similar: boolean}} score 为变化像素占比（0-1）
+     */
+    compare(previous, current) {
+        const score = Math.round(this._diffRatio(previous, current) * 10000) / 10000;
+        const distance = this._hashDistance(previous, current);
+        return {
+            score,
+            distance,
+            similar: score <= this.config.change_ratio && distance <= this.config.hash_distance
+        };
+    }
+
+    /**
+     * 将签名中的 dHash 转为 16 位十六进制字符串（写入截图清单）
+     * @param {Object} signature - 签名
+     * @returns {string}
+     */
+    toHex(signature) {
+        let hex = '';
+        for (let i = 0; i < signature.hash.length; i += 4) {
+            const nibble = (signature.hash[i] << 3) | (signature.hash[i + 1] << 2) |
+                (signature.hash[i + 2] << 1) | signature.hash[i + 3];
+            hex += nibble.toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * 获取忽略区域掩码（1 表示忽略）
+     * @param {number} width - 缩放后宽度
+     * @param {number} height - 缩放后高度
+     * @returns {Uint8Array}
+     */
+    _getMask(width, height) {
+        const key = `${width}x${height}`;
+        if (this._masks.has(key)) {
+            return this._masks.get(key);
+        }
+
+        const mask = new Uint8Array(width * height);
+        for (const region of this.config.ignore_regions || []) {
+            const x0 = Math.floor(region.x * width);
+            const y0 = Math.floor(region.y * height);
+            const x1 = Math.min(width, Math.ceil((region.x + region.width) * width));
+            const y1 = Math.min(height, Math.ceil((region.y + region.height) * height));
+            for (let y = y0; y < y1; y++) {
+                mask.fill(1, y * width + x0, y * width + x1);
+            }
+        }
+
+        this._masks.set(key, mask);
+        return mask;
+    }
+
+    /**
+     * 计算差异哈希：按 9x8 网格求平均灰度，每行相邻格左亮于右记为 1
+     * @param {Uint8Array} gray - 灰度像素
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @returns {Uint8Array} 64 位（每个元素 0/1）
+     */
+    _dHash(gray, width, height) {
+        const sums = new Float64Array(HASH_COLUMNS * HASH_ROWS);
+        const counts = new Uint32Array(HASH_COLUMNS * HASH_ROWS);
+        for (let y = 0; y < height; y++) {
+            const row = Math.floor(y * HASH_ROWS / height);
+            for (let x = 0; x < width; x++) {
+                const cell = row * HASH_COLUMNS + Math.floor(x * HASH_COLUMNS / width);
+                sums[cell] += gray[y * width + x];
+                counts[cell]++;
+            }
+        }
+
+        const hash = new Uint8Array((HASH_COLUMNS - 1) * HASH_ROWS);
+        for (let row = 0; row < HASH_ROWS; row++) {
+            for (let col = 0; col < HASH_COLUMNS - 1; col++) {
+                const left = row * HASH_COLUMNS + col;
+                const leftMean = counts[left] ? sums[left] / counts[left] : 0;
+                const rightMean = counts[left + 1] ? sums[left + 1] / counts[left + 1] : 0;
+                hash[row * (HASH_COLUMNS - 1) + col] = leftMean > rightMean ? 1 : 0;
+            }
+        }
+        return hash;
+    }
+
+    /**
+     * 两张截图 dHash 的汉明距离
+     * @param {Object} a - 签名
+     * @param {Object} b - 签名
+     * @returns {number}
+     */
+    _hashDistance(a, b) {
+        let distance = 0;
+        for (let i = 0; i < a.hash.length; i++) {
+            if (a.hash[i] !== b.hash[i]) {
+                distance++;
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * 两张截图的变化像素占比（忽略区域不计入分母），尺寸不同视为完全变化
+     * @param {Object} a - 签名
+     * @param {Object} b - 签名
+     * @returns {number} 0-1
+     */
+    _diffRatio(a, b) {
+        if (a.width !== b.width || a.height !== b.height) {
+            return 1;
+        }
+
+        const threshold = this.config.pixel_threshold;
+        let changed = 0;
+        let total = 0;
+        for (let i = 0; i < a.gray.length; i++) {
+            if (a.mask[i]) {
+                continue;
+            }
+            total++;
+            if (Math.abs(a.gray[i] - b.gray[i]) > threshold) {
+                changed++;
+            }
+        }
+        return total > 0 ? changed / total : 0;
+    }
+}
+
+module.exports = FrameComparer;
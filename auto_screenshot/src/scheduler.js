@@ -1,8 +1,20 @@
 /**
  * 调度器模块
  * 管理定时截图任务
+ *
+ * 重复帧去重: 每张截图与同一显示器上一张保存的帧比较，无变化时按 storage.dedup.mode
+ * 跳过保存（skip）或硬链接到上一帧（link）；每张截图（含跳过的）都会追加一条截图清单记录，
+ * 供 ai_summary 区分“屏幕无变化”与“截图服务未运行”
+ *
+ * 隐私规则: 截图时同时获取焦点窗口，命中 privacy.rules 的截图在写盘前跳过、模糊或替换为占位图
+ *
+ * 自适应间隔: screenshot.adaptive 启用时不再固定间隔，每次截图后按变化情况计算下一次截图时间，
+ * 焦点窗口切换时立即截图（不短于 min_interval），并限制每分钟截图次数
  */
 
+const path = require('path');
+const AdaptiveInterval = require('./adaptive-interval');
+
 class Scheduler {
     /**
      * 创建调度器实例
@@ -11,12 +23,33 @@ class Scheduler {
      * @param {Screenshot} options.screenshot - 截图引擎
      * @param {Storage} options.storage - 存储模块
      * @param {Logger} options.logger - 日志模块
+     * @param {FrameComparer} [options.frameComparer] - 帧比对器（未提供时不去重、清单不含哈希）
+     * @param {PrivacyFilter} [options.privacyFilter] - 隐私过滤器（可选）
+     * @param {ActiveWindowMonitor} [options.windowMonitor] - 焦点窗口监控器（隐私规则或焦点切换截图启用时必需）
      */
     constructor(options) {
         this.config = options.config;
         this.screenshot = options.screenshot;
         this.storage = options.storage;
         this.logger = options.logger;
+        this.frameComparer = options.frameComparer || null;
+        this.dedup = this.config.storage.dedup || {};
+        this.privacyFilter = options.privacyFilter || null;
+        this.windowMonitor = options.windowMonitor || null;
+        this._windowErrorLogged = false;
+        
+        // 自适应间隔（未启用时为 null，按固定间隔截图）
+        const adaptiveConfig = this.config.screenshot.adaptive || {};
+        this.adaptive = adaptiveConfig.enabled
+            ? new AdaptiveInterval(adaptiveConfig, this.config.screenshot.interval)
+            : null;
+        this.timerId = null;
+        this._nextRunAt = 0;
+        this._windowChangedDuringTask = false;
+        this._windowWatchErrorLogged = false;
+        
+        // 每个显示器上一张保存的帧: monitor → { signature, filePath }
+        this.lastFrames = new Map();
         
         // 状态
         this.isRunning = false;
@@ -24,9 +57,14 @@ class Scheduler {
         this.intervalId = null;
         this.lastExecuteTime = null;
         this.executeCount = 0;
+        this.duplicateCount = 0;
+        this.windowTriggerCount = 0;
+        this.rateLimitedCount = 0;
         
         // 绑定方法以保持 this 上下文
         this.executeTask = this.executeTask.bind(this);
+        this._onWindowChange = this._onWindowChange.bind(this);
+        this._onWindowError = this._onWindowError.bind(this);
     }
 
     /**
@@ -39,6 +77,15 @@ class Scheduler {
         }
         
         this.isRunning = true;
+        
+        if (this.adaptive) {
+            const { min_interval, max_interval, max_per_minute } = this.config.screenshot.adaptive;
+            this.logger.info(`调度器启动，自适应截图间隔: ${min_interval}-${max_interval} 秒（基准 ${this.config.screenshot.interval} 秒，每分钟最多 ${max_per_minute} 张）`);
+            this._startWindowWatch();
+            this._runAdaptive();
+            return;
+        }
+        
         const interval = this.config.screenshot.interval * 1000; // 转换为毫秒
         
         this.logger.info(`调度器启动，截图间隔: ${this.config.screenshot.interval} 秒`);
@@ -66,14 +113,24 @@ class Scheduler {
             clearInterval(this.intervalId);
             this.intervalId = null;
         }
+        this._clearAdaptiveTimer();
+        this._stopWindowWatch();
         
         // 等待当前任务完成
         while (this.isExecuting) {
             await new Promise(resolve => setTimeout(resolve, 100));
         }
+        // 执行中的自适应任务结束时可能已安排下一次截图
+        this._clearAdaptiveTimer();
         
         this.isRunning = false;
-        this.logger.info(`调度器已停止，共执行 ${this.executeCount} 次截图`);
+        this.logger.info(`调度器已停止，共执行 ${this.executeCount} 次截图，其中 ${this.duplicateCount} 张重复帧未重复保存`);
+        if (this.adaptive) {
+            this.logger.info(`[自适应] 焦点切换触发 ${this.windowTriggerCount} 次，因每分钟上限推迟 ${this.rateLimitedCount} 次`);
+        }
+        if (this.privacyFilter && this.privacyFilter.enabled) {
+            this.logger.info(`[隐私] 规则累计命中: ${this.privacyFilter.formatCounts()}`);
+        }
     }
 
     /**
@@ -131,41 +188,44 @@ class Scheduler {
 
     /**
      * 执行一次截图任务
-     * @returns {Promise<void>}
+     * @returns {Promise<Array<{score: number|null, similar: boolean}>|null>} 各显示器的变化情况，未截图时为 null
      */
     async executeTask() {
         // 防止并发执行
         if (this.isExecuting) {
             this.logger.debug('上一次任务尚未完成，跳过');
-            return;
+            return null;
         }
         
         // 检查是否允许截图
         if (!this.isAllowed()) {
             this.logger.debug('当前时间不在允许范围内，跳过');
-            return;
+            return null;
         }
         
         this.isExecuting = true;
+        if (this.adaptive) {
+            this.adaptive.record();
+        }
         
         try {
-            // 执行截图
-            const captures = await this.screenshot.captureAll();
+            // 执行截图（同时获取焦点窗口用于隐私规则匹配）
+            const [captures, windowInfo] = await Promise.all([
+                this.screenshot.captureAll(),
+                this._getActiveWindow()
+            ]);
+            const privacyRule = this.privacyFilter ? this.privacyFilter.match(windowInfo) : null;
             
             if (captures.length === 0) {
                 this.logger.warn('没有可用的显示器');
-                return;
+                return null;
             }
             
             // 保存每个截图
+            const results = [];
             for (const { display, buffer } of captures) {
                 try {
-                    const filePath = this.storage.generateFilePath(display.index);
-                    await this.storage.save(buffer, filePath);
-                    
-                    // 获取相对路径用于日志
-                    const relativePath = this.storage.getRelativePath(filePath);
-                    this.logger.info(`截图保存: ${relativePath}`);
+                    results.push(await this.saveCapture(display, buffer, privacyRule));
                 } catch (saveError) {
                     this.logger.error(`保存失败 (显示器 ${display.index}): ${saveError.message}`);
                 }
@@ -173,14 +233,267 @@ class Scheduler {
             
             this.executeCount++;
             this.lastExecuteTime = new Date();
+            return results;
             
         } catch (err) {
             this.logger.error(`截图任务失败: ${err.message}`);
+            return null;
         } finally {
             this.isExecuting = false;
         }
     }
 
+    /**
+     * 自适应模式下执行一次截图并安排下一次截图
+     * 达到每分钟上限时推迟到允许的时间；未截图（不在允许时段等）时按基准间隔重试
+     * @returns {Promise<void>}
+     */
+    async _runAdaptive() {
+        this.timerId = null;
+        if (!this.isRunning) {
+            return;
+        }
+
+        const wait = this.adaptive.waitTime();
+        if (wait > 0) {
+            this.rateLimitedCount++;
+            this.logger.debug(`[自适应] 已达每分钟截图上限，${Math.ceil(wait / 1000)} 秒后截图`);
+            this._scheduleAdaptive(wait);
+            return;
+        }
+
+        this._windowChangedDuringTask = false;
+        const results = await this.executeTask();
+        if (!this.isRunning) {
+            return;
+        }
+
+        let seconds = results ? this.adaptive.next(results) : this.config.screenshot.interval;
+        // 截图期间焦点窗口发生切换，本次截图可能是切换前的画面
+        if (this._windowChangedDuringTask) {
+            seconds = Math.min(seconds, this.config.screenshot.adaptive.min_interval);
+        }
+        this.logger.debug(`[自适应] 下次截图间隔 ${seconds} 秒`);
+        this._scheduleAdaptive(seconds * 1000);
+    }
+
+    /**
+     * 安排下一次自适应截图（覆盖已安排的时间）
+     * @param {number} delay - 延迟（毫秒）
+     */
+    _scheduleAdaptive(delay) {
+        this._clearAdaptiveTimer();
+        this._nextRunAt = Date.now() + delay;
+        this.timerId = setTimeout(() => this._runAdaptive(), delay);
+    }
+
+    /**
+     * 取消已安排的自适应截图
+     */
+    _clearAdaptiveTimer() {
+        if (this.timerId) {
+            clearTimeout(this.timerId);
+            this.timerId = null;
+        }
+    }
+
+    /**
+     * 开始监听焦点窗口切换（自适应间隔启用 on_window_change 时）
+     */
+    _startWindowWatch() {
+        if (!this.windowMonitor || !this.config.screenshot.adaptive.on_window_change) {
+            return;
+        }
+        this.windowMonitor.on('change', this._onWindowChange);
+        this.windowMonitor.on('error', this._onWindowError);
+        this.windowMonitor.start();
+    }
+
+    /**
+     * 停止监听焦点窗口切换
+     */
+    _stopWindowWatch() {
+        if (!this.windowMonitor) {
+            return;
+        }
+        this.windowMonitor.removeListener('change', this._onWindowChange);
+        this.windowMonitor.removeListener('error', this._onWindowError);
+        this.windowMonitor.stop();
+    }
+
+    /**
+     * 焦点窗口切换：提前安排截图（距上一次截图不短于 min_interval，且不超过每分钟上限）
+     */
+    _onWindowChange() {
+        if (!this.isRunning) {
+            return;
+        }
+        if (this.isExecuting) {
+            this._windowChangedDuringTask = true;
+            return;
+        }
+
+        const minInterval = this.config.screenshot.adaptive.min_interval * 1000;
+        const delay = Math.max(0, minInterval - this.adaptive.sinceLast(), this.adaptive.waitTime());
+        if (this.timerId && Date.now() + delay >= this._nextRunAt) {
+            return;
+        }
+        this.windowTriggerCount++;
+        this.logger.debug(`[自适应] 焦点窗口切换，${delay > 0 ? `${Math.ceil(delay / 1000)} 秒后` : '立即'}截图`);
+        this._scheduleAdaptive(delay);
+    }
+
+    /**
+     * 焦点窗口获取失败（如非 macOS 或未授权），仅首次记录警告
+     * @param {Error} err - 错误
+     */
+    _onWindowError(err) {
+        if (!this._windowWatchErrorLogged) {
+            this._windowWatchErrorLogged = true;
+            this.logger.warn(`[自适应] 获取焦点窗口失败，焦点切换不会触发截图: ${err.message}`);
+        }
+    }
+
+    /**
+     * 获取当前焦点窗口（隐私规则未启用时不获取）
+     * 获取失败（如非 macOS 或未授权）时返回 null，即不匹配任何规则，仅首次失败记录警告
+     * @returns {Promise<{app: string, title: string}|null>}
+     */
+    async _getActiveWindow() {
+        if (!this.privacyFilter || !this.privacyFilter.enabled || !this.windowMonitor) {
+            return null;
+        }
+        try {
+            return await this.windowMonitor.getActiveWindow();
+        } catch (err) {
+            if (!this._windowErrorLogged) {
+                this._windowErrorLogged = true;
+                this.logger.warn(`[隐私] 获取焦点窗口失败，隐私规则暂不生效: ${err.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 保存一张截图：先应用隐私规则，再与同一显示器上一张保存的帧比较，重复帧跳过或硬链接，并追加截图清单记录
+     * @param {Object} display - 显示器信息（含 index）
+     * @param {Buffer} buffer - 图像数据
+     * @param {Object|null} [privacyRule] - 焦点窗口命中的隐私规则
+     * @returns {Promise<{score: number|null, similar: boolean}>} 与上一张保存的帧相比的变化情况（供自适应间隔使用）
+     */
+    async saveCapture(display, buffer, privacyRule = null) {
+        const monitor = display.index;
+        const filePath = this.storage.generateFilePath(monitor);
+        const entry = {
+            time: new Date().toISOString(),
+            monitor,
+            file: path.basename(filePath),
+            hash: null,
+            score: null,
+            action: 'saved'
+        };
+
+        // 隐私规则：skip 不写盘；blur/placeholder 处理后再参与比对与保存，处理失败时同样不写盘
+        if (privacyRule) {
+            this.privacyFilter.record(privacyRule);
+            if (privacyRule.action !== 'skip') {
+                try {
+                    buffer = await this.privacyFilter.redact(buffer, privacyRule);
+                    entry.privacy = privacyRule.action;
+                } catch (err) {
+                    this.logger.warn(`[隐私] 规则「${privacyRule.name}」处理截图失败，已跳过保存: ${err.message}`);
+                    privacyRule = { ...privacyRule, action: 'skip' };
+                }
+            }
+            if (privacyRule.action === 'skip') {
+                entry.file = null;
+                entry.action = 'private';
+                await this._appendManifest(entry);
+                return { score: null, similar: false };
+            }
+        }
+
+        // 计算比对签名；失败时按有变化处理，照常保存
+        let signature = null;
+        if (this.frameComparer) {
+            try {
+                signature = await this.frameComparer.signature(buffer);
+                entry.hash = this.frameComparer.toHex(signature);
+            } catch (err) {
+                this.logger.warn(`帧比对失败 (显示器 ${monitor})，按有变化保存: ${err.message}`);
+            }
+        }
+
+        const previous = this.lastFrames.get(monitor);
+        let similar = false;
+        if (signature && previous) {
+            const result = this.frameComparer.compare(previous.signature, signature);
+            entry.score = result.score;
+            similar = result.similar;
+            if (result.similar && this.dedup.enabled) {
+                entry.ref = path.basename(previous.filePath);
+                entry.action = await this._storeDuplicate(previous.filePath, filePath);
+                if (entry.action === 'saved') {
+                    delete entry.ref;
+                }
+            }
+        }
+
+        if (entry.action === 'saved') {
+            await this.storage.save(buffer, filePath);
+            if (signature) {
+                this.lastFrames.set(monitor, { signature, filePath });
+            }
+            this.logger.info(`截图保存: ${this.storage.getRelativePath(filePath)}`);
+        } else {
+            this.duplicateCount++;
+            if (entry.action === 'skipped') {
+                entry.file = null;
+                this.logger.debug(`截图无变化，跳过保存 (显示器 ${monitor}，参照 ${entry.ref})`);
+            } else {
+                this.logger.debug(`截图无变化，硬链接: ${this.storage.getRelativePath(filePath)} → ${entry.ref}`);
+            }
+        }
+
+        await this._appendManifest(entry);
+        return { score: entry.score, similar };
+    }
+
+    /**
+     * 追加截图清单记录（storage.manifest 关闭时不写）
+     * @param {Object} entry - 清单记录
+     * @returns {Promise<void>}
+     */
+    async _appendManifest(entry) {
+        if (!this.config.storage.manifest) {
+            return;
+        }
+        try {
+            await this.storage.appendManifest(entry);
+        } catch (err) {
+            this.logger.warn(err.message);
+        }
+    }
+
+    /**
+     * 处理重复帧：link 模式创建硬链接，失败（如上一帧已被清理）时退回为正常保存
+     * @param {string} previousPath - 上一张保存的帧路径
+     * @param {string} filePath - 本次截图路径
+     * @returns {Promise<string>} 清单动作 skipped/linked/saved
+     */
+    async _storeDuplicate(previousPath, filePath) {
+        if (this.dedup.mode !== 'link') {
+            return 'skipped';
+        }
+        try {
+            await this.storage.link(previousPath, filePath);
+            return 'linked';
+        } catch (err) {
+            this.logger.warn(`${err.message}，改为保存完整截图`);
+            return 'saved';
+        }
+    }
+
     /**
      * 获取调度器状态
      * @returns {Object} 状态对象
@@ -191,7 +504,9 @@ class Scheduler {
             isExecuting: this.isExecuting,
             lastExecuteTime: this.lastExecuteTime,
             executeCount: this.executeCount,
-            interval: this.config.screenshot.interval
+            duplicateCount: this.duplicateCount,
+            adaptive: !!this.adaptive,
+            interval: this.adaptive ? this.adaptive.current : this.config.screenshot.interval
         };
     }
 }
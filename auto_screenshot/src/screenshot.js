@@ -1,25 +1,41 @@
 /**
  * 截图引擎模块
- * 执行屏幕截图和图像处理
+ * 执行屏幕截图和图像处理（固定区域遮挡、缩放、编码）
  */
 
 const screenshot = require('screenshot-desktop');
 const sharp = require('sharp');
 
+// 遮挡区域 mode: blur 的模糊强度（高斯模糊 sigma），足以让通知预览等文字不可辨认
+const MASK_BLUR_SIGMA = 30;
+
+// 各保存格式在 screenshot-desktop 中的截取格式（只支持 jpg/png），webp/avif 先无损截取再由 sharp 编码
+const CAPTURE_FORMATS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'png',
+    avif: 'png'
+};
+
+// AVIF 编码强度（0-9，越大越慢、体积越小），需在截图间隔内完成编码
+const AVIF_EFFORT = 2;
+
 class Screenshot {
     /**
      * 创建截图引擎实例
      * @param {Object} config - 截图配置
-     * @param {string} config.format - 图片格式 (jpeg/png)
-     * @param {number} config.quality - JPEG 质量 (1-100)
+     * @param {string} config.format - 图片格式 (jpeg/png/webp/avif)
+     * @param {number} config.quality - 有损格式（jpeg/webp/avif）的质量 (1-100)
      * @param {number} config.dimension - 尺寸百分比 (25/50/75/100)
      * @param {string|Array} config.monitors - 显示器选择 ("all" 或索引数组)
+     * @param {Array<Object>} [config.masks] - 固定遮挡区域（{monitor, x, y, width, height, mode}）
      */
     constructor(config) {
-        this.format = config.format === 'png' ? 'png' : 'jpg';
+        this.format = CAPTURE_FORMATS[config.format] ? config.format : 'jpeg';
         this.quality = config.quality || 80;
         this.dimension = config.dimension || 100;
         this.monitors = config.monitors || 'all';
+        this.masks = config.masks || [];
         
         // 缓存显示器列表
         this._displays = null;
@@ -73,7 +89,7 @@ class Screenshot {
      */
     async capture(display) {
         const options = {
-            format: this.format,
+            format: CAPTURE_FORMATS[this.format],
             quality: this.quality,
             screen: display.id
         };
@@ -82,26 +98,117 @@ class Screenshot {
     }
 
     /**
-     * 处理图像（调整尺寸）
+     * 处理图像（遮挡固定区域，再调整尺寸，webp/avif 最后编码）
      * @param {Buffer} imageBuffer - 原始图像
-     * @returns {Promise<Buffer>} 处理后的图像
+     * @param {Object} [display] - 显示器对象（含 index，用于匹配遮挡区域）
+     * @returns {Promise<Buffer>} 处理后的图像（screenshot.format 格式）
      */
-    async process(imageBuffer) {
-        // 如果尺寸是 100%，不需要处理
-        if (this.dimension >= 100) {
+    async process(imageBuffer, display) {
+        // 遮挡区域的像素坐标基于原始截图尺寸，因此先遮挡再缩放
+        const masks = this.getMasks(display ? display.index : null);
+        if (masks.length > 0) {
+            imageBuffer = await this.applyMasks(imageBuffer, masks);
+        }
+
+        // 尺寸是 100% 且截取格式即保存格式时，不需要再处理
+        const needsEncode = CAPTURE_FORMATS[this.format] === 'png' && this.format !== 'png';
+        if (this.dimension >= 100 && !needsEncode) {
             return imageBuffer;
         }
         
-        // 获取原始图像元数据
-        const metadata = await sharp(imageBuffer).metadata();
-        const newWidth = Math.round(metadata.width * (this.dimension / 100));
-        
-        // 调整尺寸
-        const processedBuffer = await sharp(imageBuffer)
-            .resize({ width: newWidth })
-            .toBuffer();
+        let image = sharp(imageBuffer);
+        if (this.dimension < 100) {
+            // 获取原始图像元数据
+            const metadata = await image.metadata();
+            const newWidth = Math.round(metadata.width * (this.dimension / 100));
+            
+            // 调整尺寸
+            image = image.resize({ width: newWidth });
+        }
         
-        return processedBuffer;
+        // 在同一流水线内编码，缩放前后只做一次有损压缩
+        return needsEncode ? this.encode(image) : image.toBuffer();
+    }
+
+    /**
+     * 按 screenshot.format 编码图像
+     * @param {sharp.Sharp} image - sharp 实例
+     * @returns {Promise<Buffer>}
+     */
+    encode(image) {
+        switch (this.format) {
+            case 'png':
+                return image.png().toBuffer();
+            case 'webp':
+                return image.webp({ quality: this.quality }).toBuffer();
+            case 'avif':
+                return image.avif({ quality: this.quality, effort: AVIF_EFFORT }).toBuffer();
+            default:
+                return image.jpeg({ quality: this.quality }).toBuffer();
+        }
+    }
+
+    /**
+     * 获取作用于指定显示器的遮挡区域（未配置 monitor 或为 "all" 时作用于所有显示器）
+     * @param {number|null} monitorIndex - 显示器索引（从 1 开始）
+     * @returns {Array<Object>}
+     */
+    getMasks(monitorIndex) {
+        return this.masks.filter(mask =>
+            mask.monitor === undefined || mask.monitor === 'all' || mask.monitor === monitorIndex
+        );
+    }
+
+    /**
+     * 将遮挡区域坐标换算为像素矩形（"12.5%" 按图像宽高换算，数字为原始截图像素），超出图像的部分裁掉
+     * @param {Object} mask - 遮挡区域
+     * @param {number} imageWidth - 图像宽度
+     * @param {number} imageHeight - 图像高度
+     * @returns {{left: number, top: number, width: number, height: number}|null} 与图像无交集时返回 null
+     */
+    resolveMask(mask, imageWidth, imageHeight) {
+        const toPixels = (value, total) => (typeof value === 'string'
+            ? parseFloat(value) / 100 * total
+            : value);
+        const left = Math.max(0, Math.round(toPixels(mask.x, imageWidth)));
+        const top = Math.max(0, Math.round(toPixels(mask.y, imageHeight)));
+        const right = Math.min(imageWidth, Math.round(toPixels(mask.x, imageWidth) + toPixels(mask.width, imageWidth)));
+        const bottom = Math.min(imageHeight, Math.round(toPixels(mask.y, imageHeight) + toPixels(mask.height, imageHeight)));
+        if (right <= left || bottom <= top) {
+            return null;
+        }
+        return { left, top, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * 遮挡固定区域：mode 为 black 时涂黑，blur 时替换为该区域的模糊版本
+     * @param {Buffer} imageBuffer - 原始图像
+     * @param {Array<Object>} masks - 遮挡区域
+     * @returns {Promise<Buffer>} 处理后的图像（保持截取格式）
+     */
+    async applyMasks(imageBuffer, masks) {
+        const { width, height } = await sharp(imageBuffer).metadata();
+        const overlays = [];
+
+        for (const mask of masks) {
+            const region = this.resolveMask(mask, width, height);
+            if (!region) {
+                continue;
+            }
+            const input = mask.mode === 'blur'
+                ? await sharp(imageBuffer).extract(region).blur(MASK_BLUR_SIGMA).toBuffer()
+                : { create: { width: region.width, height: region.height, channels: 3, background: { r: 0, g: 0, b: 0 } } };
+            overlays.push({ input, left: region.left, top: region.top });
+        }
+
+        if (overlays.length === 0) {
+            return imageBuffer;
+        }
+
+        const image = sharp(imageBuffer).composite(overlays);
+        return CAPTURE_FORMATS[this.format] === 'png'
+            ? image.png().toBuffer()
+            : image.jpeg({ quality: this.quality }).toBuffer();
     }
 
     /**
@@ -117,8 +224,8 @@ class Screenshot {
                 // 截图
                 let buffer = await this.capture(display);
                 
-                // 处理图像（调整尺寸）
-                buffer = await this.process(buffer);
+                // 处理图像（遮挡固定区域、调整尺寸）
+                buffer = await this.process(buffer, display);
                 
                 results.push({
                     display,
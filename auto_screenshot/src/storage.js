@@ -1,10 +1,11 @@
 /**
  * 存储模块
- * 管理截图文件的目录创建、命名和保存
+ * 管理截图文件的目录创建、命名和保存，以及每日截图清单（manifest.jsonl）的追加写入
  */
 
 const fs = require('fs');
 const path = require('path');
+const FileCipher = require('./file-cipher');
 
 class Storage {
     /**
@@ -13,9 +14,10 @@ class Storage {
      * @param {string} config.directory - 保存目录
      * @param {Object} config.naming - 命名配置
      * @param {boolean} config.organize_by_date - 是否按日期分目录
-     * @param {string} format - 图片格式 (jpeg/png)
+     * @param {string} format - 图片格式 (jpeg/png/webp/avif，jpg 按 jpeg 保存)
+     * @param {FileCipher} [cipher] - 静态加密器（开启 encryption 时截图加密后写盘）
      */
-    constructor(config, format = 'jpeg') {
+    constructor(config, format = 'jpeg', cipher = null) {
         this.baseDirectory = config.directory;
         this.naming = config.naming || {
             pattern: '{date}_{time}_{monitor}',
@@ -23,7 +25,8 @@ class Storage {
             time_format: 'HH-mm-ss'
         };
         this.organizeByDate = config.organize_by_date !== false;
-        this.format = format === 'png' ? 'png' : 'jpeg';
+        this.format = ['png', 'webp', 'avif'].includes(format) ? format : 'jpeg';
+        this.cipher = cipher || new FileCipher();
         
         // 解析基础目录为绝对路径
         this.baseDirectory = path.isAbsolute(this.baseDirectory)
@@ -111,14 +114,14 @@ class Storage {
     }
 
     /**
-     * 保存截图
+     * 保存截图（开启加密时写入加密后的数据，文件名不变）
      * @param {Buffer} imageBuffer - 图像数据
      * @param {string} filePath - 文件路径
      * @returns {Promise<void>}
      */
     async save(imageBuffer, filePath) {
         return new Promise((resolve, reject) => {
-            fs.writeFile(filePath, imageBuffer, (err) => {
+            fs.writeFile(filePath, this.cipher.seal(imageBuffer), (err) => {
                 if (err) {
                     reject(new Error(`保存文件失败: ${err.message}`));
                 } else {
@@ -128,6 +131,46 @@ class Storage {
         });
     }
 
+    /**
+     * 为重复帧创建硬链接，指向已保存的同一显示器上一帧
+     * @param {string} existingPath - 已保存的帧路径
+     * @param {string} filePath - 新文件路径
+     * @returns {Promise<void>}
+     */
+    async link(existingPath, filePath) {
+        try {
+            await fs.promises.link(existingPath, filePath);
+        } catch (err) {
+            throw new Error(`创建硬链接失败: ${err.message}`);
+        }
+    }
+
+    /**
+     * 获取指定日期的截图清单路径
+     * 按日期分目录时为 {directory}/{date}/manifest.jsonl，否则为 {directory}/manifest-{date}.jsonl
+     * @param {string} [date] - 日期 YYYY-MM-DD（默认当天）
+     * @returns {string}
+     */
+    getManifestPath(date = this.getCurrentDate()) {
+        return this.organizeByDate
+            ? path.join(this.baseDirectory, date, 'manifest.jsonl')
+            : path.join(this.baseDirectory, `manifest-${date}.jsonl`);
+    }
+
+    /**
+     * 向当天的截图清单追加一条记录（每行一个 JSON）
+     * @param {Object} entry - 清单记录
+     * @returns {Promise<void>}
+     */
+    async appendManifest(entry) {
+        this.ensureDirectory();
+        try {
+            await fs.promises.appendFile(this.getManifestPath(), `${JSON.stringify(entry)}\n`, 'utf8');
+        } catch (err) {
+            throw new Error(`写入截图清单失败: ${err.message}`);
+        }
+    }
+
     /**
      * 获取相对于基础目录的路径（用于日志显示）
      * @param {string} filePath - 完整文件路径
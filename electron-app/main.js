@@ -3,7 +3,7 @@
  * 负责窗口管理、IPC 通信、服务进程编排
  */
 
-const { app, BrowserWindow, ipcMain, nativeTheme } = require('electron');
+const { app, BrowserWindow, ipcMain, nativeTheme, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
@@ -60,7 +60,7 @@ const todoDataDir = app.isPackaged
 const todoStore = new TodoStore(todoDataDir);
 const serviceManager = new ServiceManager(projectRoot, configPath, { todoDataDir });
 const configManager = new ConfigManager(configPath);
-const summaryReader = new SummaryReader(projectRoot);
+const summaryReader = new SummaryReader(projectRoot, configPath);
 
 let mainWindow = null;
 
@@ -190,6 +190,15 @@ ipcMain.handle('summary:dates', async () => {
     }
 });
 
+ipcMain.handle('summary:granularities', async () => {
+    try {
+        const config = configManager.load();
+        return { success: true, data: summaryReader.getGranularities(config) };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
 ipcMain.handle('summary:get', async (_event, date, granularity) => {
     try {
         const config = configManager.load();
@@ -200,6 +209,15 @@ ipcMain.handle('summary:get', async (_event, date, granularity) => {
     }
 });
 
+ipcMain.handle('summary:retention', async () => {
+    try {
+        const config = configManager.load();
+        return { success: true, data: summaryReader.getRetentionState(config) };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
 // ========== IPC 处理：Token 统计 ==========
 
 ipcMain.handle('token-stats:dates', async () => {
@@ -222,6 +240,15 @@ ipcMain.handle('token-stats:query', async (_event, date, options) => {
     }
 });
 
+ipcMain.handle('token-stats:budget', async () => {
+    try {
+        const config = configManager.load();
+        return { success: true, data: summaryReader.getBudgetState(config) };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
 ipcMain.handle('screenshot:cleanup', async () => {
     try {
         const config = configManager.load();
@@ -240,7 +267,9 @@ ipcMain.handle('screenshot:cleanup', async () => {
             warn: (msg) => console.warn(`[cleanup] ${msg}`),
             error: (msg) => console.error(`[cleanup] ${msg}`)
         };
-        const cleaner = new ScreenshotCleaner(baseDir, logger, config.storage?.cleanup || {});
+        // 保留总结引用的截图（加密的总结需要解密读取）
+        const options = { summary_directory: _resolveSummaryDir(config), ...(config.storage?.cleanup || {}) };
+        const cleaner = new ScreenshotCleaner(baseDir, logger, options, summaryReader.getCipher(config));
         const stats = await cleaner.clean();
         return { success: true, data: stats };
     } catch (err) {
@@ -248,6 +277,52 @@ ipcMain.handle('screenshot:cleanup', async () => {
     }
 });
 
+ipcMain.handle('screenshot:days', async () => {
+    try {
+        const config = configManager.load();
+        return { success: true, data: summaryReader.getScreenshotDays(config) };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
+ipcMain.handle('screenshot:export', async (_event, params) => {
+    try {
+        const config = configManager.load();
+        const isTimelapse = params.type === 'timelapse';
+        const range = `${params.from.replace(':', '')}-${params.to.replace(':', '')}`;
+        const defaultName = `${isTimelapse ? 'timelapse' : 'contact-sheet'}_${params.date}_${range}_${params.monitor}.${isTimelapse ? 'webp' : 'jpg'}`;
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: isTimelapse ? '导出延时动画' : '导出缩略图总览',
+            defaultPath: path.join(app.getPath('downloads'), defaultName),
+            filters: isTimelapse
+                ? [{ name: 'WebP 动画', extensions: ['webp'] }]
+                : [{ name: '图片', extensions: ['jpg', 'png', 'webp'] }]
+        });
+        if (canceled || !filePath) {
+            return { success: true, data: null };
+        }
+
+        // 使用 auto_screenshot 的导出模块（加密的截图需要解密读取）
+        const exporterPath = path.join(projectRoot, 'auto_screenshot', 'src', 'exporter.js');
+        const ScreenshotExporter = require(exporterPath);
+        const logger = {
+            info: (msg) => console.log(`[export] ${msg}`),
+            warn: (msg) => console.warn(`[export] ${msg}`),
+            error: (msg) => console.error(`[export] ${msg}`)
+        };
+        const exporter = new ScreenshotExporter(_resolveScreenshotDir(config), logger, summaryReader.getCipher(config));
+        const options = { ...params, output: filePath };
+        const result = isTimelapse
+            ? await exporter.exportTimelapse(options)
+            : await exporter.exportContactSheet(options);
+        shell.showItemInFolder(result.output);
+        return { success: true, data: result };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
 ipcMain.handle('screenshot:recent', async (_event, count) => {
     try {
         const config = configManager.load();
@@ -258,14 +333,26 @@ ipcMain.handle('screenshot:recent', async (_event, count) => {
     }
 });
 
+ipcMain.handle('screenshot:search-text', async (_event, query, limit) => {
+    try {
+        const config = configManager.load();
+        const results = summaryReader.searchScreenshotText(config, query, limit);
+        return { success: true, data: results };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
+
 ipcMain.handle('screenshot:read', async (_event, filepath) => {
     try {
         if (!fs.existsSync(filepath)) {
             return { success: false, error: '文件不存在' };
         }
-        const buffer = fs.readFileSync(filepath);
+        // 加密保存的截图解密后返回
+        const buffer = summaryReader.getCipher(configManager.load()).readFile(filepath);
         const ext = path.extname(filepath).toLowerCase();
-        const mimeType = ext === '.png' ? 'image/png' : 'image/jpeg';
+        const mimeTypes = { '.png': 'image/png', '.webp': 'image/webp', '.avif': 'image/avif' };
+        const mimeType = mimeTypes[ext] || 'image/jpeg';
         const base64 = `data:${mimeType};base64,${buffer.toString('base64')}`;
         return { success: true, data: base64 };
     } catch (err) {
@@ -396,7 +483,7 @@ ipcMain.handle('todo:rename', async (_event, todoId, newTitle) => {
             const config = configManager.load();
             const summaryDir = _resolveSummaryDir(config);
             if (fs.existsSync(summaryDir)) {
-                _rewriteHistoryLabels(summaryDir, result.oldTitle, result.newTitle);
+                _rewriteHistoryLabels(summaryDir, result.oldTitle, result.newTitle, summaryReader.getCipher(config));
             }
         }
         return { success: true, oldTitle: result.oldTitle, newTitle: result.newTitle };
@@ -416,7 +503,7 @@ ipcMain.handle('behavior:rename', async (_event, behaviorId, newName) => {
             const config = configManager.load();
             const summaryDir = _resolveSummaryDir(config);
             if (fs.existsSync(summaryDir)) {
-                _rewriteHistoryLabels(summaryDir, result.oldName, result.newName);
+                _rewriteHistoryLabels(summaryDir, result.oldName, result.newName, summaryReader.getCipher(config));
             }
         }
         return { success: true, oldName: result.oldName, newName: result.newName };
@@ -441,7 +528,7 @@ ipcMain.handle('todo:merge', async (_event, params) => {
         const summaryDir = _resolveSummaryDir(config);
 
         if (fs.existsSync(summaryDir)) {
-            _rewriteHistoryLabels(summaryDir, sourceName, targetName);
+            _rewriteHistoryLabels(summaryDir, sourceName, targetName, summaryReader.getCipher(config));
         }
 
         return { success: true, sourceName, targetName };
@@ -467,14 +554,32 @@ function _resolveSummaryDir(config) {
     return path.resolve(projectRoot, 'ai_summary', dir);
 }
 
+/**
+ * 解析截图目录路径（相对路径按 auto_screenshot 目录解析，与截图服务一致）
+ * @param {Object} config - 配置对象
+ * @returns {string} 绝对路径
+ */
+function _resolveScreenshotDir(config) {
+    const dir = config.storage?.directory || './screenshots';
+    if (dir === '~') {
+        return require('os').homedir();
+    }
+    if (dir.startsWith('~/') || dir.startsWith('~\\')) {
+        return path.join(require('os').homedir(), dir.slice(2));
+    }
+    if (path.isAbsolute(dir)) return dir;
+    return path.resolve(projectRoot, 'auto_screenshot', dir);
+}
+
 /**
  * 回溯修改历史总结数据中的 label
  * 遍历所有日期目录和粒度目录下的 JSON 文件，将 sourceName 替换为 targetName
  * @param {string} summaryDir - 总结根目录
  * @param {string} sourceName - 源名称（被合并的）
  * @param {string} targetName - 目标名称（合并到的）
+ * @param {FileCipher} cipher - 静态加密器（加密的文件解密后替换，再加密写回）
  */
-function _rewriteHistoryLabels(summaryDir, sourceName, targetName) {
+function _rewriteHistoryLabels(summaryDir, sourceName, targetName, cipher) {
     try {
         // 遍历日期目录
         const dateDirs = fs.readdirSync(summaryDir).filter(d => {
@@ -497,7 +602,9 @@ function _rewriteHistoryLabels(summaryDir, sourceName, targetName) {
                 for (const jsonFile of jsonFiles) {
                     const filePath = path.join(granPath, jsonFile);
                     try {
-                        const raw = fs.readFileSync(filePath, 'utf-8');
+                        const content = fs.readFileSync(filePath);
+                        const encrypted = cipher.isEncrypted(content);
+                        const raw = cipher.decrypt(content).toString('utf-8');
                         const original = raw;
 
                         // 使用字符串替换所有匹配的 sourceName → targetName
@@ -505,7 +612,7 @@ function _rewriteHistoryLabels(summaryDir, sourceName, targetName) {
                         const updated = raw.split(JSON.stringify(sourceName)).join(JSON.stringify(targetName));
 
                         if (updated !== original) {
-                            fs.writeFileSync(filePath, updated, 'utf-8');
+                            fs.writeFileSync(filePath, encrypted ? cipher.encrypt(updated) : updated);
                             rewriteCount++;
                         }
                     } catch (fileErr) {
@@ -50,18 +50,33 @@ contextBridge.exposeInMainWorld('api', {
     /** 获取可用的总结日期 */
     getSummaryDates: () => ipcRenderer.invoke('summary:dates'),
 
+    /** 获取已启用的总结粒度列表 */
+    getSummaryGranularities: () => ipcRenderer.invoke('summary:granularities'),
+
     /** 获取指定日期和粒度的总结 */
     getSummaries: (date, granularity) => ipcRenderer.invoke('summary:get', date, granularity),
 
+    /** 获取最近一次数据保留清理的结果 */
+    getRetentionState: () => ipcRenderer.invoke('summary:retention'),
+
     /** 获取最近的截图列表 */
     getRecentScreenshots: (count) => ipcRenderer.invoke('screenshot:recent', count),
 
+    /** 搜索截图中的 OCR 文字 */
+    searchScreenshotText: (query, limit) => ipcRenderer.invoke('screenshot:search-text', query, limit),
+
     /** 读取截图文件为 base64 */
     readScreenshot: (filepath) => ipcRenderer.invoke('screenshot:read', filepath),
 
     /** 清理过期截图 */
     cleanupScreenshots: () => ipcRenderer.invoke('screenshot:cleanup'),
 
+    /** 获取可导出的截图日期与显示器 */
+    getScreenshotDays: () => ipcRenderer.invoke('screenshot:days'),
+
+    /** 导出延时动画或缩略图总览（弹出保存对话框） */
+    exportScreenshots: (params) => ipcRenderer.invoke('screenshot:export', params),
+
     // ========== Token 统计 ==========
 
     /** 获取可用的 token 统计日期 */
@@ -70,6 +85,9 @@ contextBridge.exposeInMainWorld('api', {
     /** 查询 token 统计数据 */
     getTokenStats: (date, options) => ipcRenderer.invoke('token-stats:query', date, options),
 
+    /** 获取预算状态（剩余预算与降级等级） */
+    getBudgetState: () => ipcRenderer.invoke('token-stats:budget'),
+
     // ========== Todo List ==========
 
     /** 获取所有任务 */
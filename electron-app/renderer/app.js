@@ -10,8 +10,18 @@ const App = {
     currentLogTab: 'screenshot',
     // 当前总结粒度
     currentGranularity: '2min',
+    // 已启用的总结粒度（来自 summary.granularities）
+    granularities: [],
     // 缓存的配置
     cachedConfig: null,
+    // 遮挡区域（编辑器应用后、保存配置前的草稿）
+    maskDraft: [],
+    // 遮挡区域编辑器：正在编辑的区域、各显示器的底图截图、拖拽起点
+    maskEditing: [],
+    maskEditorShots: {},
+    maskDragStart: null,
+    // 导出弹窗：有截图的日期及各日期的显示器
+    exportDays: [],
     // 状态轮询定时器
     statusTimer: null,
 
@@ -51,7 +61,9 @@ const App = {
         // 初始加载（各模块独立容错，避免一个失败导致全部不可用）
         try { await App.refreshStatus(); } catch (err) { console.error('初始化状态失败:', err); }
         try { await App.loadConfigToForm(); } catch (err) { console.error('初始化配置失败:', err); }
+        try { await App.loadGranularities(); } catch (err) { console.error('初始化总结粒度失败:', err); }
         try { await App.loadSummaryDates(); } catch (err) { console.error('初始化总结日期失败:', err); }
+        try { await App.loadRetentionState(); } catch (err) { console.error('初始化数据保留状态失败:', err); }
 
         // 定时刷新状态
         App.statusTimer = setInterval(() => App.refreshStatus(), 3000);
@@ -91,6 +103,49 @@ const App = {
         if (btnCleanup) {
             btnCleanup.addEventListener('click', () => App.cleanupScreenshots());
         }
+        const btnExport = document.getElementById('btn-export-screenshots');
+        if (btnExport) {
+            btnExport.addEventListener('click', () => App.openExportModal());
+        }
+        const exportModal = document.getElementById('export-modal');
+        if (exportModal) {
+            exportModal.addEventListener('click', (e) => {
+                if (e.target === exportModal) App.closeExportModal();
+            });
+        }
+        const exportClose = document.getElementById('export-close');
+        if (exportClose) {
+            exportClose.addEventListener('click', () => App.closeExportModal());
+        }
+        const exportType = document.getElementById('export-type');
+        if (exportType) {
+            exportType.addEventListener('change', () => App.updateExportFields());
+        }
+        const exportDate = document.getElementById('export-date');
+        if (exportDate) {
+            exportDate.addEventListener('change', () => App.updateExportFields());
+        }
+        const btnExportRun = document.getElementById('btn-export-run');
+        if (btnExportRun) {
+            btnExportRun.addEventListener('click', () => App.exportScreenshots());
+        }
+        const btnSSSearch = document.getElementById('btn-ss-search');
+        if (btnSSSearch) {
+            btnSSSearch.addEventListener('click', () => App.searchScreenshots());
+        }
+        const ssSearchInput = document.getElementById('ss-search-input');
+        if (ssSearchInput) {
+            ssSearchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') App.searchScreenshots();
+            });
+        }
+        const btnSSSearchClear = document.getElementById('btn-ss-search-clear');
+        if (btnSSSearchClear) {
+            btnSSSearchClear.addEventListener('click', () => {
+                document.getElementById('ss-search-input').value = '';
+                App.refreshScreenshots();
+            });
+        }
         const screenshotModal = document.getElementById('screenshot-modal');
         if (screenshotModal) {
             screenshotModal.addEventListener('click', (event) => App.closeScreenshotModal(event));
@@ -109,12 +164,15 @@ const App = {
         if (summaryDate) {
             summaryDate.addEventListener('change', () => App.loadSummaries());
         }
-        document.querySelectorAll('#granularity-tabs .tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                const granularity = tab.dataset.granularity;
-                App.switchGranularity(granularity);
+        const granularityTabs = document.getElementById('granularity-tabs');
+        if (granularityTabs) {
+            granularityTabs.addEventListener('click', (event) => {
+                const tab = event.target.closest('.tab');
+                if (tab) {
+                    App.switchGranularity(tab.dataset.granularity);
+                }
             });
-        });
+        }
 
         // 配置页面
         const configForm = document.getElementById('config-form');
@@ -125,6 +183,52 @@ const App = {
         if (btnConfigReset) {
             btnConfigReset.addEventListener('click', () => App.loadConfigToForm());
         }
+        const btnEditMasks = document.getElementById('btn-edit-masks');
+        if (btnEditMasks) {
+            btnEditMasks.addEventListener('click', () => App.openMaskEditor());
+        }
+
+        // 遮挡区域编辑器
+        const maskEditorModal = document.getElementById('mask-editor-modal');
+        if (maskEditorModal) {
+            maskEditorModal.addEventListener('click', (e) => {
+                if (e.target === maskEditorModal) App.closeMaskEditor();
+            });
+        }
+        const maskEditorClose = document.getElementById('mask-editor-close');
+        if (maskEditorClose) {
+            maskEditorClose.addEventListener('click', () => App.closeMaskEditor());
+        }
+        const maskEditorMonitor = document.getElementById('mask-editor-monitor');
+        if (maskEditorMonitor) {
+            maskEditorMonitor.addEventListener('change', () => App.loadMaskEditorImage());
+        }
+        const maskEditorImg = document.getElementById('mask-editor-img');
+        if (maskEditorImg) {
+            maskEditorImg.addEventListener('load', () => App.renderMaskEditor());
+        }
+        const maskEditorLayer = document.getElementById('mask-editor-layer');
+        if (maskEditorLayer) {
+            maskEditorLayer.addEventListener('mousedown', (e) => App.startMaskDrag(e));
+            maskEditorLayer.addEventListener('mousemove', (e) => App.updateMaskDrag(e));
+            maskEditorLayer.addEventListener('mouseup', (e) => App.finishMaskDrag(e));
+            maskEditorLayer.addEventListener('mouseleave', (e) => App.finishMaskDrag(e));
+        }
+        const maskEditorList = document.getElementById('mask-editor-list');
+        if (maskEditorList) {
+            maskEditorList.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-mask-index]');
+                if (btn) App.deleteMask(Number(btn.dataset.maskIndex));
+            });
+        }
+        const btnMaskClear = document.getElementById('btn-mask-clear');
+        if (btnMaskClear) {
+            btnMaskClear.addEventListener('click', () => App.clearMonitorMasks());
+        }
+        const btnMaskApply = document.getElementById('btn-mask-apply');
+        if (btnMaskApply) {
+            btnMaskApply.addEventListener('click', () => App.applyMaskEditor());
+        }
 
         // Token 统计页面
         const tsDate = document.getElementById('ts-date');
@@ -237,7 +341,9 @@ const App = {
         App.currentPage = page;
 
         // 页面特定的加载
-        if (page === 'screenshots') {
+        if (page === 'dashboard') {
+            App.loadRetentionState();
+        } else if (page === 'screenshots') {
             App.refreshScreenshots();
         } else if (page === 'summary') {
             App.loadSummaryDates();
@@ -398,7 +504,10 @@ const App = {
         }
 
         const cfg = App.cachedConfig;
-        document.getElementById('info-interval').textContent = `${cfg.screenshot?.interval || '-'} 秒`;
+        const adaptive = cfg.screenshot?.adaptive;
+        document.getElementById('info-interval').textContent = adaptive?.enabled
+            ? `自适应 ${adaptive.min_interval ?? 3}-${adaptive.max_interval ?? 60} 秒`
+            : `${cfg.screenshot?.interval || '-'} 秒`;
         document.getElementById('info-format').textContent = (cfg.screenshot?.format || '-').toUpperCase();
         document.getElementById('info-model').textContent = cfg.gemini?.model || '-';
         document.getElementById('info-schedule').textContent = cfg.schedule?.enabled
@@ -406,6 +515,44 @@ const App = {
             : '未启用';
     },
 
+    /**
+     * 加载并渲染数据保留卡片（总结服务最近一次清理的结果）
+     */
+    async loadRetentionState() {
+        const res = await window.api.getRetentionState();
+        const state = res.success ? res.data : null;
+        const timeEl = document.getElementById('info-retention-time');
+        if (!state) {
+            timeEl.textContent = '尚未清理（AI 总结服务运行时定期执行）';
+            return;
+        }
+
+        const errors = state.errors?.length ? `，${state.errors.length} 个错误（见日志）` : '';
+        timeEl.textContent = `上次清理 ${App.formatTime(state.ran_at)}${errors}`;
+
+        const policy = state.policy || {};
+        const summaryParts = Object.entries(policy.summaries || {})
+            .filter(([, days]) => days > 0)
+            .map(([name, days]) => `${name} 保留 ${days} 天，本次删除 ${state.summaries?.[name]?.deleted_files || 0} 个`);
+        document.getElementById('info-retention-summaries').textContent =
+            summaryParts.length > 0 ? `${summaryParts.join('；')}；其余永久保留` : '永久保留';
+
+        const promptPolicy = policy.prompt_logs || {};
+        const prompt = state.prompt_logs || {};
+        let promptText = `${promptPolicy.archive_after_days} 天后归档，本次归档 ${prompt.archived_dates || 0} 天`;
+        if (promptPolicy.delete_after_days > 0) {
+            promptText += `，删除归档 ${prompt.deleted_archives || 0} 个`;
+        }
+        document.getElementById('info-retention-prompt-logs').textContent = promptText;
+
+        const tokenDays = policy.token_stats?.delete_after_days;
+        document.getElementById('info-retention-token-stats').textContent = tokenDays > 0
+            ? `保留 ${tokenDays} 天，本次删除 ${state.token_stats?.deleted_files || 0} 个`
+            : '永久保留';
+
+        document.getElementById('info-retention-freed').textContent = App.formatSize(state.freed_bytes || 0);
+    },
+
     // ========== 截图画廊 ==========
 
     /**
@@ -421,8 +568,19 @@ const App = {
             const res = await window.api.cleanupScreenshots();
             if (res.success) {
                 const d = res.data;
-                const msg = `清理完成：删除 ${d.deleted_folders} 个过期文件夹，稀疏处理 ${d.thinned_folders} 个文件夹，删除 ${d.removed_files} 张多余截图`;
-                App.showToast(msg, 'success');
+                let msg = `清理完成：删除 ${d.deleted_folders} 个过期文件夹，稀疏处理 ${d.thinned_folders} 个文件夹，删除 ${d.removed_files} 张多余截图`;
+                // 配置了磁盘预算时附上预算清理结果（各次删除明细见 d.passes）
+                if (d.max_bytes > 0 && d.total_bytes !== null) {
+                    msg += `；磁盘预算：删除 ${d.quota_removed_files} 张截图、${d.quota_deleted_folders} 个文件夹，` +
+                        `占用 ${App.formatSize(d.total_bytes)} / ${App.formatSize(d.max_bytes)}`;
+                    if (d.over_quota) {
+                        msg += '（仍超出预算）';
+                    }
+                }
+                if (d.freed_bytes > 0) {
+                    msg += `，共释放 ${App.formatSize(d.freed_bytes)}`;
+                }
+                App.showToast(msg, d.over_quota ? 'info' : 'success');
                 // 清理后刷新截图列表
                 App.refreshScreenshots();
             } else {
@@ -466,6 +624,58 @@ const App = {
         }
     },
 
+    /**
+     * 按 OCR 文字层搜索截图，结果替换画廊内容
+     */
+    async searchScreenshots() {
+        const query = document.getElementById('ss-search-input').value.trim();
+        if (!query) {
+            App.refreshScreenshots();
+            return;
+        }
+
+        const gallery = document.getElementById('screenshot-gallery');
+        const res = await window.api.searchScreenshotText(query, 60);
+        if (!res.success) {
+            App.showToast('搜索失败: ' + res.error, 'error');
+            return;
+        }
+        if (res.data.length === 0) {
+            gallery.innerHTML = `
+                <div class="empty-state">
+                    <p>没有找到包含“${App.escapeHtml(query)}”的截图</p>
+                    <p class="empty-hint">只能搜索 AI 总结已做过 OCR 识别的截图</p>
+                </div>`;
+            return;
+        }
+
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        gallery.innerHTML = '';
+        for (const ss of res.data) {
+            const item = document.createElement('div');
+            item.className = 'screenshot-item';
+            item.onclick = () => App.showScreenshotPreview(ss);
+            item.innerHTML = `
+                <img class="screenshot-thumb" src="" alt="截图" data-path="${ss.path}" loading="lazy"/>
+                <div class="screenshot-meta">${ss.date} / ${ss.filename}</div>
+                <div class="screenshot-snippet">${App.highlightTerms(ss.snippet, terms)}</div>`;
+            gallery.appendChild(item);
+
+            App.loadScreenshotThumb(item.querySelector('img'), ss.path);
+        }
+    },
+
+    /**
+     * 转义文本并高亮其中的关键词
+     */
+    highlightTerms(text, terms) {
+        const escapeRegExp = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+        return text.split(pattern)
+            .map((part, index) => (index % 2 === 1 ? `<mark>${App.escapeHtml(part)}</mark>` : App.escapeHtml(part)))
+            .join('');
+    },
+
     async loadScreenshotThumb(imgEl, filepath) {
         const res = await window.api.readScreenshot(filepath);
         if (res.success) {
@@ -491,8 +701,313 @@ const App = {
         document.getElementById('screenshot-modal').style.display = 'none';
     },
 
+    // ========== 截图导出 ==========
+
+    /**
+     * 打开导出弹窗，日期与显示器取自已保存的截图
+     */
+    async openExportModal() {
+        const res = await window.api.getScreenshotDays();
+        if (!res.success || res.data.length === 0) {
+            App.showToast(res.success ? '暂无截图可导出' : '读取截图日期失败: ' + res.error, 'error');
+            return;
+        }
+
+        App.exportDays = res.data;
+        document.getElementById('export-date').innerHTML = res.data
+            .map(day => `<option value="${day.date}">${day.date}</option>`)
+            .join('');
+        App.updateExportFields();
+        document.getElementById('export-modal').style.display = 'flex';
+    },
+
+    closeExportModal() {
+        document.getElementById('export-modal').style.display = 'none';
+    },
+
+    /**
+     * 按所选日期刷新显示器列表，按导出类型切换帧率/格数输入
+     */
+    updateExportFields() {
+        const date = document.getElementById('export-date').value;
+        const day = App.exportDays.find(d => d.date === date);
+        const monitorSelect = document.getElementById('export-monitor');
+        const current = monitorSelect.value;
+        monitorSelect.innerHTML = (day ? day.monitors : [])
+            .map(monitor => `<option value="${monitor}"${String(monitor) === current ? ' selected' : ''}>显示器 ${monitor}</option>`)
+            .join('');
+
+        const isTimelapse = document.getElementById('export-type').value === 'timelapse';
+        document.getElementById('export-fps-group').style.display = isTimelapse ? '' : 'none';
+        document.getElementById('export-columns-group').style.display = isTimelapse ? 'none' : '';
+    },
+
+    async exportScreenshots() {
+        const type = document.getElementById('export-type').value;
+        const to = document.getElementById('export-to').value || '23:59';
+        const params = {
+            type,
+            date: document.getElementById('export-date').value,
+            from: document.getElementById('export-from').value || '00:00',
+            // 时间输入框无法选择 24:00，23:59 视为到当天结束
+            to: to === '23:59' ? '24:00' : to,
+            monitor: Number(document.getElementById('export-monitor').value) || 1
+        };
+        if (type === 'timelapse') {
+            params.fps = Number(document.getElementById('export-fps').value) || 10;
+        } else {
+            params.columns = Number(document.getElementById('export-columns').value) || 6;
+        }
+
+        const btn = document.getElementById('btn-export-run');
+        btn.disabled = true;
+        btn.textContent = '导出中...';
+        try {
+            const res = await window.api.exportScreenshots(params);
+            if (!res.success) {
+                App.showToast('导出失败: ' + res.error, 'error');
+                return;
+            }
+            if (!res.data) return; // 取消了保存对话框
+
+            const d = res.data;
+            const sampled = d.frames < d.total_frames ? `（范围内共 ${d.total_frames} 张，按时间均匀抽取）` : '';
+            const detail = type === 'timelapse' ? `，时长 ${d.duration_seconds} 秒` : `，${d.columns}x${d.rows} 格`;
+            App.showToast(`导出完成：${d.frames} 张截图${sampled}${detail}，${App.formatSize(d.bytes)}`, 'success');
+            App.closeExportModal();
+        } catch (err) {
+            App.showToast('导出出错: ' + err.message, 'error');
+        } finally {
+            btn.disabled = false;
+            btn.textContent = '导出';
+        }
+    },
+
+    // ========== 遮挡区域编辑 ==========
+
+    /**
+     * 打开遮挡区域编辑器，每个显示器取最近一张截图作为底图
+     */
+    async openMaskEditor() {
+        const res = await window.api.getRecentScreenshots(24);
+        if (!res.success || res.data.length === 0) {
+            App.showToast('暂无截图，请先启动截图服务截取一张作为底图', 'error');
+            return;
+        }
+
+        // 最近截图按时间倒序排列，文件名末尾为显示器编号（..._1.jpeg）
+        App.maskEditorShots = {};
+        for (const ss of res.data) {
+            const match = ss.filename.match(/_(\d+)\.\w+$/);
+            if (match && !App.maskEditorShots[match[1]]) {
+                App.maskEditorShots[match[1]] = ss;
+            }
+        }
+
+        const monitorSelect = document.getElementById('mask-editor-monitor');
+        monitorSelect.innerHTML = Object.keys(App.maskEditorShots)
+            .sort((a, b) => a - b)
+            .map(monitor => `<option value="${monitor}">显示器 ${monitor}</option>`)
+            .join('');
+
+        App.maskEditing = App.maskDraft.map(mask => ({ ...mask }));
+        document.getElementById('mask-editor-modal').style.display = 'flex';
+        await App.loadMaskEditorImage();
+    },
+
+    closeMaskEditor() {
+        App.maskDragStart = null;
+        document.getElementById('mask-editor-modal').style.display = 'none';
+    },
+
+    async loadMaskEditorImage() {
+        const monitor = document.getElementById('mask-editor-monitor').value;
+        const ss = App.maskEditorShots[monitor];
+        const res = await window.api.readScreenshot(ss.path);
+        if (!res.success) {
+            App.showToast('读取截图失败: ' + res.error, 'error');
+            return;
+        }
+        document.getElementById('mask-editor-info').textContent = `底图: ${ss.date} / ${ss.filename}`;
+        // 图片加载完成后由 load 事件触发 renderMaskEditor
+        document.getElementById('mask-editor-img').src = res.data;
+    },
+
+    /**
+     * 遮挡区域是否作用于指定显示器
+     */
+    maskAppliesTo(mask, monitor) {
+        return mask.monitor === undefined || mask.monitor === 'all' || mask.monitor === monitor;
+    },
+
+    /**
+     * 将遮挡区域换算为相对底图的百分比矩形
+     * 像素坐标基于原始截图尺寸，底图按 screenshot.dimension 缩放过时需要换算
+     */
+    maskToPercent(mask, img) {
+        const scale = 100 / (App.cachedConfig?.screenshot?.dimension || 100);
+        const toPercent = (value, total) => (typeof value === 'string'
+            ? parseFloat(value)
+            : value / (total * scale) * 100);
+        return {
+            x: toPercent(mask.x, img.naturalWidth),
+            y: toPercent(mask.y, img.naturalHeight),
+            width: toPercent(mask.width, img.naturalWidth),
+            height: toPercent(mask.height, img.naturalHeight)
+        };
+    },
+
+    renderMaskEditor() {
+        const img = document.getElementById('mask-editor-img');
+        const layer = document.getElementById('mask-editor-layer');
+        const list = document.getElementById('mask-editor-list');
+        const monitor = Number(document.getElementById('mask-editor-monitor').value);
+
+        layer.innerHTML = '';
+        const items = [];
+        App.maskEditing.forEach((mask, index) => {
+            if (!App.maskAppliesTo(mask, monitor)) {
+                return;
+            }
+            const rect = App.maskToPercent(mask, img);
+            const el = document.createElement('div');
+            el.className = `mask-rect ${mask.mode === 'blur' ? 'mask-rect-blur' : ''}`;
+            el.style.left = `${rect.x}%`;
+            el.style.top = `${rect.y}%`;
+            el.style.width = `${rect.width}%`;
+            el.style.height = `${rect.height}%`;
+            el.textContent = mask.name || `区域 ${index + 1}`;
+            layer.appendChild(el);
+
+            const scope = mask.monitor === undefined || mask.monitor === 'all' ? '所有显示器' : `显示器 ${mask.monitor}`;
+            items.push(`
+                <li class="mask-item">
+                    <span>${App.escapeHtml(mask.name || `区域 ${index + 1}`)}</span>
+                    <span class="mask-item-meta">${scope} · ${mask.mode === 'blur' ? '模糊' : '涂黑'}</span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-mask-index="${index}">删除</button>
+                </li>`);
+        });
+
+        list.innerHTML = items.length > 0
+            ? items.join('')
+            : '<li class="mask-item mask-item-empty">当前显示器没有遮挡区域，在截图上拖拽即可添加</li>';
+    },
+
+    /**
+     * 鼠标位置相对底图的百分比坐标（限制在 0-100）
+     */
+    maskPointerPercent(event) {
+        const bounds = document.getElementById('mask-editor-layer').getBoundingClientRect();
+        const clamp = value => Math.min(100, Math.max(0, value));
+        return {
+            x: clamp((event.clientX - bounds.left) / bounds.width * 100),
+            y: clamp((event.clientY - bounds.top) / bounds.height * 100)
+        };
+    },
+
+    startMaskDrag(event) {
+        event.preventDefault();
+        App.maskDragStart = App.maskPointerPercent(event);
+        const drawing = document.createElement('div');
+        drawing.className = 'mask-rect mask-rect-drawing';
+        drawing.id = 'mask-rect-drawing';
+        document.getElementById('mask-editor-layer').appendChild(drawing);
+    },
+
+    updateMaskDrag(event) {
+        const drawing = document.getElementById('mask-rect-drawing');
+        if (!App.maskDragStart || !drawing) return;
+        const start = App.maskDragStart;
+        const point = App.maskPointerPercent(event);
+        drawing.style.left = `${Math.min(start.x, point.x)}%`;
+        drawing.style.top = `${Math.min(start.y, point.y)}%`;
+        drawing.style.width = `${Math.abs(point.x - start.x)}%`;
+        drawing.style.height = `${Math.abs(point.y - start.y)}%`;
+    },
+
+    finishMaskDrag(event) {
+        if (!App.maskDragStart) return;
+        const start = App.maskDragStart;
+        const point = App.maskPointerPercent(event);
+        App.maskDragStart = null;
+
+        const width = Math.abs(point.x - start.x);
+        const height = Math.abs(point.y - start.y);
+        // 忽略误点产生的过小区域
+        if (width >= 0.5 && height >= 0.5) {
+            const scope = document.getElementById('mask-editor-scope').value;
+            const toPercent = value => `${value.toFixed(2)}%`;
+            App.maskEditing.push({
+                name: `区域 ${App.maskEditing.length + 1}`,
+                monitor: scope === 'all' ? 'all' : Number(document.getElementById('mask-editor-monitor').value),
+                x: toPercent(Math.min(start.x, point.x)),
+                y: toPercent(Math.min(start.y, point.y)),
+                width: toPercent(width),
+                height: toPercent(height),
+                mode: document.getElementById('mask-editor-mode').value
+            });
+        }
+        App.renderMaskEditor();
+    },
+
+    deleteMask(index) {
+        App.maskEditing.splice(index, 1);
+        App.renderMaskEditor();
+    },
+
+    /**
+     * 清空当前显示器上显示的遮挡区域（含作用于所有显示器的区域）
+     */
+    clearMonitorMasks() {
+        const monitor = Number(document.getElementById('mask-editor-monitor').value);
+        App.maskEditing = App.maskEditing.filter(mask => !App.maskAppliesTo(mask, monitor));
+        App.renderMaskEditor();
+    },
+
+    applyMaskEditor() {
+        App.maskDraft = App.maskEditing;
+        App.updateMaskSummary();
+        App.closeMaskEditor();
+        App.showToast('遮挡区域已更新，点击"保存配置"后生效（截图服务需重启）', 'info');
+    },
+
+    updateMaskSummary() {
+        const summary = document.getElementById('cfg-mask-summary');
+        if (summary) {
+            summary.textContent = App.maskDraft.length > 0
+                ? `已配置 ${App.maskDraft.length} 个遮挡区域`
+                : '未配置遮挡区域';
+        }
+    },
+
     // ========== AI 总结 ==========
 
+    /**
+     * 读取已启用的粒度并生成粒度 Tab
+     */
+    async loadGranularities() {
+        const res = await window.api.getSummaryGranularities();
+        if (res.success && res.data.length > 0) {
+            App.granularities = res.data;
+        }
+
+        const names = App.granularities.map(g => g.name);
+        if (names.length > 0 && !names.includes(App.currentGranularity)) {
+            App.currentGranularity = names[0];
+        }
+
+        const container = document.getElementById('granularity-tabs');
+        container.innerHTML = '';
+        for (const g of App.granularities) {
+            const tab = document.createElement('button');
+            tab.className = 'tab';
+            tab.dataset.granularity = g.name;
+            tab.textContent = g.title;
+            tab.classList.toggle('active', g.name === App.currentGranularity);
+            container.appendChild(tab);
+        }
+    },
+
     async loadSummaryDates() {
         const select = document.getElementById('summary-date');
         const res = await window.api.getSummaryDates();
@@ -559,7 +1074,7 @@ const App = {
             const item = document.createElement('div');
             item.className = 'summary-item';
 
-            // 2min 级别：有 category_name 或 core_action（兼容旧数据 task_label）
+            // 截图级别（默认 2min）：有 category_name 或 core_action（兼容旧数据 task_label）
             if (s.category_name || s.task_label || s.core_action) {
                 // 活动归类信息：优先用 category_name（新格式列表），回退到 task_label（旧格式）
                 const categoryNames = Array.isArray(s.category_name) ? s.category_name
@@ -591,8 +1106,9 @@ const App = {
                         ${App.renderField('阻塞', s.blockers)}
                         ${App.renderField('下一步', s.next_intent)}
                         ${App.renderField('置信度', s.confidence)}
+                        ${App.renderField('模型', s.model)}
                     </div>`;
-            // 10min 级别：有 task_main 字段
+            // 时间线级别（默认 10min）：有 task_main 字段
             } else if (s.task_main) {
                 item.innerHTML = `
                     <div class="summary-time">${App.formatTime(s.timestamp)}</div>
@@ -605,8 +1121,25 @@ const App = {
                         ${App.renderField('阻塞', s.blockers)}
                         ${App.renderField('下一步', s.next_step)}
                         ${App.renderField('置信度', s.confidence)}
+                        ${App.renderField('模型', s.model)}
                     </div>`;
-            // 1h 级别：有 achievements 字段
+            // 日报/周报等报告级别：有 carry_over 字段（须在时间分配级别之前判断，二者都有 achievements）
+            } else if (s.carry_over) {
+                const joinList = value => Array.isArray(value) ? value.join('; ') : value;
+                const period = s.range ? `${App.formatTime(s.range.start)} ~ ${App.formatTime(s.range.end)}` : App.formatTime(s.timestamp);
+                item.innerHTML = `
+                    <div class="summary-time">${period}</div>
+                    <div class="summary-fields">
+                        ${App.renderField('概览', s.overview, true)}
+                        ${App.renderField('成果', joinList(s.achievements), true)}
+                        ${App.renderTimeDistribution(s.time_distribution, null)}
+                        ${App.renderField('关键产出', s.key_output, true)}
+                        ${App.renderField('阻塞', joinList(s.blockers), true)}
+                        ${App.renderField('遗留事项', joinList(s.carry_over), true)}
+                        ${App.renderField('置信度', s.confidence)}
+                        ${App.renderField('模型', s.model)}
+                    </div>`;
+            // 时间分配级别（默认 1h）：有 achievements 字段
             } else if (s.achievements) {
                 item.innerHTML = `
                     <div class="summary-time">${App.formatTime(s.timestamp)}</div>
@@ -618,6 +1151,7 @@ const App = {
                         ${App.renderField('阻塞', s.blockers)}
                         ${App.renderField('下一方向', s.next_direction, true)}
                         ${App.renderField('置信度', s.confidence)}
+                        ${App.renderField('模型', s.model)}
                     </div>`;
             } else if (s.raw_response) {
                 item.innerHTML = `
@@ -709,8 +1243,8 @@ const App = {
         const container = document.getElementById('summary-timeline');
         if (!section || !container) return;
 
-        // 仅在 10min 粒度下展示时间轴
-        if (App.currentGranularity !== '10min') {
+        // 仅在带 activity_timeline 的粒度（默认 10min）下展示时间轴
+        if (!summaries || !summaries.some(s => Array.isArray(s.activity_timeline))) {
             section.style.display = 'none';
             return;
         }
@@ -1195,6 +1729,11 @@ const App = {
         document.getElementById('cfg-format').value = cfg.screenshot?.format || 'jpeg';
         document.getElementById('cfg-quality').value = cfg.screenshot?.quality || 80;
         document.getElementById('cfg-dimension').value = cfg.screenshot?.dimension || 100;
+        document.getElementById('cfg-adaptive-enabled').checked = cfg.screenshot?.adaptive?.enabled === true;
+
+        // 遮挡区域（在编辑器中修改）
+        App.maskDraft = Array.isArray(cfg.screenshot?.masks) ? cfg.screenshot.masks.map(mask => ({ ...mask })) : [];
+        App.updateMaskSummary();
 
         // 存储设置
         document.getElementById('cfg-storage-dir').value = cfg.storage?.directory || './screenshots';
@@ -1247,20 +1786,31 @@ const App = {
             return;
         }
 
+        // 以已加载的配置为底，保留表单未覆盖的配置段（如 llm）
+        const base = App.cachedConfig || {};
         const config = {
+            ...base,
             screenshot: {
+                ...base.screenshot,
                 interval: parseInt(document.getElementById('cfg-interval').value) || 5,
                 format: document.getElementById('cfg-format').value,
                 quality: parseInt(document.getElementById('cfg-quality').value) || 80,
                 dimension: parseInt(document.getElementById('cfg-dimension').value) || 100,
-                monitors: App.cachedConfig?.screenshot?.monitors || [0]
+                monitors: App.cachedConfig?.screenshot?.monitors || [0],
+                masks: App.maskDraft,
+                adaptive: {
+                    ...base.screenshot?.adaptive,
+                    enabled: document.getElementById('cfg-adaptive-enabled').checked
+                }
             },
             storage: {
+                ...base.storage,
                 directory: document.getElementById('cfg-storage-dir').value,
                 naming: App.cachedConfig?.storage?.naming || { pattern: '{date}_{time}_{monitor}' },
                 organize_by_date: true
             },
             gemini: {
+                ...base.gemini,
                 api_key: document.getElementById('cfg-api-key').value,
                 model: document.getElementById('cfg-model').value,
                 max_retries: parseInt(document.getElementById('cfg-retries').value) || 3,
@@ -1268,11 +1818,13 @@ const App = {
             },
             summary: App.cachedConfig?.summary || {
                 directory: './summaries',
-                granularity: {
-                    '2min': { enabled: true, history_minutes: 9 },
-                    '10min': { enabled: true, history_count: 5 },
-                    '1h': { enabled: true, recent_10min_count: 6, earlier_10min_count: 6 }
-                }
+                granularities: [
+                    { name: '2min', title: '2 分钟', period: 2, source: 'screenshots', prompt: 'screenshot', history_minutes: 9 },
+                    { name: '10min', title: '10 分钟', period: 10, source: '2min', prompt: 'timeline', history_count: 5 },
+                    { name: '1h', title: '1 小时', period: 60, source: '10min', prompt: 'distribution', child_count: 6, earlier_child_count: 6 },
+                    { name: '1d', title: '日报', period: 1440, source: '1h', prompt: 'report', time: '22:10', history_count: 1 },
+                    { name: '1w', title: '周报', period: 10080, source: '1d', prompt: 'report', day: 'Fri', time: '22:20', history_count: 1 }
+                ]
             },
             schedule: {
                 enabled: document.getElementById('cfg-schedule-enabled').checked,
@@ -1282,6 +1834,7 @@ const App = {
                 stop_times: stopTimes
             },
             logging: {
+                ...base.logging,
                 level: document.getElementById('cfg-log-level').value,
                 console: document.getElementById('cfg-console').checked,
                 screenshot_file: App.cachedConfig?.logging?.screenshot_file || './logs/screenshot.log',
@@ -1371,6 +1924,8 @@ const App = {
      * 加载 token 统计可用日期
      */
     async loadTokenStatsDates() {
+        App.loadBudgetState();
+
         const select = document.getElementById('ts-date');
         const res = await window.api.getTokenStatsDates();
 
@@ -1472,6 +2027,7 @@ const App = {
         document.getElementById('ts-candidates-tokens').textContent = '0';
         document.getElementById('ts-thoughts-tokens').textContent = '0';
         document.getElementById('ts-granularity-grid').innerHTML = '<div class="empty-state"><p>暂无数据</p></div>';
+        document.getElementById('ts-model-grid').innerHTML = '<div class="empty-state"><p>暂无数据</p></div>';
         document.getElementById('ts-timeline').innerHTML = '<div class="empty-state"><p>暂无数据</p></div>';
     },
 
@@ -1490,7 +2046,7 @@ const App = {
      * @param {Object} data - 查询结果
      */
     renderTokenStats(data) {
-        const { summary, by_granularity, by_minute } = data;
+        const { summary, by_granularity, by_model, by_packing, by_minute } = data;
 
         // 1. 总览卡片
         document.getElementById('ts-total-tokens').textContent = App.formatNumber(summary.total_tokens);
@@ -1503,20 +2059,24 @@ const App = {
 
         // 2. 按粒度分类
         const granGrid = document.getElementById('ts-granularity-grid');
-        const granularities = [
-            { key: '2min', label: '2 分钟总结', badge: 'ts-gran-badge-2min' },
-            { key: '10min', label: '10 分钟总结', badge: 'ts-gran-badge-10min' },
-            { key: '1h', label: '1 小时总结', badge: 'ts-gran-badge-1h' }
-        ];
+        // 按配置顺序展示，统计里有但已不在配置中的粒度追加在后面；徽标颜色按序号循环
+        const configured = App.granularities.map(g => ({ key: g.name, label: g.title }));
+        const extra = Object.keys(by_granularity || {})
+            .filter(key => !configured.some(g => g.key === key))
+            .map(key => ({ key, label: key }));
+        const granularities = [...configured, ...extra].map((g, index) => ({
+            ...g,
+            badge: `ts-gran-badge-${index % 5}`
+        }));
 
         let granHtml = '';
         for (const g of granularities) {
-            const bucket = by_granularity[g.key];
+            const bucket = (by_granularity || {})[g.key];
             if (!bucket || bucket.count === 0) {
                 granHtml += `
                     <div class="ts-gran-card">
                         <div class="ts-gran-header">
-                            <span class="ts-gran-label">${g.label}</span>
+                            <span class="ts-gran-label">${App.escapeHtml(g.label)}</span>
                             <span class="ts-gran-badge ${g.badge}">0次</span>
                         </div>
                         <div class="ts-gran-rows">
@@ -1530,7 +2090,7 @@ const App = {
             granHtml += `
                 <div class="ts-gran-card">
                     <div class="ts-gran-header">
-                        <span class="ts-gran-label">${g.label}</span>
+                        <span class="ts-gran-label">${App.escapeHtml(g.label)}</span>
                         <span class="ts-gran-badge ${g.badge}">${bucket.count}次</span>
                     </div>
                     <div class="ts-gran-rows">
@@ -1559,7 +2119,80 @@ const App = {
         }
         granGrid.innerHTML = granHtml || '<div class="empty-state"><p>暂无数据</p></div>';
 
-        // 3. 按分钟时间线
+        // 3. 按模型分类（按总 Token 降序）
+        const modelGrid = document.getElementById('ts-model-grid');
+        const models = Object.entries(by_model || {}).sort((a, b) => b[1].total_tokens - a[1].total_tokens);
+        let modelHtml = '';
+        for (const [model, bucket] of models) {
+            const label = model === 'unknown' ? '未记录模型' : model;
+            modelHtml += `
+                <div class="ts-gran-card">
+                    <div class="ts-gran-header">
+                        <span class="ts-gran-label ts-model-label" title="${App.escapeHtml(label)}">${App.escapeHtml(label)}</span>
+                        <span class="ts-gran-badge ts-gran-badge-model">${bucket.count}次</span>
+                    </div>
+                    <div class="ts-gran-rows">
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">总 Token</span>
+                            <span class="ts-gran-row-value">${App.formatNumber(bucket.total_tokens)}</span>
+                        </div>
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">输入</span>
+                            <span class="ts-gran-row-value">${App.formatNumber(bucket.prompt_tokens)}</span>
+                        </div>
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">输出</span>
+                            <span class="ts-gran-row-value">${App.formatNumber(bucket.candidates_tokens)}</span>
+                        </div>
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">思考</span>
+                            <span class="ts-gran-row-value">${App.formatNumber(bucket.thoughts_tokens)}</span>
+                        </div>
+                    </div>
+                </div>`;
+        }
+        modelGrid.innerHTML = modelHtml || '<div class="empty-state"><p>暂无数据</p></div>';
+
+        // 3.5 按截图打包方式（逐张发送与拼图的每次调用图片 token 对比）
+        const packingGrid = document.getElementById('ts-packing-grid');
+        const packingModes = [
+            { key: 'off', label: '逐张发送', badge: 'ts-gran-badge-0' },
+            { key: 'single', label: '拼为 1 张', badge: 'ts-gran-badge-1' },
+            { key: 'split', label: '拼为 2 张', badge: 'ts-gran-badge-2' }
+        ];
+        let packingHtml = '';
+        for (const mode of packingModes) {
+            const bucket = (by_packing || {})[mode.key];
+            if (!bucket || bucket.count === 0) continue;
+            packingHtml += `
+                <div class="ts-gran-card">
+                    <div class="ts-gran-header">
+                        <span class="ts-gran-label">${mode.label}</span>
+                        <span class="ts-gran-badge ${mode.badge}">${bucket.count}次</span>
+                    </div>
+                    <div class="ts-gran-rows">
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">图片 Token / 次</span>
+                            <span class="ts-gran-row-value">${App.formatNumber(Math.round(bucket.prompt_image_tokens / bucket.count))}</span>
+                        </div>
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">截图 / 次</span>
+                            <span class="ts-gran-row-value">${(bucket.screenshot_count / bucket.count).toFixed(1)}</span>
+                        </div>
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">发送图片 / 次</span>
+                            <span class="ts-gran-row-value">${(bucket.image_count / bucket.count).toFixed(1)}</span>
+                        </div>
+                        <div class="ts-gran-row">
+                            <span class="ts-gran-row-label">输入 (图片)</span>
+                            <span class="ts-gran-row-value">${App.formatNumber(bucket.prompt_image_tokens)}</span>
+                        </div>
+                    </div>
+                </div>`;
+        }
+        packingGrid.innerHTML = packingHtml || '<div class="empty-state"><p>暂无数据</p></div>';
+
+        // 4. 按分钟时间线
         const timeline = document.getElementById('ts-timeline');
         if (!by_minute || by_minute.length === 0) {
             timeline.innerHTML = '<div class="empty-state"><p>暂无数据</p></div>';
@@ -1604,6 +2237,48 @@ const App = {
         timeline.innerHTML = tlHtml;
     },
 
+    /**
+     * 加载并渲染预算状态（总结服务写入的快照）
+     */
+    async loadBudgetState() {
+        const panel = document.getElementById('ts-budget');
+        const res = await window.api.getBudgetState();
+        if (!res.success || !res.data) {
+            panel.style.display = 'none';
+            return;
+        }
+
+        const state = res.data;
+        const levelLabels = {
+            normal: '正常',
+            reduced: '减少截图',
+            text_only: '纯文本模式',
+            paused: '已暂停'
+        };
+        const levelEl = document.getElementById('ts-budget-level');
+        levelEl.textContent = state.enabled ? (levelLabels[state.level] || state.level) : '未启用';
+        levelEl.className = `ts-budget-level ts-budget-level-${state.enabled ? state.level : 'disabled'}`;
+        document.getElementById('ts-budget-updated').textContent = `更新于 ${App.formatTime(state.updated_at)}`;
+
+        const currency = App.escapeHtml(state.currency);
+        const rows = [
+            { label: `今日 (${state.date})`, usage: state.usage.day, tokenKey: 'daily_tokens', costKey: 'daily_cost' },
+            { label: `本月 (${state.month})`, usage: state.usage.month, tokenKey: 'monthly_tokens', costKey: 'monthly_cost' }
+        ];
+        const formatLimit = (key, unit) => {
+            if (!state.limits[key]) return '不限';
+            return `剩余 ${App.formatNumber(state.remaining[key])}${unit} / ${App.formatNumber(state.limits[key])}${unit}`;
+        };
+
+        document.getElementById('ts-budget-rows').innerHTML = rows.map(r => `
+            <div class="ts-budget-row">
+                <span class="ts-budget-label">${r.label}</span>
+                <span>${App.formatNumber(r.usage.tokens)} tokens <span class="ts-budget-limit">${formatLimit(r.tokenKey, '')}</span></span>
+                <span>${r.usage.cost} ${currency} <span class="ts-budget-limit">${formatLimit(r.costKey, ` ${currency}`)}</span></span>
+            </div>`).join('');
+        panel.style.display = '';
+    },
+
     /**
      * 格式化数字，添加千分位分隔符
      * @param {number} num - 数字
@@ -1666,6 +2341,16 @@ const App = {
         }
     },
 
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) {
+            return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${Math.ceil(bytes / 1024)} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+
     escapeHtml(str) {
         const div = document.createElement('div');
         div.textContent = str;
@@ -1,19 +1,64 @@
 /**
  * 总结读取模块
- * 读取 AI 总结的 JSON 文件以在界面中展示
+ * 读取 AI 总结的 JSON 文件以在界面中展示（开启 encryption 后写入的文件透明解密）
  */
 
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
+// 未配置 summary.granularities 时使用的默认粒度（与 ai_summary 默认配置一致）
+const DEFAULT_GRANULARITIES = [
+    { name: '2min', title: '2 分钟' },
+    { name: '10min', title: '10 分钟' },
+    { name: '1h', title: '1 小时' },
+    { name: '1d', title: '日报' },
+    { name: '1w', title: '周报' }
+];
+
 class SummaryReader {
     /**
      * 创建总结读取器
      * @param {string} projectRoot - 项目根目录
+     * @param {string} [configPath] - 统一配置文件路径（相对的 encryption.key_file 按其所在目录解析）
      */
-    constructor(projectRoot) {
+    constructor(projectRoot, configPath = null) {
         this.projectRoot = projectRoot;
+        this.configDir = configPath ? path.dirname(configPath) : projectRoot;
+
+        // 静态加密器缓存（encryption 配置变化时重建）
+        this._cipher = null;
+        this._cipherKey = null;
+    }
+
+    /**
+     * 获取静态加密器（使用 ai_summary 的 FileCipher，只用于读取与保持原有加密状态的改写）
+     * 密钥不可用时退回为只能读取明文的加密器，已加密的文件读取时报错
+     * @param {Object} config - 配置对象
+     * @returns {FileCipher}
+     */
+    getCipher(config) {
+        const encryption = config.encryption || {};
+        const cacheKey = JSON.stringify(encryption);
+        if (this._cipher && this._cipherKey === cacheKey) {
+            return this._cipher;
+        }
+
+        const FileCipher = require(path.join(this.projectRoot, 'ai_summary', 'src', 'file-cipher.js'));
+        try {
+            // 相对的 key_file 与两个服务的 Config 一致，按配置文件所在目录解析
+            const keyFile = encryption.key_file
+                ? path.resolve(this.configDir, this._expandHome(encryption.key_file))
+                : encryption.key_file;
+            this._cipher = new FileCipher(
+                { passphrase_env: 'WORKWEAVER_PASSPHRASE', ...encryption, key_file: keyFile, enabled: false }
+            );
+        } catch (err) {
+            console.warn(`加载加密密钥失败，仅能读取未加密的数据: ${err.message}`);
+            this._cipher = new FileCipher();
+        }
+        this._cipherKey = cacheKey;
+        return this._cipher;
     }
 
     /**
@@ -46,6 +91,27 @@ class SummaryReader {
         return path.resolve(this.projectRoot, 'ai_summary', expanded);
     }
 
+    /**
+     * 获取已启用的总结粒度（按配置顺序，用于界面 Tab 与统计卡片）
+     * 兼容旧版 summary.granularity 映射：只按其中的 enabled 过滤默认粒度
+     * @param {Object} config - 配置对象
+     * @returns {Array<{name: string, title: string}>}
+     */
+    getGranularities(config) {
+        const list = config.summary?.granularities;
+        if (Array.isArray(list) && list.length > 0) {
+            return list
+                .filter(g => g && g.name && g.enabled !== false)
+                .map(g => ({ name: String(g.name), title: g.title || String(g.name) }));
+        }
+
+        const legacy = config.summary?.granularity || {};
+        return DEFAULT_GRANULARITIES.filter(g => {
+            const key = g.name === '2min' && !legacy['2min'] ? '1min' : g.name;
+            return !legacy[key] || legacy[key].enabled !== false;
+        });
+    }
+
     /**
      * 获取可用的日期列表
      * @param {Object} config - 配置对象
@@ -70,7 +136,7 @@ class SummaryReader {
      * 获取指定日期和粒度的所有总结
      * @param {Object} config - 配置对象
      * @param {string} date - 日期 (YYYY-MM-DD)
-     * @param {string} granularity - 粒度 ('1min' | '10min' | '1h')
+     * @param {string} granularity - 粒度名称（summary.granularities[].name）
      * @returns {Array<Object>} 总结列表，按时间升序
      */
     getSummaries(config, date, granularity) {
@@ -85,10 +151,11 @@ class SummaryReader {
             .filter(f => f.endsWith('.json'))
             .sort();
 
+        const cipher = this.getCipher(config);
         const summaries = [];
         for (const file of files) {
             try {
-                const content = fs.readFileSync(path.join(dir, file), 'utf8');
+                const content = cipher.readText(path.join(dir, file));
                 summaries.push(JSON.parse(content));
             } catch (err) {
                 // 跳过损坏的文件
@@ -110,6 +177,40 @@ class SummaryReader {
         return path.join(summaryDir, 'token-stats');
     }
 
+    /**
+     * 读取总结服务写入的预算状态快照
+     * @param {Object} config - 配置对象
+     * @returns {Object|null} 预算状态，服务从未运行时为 null
+     */
+    getBudgetState(config) {
+        const filePath = path.join(this._getSummaryDir(config), 'budget-state.json');
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * 读取总结服务写入的数据保留清理结果
+     * @param {Object} config - 配置对象
+     * @returns {Object|null} 最近一次清理结果，尚未清理过时为 null
+     */
+    getRetentionState(config) {
+        const filePath = path.join(this._getSummaryDir(config), 'retention-state.json');
+        if (!fs.existsSync(filePath)) {
+            return null;
+        }
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
     /**
      * 获取可用的 token 统计日期列表
      * @param {Object} config - 配置对象
@@ -142,11 +243,11 @@ class SummaryReader {
         const filePath = path.join(dir, `${date}.json`);
 
         if (!fs.existsSync(filePath)) {
-            return { records: [], summary: this._emptyTokenBucket(), by_granularity: {}, by_minute: [], sessions: [] };
+            return { records: [], summary: this._emptyTokenBucket(), by_granularity: {}, by_model: {}, by_packing: {}, by_minute: [], sessions: [] };
         }
 
         try {
-            const content = fs.readFileSync(filePath, 'utf8');
+            const content = this.getCipher(config).readText(filePath);
             const data = JSON.parse(content);
 
             // 收集所有 session 及其记录
@@ -201,6 +302,28 @@ class SummaryReader {
                 this._addToBucket(byGranularity[r.granularity], r);
             }
 
+            // 按模型分类（早期记录没有 model 字段，归入 unknown）
+            const byModel = {};
+            for (const r of allRecords) {
+                const model = r.model || 'unknown';
+                if (!byModel[model]) {
+                    byModel[model] = this._emptyTokenBucket();
+                }
+                this._addToBucket(byModel[model], r);
+            }
+
+            // 按截图打包方式分类（只统计附带截图的调用，早期记录没有 packing 字段，不计入）
+            const byPacking = {};
+            for (const r of allRecords) {
+                if (!r.packing) continue;
+                if (!byPacking[r.packing]) {
+                    byPacking[r.packing] = { ...this._emptyTokenBucket(), image_count: 0, screenshot_count: 0 };
+                }
+                this._addToBucket(byPacking[r.packing], r);
+                byPacking[r.packing].image_count += r.image_count || 0;
+                byPacking[r.packing].screenshot_count += r.screenshot_count || 0;
+            }
+
             // 按分钟聚合
             const byMinuteMap = {};
             for (const r of allRecords) {
@@ -218,11 +341,13 @@ class SummaryReader {
                 records: allRecords,
                 summary,
                 by_granularity: byGranularity,
+                by_model: byModel,
+                by_packing: byPacking,
                 by_minute: byMinute,
                 sessions: sessionInfos
             };
         } catch (err) {
-            return { records: [], summary: this._emptyTokenBucket(), by_granularity: {}, by_minute: [], sessions: [] };
+            return { records: [], summary: this._emptyTokenBucket(), by_granularity: {}, by_model: {}, by_packing: {}, by_minute: [], sessions: [] };
         }
     }
 
@@ -264,28 +389,8 @@ class SummaryReader {
      * @returns {Array<Object>} 截图信息列表
      */
     getRecentScreenshots(config, count = 20) {
-        const dir = config.storage?.directory || './screenshots';
-        // 展开 ~ 路径
-        const expanded = this._expandHome(dir);
-        let screenshotDir;
-
-        if (path.isAbsolute(expanded)) {
-            screenshotDir = expanded;
-        } else {
-            screenshotDir = path.resolve(this.projectRoot, 'auto_screenshot', expanded);
-        }
-
-        if (!fs.existsSync(screenshotDir)) {
-            return [];
-        }
-
-        // 获取最新日期目录
-        const dates = fs.readdirSync(screenshotDir)
-            .filter(f => /^\d{4}-\d{2}-\d{2}$/.test(f))
-            .filter(f => fs.statSync(path.join(screenshotDir, f)).isDirectory())
-            .sort()
-            .reverse();
-
+        const screenshotDir = this._getScreenshotDir(config);
+        const dates = this._getScreenshotDates(screenshotDir);
         if (dates.length === 0) {
             return [];
         }
@@ -296,7 +401,7 @@ class SummaryReader {
 
             const dateDir = path.join(screenshotDir, date);
             const files = fs.readdirSync(dateDir)
-                .filter(f => /\.(jpeg|jpg|png)$/i.test(f))
+                .filter(f => /\.(jpeg|jpg|png|webp|avif)$/i.test(f))
                 .sort()
                 .reverse();
 
@@ -312,6 +417,125 @@ class SummaryReader {
 
         return screenshots;
     }
+
+    /**
+     * 获取有截图的日期及各日期的显示器编号（文件名末尾 _N），供导出选择范围
+     * @param {Object} config - 配置对象
+     * @returns {Array<{date: string, monitors: Array<number>}>} 从新到旧
+     */
+    getScreenshotDays(config) {
+        const screenshotDir = this._getScreenshotDir(config);
+        return this._getScreenshotDates(screenshotDir).map(date => {
+            const monitors = new Set();
+            for (const file of fs.readdirSync(path.join(screenshotDir, date))) {
+                const match = file.match(/_(\d+)\.(jpeg|jpg|png|webp|avif)$/i);
+                if (match) {
+                    monitors.add(Number(match[1]));
+                }
+            }
+            return { date, monitors: Array.from(monitors).sort((a, b) => a - b) };
+        }).filter(day => day.monitors.length > 0);
+    }
+
+    /**
+     * 获取截图目录路径
+     * @param {Object} config - 配置对象
+     * @returns {string} 截图目录绝对路径
+     */
+    _getScreenshotDir(config) {
+        const dir = config.storage?.directory || './screenshots';
+        // 展开 ~ 路径
+        const expanded = this._expandHome(dir);
+        if (path.isAbsolute(expanded)) {
+            return expanded;
+        }
+        // 相对于 auto_screenshot 模块目录
+        return path.resolve(this.projectRoot, 'auto_screenshot', expanded);
+    }
+
+    /**
+     * 获取截图日期目录列表（从新到旧）
+     * @param {string} screenshotDir - 截图目录
+     * @returns {Array<string>} YYYY-MM-DD 列表
+     */
+    _getScreenshotDates(screenshotDir) {
+        if (!fs.existsSync(screenshotDir)) {
+            return [];
+        }
+        return fs.readdirSync(screenshotDir)
+            .filter(f => /^\d{4}-\d{2}-\d{2}$/.test(f))
+            .filter(f => fs.statSync(path.join(screenshotDir, f)).isDirectory())
+            .sort()
+            .reverse();
+    }
+
+    /**
+     * 搜索截图的 OCR 文字层（ai_summary 写入的 {date}/ocr.jsonl）
+     * 按空白拆分为多个关键词，全部出现（不区分大小写）才算命中，从最新的截图开始返回
+     * @param {Object} config - 配置对象
+     * @param {string} query - 搜索词
+     * @param {number} [limit=50] - 最多返回条数
+     * @returns {Array<{date: string, filename: string, path: string, time: string, snippet: string}>}
+     */
+    searchScreenshotText(config, query, limit = 50) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const screenshotDir = this._getScreenshotDir(config);
+        const cipher = this.getCipher(config);
+        const results = [];
+        for (const date of this._getScreenshotDates(screenshotDir)) {
+            if (results.length >= limit) break;
+
+            const indexPath = path.join(screenshotDir, date, 'ocr.jsonl');
+            if (!fs.existsSync(indexPath)) continue;
+
+            const matches = [];
+            for (const line of fs.readFileSync(indexPath, 'utf8').split('\n')) {
+                if (!line.trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(cipher.openLine(line));
+                } catch (err) {
+                    // 写入中断留下的半行或无法解密的行，忽略
+                    continue;
+                }
+                const text = entry.text || '';
+                const lower = text.toLowerCase();
+                if (!terms.every(term => lower.includes(term))) continue;
+
+                const filePath = path.join(screenshotDir, date, entry.file);
+                // 截图已被清理时跳过
+                if (!fs.existsSync(filePath)) continue;
+                matches.push({
+                    date,
+                    filename: entry.file,
+                    path: filePath,
+                    time: entry.time,
+                    snippet: this._buildSnippet(text, lower.indexOf(terms[0]))
+                });
+            }
+
+            matches.sort((a, b) => b.filename.localeCompare(a.filename));
+            results.push(...matches.slice(0, limit - results.length));
+        }
+        return results;
+    }
+
+    /**
+     * 截取命中位置附近的文字作为摘要
+     * @param {string} text - 完整文字
+     * @param {number} position - 命中位置
+     * @returns {string}
+     */
+    _buildSnippet(text, position) {
+        const start = Math.max(0, position - 40);
+        const end = Math.min(text.length, position + 80);
+        const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
 }
 
 module.exports = SummaryReader;
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+
+/**
+ * 静态加密离线测试程序
+ * 功能:
+ * 1. 在临时目录中生成密钥文件，校验 FileCipher 的整文件加密（seal/readFile）与逐行加密（sealLine/openLine）往返。
+ * 2. 校验篡改、密钥不匹配时抛出 DECRYPT_FAILED，缺少密钥时抛出 ENCRYPTION_KEY_MISSING，开启加密时明文仍可读取。
+ * 3. 校验 ai_summary 与 auto_screenshot 两份 FileCipher 互相可解密，口令（环境变量）派生同样可用。
+ * 4. 经各写盘模块（截图、总结、待补跑任务、prompt 日志、token 统计）写入后落盘为密文，且能读回原内容。
+ * 5. 校验两个模块的 Config 把相对的 encryption.key_file 按配置文件所在目录解析为同一个绝对路径。
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileCipher = require('../../ai_summary/src/file-cipher');
+const ScreenshotFileCipher = require('../../auto_screenshot/src/file-cipher');
+const Config = require('../../ai_summary/src/config');
+const ScreenshotConfig = require('../../auto_screenshot/src/config');
+const Logger = require('../../ai_summary/src/logger');
+const SummaryStore = require('../../ai_summary/src/summary-store');
+const JobQueue = require('../../ai_summary/src/job-queue');
+const PromptLogger = require('../../ai_summary/src/prompt-logger');
+const TokenTracker = require('../../ai_summary/src/token-tracker');
+const ScreenshotReader = require('../../ai_summary/src/screenshot-reader');
+const Storage = require('../../auto_screenshot/src/storage');
+
+// 口令测试使用的环境变量（避免与用户环境中的 WORKWEAVER_PASSPHRASE 冲突）
+const PASSPHRASE_ENV = 'WORKWEAVER_TEST_PASSPHRASE';
+
+// 写盘模块使用的明文样本，落盘后不应出现在文件中
+const SECRET_TITLE = '季度预算表.xlsx - 机密';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} 参数对象
+ */
+function parseArgs(argv) {
+    const args = { keep: false, help: false };
+
+    for (let i = 2; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--keep') {
+            args.keep = true;
+        } else {
+            throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * 显示帮助信息
+ */
+function showHelp() {
+    console.log(`
+静态加密离线测试程序
+
+用法:
+  node test/file-cipher/run.js [选项]
+
+选项:
+  --keep                    保留临时工作目录，便于查看加密后的文件
+  -h, --help                显示帮助信息
+
+行为:
+  - 不需要网络与真实密钥，密钥文件在临时目录中生成
+  - 全部检查通过时退出码为 0，否则为 1
+`);
+}
+
+/**
+ * 断言函数抛出带指定 code 的错误
+ * @param {Function} fn - 待执行的函数
+ * @param {string} code - 期望的错误码
+ * @param {string} message - 断言说明
+ */
+function assertThrowsCode(fn, code, message) {
+    assert.throws(fn, err => err.code === code, `${message}（期望 ${code}）`);
+}
+
+/**
+ * 断言文件已加密且不含明文样本
+ * @param {FileCipher} cipher - 加密器
+ * @param {string} filePath - 文件路径
+ */
+function assertSealedFile(cipher, filePath) {
+    const raw = fs.readFileSync(filePath);
+    assert.ok(cipher.isEncrypted(raw), `${path.basename(filePath)} 未以加密格式落盘`);
+    assert.ok(!raw.includes(Buffer.from(SECRET_TITLE)), `${path.basename(filePath)} 中仍有明文`);
+}
+
+/**
+ * 构建测试用例
+ * @param {Object} ctx - 测试上下文 { workDir, keyFile, otherKeyFile, logger }
+ * @returns {Array<{name: string, run: Function}>}
+ */
+function buildCases(ctx) {
+    const { workDir, keyFile, otherKeyFile, logger } = ctx;
+    const encryption = { enabled: true, key_file: keyFile, passphrase_env: PASSPHRASE_ENV };
+    const cipher = new FileCipher(encryption);
+
+    return [
+        {
+            name: '整文件加密往返',
+            run() {
+                const filePath = path.join(workDir, 'roundtrip.json');
+                const plain = JSON.stringify({ title: SECRET_TITLE });
+                cipher.writeFile(filePath, plain);
+                assertSealedFile(cipher, filePath);
+                assert.strictEqual(cipher.readText(filePath), plain);
+
+                // 每次加密使用新的 iv，同一明文的密文不同
+                assert.ok(!cipher.seal(plain).equals(cipher.seal(plain)), '同一明文两次加密结果相同');
+
+                // 未开启加密时 seal 原样返回，仍可解密已有密文
+                const reader = new FileCipher({ ...encryption, enabled: false });
+                assert.strictEqual(reader.seal(plain), plain);
+                assert.strictEqual(reader.readText(filePath), plain);
+            }
+        },
+        {
+            name: '逐行加密往返',
+            run() {
+                const lines = [
+                    JSON.stringify({ file: 'a.jpeg', text: SECRET_TITLE }),
+                    JSON.stringify({ file: 'b.jpeg', text: '第二行' })
+                ];
+                const sealed = lines.map(line => cipher.sealLine(line));
+                sealed.forEach((line, i) => {
+                    assert.ok(cipher.isEncryptedLine(line), `第 ${i + 1} 行未加密`);
+                    assert.ok(!line.includes('\n'), `第 ${i + 1} 行加密后含换行`);
+                    assert.strictEqual(cipher.openLine(line), lines[i]);
+                });
+
+                // 追加文件中明文行与加密行混排（开启加密前写入的行）
+                const filePath = path.join(workDir, 'ocr.jsonl');
+                fs.writeFileSync(filePath, [lines[0], sealed[1]].join('\n') + '\n');
+                const opened = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(l => cipher.openLine(l));
+                assert.deepStrictEqual(opened, lines);
+
+                const disabled = new FileCipher({ ...encryption, enabled: false });
+                assert.strictEqual(disabled.sealLine(lines[0]), lines[0]);
+            }
+        },
+        {
+            name: '篡改与密钥不匹配',
+            run() {
+                const sealed = cipher.encrypt(SECRET_TITLE);
+
+                const tampered = Buffer.from(sealed);
+                tampered[tampered.length - 1] ^= 0x01;
+                assertThrowsCode(() => cipher.decrypt(tampered), 'DECRYPT_FAILED', '篡改密文后仍解密成功');
+
+                const tag = Buffer.from(sealed);
+                tag[6 + 16 + 12] ^= 0x01;
+                assertThrowsCode(() => cipher.decrypt(tag), 'DECRYPT_FAILED', '篡改认证标签后仍解密成功');
+
+                const other = new FileCipher({ enabled: true, key_file: otherKeyFile });
+                assertThrowsCode(() => other.decrypt(sealed), 'DECRYPT_FAILED', '使用其他密钥解密成功');
+                assertThrowsCode(() => other.openLine(cipher.sealLine(SECRET_TITLE)), 'DECRYPT_FAILED', '使用其他密钥解密行成功');
+
+                const keyless = new FileCipher({ enabled: false, passphrase_env: PASSPHRASE_ENV });
+                assertThrowsCode(() => keyless.decrypt(sealed), 'ENCRYPTION_KEY_MISSING', '没有密钥时解密成功');
+                assertThrowsCode(() => keyless.encrypt(SECRET_TITLE), 'ENCRYPTION_KEY_MISSING', '没有密钥时加密成功');
+                assertThrowsCode(
+                    () => new FileCipher({ enabled: true, passphrase_env: PASSPHRASE_ENV }),
+                    'ENCRYPTION_KEY_MISSING',
+                    '开启加密但没有密钥时创建成功'
+                );
+            }
+        },
+        {
+            name: '开启加密时读取明文',
+            run() {
+                const filePath = path.join(workDir, 'plain.json');
+                const plain = JSON.stringify({ title: '开启加密前写入' });
+                fs.writeFileSync(filePath, plain);
+                assert.strictEqual(cipher.readText(filePath), plain);
+                assert.strictEqual(cipher.openLine(plain), plain);
+
+                // 无密钥的加密器同样可以读取明文
+                assert.strictEqual(new FileCipher().readText(filePath), plain);
+            }
+        },
+        {
+            name: '两个模块的加密器互通',
+            run() {
+                const screenshotCipher = new ScreenshotFileCipher(encryption);
+                const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 1, 2, 3, 4, 0xff, 0xd9]);
+                assert.ok(cipher.decrypt(screenshotCipher.seal(image)).equals(image));
+                assert.ok(screenshotCipher.decrypt(cipher.seal(image)).equals(image));
+            }
+        },
+        {
+            name: '口令派生密钥',
+            run() {
+                process.env[PASSPHRASE_ENV] = 'correct horse battery staple';
+                try {
+                    const byPassphrase = new FileCipher({ enabled: true, passphrase_env: PASSPHRASE_ENV });
+                    const sealed = byPassphrase.encrypt(SECRET_TITLE);
+                    assert.strictEqual(new FileCipher({ passphrase_env: PASSPHRASE_ENV }).decrypt(sealed).toString(), SECRET_TITLE);
+
+                    // 配置了密钥文件时优先使用密钥文件
+                    assertThrowsCode(() => cipher.decrypt(sealed), 'DECRYPT_FAILED', '密钥文件未优先于口令');
+                } finally {
+                    delete process.env[PASSPHRASE_ENV];
+                }
+            }
+        },
+        {
+            name: '各类数据写盘加密',
+            async run() {
+                const summaryDir = path.join(workDir, 'summaries');
+                const granularities = [{ name: '2min' }, { name: '10min' }];
+                const end = new Date(2026, 0, 5, 10, 2, 0);
+                const start = new Date(end.getTime() - 2 * 60 * 1000);
+
+                // 截图：截图服务加密写入，总结服务解密读取
+                const screenshotDir = path.join(workDir, 'screenshots', '2026-01-05');
+                fs.mkdirSync(screenshotDir, { recursive: true });
+                const image = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.from(SECRET_TITLE), Buffer.from([0xff, 0xd9])]);
+                const imagePath = path.join(screenshotDir, '2026-01-05_10-01-00_1.jpeg');
+                await new Storage({ directory: path.join(workDir, 'screenshots') }, 'jpeg', new ScreenshotFileCipher(encryption))
+                    .save(image, imagePath);
+                assertSealedFile(cipher, imagePath);
+                const reader = new ScreenshotReader({ directory: path.join(workDir, 'screenshots') }, logger, cipher);
+                const [shot] = reader.readBuffersFromPaths([imagePath]);
+                assert.ok(shot && shot.buffer.equals(image), '截图解密后与原图不一致');
+
+                // 总结
+                const store = new SummaryStore({ directory: summaryDir }, logger, cipher);
+                store.save('2min', end, { summary: SECRET_TITLE }, { start, end });
+                const [summary] = store.getSummariesInRange('2min', new Date(end.getTime() - 1), end);
+                assert.ok(summary && summary.summary === SECRET_TITLE, '总结读回内容不一致');
+                assertSealedFile(cipher, path.join(summaryDir, '2026-01-05', '2min', '10-02.json'));
+
+                // 待补跑任务
+                const jobQueue = new JobQueue({ directory: summaryDir, granularities }, logger, cipher);
+                jobQueue.enqueue({
+                    granularity: '2min',
+                    timestamp: end,
+                    start,
+                    end,
+                    windowTimeline: [{ app: 'Excel', title: SECRET_TITLE }],
+                    reason: '加密测试'
+                });
+                const [job] = jobQueue.list();
+                assert.ok(job && job.window_timeline[0].title === SECRET_TITLE, '待补跑任务读回内容不一致');
+                assertSealedFile(cipher, path.join(summaryDir, 'pending-jobs', `${job.id}.json`));
+
+                // prompt 日志
+                new PromptLogger({ directory: summaryDir }, logger, cipher).log('2min', end, [SECRET_TITLE]);
+                const promptLog = path.join(summaryDir, 'prompt-logs', '2026-01-05', '2min', '10-02.txt');
+                assertSealedFile(cipher, promptLog);
+                assert.ok(cipher.readText(promptLog).includes(SECRET_TITLE), 'prompt 日志读回内容不一致');
+
+                // token 统计
+                const tracker = new TokenTracker({ directory: summaryDir, granularities }, logger, cipher);
+                tracker.record('2min', { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 }, SECRET_TITLE);
+                const statsFile = fs.readdirSync(tracker.statsDirectory).find(f => f.endsWith('.json'));
+                assertSealedFile(cipher, path.join(tracker.statsDirectory, statsFile));
+                const stats = tracker.readStatsFile(statsFile);
+                assert.strictEqual(stats.sessions[0].records[0].model, SECRET_TITLE);
+            }
+        },
+        {
+            name: '相对密钥路径按配置文件目录解析',
+            run() {
+                const configDir = path.join(workDir, 'config');
+                fs.mkdirSync(configDir, { recursive: true });
+                fs.copyFileSync(keyFile, path.join(configDir, 'relative.key'));
+                const configPath = path.join(configDir, 'config.yaml');
+                fs.writeFileSync(configPath, [
+                    'gemini:',
+                    '  api_key: offline-test',
+                    'encryption:',
+                    '  enabled: true',
+                    '  key_file: relative.key',
+                    ''
+                ].join('\n'));
+
+                // 两个服务由桌面应用以各自模块目录为工作目录启动，解析结果不应依赖工作目录
+                const cwd = process.cwd();
+                let summaryConfig;
+                let screenshotConfig;
+                try {
+                    process.chdir(os.tmpdir());
+                    summaryConfig = Config.loadUnified(configPath);
+                    process.chdir(workDir);
+                    screenshotConfig = ScreenshotConfig.loadUnified(configPath);
+                } finally {
+                    process.chdir(cwd);
+                }
+
+                const expected = path.join(configDir, 'relative.key');
+                assert.strictEqual(summaryConfig.encryption.key_file, expected);
+                assert.strictEqual(screenshotConfig.encryption.key_file, expected);
+                const sealed = new ScreenshotFileCipher(screenshotConfig.encryption).encrypt(SECRET_TITLE);
+                assert.strictEqual(new FileCipher(summaryConfig.encryption).decrypt(sealed).toString(), SECRET_TITLE);
+            }
+        }
+    ];
+}
+
+/**
+ * 程序主流程
+ * @returns {Promise<number>} 退出码
+ */
+async function main() {
+    const args = parseArgs(process.argv);
+    if (args.help) {
+        showHelp();
+        return 0;
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workweaver-cipher-'));
+    const logger = new Logger({ level: 'warn', file: null, console: true });
+
+    const keyFile = path.join(workDir, 'data.key');
+    const otherKeyFile = path.join(workDir, 'other.key');
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('base64') + '\n');
+    fs.writeFileSync(otherKeyFile, crypto.randomBytes(32).toString('base64') + '\n');
+    delete process.env[PASSPHRASE_ENV];
+
+    const failures = [];
+    const cases = buildCases({ workDir, keyFile, otherKeyFile, logger });
+    for (const testCase of cases) {
+        try {
+            await testCase.run();
+            console.log(`[加密测试] 通过: ${testCase.name}`);
+        } catch (err) {
+            failures.push(`${testCase.name}: ${err.message}`);
+        }
+    }
+
+    if (args.keep) {
+        console.log(`[加密测试] 已保留工作目录: ${workDir}`);
+    } else {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`[加密测试] 失败: ${f}`));
+        console.error(`[加密测试] 失败（${cases.length - failures.length}/${cases.length} 项通过）`);
+        return 1;
+    }
+
+    console.log(`[加密测试] 通过（${cases.length}/${cases.length} 项）`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(`[加密测试] 异常: ${err.stack || err.message}`);
+        process.exit(1);
+    });
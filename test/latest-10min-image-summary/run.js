@@ -17,6 +17,7 @@ const ScreenshotReader = require('../../ai_summary/src/screenshot-reader');
 const GeminiClient = require('../../ai_summary/src/gemini-client');
 const PromptBuilder = require('../../ai_summary/src/prompt-builder');
 const ScreenshotComparer = require('../../ai_summary/src/screenshot-comparer');
+const { isImagePart } = require('../../ai_summary/src/providers/content-parts');
 
 const TWO_MINUTES_MS = 2 * 60 * 1000;
 const TEN_MINUTES_MS = 10 * 60 * 1000;
@@ -177,9 +178,9 @@ function serializeContents(contents, title) {
             continue;
         }
 
-        if (part && part.inlineData) {
-            const mimeType = part.inlineData.mimeType || 'unknown';
-            const dataLen = part.inlineData.data ? part.inlineData.data.length : 0;
+        if (isImagePart(part)) {
+            const mimeType = part.mimeType || 'unknown';
+            const dataLen = part.data ? part.data.length : 0;
             lines.push(`[图片#${i + 1}: ${mimeType}, base64长度: ${dataLen}]`);
             lines.push('');
             continue;
@@ -442,8 +443,8 @@ async function main() {
     }
     logger.info(`[启动] 截图目录: ${screenshotReader.baseDirectory}`);
 
-    const geminiClient = new GeminiClient(config.gemini, logger);
-    logger.info(`[启动] Gemini模型: ${config.gemini.model}`);
+    const geminiClient = new GeminiClient(config.gemini, logger, config.llm);
+    logger.info(`[启动] LLM提供方: ${geminiClient.providerName}, 模型: ${geminiClient.model}`);
 
     const promptBuilderOptions = {};
     if (args.todoDir) {
@@ -453,7 +454,7 @@ async function main() {
         logger.info(`[启动] Todo目录: ${promptBuilderOptions.todoDataDir}`);
     }
     const promptBuilder = new PromptBuilder(geminiClient, logger, promptBuilderOptions);
-    const screenshotComparer = new ScreenshotComparer(logger);
+    const screenshotComparer = new ScreenshotComparer(config.summary.comparison, logger);
 
     const selectedWindow = selectTestWindow(screenshotReader, logger);
     const runId = `${selectedWindow.dateStr}_${formatFileTime(selectedWindow.endTime)}`;
@@ -466,12 +467,13 @@ async function main() {
     ensureDir(promptDir);
     ensureDir(rawDir);
 
-    const historyMinutes = (
-        config.summary &&
-        config.summary.granularity &&
-        config.summary.granularity['2min'] &&
-        config.summary.granularity['2min'].history_minutes
-    ) || 0;
+    // 本脚本固定按 2min x 5 → 10min 测试，配置中没有同名粒度时使用默认定义
+    const findLevel = name => config.summary.granularities.find(g => g.name === name) ||
+        Config.getDefaults().summary.granularities.find(g => g.name === name);
+    const twoMinLevel = findLevel('2min');
+    const tenMinLevel = findLevel('10min');
+
+    const historyMinutes = twoMinLevel.history_minutes || 0;
     const historyCount = Math.max(0, Math.ceil(historyMinutes / 2));
 
     const twoMinResults = [];
@@ -500,8 +502,8 @@ async function main() {
         let usageMetadata = null;
         let skippedByNoChange = false;
 
-        if (screenshotComparer.allIdentical(screenshotBuffers)) {
-            parsedRecord = screenshotComparer.buildNoChange2minRecord(screenshotBuffers, '');
+        if (await screenshotComparer.analyze(screenshotBuffers)) {
+            parsedRecord = screenshotComparer.buildNoChangeScreenshotRecord(screenshotBuffers, '', twoMinLevel.period);
             skippedByNoChange = true;
             writeText(
                 path.join(promptDir, `${segmentLabel}.txt`),
@@ -509,7 +511,8 @@ async function main() {
             );
             writeText(path.join(rawDir, `${segmentLabel}.txt`), '[无原始响应：截图无变化，跳过API]');
         } else {
-            promptContents = promptBuilder.build2min(
+            promptContents = promptBuilder.buildScreenshot(
+                twoMinLevel,
                 screenshotBuffers,
                 history,
                 config.screenshot.format,
@@ -556,12 +559,12 @@ async function main() {
     let tenMinSkippedByNoChange = false;
 
     if (screenshotComparer.allNoChange(twoMinResults)) {
-        tenMinParsed = screenshotComparer.buildNoChange10minRecord(twoMinResults);
+        tenMinParsed = screenshotComparer.buildNoChangeTimelineRecord(twoMinResults, twoMinLevel.name);
         tenMinSkippedByNoChange = true;
         writeText(path.join(promptDir, '10min.txt'), '[全部2min子级无变化，跳过10min API调用]');
         writeText(path.join(rawDir, '10min.txt'), '[无原始响应：全部2min子级无变化，跳过API]');
     } else {
-        const tenMinContents = promptBuilder.build10min(twoMinResults, [], '');
+        const tenMinContents = promptBuilder.buildAggregate(tenMinLevel, twoMinLevel, { children: twoMinResults });
         writeText(
             path.join(promptDir, '10min.txt'),
             serializeContents(tenMinContents, '10min Prompt')
@@ -604,7 +607,8 @@ async function main() {
             mode: args.legacy ? 'legacy' : 'unified',
             screenshot_directory: screenshotReader.baseDirectory,
             screenshot_format: config.screenshot.format,
-            gemini_model: config.gemini.model
+            llm_provider: geminiClient.providerName,
+            gemini_model: geminiClient.model
         },
         selected_data_source: {
             day: selectedWindow.sourceLabel,
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+
+/**
+ * 离线端到端测试程序
+ * 功能:
+ * 1. 使用 fixtures/ 中的固定截图、焦点窗口时间线和 Todo 数据，在临时目录中跑完整总结流程
+ *    （SummaryScheduler → PromptBuilder → LLM → SummaryStore → TodoWriter）。
+ * 2. 默认通过 replay 提供方回放 fixtures/llm/ 中录制的模型响应，不需要 API Key 和网络。
+ * 3. --record 模式使用配置文件中的真实提供方重新录制 fixtures/llm/。
+ * 4. 校验 5 个 2min + 1 个 10min 总结全部生成、覆盖范围与调度器对齐的窗口一致、符合 Schema 并记录了模型，Todo 回写生效。
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Config = require('../../ai_summary/src/config');
+const Logger = require('../../ai_summary/src/logger');
+const ScreenshotReader = require('../../ai_summary/src/screenshot-reader');
+const SummaryStore = require('../../ai_summary/src/summary-store');
+const GeminiClient = require('../../ai_summary/src/gemini-client');
+const PromptBuilder = require('../../ai_summary/src/prompt-builder');
+const TodoWriter = require('../../ai_summary/src/todo-writer');
+const TokenTracker = require('../../ai_summary/src/token-tracker');
+const ActiveWindowCollector = require('../../ai_summary/src/active-window-collector');
+const PromptLogger = require('../../ai_summary/src/prompt-logger');
+const ScreenshotComparer = require('../../ai_summary/src/screenshot-comparer');
+const JobQueue = require('../../ai_summary/src/job-queue');
+const SummaryScheduler = require('../../ai_summary/src/summary-scheduler');
+const { validateSummary } = require('../../ai_summary/src/summary-schema');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const LLM_FIXTURES_DIR = path.join(FIXTURES_DIR, 'llm');
+
+// 夹具截图所在的本地日期与总结窗口（10:00 - 10:10）
+const FIXTURE_DATE = [2026, 0, 5];
+const TWO_MINUTES_MS = 2 * 60 * 1000;
+const SEGMENT_COUNT = 5;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} 参数对象
+ */
+function parseArgs(argv) {
+    const args = {
+        record: false,
+        config: 'config.yaml',
+        strict: false,
+        keep: false,
+        help: false
+    };
+
+    for (let i = 2; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--record') {
+            args.record = true;
+        } else if (arg === '--strict') {
+            args.strict = true;
+        } else if (arg === '--keep') {
+            args.keep = true;
+        } else if (arg === '--config' || arg === '-c') {
+            if (i + 1 >= argv.length) {
+                throw new Error(`${arg} 缺少路径参数`);
+            }
+            args.config = argv[++i];
+        } else {
+            throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * 显示帮助信息
+ */
+function showHelp() {
+    console.log(`
+离线端到端测试程序
+
+用法:
+  node test/offline-pipeline/run.js [选项]
+
+选项:
+  --strict                  回放时要求请求指纹完全一致（提示词有变化即失败）
+  --record                  使用真实提供方重新录制 fixtures/llm/（需要 API Key）
+  -c, --config <path>       --record 模式读取的统一配置文件（默认: config.yaml）
+  --keep                    保留临时工作目录，便于查看生成的总结和 Prompt 日志
+  -h, --help                显示帮助信息
+
+行为:
+  - 默认以 loose 方式回放：提示词改动导致指纹不一致时，按粒度顺序使用录制的响应并给出警告
+  - 全部检查通过时退出码为 0，否则为 1
+`);
+}
+
+/**
+ * 将夹具中的本地时钟时间转换为 Date
+ * @param {string} clock - HH:mm:ss
+ * @returns {Date}
+ */
+function fixtureTime(clock) {
+    const [h, m, s] = clock.split(':').map(Number);
+    return new Date(FIXTURE_DATE[0], FIXTURE_DATE[1], FIXTURE_DATE[2], h, m, s || 0);
+}
+
+/**
+ * 读取焦点窗口时间线夹具并截取指定范围（与 ActiveWindowCollector.getTimelineInRange 一致）
+ * @param {Date} start - 开始时间
+ * @param {Date} end - 结束时间
+ * @returns {Array<Object>}
+ */
+function loadWindowTimeline(start, end) {
+    const entries = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'window-timeline.json'), 'utf8'));
+    const startMs = start.getTime();
+    const endMs = end.getTime();
+
+    return entries
+        .map(entry => ({
+            app: entry.app,
+            title: entry.title,
+            startTime: fixtureTime(entry.start).getTime(),
+            endTime: fixtureTime(entry.end).getTime()
+        }))
+        .filter(entry => entry.endTime >= startMs && entry.startTime <= endMs)
+        .map(entry => ({
+            ...entry,
+            startTime: Math.max(entry.startTime, startMs),
+            endTime: Math.min(entry.endTime, endMs)
+        }));
+}
+
+/**
+ * 复制目录（单层）
+ * @param {string} from - 源目录
+ * @param {string} to - 目标目录
+ */
+function copyDir(from, to) {
+    fs.mkdirSync(to, { recursive: true });
+    for (const file of fs.readdirSync(from)) {
+        fs.copyFileSync(path.join(from, file), path.join(to, file));
+    }
+}
+
+/**
+ * 构建测试配置
+ * @param {Object} args - 命令行参数
+ * @param {string} workDir - 临时工作目录
+ * @returns {Object} 已校验的配置
+ */
+function buildConfig(args, workDir) {
+    const config = Config.getDefaults();
+
+    if (args.record) {
+        const repoRoot = path.resolve(__dirname, '..', '..');
+        const configPath = path.isAbsolute(args.config) ? args.config : path.resolve(repoRoot, args.config);
+        const real = Config.loadUnified(configPath);
+        config.gemini = real.gemini;
+        config.llm = {
+            ...real.llm,
+            provider: 'record',
+            fixtures: { directory: LLM_FIXTURES_DIR, target: real.llm.provider, match: 'exact' }
+        };
+    } else {
+        config.llm.provider = 'replay';
+        config.llm.fixtures = {
+            directory: LLM_FIXTURES_DIR,
+            target: 'gemini',
+            match: args.strict ? 'exact' : 'loose'
+        };
+    }
+
+    config.screenshot.directory = path.join(FIXTURES_DIR, 'screenshots');
+    config.screenshot.format = 'jpeg';
+    config.summary.directory = path.join(workDir, 'summaries');
+
+    return Config.validate(config);
+}
+
+/**
+ * 检查自定义粒度名称的配置能正常加载，且默认保留天数落在基础粒度上
+ * @param {string} workDir - 临时工作目录
+ * @returns {Array<string>} 失败项
+ */
+function verifyCustomGranularityConfig(workDir) {
+    const configPath = path.join(workDir, 'custom-granularity.yaml');
+    fs.writeFileSync(configPath, [
+        'gemini:',
+        '  api_key: offline-test',
+        'summary:',
+        '  granularities:',
+        '    - { name: 1min, period: 1, source: screenshots, prompt: screenshot }',
+        '    - { name: 5min, period: 5, source: 1min, prompt: timeline, history_count: 5 }',
+        ''
+    ].join('\n'));
+
+    let config;
+    try {
+        config = Config.loadUnified(configPath);
+    } catch (err) {
+        return [`自定义粒度配置加载失败: ${err.message}`];
+    }
+
+    const failures = [];
+    const summaries = config.summary.retention.summaries;
+    if (summaries['1min'] !== 90) {
+        failures.push(`基础粒度 1min 未获得默认保留天数: ${JSON.stringify(summaries)}`);
+    }
+    if (summaries['2min'] !== undefined) {
+        failures.push(`保留配置中残留未配置的粒度 2min: ${JSON.stringify(summaries)}`);
+    }
+    return failures;
+}
+
+/**
+ * 将测试窗口内的任务写入待补跑队列（2min x 5 → 10min）
+ * 窗口与触发条件取自调度器本身（_windowEndingAt / _isDue），聚合粒度只在窗口终点恰为其对齐边界时入队，
+ * 保证测试的窗口是实时调度和回填能够产生的（10:10 不是整点，因此不生成 1h 任务）
+ * @param {JobQueue} jobQueue - 任务队列
+ * @param {ScreenshotReader} screenshotReader - 截图读取器
+ * @param {SummaryScheduler} scheduler - 总结调度器
+ * @returns {Array<{granularity: string, start: Date, timestamp: Date}>} 期望生成的总结
+ */
+function enqueueFixtureJobs(jobQueue, screenshotReader, scheduler) {
+    const windowStart = fixtureTime('10:00:00');
+    const windowEnd = new Date(windowStart.getTime() + SEGMENT_COUNT * TWO_MINUTES_MS);
+    const [base, ...aggregates] = scheduler.levels;
+    const expected = [];
+
+    for (let i = 1; i <= SEGMENT_COUNT; i++) {
+        const { start, end } = scheduler._windowEndingAt(
+            new Date(windowStart.getTime() + i * TWO_MINUTES_MS), base.period);
+        const screenshots = screenshotReader.getScreenshotsInRange(start, end);
+        jobQueue.enqueue({
+            granularity: base.name,
+            timestamp: end,
+            start,
+            end,
+            screenshotPaths: screenshots.map(s => s.path),
+            windowTimeline: loadWindowTimeline(start, end),
+            reason: '离线测试'
+        });
+        expected.push({ granularity: base.name, start, timestamp: end });
+    }
+
+    for (const level of aggregates.filter(l => scheduler._isDue(l, windowEnd))) {
+        const { start, end } = scheduler._windowEndingAt(windowEnd, level.period);
+        jobQueue.enqueue({
+            granularity: level.name,
+            timestamp: end,
+            start,
+            end,
+            windowTimeline: loadWindowTimeline(start, end),
+            reason: '离线测试'
+        });
+        expected.push({ granularity: level.name, start, timestamp: end });
+    }
+
+    return expected;
+}
+
+/**
+ * 检查流程产物
+ * @param {Object} context - 测试上下文
+ * @returns {Array<string>} 失败项
+ */
+function verify(context) {
+    const { expected, templates, summaryStore, jobQueue, todoDir, remaining } = context;
+    const failures = [];
+
+    if (remaining > 0) {
+        failures.push(`仍有 ${remaining} 个任务未完成: ${jobQueue.list().map(j => `${j.id}（${j.last_error}）`).join(', ')}`);
+    }
+
+    const createdTasks = [];
+    for (const { granularity, start, timestamp } of expected) {
+        const summary = summaryStore.getSummariesInRange(granularity, new Date(timestamp.getTime() - 1), timestamp)[0];
+        if (!summary || new Date(summary.timestamp).getTime() !== timestamp.getTime()) {
+            failures.push(`缺少 ${granularity} 总结: ${timestamp.toLocaleTimeString('zh-CN', { hour12: false })}`);
+            continue;
+        }
+
+        // 写入的覆盖范围应与调度器对齐的窗口 [start, end) 一致
+        const range = summary.range || {};
+        if (range.start !== start.toISOString() || range.end !== timestamp.toISOString()) {
+            failures.push(`${granularity} 总结的 range 与对齐窗口不一致: ${JSON.stringify(summary.range)}`);
+        }
+
+        const { timestamp: _ts, granularity: _g, ...data } = summary;
+        const errors = validateSummary(templates[granularity], data);
+        if (errors.length > 0) {
+            failures.push(`${granularity} 总结未通过 Schema 校验: ${errors.join('; ')}`);
+        }
+        if (!data.model) {
+            failures.push(`${granularity} 总结缺少 model 字段`);
+        }
+
+        if (granularity === '2min') {
+            (data.category_type || []).forEach((type, i) => {
+                if (type === '新建任务') {
+                    createdTasks.push(data.category_name[i]);
+                }
+            });
+        }
+    }
+
+    const quarantineDir = path.join(summaryStore.baseDirectory, 'quarantine');
+    if (fs.existsSync(quarantineDir)) {
+        failures.push(`存在被隔离的响应: ${quarantineDir}`);
+    }
+
+    // 模型新建的任务应已回写到 todos.json
+    const todos = JSON.parse(fs.readFileSync(path.join(todoDir, 'todos.json'), 'utf8'));
+    for (const name of createdTasks) {
+        if (!todos.some(t => t.title === name)) {
+            failures.push(`新建任务未回写到 todos.json: ${name}`);
+        }
+    }
+
+    return failures;
+}
+
+/**
+ * 程序主流程
+ * @returns {Promise<number>} 退出码
+ */
+async function main() {
+    const args = parseArgs(process.argv);
+    if (args.help) {
+        showHelp();
+        return 0;
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workweaver-offline-'));
+    const todoDir = path.join(workDir, 'todo');
+    copyDir(path.join(FIXTURES_DIR, 'todo'), todoDir);
+
+    if (args.record) {
+        // 重新录制前清空旧夹具，避免新旧响应混用
+        fs.rmSync(LLM_FIXTURES_DIR, { recursive: true, force: true });
+    }
+
+    const config = buildConfig(args, workDir);
+    const logger = new Logger({ level: 'info', file: null, console: true });
+    logger.info(`[离线测试] 工作目录: ${workDir}`);
+
+    const screenshotReader = new ScreenshotReader(config.screenshot, logger);
+    const summaryStore = new SummaryStore(config.summary, logger);
+    const geminiClient = new GeminiClient(config.gemini, logger, config.llm);
+    logger.info(`[离线测试] LLM 提供方: ${geminiClient.providerName}, 模型: ${geminiClient.model}`);
+
+    const promptBuilder = new PromptBuilder(geminiClient, logger, { todoDataDir: todoDir });
+    const jobQueue = new JobQueue(config.summary, logger);
+
+    const scheduler = new SummaryScheduler({
+        config,
+        screenshotReader,
+        summaryStore,
+        geminiClient,
+        promptBuilder,
+        tokenTracker: new TokenTracker(config.summary, logger),
+        // 只用于格式化时间线，不启动采集
+        activeWindowCollector: new ActiveWindowCollector({}, logger),
+        promptLogger: new PromptLogger(config.summary, logger),
+        screenshotComparer: new ScreenshotComparer(config.summary.comparison, logger),
+        todoWriter: new TodoWriter(todoDir, logger),
+        jobQueue,
+        logger
+    });
+
+    const expected = enqueueFixtureJobs(jobQueue, screenshotReader, scheduler);
+    const { replayed, remaining } = await scheduler.replayPendingJobs();
+
+    // 各粒度按其提示词模板的 Schema 校验
+    const templates = Object.fromEntries(config.summary.granularities.map(g => [g.name, g.prompt]));
+    const failures = [
+        ...verifyCustomGranularityConfig(workDir),
+        ...verify({ expected, templates, summaryStore, jobQueue, todoDir, remaining })
+    ];
+    const stats = geminiClient.provider.stats;
+    if (stats) {
+        logger.info(`[离线测试] 夹具命中: ${stats.exact}，顺序回放: ${stats.fallback}，缺失: ${stats.missed}`);
+    }
+
+    if (args.keep) {
+        logger.info(`[离线测试] 已保留工作目录: ${workDir}`);
+    } else {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => logger.error(`[离线测试] ${f}`));
+        logger.error(`[离线测试] 失败（完成 ${replayed}/${expected.length} 个任务）`);
+        return 1;
+    }
+
+    logger.info(`[离线测试] 通过（完成 ${replayed}/${expected.length} 个任务）`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(`[离线测试] 异常: ${err.stack || err.message}`);
+        process.exit(1);
+    });
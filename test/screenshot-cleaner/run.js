@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+/**
+ * 截图清理离线测试程序
+ * 功能:
+ * 1. 在临时目录中按相对今天的日期生成截图文件夹（过期、待稀疏、预算内两天、当天）、截图清单与一份总结。
+ * 2. 以不同的磁盘预算运行 ScreenshotCleaner.clean()，校验 passes 的顺序：
+ *    expired → thin → quota_thin → quota_keyframes → quota_delete，且回到预算内即停止。
+ * 3. 校验清单（manifest.jsonl）与总结 change_scores 标记的关键帧在稀疏与只保留关键帧阶段不被删除，当天的文件夹不受影响。
+ * 4. 校验硬链接按 inode 计算：删除仍有其他链接的路径不释放空间，清理后的 total_bytes 与实际占用一致。
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScreenshotCleaner = require('../../auto_screenshot/src/cleaner');
+const Logger = require('../../auto_screenshot/src/logger');
+
+// 每张截图的字节数（预算按此计算，便于推算每一步的占用）
+const FRAME_BYTES = 1000;
+
+// 每个文件夹的截图时间：10:00 与 10:01 两分钟，每分钟 3 张
+const FRAME_TIMES = ['10-00-00', '10-00-20', '10-00-40', '10-01-00', '10-01-20', '10-01-40'];
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {Object} 参数对象
+ */
+function parseArgs(argv) {
+    const args = { keep: false, help: false };
+
+    for (let i = 2; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--keep') {
+            args.keep = true;
+        } else {
+            throw new Error(`未知参数: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * 显示帮助信息
+ */
+function showHelp() {
+    console.log(`
+截图清理离线测试程序
+
+用法:
+  node test/screenshot-cleaner/run.js [选项]
+
+选项:
+  --keep                    保留临时工作目录，便于查看清理后的文件
+  -h, --help                显示帮助信息
+
+行为:
+  - 文件夹日期按运行当天计算，不需要真实截图
+  - 全部检查通过时退出码为 0，否则为 1
+`);
+}
+
+/**
+ * 格式化日期为 YYYY-MM-DD
+ * @param {Date} date - 日期对象
+ * @returns {string}
+ */
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * 今天往前 days 天的日期文件夹名
+ * @param {number} days - 天数
+ * @returns {string}
+ */
+function daysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return formatDate(date);
+}
+
+/**
+ * 截图文件名（与 Storage.generateFileName 默认格式一致）
+ * @param {string} folder - 日期文件夹名
+ * @param {string} time - HH-mm-ss
+ * @returns {string}
+ */
+function frameName(folder, time) {
+    return `${folder}_${time}_1.jpeg`;
+}
+
+/**
+ * 生成测试用的截图目录与总结目录
+ * 各文件夹的安排:
+ *   - old:     40 天前，过期删除
+ *   - aged:    10 天前，按日期稀疏为每分钟 1 张，无关键帧
+ *   - early:   5 天前，清单标记 10-00-20 为关键帧，10-01-40 是 10-01-20 的硬链接（去重 link 模式）
+ *   - recent:  2 天前，总结 change_scores 引用了 10-01-40（发送给模型）与 10-00-40（未发送）
+ *   - today:   当天，不参与预算清理
+ * @param {string} workDir - 临时工作目录
+ * @returns {{screenshotDir: string, summaryDir: string, folders: Object, manifestBytes: number}}
+ */
+function buildFixture(workDir) {
+    const screenshotDir = path.join(workDir, 'screenshots');
+    const summaryDir = path.join(workDir, 'summaries');
+    const folders = {
+        old: daysAgo(40),
+        aged: daysAgo(10),
+        early: daysAgo(5),
+        recent: daysAgo(2),
+        today: daysAgo(0)
+    };
+
+    for (const folder of Object.values(folders)) {
+        const dir = path.join(screenshotDir, folder);
+        fs.mkdirSync(dir, { recursive: true });
+        for (const time of FRAME_TIMES) {
+            const filePath = path.join(dir, frameName(folder, time));
+            if (folder === folders.early && time === '10-01-40') {
+                fs.linkSync(path.join(dir, frameName(folder, '10-01-20')), filePath);
+            } else {
+                fs.writeFileSync(filePath, Buffer.alloc(FRAME_BYTES, time));
+            }
+        }
+    }
+
+    const manifest = FRAME_TIMES.map(time => JSON.stringify({
+        file: frameName(folders.early, time),
+        score: time === '10-00-20' ? 0.5 : 0.01
+    }));
+    const manifestPath = path.join(screenshotDir, folders.early, 'manifest.jsonl');
+    fs.writeFileSync(manifestPath, manifest.join('\n') + '\n');
+
+    const [year, month, day] = folders.recent.split('-').map(Number);
+    const summaryPath = path.join(summaryDir, folders.recent, '2min', '10-02.json');
+    fs.mkdirSync(path.dirname(summaryPath), { recursive: true });
+    fs.writeFileSync(summaryPath, JSON.stringify({
+        summary: '测试总结',
+        change_scores: [
+            { time: new Date(year, month - 1, day, 10, 1, 40).toISOString(), score: 0.02, sent: true },
+            { time: new Date(year, month - 1, day, 10, 0, 40).toISOString(), score: 0.02, sent: false }
+        ]
+    }));
+
+    return { screenshotDir, summaryDir, folders, manifestBytes: fs.statSync(manifestPath).size };
+}
+
+/**
+ * 统计目录实际占用（同一 inode 只计一次），与清理器的计算相互独立
+ * @param {string} dir - 目录路径
+ * @returns {number} 字节数
+ */
+function measureUnique(dir) {
+    const inodes = new Map();
+    const walk = (current) => {
+        for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+            const fullPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.isFile()) {
+                const stat = fs.statSync(fullPath);
+                inodes.set(`${stat.dev}:${stat.ino}`, stat.size);
+            }
+        }
+    };
+    walk(dir);
+    return [...inodes.values()].reduce((sum, size) => sum + size, 0);
+}
+
+/**
+ * 列出文件夹中剩余的截图时间
+ * @param {string} screenshotDir - 截图目录
+ * @param {string} folder - 日期文件夹名
+ * @returns {Array<string>|null} HH-mm-ss 列表，文件夹不存在时为 null
+ */
+function remainingFrames(screenshotDir, folder) {
+    const dir = path.join(screenshotDir, folder);
+    if (!fs.existsSync(dir)) {
+        return null;
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.jpeg'))
+        .map(file => file.slice(folder.length + 1, folder.length + 9))
+        .sort();
+}
+
+/**
+ * 在新的临时目录中运行一次清理
+ * @param {string} workDir - 临时工作目录
+ * @param {Function} budget - 以截图清单的字节数计算磁盘预算（字节）
+ * @param {Logger} logger - 日志模块
+ * @returns {Promise<Object>} { stats, screenshotDir, folders, manifestBytes }
+ */
+async function runCleaner(workDir, budget, logger) {
+    const { screenshotDir, summaryDir, folders, manifestBytes } = buildFixture(workDir);
+    const cleaner = new ScreenshotCleaner(screenshotDir, logger, {
+        delete_after_days: 30,
+        thin_after_days: 7,
+        max_size_gb: budget(manifestBytes) / BYTES_PER_GB,
+        keyframe_score: 0.1,
+        summary_directory: summaryDir
+    });
+    const stats = await cleaner.clean();
+    return { stats, screenshotDir, folders, manifestBytes };
+}
+
+/**
+ * 把 passes 转为便于比较的 [reason, 文件夹, 删除数, 释放字节] 列表
+ * @param {Array<Object>} passes - stats.passes
+ * @param {Object} folders - 文件夹名到角色的映射
+ * @returns {Array<Array>}
+ */
+function describePasses(passes, folders) {
+    const roles = Object.fromEntries(Object.entries(folders).map(([role, name]) => [name, role]));
+    return passes.map(p => [p.reason, roles[p.folder] || p.folder, p.removed_files, p.freed_bytes]);
+}
+
+/**
+ * 构建测试用例
+ * @param {Object} ctx - 测试上下文 { workDir, logger }
+ * @returns {Array<{name: string, run: Function}>}
+ */
+function buildCases(ctx) {
+    const { workDir, logger } = ctx;
+
+    return [
+        {
+            // 预算清理前（过期删除与按日期稀疏之后）:
+            // today 6000 + recent 6000 + early 5000（含 1 个硬链接）与截图清单 + aged 2000 = 19000 + 清单
+            name: '预算紧张时依次经过三个阶段',
+            async run() {
+                const { stats, screenshotDir, folders, manifestBytes } =
+                    await runCleaner(path.join(workDir, 'tight'), () => 7 * FRAME_BYTES, logger);
+
+                assert.deepStrictEqual(describePasses(stats.passes, folders), [
+                    ['expired', 'old', 0, 6000],
+                    ['thin', 'aged', 4, 4000],
+                    // 10-01-20 与 10-01-40 为同一 inode，删除第一个路径不释放空间
+                    ['quota_thin', 'early', 4, 3000],
+                    ['quota_thin', 'recent', 4, 4000],
+                    ['quota_keyframes', 'aged', 2, 2000],
+                    ['quota_keyframes', 'early', 1, 1000],
+                    ['quota_keyframes', 'recent', 1, 1000],
+                    ['quota_delete', 'aged', 0, 0],
+                    ['quota_delete', 'early', 0, FRAME_BYTES + manifestBytes]
+                ]);
+                assert.strictEqual(stats.quota_deleted_folders, 2);
+                assert.strictEqual(stats.over_quota, false);
+                assert.strictEqual(stats.total_bytes, 7 * FRAME_BYTES);
+                assert.strictEqual(stats.total_bytes, measureUnique(screenshotDir), 'total_bytes 与实际占用不一致');
+
+                // 最后一个未删除的文件夹只剩总结引用的关键帧，当天的文件夹完好
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.recent), ['10-01-40']);
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.today), FRAME_TIMES);
+                assert.strictEqual(remainingFrames(screenshotDir, folders.old), null);
+                assert.strictEqual(remainingFrames(screenshotDir, folders.early), null);
+            }
+        },
+        {
+            name: '回到预算内即停止且保留关键帧',
+            async run() {
+                const { stats, screenshotDir, folders, manifestBytes } =
+                    await runCleaner(path.join(workDir, 'loose'), manifest => 14 * FRAME_BYTES + manifest, logger);
+
+                assert.deepStrictEqual(describePasses(stats.passes, folders), [
+                    ['expired', 'old', 0, 6000],
+                    ['thin', 'aged', 4, 4000],
+                    ['quota_thin', 'early', 4, 3000],
+                    // 删除 2 张后回到预算内，同一文件夹中剩余的待删除截图保留
+                    ['quota_thin', 'recent', 2, 2000]
+                ]);
+                assert.strictEqual(stats.quota_deleted_folders, 0);
+                assert.strictEqual(stats.total_bytes, 14 * FRAME_BYTES + manifestBytes);
+                assert.strictEqual(stats.total_bytes, measureUnique(screenshotDir), 'total_bytes 与实际占用不一致');
+
+                // early: 清单关键帧 10-00-20 保留，10-00 分钟的其余截图删除；10-01 分钟没有关键帧，保留第一张
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.early), ['10-00-20', '10-01-00']);
+                // recent: 总结引用的 10-01-40 保留，未发送的 10-00-40 不算关键帧
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.recent), ['10-00-00', '10-01-00', '10-01-20', '10-01-40']);
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.aged), ['10-00-00', '10-01-00']);
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.today), FRAME_TIMES);
+            }
+        },
+        {
+            name: '当天截图超出预算时不删除',
+            async run() {
+                const { stats, screenshotDir, folders } = await runCleaner(path.join(workDir, 'today-only'), () => 3 * FRAME_BYTES, logger);
+
+                assert.strictEqual(stats.over_quota, true);
+                assert.strictEqual(stats.total_bytes, 6 * FRAME_BYTES);
+                assert.deepStrictEqual(remainingFrames(screenshotDir, folders.today), FRAME_TIMES);
+                for (const role of ['old', 'aged', 'early', 'recent']) {
+                    assert.strictEqual(remainingFrames(screenshotDir, folders[role]), null, `${role} 文件夹未被删除`);
+                }
+            }
+        }
+    ];
+}
+
+/**
+ * 程序主流程
+ * @returns {Promise<number>} 退出码
+ */
+async function main() {
+    const args = parseArgs(process.argv);
+    if (args.help) {
+        showHelp();
+        return 0;
+    }
+
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workweaver-cleaner-'));
+    const logger = new Logger({ level: 'error', file: null, console: true });
+
+    const failures = [];
+    const cases = buildCases({ workDir, logger });
+    for (const testCase of cases) {
+        try {
+            await testCase.run();
+            console.log(`[清理测试] 通过: ${testCase.name}`);
+        } catch (err) {
+            failures.push(`${testCase.name}: ${err.message}`);
+        }
+    }
+
+    if (args.keep) {
+        console.log(`[清理测试] 已保留工作目录: ${workDir}`);
+    } else {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    if (failures.length > 0) {
+        failures.forEach(f => console.error(`[清理测试] 失败: ${f}`));
+        console.error(`[清理测试] 失败（${cases.length - failures.length}/${cases.length} 项通过）`);
+        return 1;
+    }
+
+    console.log(`[清理测试] 通过（${cases.length}/${cases.length} 项）`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error(`[清理测试] 异常: ${err.stack || err.message}`);
+        process.exit(1);
+    });